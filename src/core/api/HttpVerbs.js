@@ -1,7 +1,8 @@
 /**
  * HttpVerbs - Core HTTP method helpers
  * 
- * Responsibility: Provide HTTP verb methods (GET, POST, PUT, etc.)
+ * Responsibility: Provide HTTP verb methods (GET, POST, PUT, QUERY, etc.)
+ * Other methods go through client.request({ method })
  */
 
 export class HttpVerbs {
@@ -37,5 +38,10 @@ export class HttpVerbs {
 	options(url, options = {}) {
 		return this.client.request({ ...options, url, method: 'OPTIONS' });
 	}
+	
+	// QUERY - safe and idempotent like GET, with the query in the body
+	query(url, body, options = {}) {
+		return this.client.request({ ...options, url, method: 'QUERY', body });
+	}
 
 }
@@ -57,6 +57,10 @@ export class TypedRequests {
 		return this.client.patch(url, JSON.stringify(data), this.headerHelpers.withType(options, 'application/json', 'json'));
 	}
 	
+	queryJson(url, data, options = {}) {
+		return this.client.query(url, JSON.stringify(data), this.headerHelpers.withType(options, 'application/json', 'json'));
+	}
+	
 	postText(url, text, options = {}) {
 		return this.client.post(url, String(text), this.headerHelpers.withType(options, 'text/plain', 'text'));
 	}
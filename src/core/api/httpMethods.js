@@ -0,0 +1,41 @@
+/**
+ * HTTP method tokens - validation and normalization for client.request({ method })
+ */
+
+// RFC 9110 token characters
+const METHOD_TOKEN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+// Registered methods are sent uppercase whatever the caller's casing (fetch only does this for some)
+const STANDARD_METHODS = new Set(['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'QUERY']);
+
+// Rejected by fetch itself
+const FORBIDDEN_METHODS = new Set(['CONNECT', 'TRACE', 'TRACK']);
+
+/**
+ * Whether a value is a valid HTTP method token
+ */
+export function isMethodToken(method) {
+	return typeof method === 'string' && METHOD_TOKEN.test(method);
+}
+
+/**
+ * Validate a request method - standard methods are uppercased, custom ones (PROPFIND, PURGE) kept as given
+ * @param {string} [method] - Method from the request options (undefined means GET)
+ * @returns {string|undefined} Method to send
+ */
+export function normalizeMethod(method) {
+	if (method === undefined) {
+		return method;
+	}
+
+	if (!isMethodToken(method)) {
+		throw new Error(`Invalid HTTP method: ${JSON.stringify(method)}`);
+	}
+
+	const upper = method.toUpperCase();
+	if (FORBIDDEN_METHODS.has(upper)) {
+		throw new Error(`HTTP method ${upper} is not supported by fetch`);
+	}
+
+	return STANDARD_METHODS.has(upper) ? upper : method;
+}
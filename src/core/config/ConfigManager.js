@@ -78,6 +78,15 @@ export class ConfigManager {
 		}
 	}
 	
+	/**
+	 * Feed a request outcome to the rate limiter (adaptive mode)
+	 */
+	observeRateLimit(mergedReq, response, error = null) {
+		if (this.rateLimitFeature) {
+			this.rateLimitFeature.observe(mergedReq, response, error);
+		}
+	}
+	
 	/**
 	 * Get rate limiting statistics
 	 */
@@ -0,0 +1,325 @@
+/**
+ * HarRecorder - Capture client traffic as a HAR 1.2 document
+ *
+ * Responsibility: Keep one HAR entry per network exchange - every retry attempt and every
+ * hedge request gets its own entry, labeled with the custom fields _requestId, _attempt
+ * and _label ('initial' | 'retry' | 'hedge'). Secrets are redacted before they are stored.
+ *
+ * Entries are started by the native driver's InFlightHandler (request, headers, timings)
+ * and finished once the response body is parsed. Custom drivers do not produce entries.
+ */
+
+export const HAR_VERSION = '1.2';
+export const REDACTED = '[REDACTED]';
+
+export const DEFAULT_HAR_REDACT_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+export const DEFAULT_HAR_REDACT_BODY_FIELDS = ['password', 'token', 'access_token', 'refresh_token', 'client_secret'];
+
+// Binary request bodies with these Content-Types are decoded and recorded as text
+const TEXT_MIME_TYPE = /json|xml|^text\/|x-www-form-urlencoded/i;
+
+function isBinaryBody(body) {
+	return body instanceof ArrayBuffer || ArrayBuffer.isView(body);
+}
+
+export class HarRecorder {
+
+	constructor(config = {}) {
+		const defaults = {
+			maxBodySize: 64 * 1024, // Characters kept per body, the rest is truncated
+			maxEntries: 1000, // Oldest entries are dropped beyond this
+			redactHeaders: DEFAULT_HAR_REDACT_HEADERS,
+			redactQuery: [],
+			redactBodyFields: DEFAULT_HAR_REDACT_BODY_FIELDS,
+			redact: null, // (entry) => entry - final custom redaction
+			creator: { name: 'luminara', version: '1' }
+		};
+
+		this.config = {
+			...defaults,
+			...(typeof config === 'object' && config !== null ? config : {})
+		};
+
+		this.validateConfig();
+
+		this.redactedHeaders = new Set(this.config.redactHeaders.map(name => name.toLowerCase()));
+		this.redactedQuery = new Set(this.config.redactQuery);
+		this.redactedBodyFields = new Set(this.config.redactBodyFields.map(name => name.toLowerCase()));
+		this.entries = [];
+	}
+
+	/**
+	 * Validate configuration
+	 */
+	validateConfig() {
+		const { maxBodySize, maxEntries, redact } = this.config;
+
+		if (typeof maxBodySize !== 'number' || maxBodySize < 0) {
+			throw new Error('HAR capture maxBodySize must be >= 0');
+		}
+
+		if (!Number.isInteger(maxEntries) || maxEntries <= 0) {
+			throw new Error('HAR capture maxEntries must be a positive integer');
+		}
+
+		if (redact !== null && typeof redact !== 'function') {
+			throw new Error('HAR capture redact must be a function');
+		}
+	}
+
+	/**
+	 * Start an entry for a network exchange
+	 * @param {Object} exchange - { requestId, attempt, hedging, method, url, headers, body }
+	 * @returns {Object} Entry handle with response(response), fail(error) and finish(data)
+	 */
+	startEntry({ requestId, attempt = 1, hedging = null, method = 'GET', url, headers = {}, body }) {
+		const startTime = performance.now();
+		let headersTime = null;
+		const requestUrl = this.redactUrl(url);
+		const isHedge = (hedging?.index ?? 0) > 0;
+
+		const entry = {
+			startedDateTime: new Date().toISOString(),
+			time: 0,
+			request: {
+				method: method.toUpperCase(),
+				url: requestUrl.href,
+				httpVersion: 'HTTP/1.1',
+				cookies: [],
+				headers: this.toHeaderList(headers),
+				queryString: Array.from(requestUrl.searchParams, ([name, value]) => ({ name, value })),
+				headersSize: -1,
+				bodySize: -1
+			},
+			response: {
+				status: 0,
+				statusText: '',
+				httpVersion: 'HTTP/1.1',
+				cookies: [],
+				headers: [],
+				content: { size: 0, mimeType: '' },
+				redirectURL: '',
+				headersSize: -1,
+				bodySize: -1
+			},
+			cache: {},
+			timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0 },
+			_requestId: requestId,
+			_attempt: attempt,
+			_label: isHedge ? 'hedge' : (attempt > 1 ? 'retry' : 'initial')
+		};
+
+		if (isHedge) {
+			entry._hedgeIndex = hedging.index;
+		}
+
+		const postData = this.toPostData(body, headers);
+		if (postData) {
+			entry.request.postData = postData;
+			entry.request.bodySize = isBinaryBody(body) ? body.byteLength : (postData.text?.length ?? -1);
+		}
+
+		this.entries.push(entry);
+		if (this.entries.length > this.config.maxEntries) {
+			this.entries.shift();
+		}
+
+		const complete = () => {
+			const now = performance.now();
+			if (headersTime === null) {
+				entry.timings.wait = now - startTime;
+			} else {
+				entry.timings.receive = now - headersTime;
+			}
+			entry.time = now - startTime;
+		};
+
+		return {
+
+			// Response headers arrived
+			response: (response) => {
+				headersTime = performance.now();
+				entry.timings.wait = headersTime - startTime;
+				entry.time = entry.timings.wait;
+				entry.response.status = response.status;
+				entry.response.statusText = response.statusText || '';
+				entry.response.headers = this.toHeaderList(Object.fromEntries(response.headers));
+				entry.response.redirectURL = response.headers.get('location') || '';
+				entry.response.content.mimeType = response.headers.get('content-type') || '';
+			},
+
+			// Response body parsed (data is the parsed body)
+			finish: (data) => {
+				entry.response.content = {
+					...entry.response.content,
+					...this.toContent(data)
+				};
+				entry.response.bodySize = entry.response.content.size;
+				complete();
+			},
+
+			// Exchange failed (network error, timeout, abort, losing hedge)
+			fail: (error) => {
+				entry._error = error?.message || String(error);
+				complete();
+			}
+		};
+	}
+
+	/**
+	 * Build the HAR document
+	 * @returns {Object} { log: { version, creator, pages, entries } }
+	 */
+	toHar() {
+		const { redact, creator } = this.config;
+		const entries = this.entries.map(entry => {
+			const copy = structuredClone(entry);
+
+			return redact ? (redact(copy) ?? copy) : copy;
+		});
+
+		return {
+			log: {
+				version: HAR_VERSION,
+				creator: { ...creator },
+				pages: [],
+				entries
+			}
+		};
+	}
+
+	clear() {
+		this.entries = [];
+	}
+
+	redactUrl(url) {
+		const parsedUrl = new URL(url);
+		for (const name of this.redactedQuery) {
+			if (parsedUrl.searchParams.has(name)) {
+				parsedUrl.searchParams.set(name, REDACTED);
+			}
+		}
+
+		return parsedUrl;
+	}
+
+	toHeaderList(headers = {}) {
+		return Object.entries(headers).map(([name, value]) => ({
+			name,
+			value: this.redactedHeaders.has(name.toLowerCase()) ? REDACTED : String(value)
+		}));
+	}
+
+	/**
+	 * Replace the values of redacted fields in a JSON value (deep)
+	 */
+	redactFields(value) {
+		if (Array.isArray(value)) {
+			return value.map(item => this.redactFields(item));
+		}
+
+		if (value && typeof value === 'object') {
+			const result = {};
+			for (const [key, fieldValue] of Object.entries(value)) {
+				result[key] = this.redactedBodyFields.has(key.toLowerCase()) ? REDACTED : this.redactFields(fieldValue);
+			}
+
+			return result;
+		}
+
+		return value;
+	}
+
+	/**
+	 * Redact a text body - JSON and form-encoded bodies have their secret fields replaced
+	 */
+	redactText(text, mimeType = '') {
+		if (/json/i.test(mimeType) || /^\s*[[{]/.test(text)) {
+			try {
+				return JSON.stringify(this.redactFields(JSON.parse(text)));
+			} catch {
+
+				// Not JSON after all
+			}
+		}
+
+		if (/x-www-form-urlencoded/i.test(mimeType)) {
+			const params = new URLSearchParams(text);
+			for (const name of Array.from(params.keys())) {
+				if (this.redactedBodyFields.has(name.toLowerCase())) {
+					params.set(name, REDACTED);
+				}
+			}
+
+			return params.toString();
+		}
+
+		return text;
+	}
+
+	truncate(text) {
+		const { maxBodySize } = this.config;
+		if (text.length <= maxBodySize) {
+			return { text };
+		}
+
+		return { text: text.slice(0, maxBodySize), comment: `Truncated to ${maxBodySize} of ${text.length} characters` };
+	}
+
+	toPostData(body, headers) {
+		if (body === undefined || body === null) {
+			return null;
+		}
+
+		const contentTypeHeader = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+		let mimeType = contentTypeHeader ? String(headers[contentTypeHeader]) : '';
+
+		if (typeof FormData !== 'undefined' && body instanceof FormData) {
+			const params = Array.from(body.entries(), ([name, value]) => (typeof value === 'string'
+				? { name, value: this.redactedBodyFields.has(name.toLowerCase()) ? REDACTED : value }
+				: { name, fileName: value.name, contentType: value.type }));
+
+			return { mimeType: mimeType || 'multipart/form-data', params, text: '' };
+		}
+
+		if (body instanceof URLSearchParams) {
+			mimeType = mimeType || 'application/x-www-form-urlencoded';
+			body = body.toString();
+		}
+
+		if (isBinaryBody(body) && TEXT_MIME_TYPE.test(mimeType)) {
+			body = new TextDecoder().decode(body);
+		}
+
+		if (typeof body !== 'string') {
+			return { mimeType, text: '', comment: 'Body not captured (binary or stream)' };
+		}
+
+		return { mimeType, ...this.truncate(this.redactText(body, mimeType)) };
+	}
+
+	/**
+	 * HAR content for a parsed response body
+	 */
+	toContent(data) {
+		if (data === undefined || data === null) {
+			return { size: 0 };
+		}
+
+		if (typeof data === 'string') {
+			return { size: data.length, ...this.truncate(this.redactText(data)) };
+		}
+
+		const isBinary = data instanceof ArrayBuffer || ArrayBuffer.isView(data) ||
+			(typeof Blob !== 'undefined' && data instanceof Blob) ||
+			(typeof ReadableStream !== 'undefined' && data instanceof ReadableStream);
+		if (isBinary) {
+			return { size: data.byteLength ?? data.size ?? -1, comment: 'Body not captured (binary or stream)' };
+		}
+
+		const text = JSON.stringify(this.redactFields(data));
+
+		return { size: text.length, ...this.truncate(text) };
+	}
+
+}
@@ -8,7 +8,13 @@ import { PluginPipeline } from './orchestration/PluginPipeline.js';
 import { RetryOrchestrator } from './orchestration/RetryOrchestrator.js';
 import { ContextBuilder } from './orchestration/ContextBuilder.js';
 import { SignalManager } from './orchestration/SignalManager.js';
+import { StaleWhileRevalidate } from './orchestration/StaleWhileRevalidate.js';
+import { RetryBudget } from './orchestration/RetryBudget.js';
+import { HarRecorder } from './har/HarRecorder.js';
+import { SseConnection } from './sse/SseConnection.js';
+import { Tracer } from './tracing/Tracer.js';
 import { HttpVerbs } from './api/HttpVerbs.js';
+import { normalizeMethod } from './api/httpMethods.js';
 import { TypedRequests } from './api/TypedRequests.js';
 
 export class LuminaraClient {
@@ -17,16 +23,28 @@ export class LuminaraClient {
 		this.driver = driver;
 		
 		// Initialize stats system
-		this.statsInstance = new StatsHub();
+		this.statsInstance = new StatsHub({ windows: config.statsWindows });
 		if (config.verbose) {
 			this.statsInstance.setVerbose(true);
 		}
+		if (config.alerts) {
+			this.statsInstance.configureAlerts(config.alerts);
+		}
 		
 		// Initialize orchestration components
 		this.configManager = new ConfigManager(config);
 		this.statsEmitter = new StatsEventEmitter(this.configManager.get(), this.statsInstance);
 		this.pluginPipeline = new PluginPipeline(plugins);
-		this.retryOrchestrator = new RetryOrchestrator(driver, this.statsEmitter);
+		this.retryBudget = config.retryBudget ? new RetryBudget(config.retryBudget) : null;
+		this.retryOrchestrator = new RetryOrchestrator(driver, this.statsEmitter, this.retryBudget);
+		this.staleWhileRevalidate = new StaleWhileRevalidate(config.staleWhileRevalidate);
+		this.harRecorder = null; // Set while HAR capture is running
+		this.tracer = config.tracing ? new Tracer(config.tracing) : null;
+		
+		// Feed driver circuit breaker events into stats
+		if (typeof driver.onCircuitEvent === 'function') {
+			driver.onCircuitEvent((event) => this.statsEmitter.emit(`circuit:${event.type}`, event));
+		}
 		
 		// Initialize API helpers
 		this.httpVerbs = new HttpVerbs(this);
@@ -103,10 +121,49 @@ export class LuminaraClient {
 		// Merge global config with per-request options
 		const mergedReq = this.configManager.merge(req);
 
+		// Any method token is accepted (PROPFIND, PURGE...) - standard ones are sent uppercase
+		mergedReq.method = normalizeMethod(mergedReq.method);
+
+		// Serve stale GET results instantly and refresh them in the background
+		if (this.staleWhileRevalidate.isEnabled(mergedReq)) {
+			return this.staleWhileRevalidate.process(mergedReq, (swrReq) => this.#rateLimitedRequest(swrReq));
+		}
+
+		return this.#rateLimitedRequest(mergedReq);
+	}
+
+	/**
+	 * Subscribe to client events ('revalidated' | 'revalidationFailed')
+	 * @returns {Function} Unsubscribe function
+	 */
+	on(event, listener) {
+		return this.staleWhileRevalidate.on(event, listener);
+	}
+
+	/**
+	 * Open a Server-Sent Events stream - plugins add headers, drops reconnect with Last-Event-ID
+	 * @param {string} url - Event stream URL
+	 * @param {Object} [options] - Request options plus { lastEventId, reconnect }
+	 * @returns {SseConnection} Async iterable of { event, data, id, retry } frames with on()/close()
+	 */
+	sse(url, options = {}) {
+		return new SseConnection(this, { ...options, url });
+	}
+
+	async #rateLimitedRequest(mergedReq) {
+
 		// Apply rate limiting if configured
 		await this.configManager.applyRateLimit(mergedReq);
 
-		return this.#actualRequest(mergedReq);
+		try {
+			const response = await this.#actualRequest(mergedReq);
+			this.configManager.observeRateLimit(mergedReq, response);
+
+			return response;
+		} catch (error) {
+			this.configManager.observeRateLimit(mergedReq, null, error);
+			throw error;
+		}
 	}
 
 	async #actualRequest(req) {
@@ -144,6 +201,16 @@ export class LuminaraClient {
 			timings.contextBuild = performance.now() - timings.contextBuildStart;
 		}
 		
+		// Attach the HAR recorder while capture is running
+		if (this.harRecorder) {
+			context.harRecorder = this.harRecorder;
+		}
+		
+		// Attach the tracer unless tracing is disabled for this request
+		if (this.tracer && mergedReq.tracing !== false) {
+			context.tracer = this.tracer;
+		}
+		
 		// Emit stats event for request start
 		if (timings) {
 			timings.statsEmitStart = performance.now();
@@ -236,6 +303,10 @@ export class LuminaraClient {
 		return this.httpVerbs.options(url, options);
 	}
 
+	query(url, body, options = {}) {
+		return this.httpVerbs.query(url, body, options);
+	}
+
 	// -------- Typed GET helpers (delegate to TypedRequests) --------
 	getText(url, options = {}) {
 		return this.typedRequests.getText(url, options);
@@ -278,6 +349,10 @@ export class LuminaraClient {
 		return this.typedRequests.patchJson(url, data, options);
 	}
 
+	queryJson(url, data, options = {}) {
+		return this.typedRequests.queryJson(url, data, options);
+	}
+
 	postText(url, text, options = {}) {
 		return this.typedRequests.postText(url, text, options);
 	}
@@ -319,4 +394,85 @@ export class LuminaraClient {
 		this.configManager.resetRateLimitStats();
 	}
 
+	/**
+	 * Get HTTP cache statistics (if the driver has a cache configured)
+	 * @returns {Object|null} Cache statistics or null if disabled
+	 */
+	getCacheStats() {
+		return typeof this.driver.getCacheStats === 'function' ? this.driver.getCacheStats() : null;
+	}
+
+	/**
+	 * Get client-wide retry budget usage (if retryBudget is configured)
+	 * @returns {Object|null} Retry budget statistics or null if disabled
+	 */
+	getRetryBudgetStats() {
+		return this.retryBudget ? this.retryBudget.getStats() : null;
+	}
+
+	/**
+	 * Clear retry budget history and denied counter (if retryBudget is configured)
+	 */
+	resetRetryBudget() {
+		if (this.retryBudget) {
+			this.retryBudget.reset();
+		}
+	}
+
+	/**
+	 * Start capturing traffic as HAR 1.2 (restarts a running capture)
+	 * @param {Object} [options] - { maxBodySize, maxEntries, redactHeaders, redactQuery, redactBodyFields, redact, creator }
+	 */
+	startHarCapture(options = {}) {
+		this.harRecorder = new HarRecorder(options);
+
+		return this;
+	}
+
+	/**
+	 * Stop capturing traffic
+	 * @returns {Object|null} HAR document, or null if no capture was running
+	 */
+	stopHarCapture() {
+		const recorder = this.harRecorder;
+		this.harRecorder = null;
+
+		return recorder ? recorder.toHar() : null;
+	}
+
+	/**
+	 * HAR document of the running capture so far (capture keeps running)
+	 * @returns {Object|null} HAR document, or null if no capture is running
+	 */
+	getHarCapture() {
+		return this.harRecorder ? this.harRecorder.toHar() : null;
+	}
+
+	/**
+	 * Get circuit breaker states (if the driver has a circuit breaker configured)
+	 * @returns {Object|null} Circuit breaker statistics or null if disabled
+	 */
+	getCircuitBreakerStats() {
+		return typeof this.driver.getCircuitBreakerStats === 'function' ? this.driver.getCircuitBreakerStats() : null;
+	}
+
+	/**
+	 * Force all circuits back to closed (if the driver has a circuit breaker configured)
+	 */
+	resetCircuitBreaker() {
+		if (typeof this.driver.resetCircuitBreaker === 'function') {
+			this.driver.resetCircuitBreaker();
+		}
+	}
+
+	/**
+	 * Remove all stale-while-revalidate results and HTTP cache entries (if the driver has a cache configured)
+	 */
+	async clearCache() {
+		await this.staleWhileRevalidate.clear();
+		if (typeof this.driver.clearCache === 'function') {
+			await this.driver.clearCache();
+		}
+	}
+
 }
\ No newline at end of file
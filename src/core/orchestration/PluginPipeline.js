@@ -1,5 +1,8 @@
 import { logPlugin } from '../verbose/verboseLogger.js';
 
+// Replays requested by plugins per request or connect (guards against plugins replaying forever)
+const MAX_REPLAYS = 5;
+
 /**
  * PluginPipeline - Execute plugin interceptors
  * 
@@ -80,6 +83,20 @@ export class PluginPipeline {
 		}
 	}
 	
+	/**
+	 * Execute onResponseError interceptors and report whether a plugin asked to replay the request
+	 * (e.g. after refreshing credentials) within the replay limit
+	 * @param {Object} context - Request context with the error set
+	 * @param {number} replays - Replays already made for this request
+	 * @returns {Promise<boolean>} True when the request should be sent again
+	 */
+	async executeOnResponseErrorForReplay(context, replays) {
+		context.replay = false;
+		await this.executeOnResponseError(context);
+
+		return context.replay && replays < MAX_REPLAYS;
+	}
+	
 	/**
 	 * Add a plugin to the pipeline
 	 */
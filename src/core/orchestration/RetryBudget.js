@@ -0,0 +1,123 @@
+/**
+ * RetryBudget - Cap retry amplification across the client
+ *
+ * Responsibility: Track successful requests and retries over a rolling window and
+ * allow a retry only while retries stay within a ratio of successes
+ * (with a minimum retries-per-second floor so low-traffic clients can still retry)
+ */
+
+export class RetryBudget {
+
+	constructor(config = {}) {
+		const defaults = {
+			ratio: 0.1,
+			minRetriesPerSecond: 10,
+			windowMs: 10000
+		};
+
+		this.config = {
+			...defaults,
+			...(typeof config === 'object' && config !== null ? config : {})
+		};
+
+		this.validateConfig();
+
+		this.successes = []; // Timestamps of successful requests in the window
+		this.retries = []; // Timestamps of granted retries in the window
+		this.denied = 0;
+	}
+
+	/**
+	 * Validate configuration
+	 */
+	validateConfig() {
+		const { ratio, minRetriesPerSecond, windowMs } = this.config;
+
+		if (typeof ratio !== 'number' || ratio < 0) {
+			throw new Error('retryBudget ratio must be >= 0');
+		}
+
+		if (typeof minRetriesPerSecond !== 'number' || minRetriesPerSecond < 0) {
+			throw new Error('retryBudget minRetriesPerSecond must be >= 0');
+		}
+
+		if (typeof windowMs !== 'number' || windowMs <= 0) {
+			throw new Error('retryBudget windowMs must be > 0');
+		}
+	}
+
+	/**
+	 * Record a successful request (earns retry budget)
+	 */
+	recordSuccess() {
+		const now = Date.now();
+		this.successes.push(now);
+		this.prune(now);
+	}
+
+	/**
+	 * Ask for permission to retry - records the retry when granted
+	 * @returns {boolean} True if the retry fits in the budget
+	 */
+	tryAcquire() {
+		const now = Date.now();
+		this.prune(now);
+
+		if (this.retries.length >= this.getAllowedRetries()) {
+			this.denied++;
+
+			return false;
+		}
+
+		this.retries.push(now);
+
+		return true;
+	}
+
+	/**
+	 * Retries allowed in the current window
+	 */
+	getAllowedRetries() {
+		const { ratio, minRetriesPerSecond, windowMs } = this.config;
+		const floor = minRetriesPerSecond * (windowMs / 1000);
+
+		return Math.max(floor, Math.floor(this.successes.length * ratio));
+	}
+
+	prune(now) {
+		const cutoff = now - this.config.windowMs;
+		while (this.successes.length > 0 && this.successes[0] <= cutoff) {
+			this.successes.shift();
+		}
+		while (this.retries.length > 0 && this.retries[0] <= cutoff) {
+			this.retries.shift();
+		}
+	}
+
+	/**
+	 * Get current budget usage
+	 */
+	getStats() {
+		this.prune(Date.now());
+		const allowed = this.getAllowedRetries();
+
+		return {
+			successes: this.successes.length,
+			retries: this.retries.length,
+			allowed,
+			remaining: Math.max(0, allowed - this.retries.length),
+			denied: this.denied,
+			config: { ...this.config }
+		};
+	}
+
+	/**
+	 * Clear tracked requests and counters
+	 */
+	reset() {
+		this.successes = [];
+		this.retries = [];
+		this.denied = 0;
+	}
+
+}
@@ -1,4 +1,5 @@
 import { logRequest, logError, verboseLog } from '../verbose/verboseLogger.js';
+import { isReplayableBody } from '../../drivers/native/features/body/index.js';
 
 /**
  * RetryOrchestrator - Manage retry logic and backoff
@@ -8,9 +9,10 @@ import { logRequest, logError, verboseLog } from '../verbose/verboseLogger.js';
 
 export class RetryOrchestrator {
 	
-	constructor(driver, statsEmitter) {
+	constructor(driver, statsEmitter, retryBudget = null) {
 		this.driver = driver;
 		this.statsEmitter = statsEmitter;
+		this.retryBudget = retryBudget;
 	}
 	
 	/**
@@ -20,9 +22,16 @@ export class RetryOrchestrator {
 		// Support retry: false, retry: 0, or retry: undefined (all disable retries)
 		// Only retry if explicitly set to a positive number
 		const retryCount = (typeof context.req.retry === 'number' && context.req.retry > 0) ? context.req.retry : 0;
-		const maxAttempts = retryCount + 1;
+		let maxAttempts = retryCount + 1;
+		let replays = 0;
 		const timings = context.__timings;
 		
+		// Tracing - one span per logical request, a child span per attempt
+		const tracer = context.tracer ?? null;
+		const requestSpan = tracer ? tracer.startRequestSpan(context.req, context.meta.requestId) : null;
+		let attemptSpan = null;
+		let backoffMs = 0;
+		
 		// Log initial request start
 		logRequest(context, 'start');
 		
@@ -30,6 +39,15 @@ export class RetryOrchestrator {
 			context.attempt = attempt;
 			context.error = null;
 			context.res = null;
+			context.replay = false;
+			
+			if (tracer) {
+				attemptSpan = tracer.startAttemptSpan(requestSpan, context.req, {
+					requestId: context.meta.requestId,
+					attempt,
+					backoffMs
+				});
+			}
 			
 			// Log each attempt
 			logRequest(context, 'attempt');
@@ -50,6 +68,17 @@ export class RetryOrchestrator {
 					timings.pluginOnRequest = performance.now() - timings.pluginOnRequestStart;
 				}
 				
+				// HAR capture - the driver records each network exchange of this attempt
+				if (context.harRecorder) {
+					context.req.__har = { recorder: context.harRecorder, requestId: context.meta.requestId, attempt };
+				}
+				
+				// Propagate the attempt span - the driver adds child spans for hedges
+				if (tracer) {
+					context.req.headers = tracer.inject(context.req.headers, attemptSpan);
+					context.req.__trace = { tracer, span: attemptSpan };
+				}
+				
 				// 2) Execute driver request
 				if (timings) {
 					timings.driverRequestStart = performance.now();
@@ -68,10 +97,28 @@ export class RetryOrchestrator {
 					timings.pluginOnResponse = performance.now() - timings.pluginOnResponseStart;
 				}
 				
+				// Success earns retry budget
+				if (this.retryBudget) {
+					this.retryBudget.recordSuccess();
+				}
+				
+				if (tracer) {
+					tracer.endSpan(attemptSpan, { response: context.res });
+					requestSpan.setAttribute('luminara.attempts', attempt);
+					tracer.endSpan(requestSpan, { response: context.res });
+				}
+				
 				// Success - log completion and emit stats event
 				const duration = Date.now() - context.meta.requestStartTime;
 				
-				// Emit stats event for success
+				// Emit stats event for hedged requests, then for success
+				if (context.res?.hedgingMetadata) {
+					this.statsEmitter.emit('request:hedged', {
+						id: context.meta.requestId,
+						...context.res.hedgingMetadata
+					});
+				}
+				
 				this.statsEmitter.emit('request:success', {
 					id: context.meta.requestId,
 					status: context.res?.status || 200,
@@ -106,6 +153,10 @@ export class RetryOrchestrator {
 			} catch (error) {
 				context.error = error;
 				
+				if (tracer) {
+					tracer.endSpan(attemptSpan, { error, errorType: this.classifyError(error) });
+				}
+				
 				// Log error details
 				logError(context, 'caught', {
 					type: error.name || 'Error',
@@ -114,14 +165,39 @@ export class RetryOrchestrator {
 					retryable: attempt < maxAttempts && this.shouldRetry(error, context)
 				});
 				
-				// 4) onResponseError interceptors
-				await pluginPipeline.executeOnResponseError(context);
+				// 4) onResponseError interceptors - an error thrown there ends the request with it
+				let replay = false;
+				let pluginFailed = false;
+				try {
+					replay = await pluginPipeline.executeOnResponseErrorForReplay(context, replays);
+				} catch (pluginError) {
+					context.error = pluginError;
+					pluginFailed = true;
+				}
+				
+				// Plugin asked to replay - an extra attempt that does not use up retries, retry budget or backoff delay
+				if (replay && this.canReplayBody(error, context)) {
+					replays++;
+					maxAttempts++;
+					backoffMs = 0;
+					requestSpan?.addEvent('replay', { 'luminara.attempt': attempt + 1 });
+					
+					if (context.req.verbose) {
+						verboseLog(context, 'RETRY', 'Replaying request at plugin request', {
+							attempt: context.attempt,
+							replays
+						});
+					}
+					continue;
+				}
 				
-				// Check if we should retry
-				if (attempt < maxAttempts && this.shouldRetry(error, context)) {
+				// Check if we should retry (and the client-wide retry budget allows it)
+				if (!pluginFailed && attempt < maxAttempts && this.shouldRetry(error, context) && this.canReplayBody(error, context) && this.acquireRetryBudget(error, context)) {
 
 					// Apply retry delay
 					const delay = await this.getRetryDelay(context);
+					backoffMs = delay;
+					requestSpan?.addEvent('retry', { 'luminara.attempt': attempt + 1, 'luminara.retry.backoff_ms': delay });
 					
 					// Emit retry stats event
 					this.statsEmitter.emit('request:retry', {
@@ -149,6 +225,11 @@ export class RetryOrchestrator {
 					message: context.error.message,
 					requestId: context.meta.requestId
 				});
+				
+				if (tracer) {
+					requestSpan.setAttribute('luminara.attempts', attempt);
+					tracer.endSpan(requestSpan, { error: context.error, errorType: this.classifyError(context.error) });
+				}
 				throw context.error;
 			}
 		}
@@ -202,6 +283,66 @@ export class RetryOrchestrator {
 		return false;
 	}
 	
+	/**
+	 * Check the request body can be sent again before retrying or replaying
+	 * A consumed stream body keeps the original error, marked with bodyNotReplayable
+	 */
+	canReplayBody(error, context) {
+		if (isReplayableBody(context.req.body)) {
+			return true;
+		}
+		
+		// Report once, when both a plugin replay and a retry are refused
+		if (!error.bodyNotReplayable) {
+			error.bodyNotReplayable = true;
+			
+			this.statsEmitter.emit('request:retry-denied', {
+				id: context.meta.requestId,
+				attempt: context.attempt + 1,
+				reason: 'body'
+			});
+			
+			if (context.req.verbose) {
+				verboseLog(context, 'RETRY', 'Retry denied - stream body was already sent', {
+					attempt: context.attempt
+				});
+			}
+		}
+		
+		return false;
+	}
+	
+	/**
+	 * Check the client-wide retry budget before retrying
+	 * Denied retries keep the original error, marked with budgetDenied
+	 */
+	acquireRetryBudget(error, context) {
+		if (!this.retryBudget || context.req.retryBudget === false) {
+			return true;
+		}
+		
+		if (this.retryBudget.tryAcquire()) {
+			return true;
+		}
+		
+		error.budgetDenied = true;
+		
+		this.statsEmitter.emit('request:retry-denied', {
+			id: context.meta.requestId,
+			attempt: context.attempt + 1,
+			reason: 'budget'
+		});
+		
+		if (context.req.verbose) {
+			verboseLog(context, 'RETRY', 'Retry denied - retry budget exhausted', {
+				attempt: context.attempt,
+				budget: this.retryBudget.getStats()
+			});
+		}
+		
+		return false;
+	}
+	
 	/**
 	 * Get retry delay duration
 	 */
@@ -225,6 +366,9 @@ export class RetryOrchestrator {
 	 * Classify error for stats tracking
 	 */
 	classifyError(error) {
+		if (error.code === 'CIRCUIT_OPEN') {
+			return 'circuit_open';
+		}
 		if (error.name === 'AbortError' || error.message?.includes('abort')) {
 			return 'aborted';
 		}
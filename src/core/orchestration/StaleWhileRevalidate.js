@@ -0,0 +1,250 @@
+import { verboseLog } from '../verbose/verboseLogger.js';
+import { buildFullUrl } from '../../drivers/native/features/url/index.js';
+import { generateKey, hashString } from '../../drivers/native/features/deduplicator/index.js';
+import { MemoryCacheStorage, getHeaderValue } from '../../drivers/native/features/cache/index.js';
+import { STREAMING_RESPONSE_TYPES } from '../../drivers/native/features/response/index.js';
+import { createLuminaraError } from '../../drivers/native/features/error/index.js';
+
+/**
+ * StaleWhileRevalidate - Serve last known GET results instantly, refresh in background
+ *
+ * Responsibility: Cache successful GET results per request key, return them immediately
+ * on later calls and revalidate through the full client pipeline (plugins, retry, hedging).
+ * Streaming results (stream, ndjson, jsonl) can be consumed only once and are never cached.
+ * Every caller gets its own copy of a stored result, so changes to `data` do not leak into the store.
+ */
+
+const SWR_EVENTS = ['revalidated', 'revalidationFailed'];
+
+// Credentials in the request headers scope the built-in key strategies - one user's result
+// is never served to a request sent with other credentials
+const CREDENTIAL_HEADERS = ['authorization', 'cookie'];
+
+export class StaleWhileRevalidate {
+
+	constructor(config = {}) {
+		const { maxEntries = 500 } = typeof config === 'object' && config !== null ? config : {};
+
+		this.storage = new MemoryCacheStorage({ maxEntries });
+		this.revalidating = new Map(); // key → in-flight background refresh promise
+		this.listeners = {
+			revalidated: new Set(),
+			revalidationFailed: new Set()
+		};
+	}
+
+	/**
+	 * Check if stale-while-revalidate applies to a merged request
+	 */
+	isEnabled(req) {
+		const method = (req.method || 'GET').toUpperCase();
+
+		return !!req.staleWhileRevalidate && method === 'GET' && !STREAMING_RESPONSE_TYPES.includes(req.responseType);
+	}
+
+	/**
+	 * Serve a request: cached result immediately (with background refresh) or execute and store
+	 * @param {Object} req - Merged request options
+	 * @param {Function} executeFn - Runs a request through the full client pipeline
+	 */
+	async process(req, executeFn) {
+		const config = this.#resolveConfig(req);
+		const key = this.generateKey(req, config);
+		const entry = await this.storage.get(key);
+
+		if (entry && this.#isUsable(entry, config)) {
+			if (req.verbose) {
+				verboseLog(req, 'CACHE', `Serving stale result, revalidating in background: ${key}`, {
+					key,
+					age: Date.now() - entry.storedAt
+				});
+			}
+
+			this.#revalidate(key, req, entry, config, executeFn);
+
+			return {
+				...copyResponse(entry.response),
+				cacheMetadata: {
+					status: 'stale',
+					age: Math.floor((Date.now() - entry.storedAt) / 1000)
+				}
+			};
+		}
+
+		const response = await executeFn(req);
+		await this.#store(key, response);
+
+		return response;
+	}
+
+	/**
+	 * Generate cache key using the deduplicator key strategies, scoped to the request credentials
+	 * unless a custom keyGenerator decides on its own
+	 */
+	generateKey(req, config = this.#resolveConfig(req)) {
+		const fullUrl = buildFullUrl(req.url, req.baseURL, req.query);
+		const key = generateKey({ ...req, fullUrl }, config.keyStrategy, {
+			keyGenerator: config.keyGenerator,
+			includeHeaders: config.includeHeaders
+		});
+
+		if (config.keyStrategy === 'custom') {
+			return key;
+		}
+
+		const credentials = CREDENTIAL_HEADERS
+			.map(name => getHeaderValue(req.headers, name))
+			.filter(Boolean);
+
+		return credentials.length > 0 ? `${key}:credentials:${hashString(credentials.join('\n'))}` : key;
+	}
+
+	/**
+	 * Subscribe to revalidation events ('revalidated' | 'revalidationFailed')
+	 * @returns {Function} Unsubscribe function
+	 */
+	on(event, listener) {
+		if (!SWR_EVENTS.includes(event)) {
+			throw new Error(`Unknown event type: ${event}`);
+		}
+
+		this.listeners[event].add(listener);
+
+		return () => this.listeners[event].delete(listener);
+	}
+
+	/**
+	 * Remove all stored results
+	 */
+	async clear() {
+		await this.storage.clear();
+	}
+
+	/**
+	 * Start a background refresh unless one is already running for this key
+	 */
+	#revalidate(key, req, entry, config, executeFn) {
+		if (this.revalidating.has(key)) {
+			return;
+		}
+
+		// Detach from the caller's abort signal - the caller already has its result
+		const { signal, ...backgroundReq } = req;
+
+		const refresh = (async () => {
+			try {
+				const response = await executeFn(backgroundReq);
+
+				// Error responses returned with ignoreResponseError keep the stale result
+				if (!(await this.#store(key, response))) {
+					throw createLuminaraError(`Revalidation response not stored: status ${response?.status}`, {
+						status: response?.status,
+						code: 'SWR_NOT_STORED',
+						request: { url: req.url, method: 'GET' },
+						response
+					});
+				}
+
+				const event = { key, response, previous: copyResponse(entry.response) };
+				this.#notify(config.onRevalidated, response, 'revalidated', event);
+
+				if (req.verbose) {
+					verboseLog(req, 'CACHE', `Background revalidation completed: ${key}`, {
+						key,
+						status: response.status
+					});
+				}
+			} catch (error) {
+				const event = { key, error, previous: copyResponse(entry.response) };
+				this.#notify(config.onRevalidationError, error, 'revalidationFailed', event);
+
+				if (req.verbose) {
+					verboseLog(req, 'CACHE', `Background revalidation failed, keeping stale result: ${key}`, {
+						key,
+						error: error.message
+					});
+				}
+			} finally {
+				this.revalidating.delete(key);
+			}
+		})();
+
+		this.revalidating.set(key, refresh);
+	}
+
+	/**
+	 * Call the per-request callback and client-level listeners
+	 */
+	#notify(callback, payload, event, eventData) {
+		const handlers = typeof callback === 'function' ? [() => callback(payload)] : [];
+		for (const listener of this.listeners[event]) {
+			handlers.push(() => listener(eventData));
+		}
+
+		for (const handler of handlers) {
+			try {
+				handler();
+			} catch (error) {
+				console.warn(`Error in ${event} listener:`, error);
+			}
+		}
+	}
+
+	/**
+	 * Keep a copy of a result for later calls - error responses returned with ignoreResponseError are not kept
+	 * @returns {Promise<boolean>} Whether the result was stored
+	 */
+	async #store(key, response) {
+		if (!(response?.status >= 200 && response.status < 300)) {
+			return false;
+		}
+
+		await this.storage.set(key, {
+			response: copyResponse(response),
+			storedAt: Date.now()
+		});
+
+		return true;
+	}
+
+	#isUsable(entry, config) {
+		return Date.now() - entry.storedAt <= config.maxStaleAge;
+	}
+
+	/**
+	 * Resolve per-request options, defaulting key options to the deduplicate config
+	 */
+	#resolveConfig(req) {
+		const swr = typeof req.staleWhileRevalidate === 'object' ? req.staleWhileRevalidate : {};
+		const dedupe = typeof req.deduplicate === 'object' && req.deduplicate !== null ? req.deduplicate : {};
+
+		return {
+			keyStrategy: swr.keyStrategy || dedupe.keyStrategy || 'url+method',
+			keyGenerator: swr.keyGenerator || dedupe.keyGenerator || null,
+			includeHeaders: swr.includeHeaders || dedupe.includeHeaders || [],
+			maxStaleAge: typeof swr.maxStaleAge === 'number' ? swr.maxStaleAge : Infinity,
+			onRevalidated: req.onRevalidated || swr.onRevalidated,
+			onRevalidationError: req.onRevalidationError || swr.onRevalidationError
+		};
+	}
+
+}
+
+/**
+ * Copy of a result with its own headers and data
+ * Data that cannot be structured-cloned (functions, class instances) is shared as-is
+ */
+function copyResponse(response) {
+	let data = response.data;
+	try {
+		data = structuredClone(data);
+	} catch {
+		// Keep the original
+	}
+
+	return {
+		...response,
+		headers: response.headers instanceof Headers ? new Headers(response.headers) : response.headers,
+		data
+	};
+}
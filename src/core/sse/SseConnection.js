@@ -0,0 +1,441 @@
+import { ContextBuilder } from '../orchestration/ContextBuilder.js';
+import { StatsUtils } from '../stats/StatsUtils.js';
+import { verboseLog } from '../verbose/verboseLogger.js';
+import { createBackoffHandler } from '../../drivers/native/features/retry/backoff.js';
+import { createLuminaraError } from '../../drivers/native/features/error/index.js';
+import { parseEventStream } from './eventStreamParser.js';
+
+const EVENT_TYPES = ['open', 'message', 'error', 'reconnect', 'close'];
+
+let connectionIdCounter = 0;
+
+/**
+ * SseConnection - Server-Sent Events over the Luminara pipeline
+ *
+ * Responsibility: Keep one text/event-stream open. Every connect runs the plugin onRequest
+ * interceptors (auth, cookies) and the driver with a streaming response. Dropped connections
+ * reconnect with Last-Event-ID after the server's retry: hint (or reconnect.delay), grown by
+ * the backoff strategy while connects keep failing.
+ *
+ * Frames are delivered to 'message' listeners and to async iterators created with for await.
+ */
+export class SseConnection {
+
+	/**
+	 * @param {Object} client - LuminaraClient the connection runs on
+	 * @param {Object} options - Request options plus { lastEventId, reconnect }
+	 */
+	constructor(client, options = {}) {
+		const defaults = {
+			maxAttempts: Infinity, // Consecutive reconnects without a successful open before giving up
+			delay: 1000, // Base delay until the server sends a retry: hint
+			backoffType: 'exponentialCapped', // Strategy from backoffStrategies
+			maxDelay: 30000,
+			backoffDelays: null, // Delays for backoffType 'custom'
+			shouldReconnect: defaultShouldReconnect // (error, { attempt }) => boolean
+		};
+		const { lastEventId = '', reconnect = true, ...req } = options;
+
+		this.client = client;
+		this.req = client.configManager.merge(req);
+		this.reconnectConfig = reconnect === false ? null : {
+			...defaults,
+			...(typeof reconnect === 'object' && reconnect !== null ? reconnect : {})
+		};
+
+		this.validateConfig();
+
+		this.id = `sse_${++connectionIdCounter}_${Date.now()}`;
+		this.readyState = 'connecting';
+		this.lastEventId = lastEventId;
+		this.reconnects = 0; // Total reconnects of this connection
+		this.serverRetry = null; // Latest retry: hint in ms
+		this.listeners = new Map(EVENT_TYPES.map(type => [type, new Set()]));
+		this.controller = new AbortController();
+		this.closeError = null;
+		this.delayTimer = null;
+		this.wakeDelay = null;
+
+		// Dimensions attached to every stats event of this connection
+		this.dimensions = {
+			id: this.id,
+			url: this.req.url,
+			domain: StatsUtils.extractDomain(this.req.url),
+			method: 'GET',
+			endpoint: StatsUtils.normalizeEndpoint('GET', this.req.url),
+			tags: this.req.tags || []
+		};
+
+		if (this.req.signal) {
+			if (this.req.signal.aborted) {
+				this.readyState = 'closed';
+
+				return;
+			}
+			this.req.signal.addEventListener('abort', () => this.close(), { once: true });
+		}
+
+		this.run();
+	}
+
+	/**
+	 * Validate configuration
+	 */
+	validateConfig() {
+		if (typeof this.req.url !== 'string' || this.req.url.length === 0) {
+			throw new Error('sse url must be a non-empty string');
+		}
+
+		if (this.reconnectConfig === null) {
+			return;
+		}
+
+		const { maxAttempts, delay, backoffType, shouldReconnect } = this.reconnectConfig;
+
+		if (typeof maxAttempts !== 'number' || maxAttempts < 0) {
+			throw new Error('sse reconnect.maxAttempts must be >= 0');
+		}
+
+		if (typeof delay !== 'number' || delay < 0) {
+			throw new Error('sse reconnect.delay must be >= 0');
+		}
+
+		this.backoff = createBackoffHandler(backoffType, delay, this.reconnectConfig.maxDelay, this.reconnectConfig.backoffDelays);
+		if (!this.backoff) {
+			throw new Error(`sse reconnect.backoffType is unknown: ${backoffType}`);
+		}
+
+		if (typeof shouldReconnect !== 'function') {
+			throw new Error('sse reconnect.shouldReconnect must be a function');
+		}
+	}
+
+	/**
+	 * Listen to 'open' | 'message' | 'error' | 'reconnect' | 'close'
+	 * @returns {Function} Unsubscribe function
+	 */
+	on(type, listener) {
+		const listeners = this.listeners.get(type);
+		if (!listeners) {
+			throw new Error(`Unknown sse event type: ${type}`);
+		}
+
+		listeners.add(listener);
+
+		return () => listeners.delete(listener);
+	}
+
+	/**
+	 * Close the connection and stop reconnecting
+	 */
+	close() {
+		this.finish(null);
+	}
+
+	/**
+	 * Frames as an async iterator - receives frames from the moment it is created;
+	 * leaving the loop closes the connection, a connection that failed for good throws
+	 */
+	[Symbol.asyncIterator]() {
+		const queue = [];
+		let wake = null;
+		const signal = () => {
+			if (wake) {
+				wake();
+				wake = null;
+			}
+		};
+		const removeMessage = this.on('message', (frame) => {
+			queue.push(frame);
+			signal();
+		});
+		const removeClose = this.on('close', signal);
+		const release = () => {
+			removeMessage();
+			removeClose();
+		};
+
+		return {
+			next: async () => {
+				while (queue.length === 0 && this.readyState !== 'closed') {
+					await new Promise(resolve => {
+						wake = resolve;
+					});
+				}
+
+				if (queue.length > 0) {
+					return { value: queue.shift(), done: false };
+				}
+
+				release();
+				if (this.closeError) {
+					throw this.closeError;
+				}
+
+				return { value: undefined, done: true };
+			},
+			return: async () => {
+				release();
+				this.close();
+
+				return { value: undefined, done: true };
+			},
+			[Symbol.asyncIterator]() {
+				return this;
+			}
+		};
+	}
+
+	/**
+	 * Connect, read and reconnect until closed
+	 */
+	async run() {
+		let attempt = 0; // Consecutive reconnects without a successful open
+
+		while (this.readyState !== 'closed') {
+			const context = this.createContext();
+			let opened = false;
+			let error = null;
+
+			try {
+				const response = await this.connect(context);
+				if (response === null) {
+
+					// 204 No Content - the server asks the client to stop
+					this.finish(null);
+					break;
+				}
+
+				opened = true;
+				attempt = 0;
+				this.readyState = 'open';
+				this.client.statsEmitter.emit('sse:open', {
+					...this.dimensions,
+					reconnects: this.reconnects,
+					durationMs: Date.now() - context.meta.requestStartTime
+				});
+				this.emit('open', { status: response.status, headers: response.headers, reconnects: this.reconnects });
+
+				await this.read(response.data);
+			} catch (caught) {
+				error = caught;
+			}
+
+			if (this.readyState === 'closed') {
+				break;
+			}
+
+			if (error) {
+				this.client.statsEmitter.emit('sse:error', {
+					...this.dimensions,
+					status: error.status,
+					code: error.code,
+					opened
+				});
+				this.emit('error', error);
+			}
+
+			attempt++;
+			if (!this.canReconnect(error, attempt)) {
+				this.finish(error);
+				break;
+			}
+
+			await this.waitBeforeReconnect(attempt);
+		}
+	}
+
+	/**
+	 * Run onRequest plugins and open the stream
+	 * @returns {Promise<Object|null>} Driver response with a ReadableStream body, null for 204
+	 */
+	async connect(context) {
+		let replays = 0;
+
+		while (true) {
+			try {
+				context.req = { ...this.req, headers: { ...this.req.headers } };
+				await this.client.pluginPipeline.executeOnRequest(context);
+
+				context.req = {
+					...context.req,
+					method: 'GET',
+					responseType: 'stream',
+					signal: this.controller.signal,
+					retry: 0,
+					hedging: false,
+					cache: false,
+					deduplicate: false,
+					debounce: false,
+					headers: {
+						'Accept': 'text/event-stream',
+						'Cache-Control': 'no-cache',
+						...context.req.headers,
+						...(this.lastEventId ? { 'Last-Event-ID': this.lastEventId } : {})
+					}
+				};
+
+				const response = await this.client.driver.request(context.req, context);
+				if (response.status === 204) {
+					return null;
+				}
+
+				const contentType = readHeader(response.headers, 'content-type') || '';
+				if (!contentType.toLowerCase().startsWith('text/event-stream')) {
+					await response.data?.cancel?.().catch(() => {});
+					throw createLuminaraError(`Expected text/event-stream, got ${contentType || 'no content type'}`, {
+						status: response.status,
+						code: 'SSE_INVALID_CONTENT_TYPE',
+						request: { url: context.req.url, method: 'GET' },
+						response
+					});
+				}
+
+				return response;
+			} catch (error) {
+				if (this.readyState === 'closed') {
+					throw error;
+				}
+
+				// Plugins may fix the request and ask for a replay (e.g. auth refresh after 401)
+				context.error = error;
+				if (!await this.client.pluginPipeline.executeOnResponseErrorForReplay(context, replays)) {
+					throw context.error;
+				}
+
+				replays++;
+				context.attempt++;
+			}
+		}
+	}
+
+	/**
+	 * Deliver frames from an open stream until it ends
+	 */
+	async read(body) {
+		for await (const block of parseEventStream(body, { signal: this.controller.signal, lastEventId: this.lastEventId })) {
+			this.lastEventId = block.id;
+			if (block.retry !== null) {
+				this.serverRetry = block.retry;
+			}
+
+			if (block.data !== null) {
+				this.emit('message', block);
+			}
+		}
+	}
+
+	canReconnect(error, attempt) {
+		if (!this.reconnectConfig || attempt > this.reconnectConfig.maxAttempts) {
+			return false;
+		}
+
+		if (!error) {
+			return true;
+		}
+
+		try {
+			return Boolean(this.reconnectConfig.shouldReconnect(error, { attempt, lastEventId: this.lastEventId }));
+		} catch (policyError) {
+			console.warn('Error in sse shouldReconnect:', policyError);
+
+			return false;
+		}
+	}
+
+	/**
+	 * Wait the backoff delay - the server's retry: hint replaces the base delay
+	 */
+	async waitBeforeReconnect(attempt) {
+		const { backoffType, maxDelay, backoffDelays } = this.reconnectConfig;
+		const backoff = this.serverRetry === null
+			? this.backoff
+			: createBackoffHandler(backoffType, this.serverRetry, maxDelay, backoffDelays);
+		const delay = backoff({ attempt: attempt + 1 });
+
+		this.reconnects++;
+		this.readyState = 'connecting';
+		this.client.statsEmitter.emit('sse:reconnect', {
+			...this.dimensions,
+			attempt,
+			delayMs: delay,
+			lastEventId: this.lastEventId
+		});
+		this.emit('reconnect', { attempt, delayMs: delay, lastEventId: this.lastEventId });
+
+		if (this.req.verbose) {
+			verboseLog({ req: this.req }, 'RETRY', 'Reconnecting event stream', {
+				url: this.req.url,
+				attempt,
+				delayMs: delay,
+				lastEventId: this.lastEventId
+			});
+		}
+
+		if (delay > 0) {
+			await new Promise(resolve => {
+				this.wakeDelay = resolve;
+				this.delayTimer = setTimeout(resolve, delay);
+			});
+			this.delayTimer = null;
+			this.wakeDelay = null;
+		}
+	}
+
+	createContext() {
+		const context = ContextBuilder.build(this.req, this.client.driver);
+		context.controller = this.controller;
+
+		return context;
+	}
+
+	finish(error) {
+		if (this.readyState === 'closed') {
+			return;
+		}
+
+		this.readyState = 'closed';
+		this.closeError = error;
+		this.controller.abort();
+		clearTimeout(this.delayTimer);
+		this.wakeDelay?.();
+
+		this.client.statsEmitter.emit('sse:close', {
+			...this.dimensions,
+			reconnects: this.reconnects,
+			reason: error ? 'error' : 'closed'
+		});
+		this.emit('close', { error, reconnects: this.reconnects, lastEventId: this.lastEventId });
+	}
+
+	emit(type, payload) {
+		for (const listener of this.listeners.get(type)) {
+			try {
+				listener(payload);
+			} catch (error) {
+				console.warn(`Error in sse ${type} listener:`, error);
+			}
+		}
+	}
+
+}
+
+/**
+ * Reconnect after network errors, timeouts and temporary server errors; other HTTP errors
+ * (404, 401 after plugins gave up, wrong content type) close the connection
+ */
+function defaultShouldReconnect(error) {
+	if (!error.status) {
+		return true;
+	}
+
+	return error.status >= 500 || error.status === 408 || error.status === 429;
+}
+
+function readHeader(headers, name) {
+	if (!headers) {
+		return null;
+	}
+
+	return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? null;
+}
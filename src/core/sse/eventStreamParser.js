@@ -0,0 +1,115 @@
+/**
+ * text/event-stream parsing (WHATWG Server-Sent Events)
+ * Turns a response body into an async iterable of event blocks as chunks arrive
+ */
+
+import { readBodyChunks } from '../../drivers/native/features/response/index.js';
+
+const LINE_BREAK = /\r\n|\r|\n/g;
+
+/**
+ * Parse an event stream body
+ * Each block ends with a blank line; blocks cut off by the end of the body are discarded.
+ *
+ * @param {ReadableStream<Uint8Array>|null} body - Response body
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the iteration (without error) and releases the body
+ * @param {string} [options.lastEventId=''] - Last event ID carried over from a previous connection
+ * @returns {AsyncGenerator<{ event: string, data: string|null, id: string, retry: number|null }>}
+ *   One entry per block - data is null for blocks without data lines (id or retry updates only)
+ */
+export async function* parseEventStream(body, { signal, lastEventId = '' } = {}) {
+	const decoder = new TextDecoder(); // Strips a leading BOM
+	let buffer = '';
+	let skipLineFeed = false; // Chunk ended on \r - a \n starting the next chunk belongs to it
+	let block = createBlock(lastEventId);
+
+	for await (const bytes of readBodyChunks(body, { signal })) {
+		let text = decoder.decode(bytes, { stream: true });
+		if (skipLineFeed && text.startsWith('\n')) {
+			text = text.slice(1);
+		}
+		skipLineFeed = false;
+		buffer += text;
+
+		let start = 0;
+		LINE_BREAK.lastIndex = 0;
+		let match = LINE_BREAK.exec(buffer);
+
+		while (match !== null) {
+			const line = buffer.slice(start, match.index);
+			start = match.index + match[0].length;
+			if (match[0] === '\r' && start === buffer.length) {
+				skipLineFeed = true;
+			}
+
+			if (line.length === 0) {
+				if (block.touched) {
+					yield toEvent(block);
+					if (signal?.aborted) {
+						return;
+					}
+				}
+				block = createBlock(block.id);
+			} else {
+				processLine(block, line);
+			}
+
+			match = LINE_BREAK.exec(buffer);
+		}
+
+		buffer = buffer.slice(start);
+	}
+}
+
+function createBlock(id) {
+	return { event: '', data: [], id, retry: null, touched: false };
+}
+
+/**
+ * Apply one "field: value" line to the current block (comment lines start with a colon)
+ */
+function processLine(block, line) {
+	if (line.startsWith(':')) {
+		return;
+	}
+
+	const colon = line.indexOf(':');
+	const field = colon === -1 ? line : line.slice(0, colon);
+	let value = colon === -1 ? '' : line.slice(colon + 1);
+	if (value.startsWith(' ')) {
+		value = value.slice(1);
+	}
+
+	switch (field) {
+		case 'event':
+			block.event = value;
+			break;
+		case 'data':
+			block.data.push(value);
+			break;
+		case 'id':
+			if (!value.includes('\0')) {
+				block.id = value;
+			}
+			break;
+		case 'retry':
+			if (/^\d+$/.test(value)) {
+				block.retry = Number(value);
+			}
+			break;
+		default:
+			return; // Unknown fields are ignored
+	}
+
+	block.touched = true;
+}
+
+function toEvent(block) {
+	return {
+		event: block.event || 'message',
+		data: block.data.length > 0 ? block.data.join('\n') : null,
+		id: block.id,
+		retry: block.retry
+	};
+}
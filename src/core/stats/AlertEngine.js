@@ -0,0 +1,425 @@
+/**
+ * AlertEngine - Evaluate SLO/alert rules against stats queries
+ *
+ * Each rule reads one value from a QueryEngine result (optionally divided by another),
+ * compares it to a threshold and moves through ok -> pending -> firing. A rule fires once it
+ * breached for `forMs` and recovers only when the value is back past `recoverThreshold`
+ * (hysteresis). Notifications within a mute period are suppressed; the state still changes.
+ */
+
+import { METRIC_TYPES } from './query/schemas.js';
+
+const OPERATORS = {
+	'>': (value, threshold) => value > threshold,
+	'>=': (value, threshold) => value >= threshold,
+	'<': (value, threshold) => value < threshold,
+	'<=': (value, threshold) => value <= threshold
+};
+
+export class AlertEngine {
+
+	/**
+	 * @param {Object} hub - StatsHub the rules are evaluated against
+	 * @param {Object} [config] - { rules, onAlert, onRecover, intervalMs }
+	 */
+	constructor(hub, config = {}) {
+		const defaults = {
+			rules: [],
+			onAlert: null, // (alert) => void when a rule starts firing
+			onRecover: null, // (alert) => void when a firing rule recovers
+			intervalMs: 1000 // How often rules are evaluated
+		};
+
+		this.hub = hub;
+		this.config = {
+			...defaults,
+			...(typeof config === 'object' && config !== null ? config : {})
+		};
+
+		this.validateConfig();
+
+		this.rules = new Map(); // name -> { rule, query, state }
+		this.timer = null;
+
+		for (const rule of this.config.rules) {
+			this.add(rule);
+		}
+	}
+
+	/**
+	 * Validate configuration
+	 */
+	validateConfig() {
+		const { rules, onAlert, onRecover, intervalMs } = this.config;
+
+		if (!Array.isArray(rules)) {
+			throw new Error('alerts rules must be an array');
+		}
+
+		if (onAlert !== null && typeof onAlert !== 'function') {
+			throw new Error('alerts onAlert must be a function');
+		}
+
+		if (onRecover !== null && typeof onRecover !== 'function') {
+			throw new Error('alerts onRecover must be a function');
+		}
+
+		if (typeof intervalMs !== 'number' || intervalMs <= 0) {
+			throw new Error('alerts intervalMs must be a positive number');
+		}
+	}
+
+	/**
+	 * Add a rule - invalid rules and queries throw here rather than inside the timer
+	 * @returns {Object} Current state of the rule
+	 */
+	add(rule) {
+		const normalized = normalizeRule(rule);
+
+		if (this.rules.has(normalized.name)) {
+			throw new Error(`Alert rule "${normalized.name}" already exists`);
+		}
+
+		const query = {
+			metrics: normalized.metrics,
+			window: normalized.window,
+			where: normalized.where
+		};
+		const [group] = this.hub.query(query).groups;
+
+		for (const path of [normalized.metric, normalized.per]) {
+			if (typeof path === 'string' && typeof readPath(group, path) !== 'number') {
+				throw new Error(`Alert rule "${normalized.name}" metric ${path} is not a numeric stats field`);
+			}
+		}
+
+		this.rules.set(normalized.name, {
+			rule: normalized,
+			query,
+			state: {
+				status: 'ok',
+				value: null,
+				since: Date.now(),
+				pendingSince: null,
+				firedAt: null,
+				evaluatedAt: null,
+				mutedUntil: 0,
+				notified: false
+			}
+		});
+		this._startTimer();
+
+		return this.get(normalized.name);
+	}
+
+	/**
+	 * Remove a rule
+	 * @returns {boolean} True if the rule existed
+	 */
+	remove(name) {
+		const removed = this.rules.delete(name);
+		if (this.rules.size === 0) {
+			this._stopTimer();
+		}
+
+		return removed;
+	}
+
+	/**
+	 * Current alert state - one rule by name, or all rules
+	 */
+	get(name) {
+		if (name !== undefined) {
+			const entry = this.rules.get(name);
+
+			return entry ? describe(entry) : null;
+		}
+
+		return Array.from(this.rules.values(), describe);
+	}
+
+	/**
+	 * Suppress notifications of a rule (or all rules) for durationMs
+	 */
+	mute(name, durationMs) {
+		if (typeof durationMs !== 'number' || durationMs <= 0) {
+			throw new Error('alerts mute durationMs must be a positive number');
+		}
+
+		for (const entry of this._entries(name)) {
+			entry.state.mutedUntil = Date.now() + durationMs;
+		}
+	}
+
+	/**
+	 * Lift a manual or automatic mute of a rule (or all rules)
+	 */
+	unmute(name) {
+		for (const entry of this._entries(name)) {
+			entry.state.mutedUntil = 0;
+		}
+	}
+
+	/**
+	 * Evaluate every rule now
+	 * @returns {Array<Object>} Alert states after evaluation
+	 */
+	evaluate() {
+		const now = Date.now();
+
+		for (const entry of this.rules.values()) {
+			this._evaluateRule(entry, now);
+		}
+
+		return this.get();
+	}
+
+	/**
+	 * Stop evaluating (rules are kept; adding a rule starts the timer again)
+	 */
+	stop() {
+		this._stopTimer();
+	}
+
+	_evaluateRule(entry, now) {
+		const { rule, state } = entry;
+		let value;
+		try {
+			value = readValue(rule, this.hub.query(entry.query).groups[0]);
+		} catch (error) {
+			console.warn(`Error evaluating alert rule "${rule.name}":`, error);
+
+			return;
+		}
+
+		const compare = OPERATORS[rule.op];
+		state.value = value;
+		state.evaluatedAt = now;
+
+		if (state.status === 'firing') {
+			if (value === null || !compare(value, rule.recoverThreshold)) {
+				this._transition(entry, 'ok', now);
+			}
+
+			return;
+		}
+
+		if (value === null || !compare(value, rule.threshold)) {
+			if (state.status === 'pending') {
+				this._transition(entry, 'ok', now);
+			}
+
+			return;
+		}
+
+		if (state.status === 'ok') {
+			state.pendingSince = now;
+			this._transition(entry, 'pending', now);
+		}
+
+		if (now - state.pendingSince >= rule.forMs) {
+			this._transition(entry, 'firing', now);
+		}
+	}
+
+	_transition(entry, status, now) {
+		const { rule, state } = entry;
+		const previous = state.status;
+		state.status = status;
+		state.since = now;
+
+		if (status === 'firing') {
+			state.firedAt = now;
+			state.notified = now >= state.mutedUntil;
+			if (state.notified) {
+				this._notify('onAlert', 'alert.fire', entry);
+			}
+
+			// Automatic mute after firing keeps a flapping rule from notifying on every cycle
+			if (rule.muteMs > 0) {
+				state.mutedUntil = Math.max(state.mutedUntil, now + rule.muteMs);
+			}
+		} else if (previous === 'firing') {
+			state.pendingSince = null;
+
+			// Recoveries pair with the alerts that were delivered
+			if (state.notified) {
+				this._notify('onRecover', 'alert.recover', entry);
+			}
+			state.notified = false;
+		} else if (status === 'ok') {
+			state.pendingSince = null;
+		}
+	}
+
+	_notify(callbackName, eventType, entry) {
+		const alert = describe(entry);
+		this.hub._notifyUpdateListeners(eventType, alert);
+
+		const callback = this.config[callbackName];
+		if (!callback) {
+			return;
+		}
+
+		try {
+			callback(alert);
+		} catch (error) {
+			console.warn(`Error in alerts ${callbackName} callback:`, error);
+		}
+	}
+
+	_entries(name) {
+		if (name === undefined || name === null) {
+			return Array.from(this.rules.values());
+		}
+
+		if (!this.rules.has(name)) {
+			throw new Error(`Unknown alert rule: ${name}`);
+		}
+
+		return [this.rules.get(name)];
+	}
+
+	_startTimer() {
+		if (this.timer) {
+			return;
+		}
+
+		this.timer = setInterval(() => this.evaluate(), this.config.intervalMs);
+		this.timer.unref?.();
+	}
+
+	_stopTimer() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+}
+
+/**
+ * Fill rule defaults and validate it
+ */
+function normalizeRule(rule) {
+	if (!rule || typeof rule !== 'object') {
+		throw new Error('Alert rule must be an object');
+	}
+
+	const normalized = {
+		window: 'rolling-60s',
+		where: {},
+		op: '>',
+		forMs: 0,
+		muteMs: 0,
+		minRequests: 0,
+		per: null,
+		...rule
+	};
+	const { name, metric, per, op, threshold, forMs, muteMs, minRequests } = normalized;
+
+	if (typeof name !== 'string' || name.length === 0) {
+		throw new Error('Alert rule name must be a non-empty string');
+	}
+
+	if (typeof metric !== 'string' && typeof metric !== 'function') {
+		throw new Error(`Alert rule "${name}" metric must be a "<metric>.<field>" path or a function`);
+	}
+
+	if (per !== null && typeof per !== 'string') {
+		throw new Error(`Alert rule "${name}" per must be a "<metric>.<field>" path`);
+	}
+
+	if (!OPERATORS[op]) {
+		throw new Error(`Alert rule "${name}" op must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+	}
+
+	if (typeof threshold !== 'number' || Number.isNaN(threshold)) {
+		throw new Error(`Alert rule "${name}" threshold must be a number`);
+	}
+
+	normalized.recoverThreshold = rule.recoverThreshold ?? threshold;
+	if (typeof normalized.recoverThreshold !== 'number' || Number.isNaN(normalized.recoverThreshold)) {
+		throw new Error(`Alert rule "${name}" recoverThreshold must be a number`);
+	}
+
+	// Hysteresis must sit on the healthy side of the threshold
+	const above = op === '>' || op === '>=';
+	if (above ? normalized.recoverThreshold > threshold : normalized.recoverThreshold < threshold) {
+		throw new Error(`Alert rule "${name}" recoverThreshold must be ${above ? '<=' : '>='} threshold`);
+	}
+
+	for (const [field, value] of Object.entries({ forMs, muteMs, minRequests })) {
+		if (typeof value !== 'number' || value < 0) {
+			throw new Error(`Alert rule "${name}" ${field} must be >= 0`);
+		}
+	}
+
+	// Query only the stats modules the rule reads
+	const paths = [metric, per].filter(path => typeof path === 'string');
+	const metrics = typeof metric === 'function'
+		? [...METRIC_TYPES]
+		: paths.map(path => path.split('.')[0]);
+	if (minRequests > 0) {
+		metrics.push('counters');
+	}
+
+	for (const metricType of metrics) {
+		if (!METRIC_TYPES.includes(metricType)) {
+			throw new Error(`Alert rule "${name}" reads unknown metric: ${metricType}`);
+		}
+	}
+
+	normalized.metrics = [...new Set(metrics)];
+
+	return normalized;
+}
+
+/**
+ * Value of a rule for a query group - null when there is not enough data to judge
+ */
+function readValue(rule, group) {
+	if (rule.minRequests > 0 && group.counters.total < rule.minRequests) {
+		return null;
+	}
+
+	const value = typeof rule.metric === 'function' ? rule.metric(group) : readPath(group, rule.metric);
+	if (typeof value !== 'number' || Number.isNaN(value)) {
+		return null;
+	}
+
+	if (rule.per === null) {
+		return value;
+	}
+
+	const denominator = readPath(group, rule.per);
+
+	return denominator > 0 ? value / denominator : null;
+}
+
+function readPath(group, path) {
+	return path.split('.').reduce((value, key) => value?.[key], group);
+}
+
+/**
+ * Public view of a rule and its state
+ */
+function describe({ rule, state }) {
+	const muted = state.mutedUntil > Date.now();
+
+	return {
+		name: rule.name,
+		metric: typeof rule.metric === 'string' ? rule.metric : 'custom',
+		per: rule.per,
+		status: state.status,
+		value: state.value,
+		threshold: rule.threshold,
+		recoverThreshold: rule.recoverThreshold,
+		op: rule.op,
+		window: rule.window,
+		where: rule.where,
+		since: state.since,
+		firedAt: state.firedAt,
+		evaluatedAt: state.evaluatedAt,
+		muted,
+		mutedUntil: muted ? state.mutedUntil : null
+	};
+}
@@ -0,0 +1,258 @@
+/**
+ * DDSketch - Mergeable histogram with bounded relative error
+ *
+ * Bucket i holds values in (gamma^(i-1), gamma^i], gamma = (1 + a) / (1 - a), so any quantile
+ * is returned within relative accuracy a of the true value. Sketches with the same accuracy
+ * merge by adding bucket counts, which makes snapshots from several processes combinable.
+ */
+
+const MIN_INDEXABLE_VALUE = 1e-6;
+
+export class DDSketch {
+
+	/**
+	 * @param {Object} [config]
+	 * @param {number} [config.relativeAccuracy=0.01] - Relative error of quantiles (0 < a < 1)
+	 * @param {number} [config.maxBuckets=2048] - Bucket limit; the lowest buckets collapse beyond it
+	 */
+	constructor(config = {}) {
+		const defaults = {
+			relativeAccuracy: 0.01,
+			maxBuckets: 2048
+		};
+
+		this.config = {
+			...defaults,
+			...(typeof config === 'object' && config !== null ? config : {})
+		};
+
+		this.validateConfig();
+
+		this.gamma = (1 + this.config.relativeAccuracy) / (1 - this.config.relativeAccuracy);
+		this.logGamma = Math.log(this.gamma);
+		this.clear();
+	}
+
+	/**
+	 * Validate configuration
+	 */
+	validateConfig() {
+		const { relativeAccuracy, maxBuckets } = this.config;
+
+		if (typeof relativeAccuracy !== 'number' || relativeAccuracy <= 0 || relativeAccuracy >= 1) {
+			throw new Error('DDSketch relativeAccuracy must be a number between 0 and 1');
+		}
+
+		if (!Number.isInteger(maxBuckets) || maxBuckets < 1) {
+			throw new Error('DDSketch maxBuckets must be a positive integer');
+		}
+	}
+
+	clear() {
+		this.buckets = new Map();
+		this.zeroCount = 0;
+		this.count = 0;
+		this.sum = 0;
+		this.min = Infinity;
+		this.max = -Infinity;
+	}
+
+	/**
+	 * Record a value (negative values count as zero)
+	 */
+	add(value, count = 1) {
+		if (typeof value !== 'number' || Number.isNaN(value) || count <= 0) {
+			return this;
+		}
+
+		if (value < MIN_INDEXABLE_VALUE) {
+			this.zeroCount += count;
+		} else {
+			const index = this.indexOf(value);
+			this.buckets.set(index, (this.buckets.get(index) || 0) + count);
+			this._collapse();
+		}
+
+		this.count += count;
+		this.sum += value * count;
+		this.min = Math.min(this.min, value);
+		this.max = Math.max(this.max, value);
+
+		return this;
+	}
+
+	/**
+	 * Add the counts of another sketch (or its toJSON() layout) into this one
+	 */
+	merge(other) {
+		const sketch = other instanceof DDSketch ? other : DDSketch.fromJSON(other);
+
+		if (sketch.config.relativeAccuracy !== this.config.relativeAccuracy) {
+			throw new Error(`Cannot merge DDSketch with relativeAccuracy ${sketch.config.relativeAccuracy} into ${this.config.relativeAccuracy}`);
+		}
+
+		if (sketch.count === 0) {
+			return this;
+		}
+
+		for (const [index, count] of sketch.buckets) {
+			this.buckets.set(index, (this.buckets.get(index) || 0) + count);
+		}
+		this._collapse();
+
+		this.zeroCount += sketch.zeroCount;
+		this.count += sketch.count;
+		this.sum += sketch.sum;
+		this.min = Math.min(this.min, sketch.min);
+		this.max = Math.max(this.max, sketch.max);
+
+		return this;
+	}
+
+	/**
+	 * Value at quantile q (0..1), within relativeAccuracy of the exact value
+	 */
+	getValueAtQuantile(q) {
+		if (this.count === 0) {
+			return 0;
+		}
+
+		if (q <= 0) {
+			return this.min;
+		}
+
+		if (q >= 1) {
+			return this.max;
+		}
+
+		const rank = q * (this.count - 1);
+		let seen = this.zeroCount;
+		if (seen > rank) {
+			return Math.max(this.min, 0);
+		}
+
+		for (const index of this._sortedIndexes()) {
+			seen += this.buckets.get(index);
+			if (seen > rank) {
+				return Math.min(Math.max(this.valueOf(index), this.min), this.max);
+			}
+		}
+
+		return this.max;
+	}
+
+	/**
+	 * Number of recorded values up to bound (bucket-resolution)
+	 */
+	countAtOrBelow(bound) {
+		if (bound >= this.max) {
+			return this.count;
+		}
+
+		let total = bound >= 0 ? this.zeroCount : 0;
+		for (const [index, count] of this.buckets) {
+			if (this.valueOf(index) <= bound) {
+				total += count;
+			}
+		}
+
+		return total;
+	}
+
+	indexOf(value) {
+		return Math.ceil(Math.log(value) / this.logGamma);
+	}
+
+	/**
+	 * Representative value of bucket i (relative error to every value in it <= relativeAccuracy)
+	 */
+	valueOf(index) {
+		return 2 * Math.pow(this.gamma, index) / (this.gamma + 1);
+	}
+
+	/**
+	 * Raw bucket layout - serializable, mergeable with DDSketch.fromJSON()/merge()
+	 */
+	toJSON() {
+		const buckets = {};
+		for (const index of this._sortedIndexes()) {
+			buckets[index] = this.buckets.get(index);
+		}
+
+		return {
+			type: 'ddsketch',
+			relativeAccuracy: this.config.relativeAccuracy,
+			gamma: this.gamma,
+			count: this.count,
+			sum: this.sum,
+			min: this.count > 0 ? this.min : 0,
+			max: this.count > 0 ? this.max : 0,
+			zeroCount: this.zeroCount,
+			buckets
+		};
+	}
+
+	/**
+	 * Restore a sketch from its toJSON() layout
+	 */
+	static fromJSON(layout, config = {}) {
+		if (!layout || layout.type !== 'ddsketch' || typeof layout.buckets !== 'object') {
+			throw new Error('Invalid DDSketch layout');
+		}
+
+		const sketch = new DDSketch({ ...config, relativeAccuracy: layout.relativeAccuracy });
+		for (const [index, count] of Object.entries(layout.buckets)) {
+			sketch.buckets.set(Number(index), count);
+		}
+		sketch._collapse();
+
+		sketch.zeroCount = layout.zeroCount || 0;
+		sketch.count = layout.count || 0;
+		sketch.sum = layout.sum || 0;
+		sketch.min = sketch.count > 0 ? layout.min : Infinity;
+		sketch.max = sketch.count > 0 ? layout.max : -Infinity;
+
+		return sketch;
+	}
+
+	/**
+	 * Merge several sketches or layouts into a new sketch
+	 */
+	static merge(sketches, config = {}) {
+		const [first] = sketches;
+		const relativeAccuracy = first?.config?.relativeAccuracy ?? first?.relativeAccuracy;
+		const merged = new DDSketch(relativeAccuracy ? { ...config, relativeAccuracy } : config);
+
+		for (const sketch of sketches) {
+			merged.merge(sketch);
+		}
+
+		return merged;
+	}
+
+	_sortedIndexes() {
+		return Array.from(this.buckets.keys()).sort((a, b) => a - b);
+	}
+
+	/**
+	 * Fold the lowest buckets together so memory stays bounded
+	 */
+	_collapse() {
+		if (this.buckets.size <= this.config.maxBuckets) {
+			return;
+		}
+
+		const indexes = this._sortedIndexes();
+		const excess = indexes.length - this.config.maxBuckets;
+		const target = indexes[excess];
+		let collapsed = 0;
+
+		for (const index of indexes.slice(0, excess)) {
+			collapsed += this.buckets.get(index);
+			this.buckets.delete(index);
+		}
+
+		this.buckets.set(target, this.buckets.get(target) + collapsed);
+	}
+
+}
@@ -43,9 +43,33 @@ export class StatsEventEmitter {
 				case 'request:retry':
 					this.statsInstance.onRequestRetry(data);
 					break;
+				case 'request:retry-denied':
+					this.statsInstance.onRequestRetryDenied(data);
+					break;
+				case 'request:hedged':
+					this.statsInstance.onRequestHedged(data);
+					break;
 				case 'request:abort':
 					this.statsInstance.onRequestAbort(data);
 					break;
+				case 'circuit:state-change':
+					this.statsInstance.onCircuitStateChange(data);
+					break;
+				case 'circuit:rejected':
+					this.statsInstance.onCircuitRejected(data);
+					break;
+				case 'sse:open':
+					this.statsInstance.onSseOpen(data);
+					break;
+				case 'sse:reconnect':
+					this.statsInstance.onSseReconnect(data);
+					break;
+				case 'sse:error':
+					this.statsInstance.onSseError(data);
+					break;
+				case 'sse:close':
+					this.statsInstance.onSseClose(data);
+					break;
 			}
 		} catch (error) {
 
@@ -9,30 +9,48 @@ import { RateModule } from './modules/rate.js';
 import { RetryModule } from './modules/retry.js';
 import { ErrorModule } from './modules/error.js';
 import { HedgingModule } from './modules/hedging.js';
+import { CircuitModule } from './modules/circuit.js';
+import { SseModule } from './modules/sse.js';
 import { QueryEngine } from './query/queryEngine.js';
+import { StatsSubscription } from './StatsSubscription.js';
+import { AlertEngine } from './AlertEngine.js';
 import { extractRequestMetadata } from './query/selectors.js';
+import { STATS_STATE_FORMAT, STATS_STATE_VERSION, resolveRollingWindows, assertTimeWindow } from './query/schemas.js';
 import { statsLogger } from './verboseLogger.js';
 
 export class StatsHub {
 	
-	constructor() {
+	/**
+	 * @param {Object} [options]
+	 * @param {Object} [options.windows] - Rolling windows for this hub only: { [name]: { spanMs, bucketMs } }
+	 */
+	constructor({ windows } = {}) {
+
+		// Windows are fixed at creation - registerTimeWindow() calls made later do not reach this hub
+		const rollingWindows = resolveRollingWindows(windows);
+		this.timeWindows = ['since-start', 'since-reset', ...Object.keys(rollingWindows)];
 
 		// Initialize metric modules
 		this.modules = {
-			counters: new CountersModule(),
-			time: new TimeModule(),
-			rate: new RateModule(),
-			retry: new RetryModule(),
-			error: new ErrorModule(),
-			hedging: new HedgingModule()
+			counters: new CountersModule({ rollingWindows }),
+			time: new TimeModule({}, { rollingWindows }),
+			rate: new RateModule({ rollingWindows }),
+			retry: new RetryModule({ rollingWindows }),
+			error: new ErrorModule({ rollingWindows }),
+			hedging: new HedgingModule({ rollingWindows }),
+			circuit: new CircuitModule({ rollingWindows }),
+			sse: new SseModule({ rollingWindows })
 		};
 
 		// Initialize query engine
-		this.queryEngine = new QueryEngine(this.modules);
+		this.queryEngine = new QueryEngine(this.modules, this.timeWindows);
 
 		// Event listeners for updates
 		this.updateListeners = new Set();
 
+		// Alert rules evaluated over queries (see configureAlerts)
+		this.alertEngine = new AlertEngine(this);
+
 		// Request tracking for cross-module coordination
 		this.activeRequests = new Map();
 		
@@ -106,6 +124,47 @@ export class StatsHub {
 		}
 	}
 
+	/**
+	 * Versioned, JSON-serializable state of every module - counters, histograms, retry/error/hedging
+	 * aggregates and window boundaries - for aggregation in another process via importState()
+	 */
+	exportState() {
+		const modules = {};
+		for (const [name, module] of Object.entries(this.modules)) {
+			modules[name] = module.exportState();
+		}
+
+		return {
+			format: STATS_STATE_FORMAT,
+			version: STATS_STATE_VERSION,
+			exportedAt: Date.now(),
+			modules
+		};
+	}
+
+	/**
+	 * Load an exportState() document
+	 * @param {Object} state - Exported state (or its JSON.parse() result)
+	 * @param {Object} [options] - { merge: false } replaces the current stats, { merge: true } adds to them
+	 */
+	importState(state, options = {}) {
+		const { merge = false } = options;
+
+		if (!state || state.format !== STATS_STATE_FORMAT || typeof state.modules !== 'object') {
+			throw new Error('Invalid stats state: expected an exportState() document');
+		}
+
+		if (state.version !== STATS_STATE_VERSION) {
+			throw new Error(`Unsupported stats state version: ${state.version} (expected ${STATS_STATE_VERSION})`);
+		}
+
+		for (const [name, moduleState] of Object.entries(state.modules)) {
+			this.modules[name]?.importState(moduleState, { merge });
+		}
+
+		this._notifyUpdateListeners('import', { merge, exportedAt: state.exportedAt });
+	}
+
 	/**
 	 * Namespaced helper: counters
 	 */
@@ -113,6 +172,7 @@ export class StatsHub {
 		return {
 			get: (options = {}) => {
 				const { groupBy = 'none', window = 'since-reset', where, limit } = options;
+				assertTimeWindow(window, this.timeWindows);
 				
 				if (groupBy === 'none') {
 					return this.modules.counters.getMetrics(window, where ? this._createFilterFn(where) : null);
@@ -142,12 +202,13 @@ export class StatsHub {
 	get time() {
 		return {
 			get: (options = {}) => {
-				const { groupBy = 'none', window = 'since-reset', where, limit } = options;
+				const { groupBy = 'none', window = 'since-reset', where, limit, histogram = false } = options;
+				assertTimeWindow(window, this.timeWindows);
 				
 				if (groupBy === 'none') {
-					return this.modules.time.getMetrics(window, where ? this._createFilterFn(where) : null);
+					return this.modules.time.getMetrics(window, where ? this._createFilterFn(where) : null, { histogram });
 				} else {
-					const results = this.modules.time.getGroupedMetrics(window, groupBy, where ? this._createFilterFn(where) : null);
+					const results = this.modules.time.getGroupedMetrics(window, groupBy, where ? this._createFilterFn(where) : null, { histogram });
 
 					return this._applyLimit(results, limit);
 				}
@@ -173,6 +234,7 @@ export class StatsHub {
 		return {
 			get: (options = {}) => {
 				const { groupBy = 'none', window = 'since-reset', where, limit, mode = 'ema-30s' } = options;
+				assertTimeWindow(window, this.timeWindows);
 				
 				if (groupBy === 'none') {
 					return this.modules.rate.getMetrics(window, mode, where ? this._createFilterFn(where) : null);
@@ -203,6 +265,7 @@ export class StatsHub {
 		return {
 			get: (options = {}) => {
 				const { groupBy = 'none', window = 'since-reset', where, limit } = options;
+				assertTimeWindow(window, this.timeWindows);
 				
 				if (groupBy === 'none') {
 					return this.modules.retry.getMetrics(window, where ? this._createFilterFn(where) : null);
@@ -233,6 +296,7 @@ export class StatsHub {
 		return {
 			get: (options = {}) => {
 				const { groupBy = 'none', window = 'since-reset', where, limit } = options;
+				assertTimeWindow(window, this.timeWindows);
 				
 				if (groupBy === 'none') {
 					return this.modules.error.getMetrics(window, where ? this._createFilterFn(where) : null);
@@ -263,6 +327,7 @@ export class StatsHub {
 		return {
 			get: (options = {}) => {
 				const { window = 'since-reset' } = options;
+				assertTimeWindow(window, this.timeWindows);
 				
 				// Hedging module has a simpler API - just get stats for a window
 				const stats = this.modules.hedging.get(window);
@@ -286,6 +351,79 @@ export class StatsHub {
 		};
 	}
 
+	/**
+	 * Namespaced helper: circuit
+	 */
+	get circuit() {
+		return {
+			get: (options = {}) => {
+				const { window = 'since-reset', where } = options;
+				assertTimeWindow(window, this.timeWindows);
+				const filterFn = where ? (dataPoint) => {
+					if (where.key && dataPoint.key !== where.key) {
+						return false;
+					}
+					if (where.state && dataPoint.to !== where.state && dataPoint.state !== where.state) {
+						return false;
+					}
+
+					return true;
+				} : null;
+				
+				// Circuit module has a simpler API - just get stats for a window
+				const stats = this.modules.circuit.get(window, filterFn);
+				
+				// Return in format compatible with other modules
+				return {
+					[window]: stats
+				};
+			},
+			reset: () => {
+				this.modules.circuit.reset();
+				this._notifyUpdateListeners('circuit.reset');
+				
+				// Log module reset if verbose is enabled
+				if (this.verboseEnabled) {
+					logModuleActivity(this._createVerboseContext(), 'circuit', 'reset', {
+						timestamp: Date.now()
+					});
+				}
+			}
+		};
+	}
+
+	/**
+	 * Namespaced helper: sse
+	 */
+	get sse() {
+		return {
+			get: (options = {}) => {
+				const { window = 'since-reset', where } = options;
+				assertTimeWindow(window, this.timeWindows);
+				const filterFn = where ? this._createFilterFn(where) : null;
+
+				// SSE module has a simpler API - just get stats for a window
+				const stats = this.modules.sse.get(window, filterFn);
+
+				// Return in format compatible with other modules
+				return {
+					[window]: stats
+				};
+			},
+			reset: () => {
+				this.modules.sse.reset();
+				this._notifyUpdateListeners('sse.reset');
+
+				// Log module reset if verbose is enabled
+				if (this.verboseEnabled) {
+					logModuleActivity(this._createVerboseContext(), 'sse', 'reset', {
+						timestamp: Date.now()
+					});
+				}
+			}
+		};
+	}
+
 	/**
 	 * Event listener for stats updates
 	 */
@@ -299,6 +437,43 @@ export class StatsHub {
 		throw new Error(`Unknown event type: ${event}`);
 	}
 
+	/**
+	 * Subscribe to a query - the callback gets the result whenever it changes
+	 * @param {Object} query - query() options (metrics, groupBy, window, where, limit)
+	 * @param {Function} callback - (result, { previous, changed }) => void
+	 * @param {Object} [options] - { intervalMs = 1000, onlyOnChange = true, immediate = true }
+	 * @returns {Function} Unsubscribe function
+	 */
+	subscribe(query, callback, options = {}) {
+		const subscription = new StatsSubscription(this, query, callback, options);
+
+		return () => subscription.unsubscribe();
+	}
+
+	/**
+	 * Replace the alert rules and callbacks
+	 * @param {Object} config - { rules, onAlert, onRecover, intervalMs = 1000 }
+	 */
+	configureAlerts(config = {}) {
+		const engine = new AlertEngine(this, config);
+		this.alertEngine.stop();
+		this.alertEngine = engine;
+	}
+
+	/**
+	 * Namespaced helper: alerts
+	 */
+	get alerts() {
+		return {
+			get: (name) => this.alertEngine.get(name),
+			add: (rule) => this.alertEngine.add(rule),
+			remove: (name) => this.alertEngine.remove(name),
+			mute: (name, durationMs) => this.alertEngine.mute(name, durationMs),
+			unmute: (name) => this.alertEngine.unmute(name),
+			evaluate: () => this.alertEngine.evaluate()
+		};
+	}
+
 	/**
 	 * Handle driver lifecycle events
 	 */
@@ -406,6 +581,28 @@ export class StatsHub {
 		}
 	}
 
+	onRequestRetryDenied(event) {
+		const { id } = event;
+		const requestData = this.activeRequests.get(id);
+		
+		if (requestData) {
+			const enrichedEvent = {
+				...event,
+				...requestData
+			};
+
+			this.modules.retry.onRetryDenied(enrichedEvent);
+			
+			this._notifyUpdateListeners('request.retry-denied', enrichedEvent);
+		}
+	}
+
+	onRequestHedged(event) {
+		this.modules.hedging.recordSuccess(event);
+		
+		this._notifyUpdateListeners('request.hedged', event);
+	}
+
 	onRequestAbort(event) {
 		const { id } = event;
 		const requestData = this.activeRequests.get(id);
@@ -455,6 +652,42 @@ export class StatsHub {
 		this._notifyUpdateListeners('debounce.cancelled', enrichedEvent);
 	}
 
+	onCircuitStateChange(event) {
+		this.modules.circuit.recordStateChange(event);
+		
+		this._notifyUpdateListeners('circuit.state-change', event);
+	}
+
+	onCircuitRejected(event) {
+		this.modules.circuit.recordRejection(event);
+		
+		this._notifyUpdateListeners('circuit.rejected', event);
+	}
+
+	onSseOpen(event) {
+		this.modules.sse.recordOpen(event);
+
+		this._notifyUpdateListeners('sse.open', event);
+	}
+
+	onSseReconnect(event) {
+		this.modules.sse.recordReconnect(event);
+
+		this._notifyUpdateListeners('sse.reconnect', event);
+	}
+
+	onSseError(event) {
+		this.modules.sse.recordError(event);
+
+		this._notifyUpdateListeners('sse.error', event);
+	}
+
+	onSseClose(event) {
+		this.modules.sse.recordClose(event);
+
+		this._notifyUpdateListeners('sse.close', event);
+	}
+
 	/**
 	 * Enrich event with extracted metadata
 	 */
@@ -475,6 +708,9 @@ export class StatsHub {
 			if (where.method && dataPoint.method !== where.method) {
 				return false;
 			}
+			if (where.endpoint && dataPoint.endpoint !== where.endpoint) {
+				return false;
+			}
 			if (where.endpointPrefix && !dataPoint.endpoint?.startsWith(where.endpointPrefix)) {
 				return false;
 			}
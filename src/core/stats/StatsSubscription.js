@@ -0,0 +1,138 @@
+/**
+ * StatsSubscription - Re-run a stats query when stats events arrive (and on a schedule for
+ * results that change with time) and push the result to a callback, throttled to one run per interval
+ */
+
+// Windows whose results only change through events - rolling windows also change as data ages out
+const EVENT_WINDOWS = ['since-start', 'since-reset'];
+
+export class StatsSubscription {
+
+	/**
+	 * @param {Object} hub - StatsHub the query runs against
+	 * @param {Object} query - QueryEngine.query() options
+	 * @param {Function} callback - (result, { previous, changed }) => void
+	 * @param {Object} [config] - { intervalMs, onlyOnChange, immediate }
+	 */
+	constructor(hub, query, callback, config = {}) {
+		const defaults = {
+			intervalMs: 1000, // Minimum time between runs, also the schedule for rolling windows and rates
+			onlyOnChange: true, // Skip pushes when the result did not change
+			immediate: true // Push the current result right after subscribing
+		};
+
+		this.hub = hub;
+		this.query = { metrics: ['counters'], ...query };
+		this.callback = callback;
+		this.config = {
+			...defaults,
+			...(typeof config === 'object' && config !== null ? config : {})
+		};
+
+		this.validateConfig();
+
+		// Invalid queries throw here rather than inside a timer
+		this.previous = this.hub.query(this.query);
+		this.lastRun = Date.now();
+		this.pending = null;
+		this.active = true;
+
+		// Every update is a candidate - runs are throttled and unchanged results are not pushed
+		this.removeListener = this.hub.on('update', () => this.schedule());
+
+		// Rolling windows and rates (requests per elapsed second) also change without events
+		const timeBased = !EVENT_WINDOWS.includes(this.query.window ?? 'since-start') || this.query.metrics.includes('rate');
+		this.timer = timeBased ? setInterval(() => this.schedule(), this.config.intervalMs) : null;
+		this.timer?.unref?.();
+
+		if (this.config.immediate) {
+			queueMicrotask(() => this.deliver(this.previous, null, this.previous.groups.map(group => group.key)));
+		}
+	}
+
+	/**
+	 * Validate configuration
+	 */
+	validateConfig() {
+		if (typeof this.callback !== 'function') {
+			throw new Error('Stats subscription callback must be a function');
+		}
+
+		if (typeof this.config.intervalMs !== 'number' || this.config.intervalMs <= 0) {
+			throw new Error('Stats subscription intervalMs must be a positive number');
+		}
+	}
+
+	/**
+	 * Run the query at the next allowed time (at most once per interval)
+	 */
+	schedule() {
+		if (!this.active || this.pending) {
+			return;
+		}
+
+		const wait = Math.max(0, this.lastRun + this.config.intervalMs - Date.now());
+		this.pending = setTimeout(() => {
+			this.pending = null;
+			this.run();
+		}, wait);
+		this.pending.unref?.();
+	}
+
+	/**
+	 * Re-run the query and push the result if it changed (or always, without onlyOnChange)
+	 */
+	run() {
+		if (!this.active) {
+			return;
+		}
+
+		this.lastRun = Date.now();
+		const result = this.hub.query(this.query);
+		const changed = diffGroups(this.previous, result);
+		const previous = this.previous;
+		this.previous = result;
+
+		if (changed.length > 0 || !this.config.onlyOnChange) {
+			this.deliver(result, previous, changed);
+		}
+	}
+
+	deliver(result, previous, changed) {
+		if (!this.active) {
+			return;
+		}
+
+		try {
+			this.callback(result, { previous, changed });
+		} catch (error) {
+			console.warn('Error in stats subscription callback:', error);
+		}
+	}
+
+	unsubscribe() {
+		this.active = false;
+		this.removeListener();
+		clearInterval(this.timer);
+		clearTimeout(this.pending);
+		this.pending = null;
+	}
+
+}
+
+/**
+ * Keys of groups that were added, removed or have different metrics
+ */
+function diffGroups(previous, next) {
+	const before = new Map(previous.groups.map(group => [group.key, JSON.stringify(group)]));
+	const changed = [];
+
+	for (const group of next.groups) {
+		if (before.get(group.key) !== JSON.stringify(group)) {
+			changed.push(group.key);
+		}
+		before.delete(group.key);
+	}
+
+	return [...changed, ...before.keys()];
+}
@@ -0,0 +1,314 @@
+/**
+ * OpenMetrics exporter - Render StatsHub metrics in the OpenMetrics text format
+ *
+ * Counters, durations (histogram or summary), retries and errors by class are labeled by
+ * the allowed GROUP_BY_DIMENSIONS. Hedging and in-flight metrics are client-wide.
+ * Prometheus scrapes this format natively.
+ */
+
+import { GROUP_BY_DIMENSIONS, assertTimeWindow } from '../query/schemas.js';
+import { createGroupByFunction } from '../query/selectors.js';
+
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+export const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const LABEL_DIMENSIONS = GROUP_BY_DIMENSIONS.filter(dimension => dimension !== 'none');
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const ERROR_CLASSES = ['timeout', 'network', 'aborted', '4xx', '5xx', 'other'];
+
+function escapeLabelValue(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+	if (value === Infinity) {
+		return '+Inf';
+	}
+
+	return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+export class OpenMetricsExporter {
+
+	/**
+	 * @param {Object} stats - StatsHub, or a client (its stats() is used)
+	 * @param {Object} [config] - Exporter options
+	 */
+	constructor(stats, config = {}) {
+		const defaults = {
+			prefix: 'luminara_', // Prepended to every metric name
+			labels: ['domain', 'method'], // Allowed label dimensions (cardinality control)
+			window: 'since-start', // Stats window - counters are cumulative over it
+			durationType: 'histogram', // 'histogram' | 'summary'
+			buckets: DEFAULT_DURATION_BUCKETS, // Histogram upper bounds in seconds
+			constLabels: {} // Labels added to every sample (e.g. { service: 'api' })
+		};
+
+		this.stats = typeof stats?.stats === 'function' ? stats.stats() : stats;
+		this.config = {
+			...defaults,
+			...(typeof config === 'object' && config !== null ? config : {})
+		};
+
+		this.validateConfig();
+
+		this.buckets = [...this.config.buckets].sort((a, b) => a - b);
+	}
+
+	/**
+	 * Validate configuration
+	 */
+	validateConfig() {
+		const { prefix, labels, window, durationType, buckets, constLabels } = this.config;
+
+		if (!this.stats?.modules) {
+			throw new Error('OpenMetricsExporter requires a StatsHub or a client');
+		}
+
+		if (typeof prefix !== 'string' || (prefix && !METRIC_NAME_PATTERN.test(prefix))) {
+			throw new Error(`Invalid metric name prefix: ${prefix}`);
+		}
+
+		if (!Array.isArray(labels) || labels.some(label => !LABEL_DIMENSIONS.includes(label))) {
+			throw new Error(`OpenMetrics labels must be a subset of: ${LABEL_DIMENSIONS.join(', ')}`);
+		}
+
+		assertTimeWindow(window, this.stats.timeWindows);
+
+		if (!['histogram', 'summary'].includes(durationType)) {
+			throw new Error('OpenMetrics durationType must be \'histogram\' or \'summary\'');
+		}
+
+		if (!Array.isArray(buckets) || buckets.length === 0 || buckets.some(bucket => typeof bucket !== 'number' || bucket <= 0)) {
+			throw new Error('OpenMetrics buckets must be a non-empty array of positive numbers');
+		}
+
+		for (const name of Object.keys(constLabels)) {
+			if (!LABEL_NAME_PATTERN.test(name) || LABEL_DIMENSIONS.includes(name)) {
+				throw new Error(`Invalid constant label name: ${name}`);
+			}
+		}
+	}
+
+	get contentType() {
+		return OPENMETRICS_CONTENT_TYPE;
+	}
+
+	/**
+	 * Render all metrics
+	 * @returns {string} OpenMetrics text exposition (ends with # EOF)
+	 */
+	render() {
+		const lines = [];
+		const series = this.collectSeries();
+
+		this.renderRequests(lines, series);
+		this.renderDurations(lines, series);
+		this.renderRetries(lines, series);
+		this.renderErrors(lines, series);
+		this.renderHedging(lines);
+		lines.push('# EOF');
+
+		return `${lines.join('\n')}\n`;
+	}
+
+	/**
+	 * Label sets seen in the window, each with a filter for its data points
+	 */
+	collectSeries() {
+		const { labels, window } = this.config;
+		const selectors = labels.map(label => [label, createGroupByFunction(label)]);
+		const series = new Map();
+
+		for (const point of this.stats.modules.counters.windows[window].getData()) {
+			if (point.type !== 'request-start') {
+				continue;
+			}
+
+			const labelValues = Object.fromEntries(selectors.map(([label, select]) => [label, select(point)]));
+			const key = JSON.stringify(labelValues);
+			if (!series.has(key)) {
+				series.set(key, {
+					labels: labelValues,
+					filter: (dataPoint) => selectors.every(([label, select]) => select(dataPoint) === labelValues[label])
+				});
+			}
+		}
+
+		return Array.from(series.values());
+	}
+
+	renderRequests(lines, series) {
+		const { window } = this.config;
+		const { counters } = this.stats.modules;
+		const results = series.map(({ labels, filter }) => ({ labels, counters: counters.getMetrics(window, filter) }));
+
+		this.family(lines, 'requests', 'counter', 'Requests started');
+		for (const { labels, counters: values } of results) {
+			this.sample(lines, 'requests_total', labels, values.total);
+		}
+
+		this.family(lines, 'requests_completed', 'counter', 'Completed requests by result');
+		for (const { labels, counters: values } of results) {
+			this.sample(lines, 'requests_completed_total', { ...labels, result: 'success' }, values.success);
+			this.sample(lines, 'requests_completed_total', { ...labels, result: 'fail' }, values.fail);
+			this.sample(lines, 'requests_completed_total', { ...labels, result: 'aborted' }, values.aborted);
+		}
+
+		this.family(lines, 'requests_retried', 'counter', 'Requests retried at least once');
+		for (const { labels, counters: values } of results) {
+			this.sample(lines, 'requests_retried_total', labels, values.retried);
+		}
+
+		this.family(lines, 'requests_in_flight', 'gauge', 'Requests currently in flight');
+		this.sample(lines, 'requests_in_flight', {}, counters.getMetrics(window).inflight);
+	}
+
+	renderDurations(lines, series) {
+		const { window, durationType } = this.config;
+		const { time } = this.stats.modules;
+		const name = 'request_duration_seconds';
+
+		this.family(lines, name, durationType, 'Request duration including retries', 'seconds');
+		for (const { labels, filter } of series) {
+			const sketch = time.getHistogram(window, filter);
+
+			if (durationType === 'summary') {
+				if (sketch.count > 0) {
+					for (const quantile of [0.5, 0.95, 0.99]) {
+						this.sample(lines, name, { ...labels, quantile: String(quantile) }, sketch.getValueAtQuantile(quantile) / 1000);
+					}
+				}
+			} else {
+				for (const bucket of this.buckets) {
+					this.sample(lines, `${name}_bucket`, { ...labels, le: String(bucket) }, sketch.countAtOrBelow(bucket * 1000));
+				}
+				this.sample(lines, `${name}_bucket`, { ...labels, le: '+Inf' }, sketch.count);
+			}
+
+			this.sample(lines, `${name}_count`, labels, sketch.count);
+			this.sample(lines, `${name}_sum`, labels, sketch.sum / 1000);
+		}
+	}
+
+	renderRetries(lines, series) {
+		const { window } = this.config;
+		const { retry } = this.stats.modules;
+		const results = series.map(({ labels, filter }) => ({ labels, retry: retry.getMetrics(window, filter) }));
+
+		this.family(lines, 'retries', 'counter', 'Retry attempts');
+		for (const { labels, retry: values } of results) {
+			this.sample(lines, 'retries_total', labels, values.count);
+		}
+
+		this.family(lines, 'retry_giveups', 'counter', 'Requests that failed after using up their retries');
+		for (const { labels, retry: values } of results) {
+			this.sample(lines, 'retry_giveups_total', labels, values.giveups);
+		}
+
+		this.family(lines, 'retries_denied', 'counter', 'Retries denied by the retry budget');
+		for (const { labels, retry: values } of results) {
+			this.sample(lines, 'retries_denied_total', labels, values.denied);
+		}
+	}
+
+	renderErrors(lines, series) {
+		const { window } = this.config;
+		const { error } = this.stats.modules;
+
+		this.family(lines, 'errors', 'counter', 'Failed requests by error class');
+		for (const { labels, filter } of series) {
+			const { byClass } = error.getMetrics(window, filter);
+			for (const errorClass of ERROR_CLASSES) {
+				this.sample(lines, 'errors_total', { ...labels, class: errorClass }, byClass[errorClass] || 0);
+			}
+		}
+	}
+
+	renderHedging(lines) {
+		const hedging = this.stats.modules.hedging.get(this.config.window);
+		const wins = Math.round(hedging.hedgeSuccessRate * hedging.totalHedgedRequests);
+
+		this.family(lines, 'hedged_requests', 'counter', 'Hedged requests by policy');
+		for (const [policy, count] of Object.entries(hedging.hedgesByPolicy)) {
+			this.sample(lines, 'hedged_requests_total', { policy }, count);
+		}
+
+		this.family(lines, 'hedge_attempts', 'counter', 'Requests sent for hedged requests (primary and hedges)');
+		this.sample(lines, 'hedge_attempts_total', {}, hedging.totalHedgesSent);
+
+		this.family(lines, 'hedge_cancelled', 'counter', 'Hedged attempts cancelled after another attempt won');
+		this.sample(lines, 'hedge_cancelled_total', {}, hedging.cancelledRequests);
+
+		this.family(lines, 'hedge_wins', 'counter', 'Hedged requests won by a hedge instead of the primary');
+		this.sample(lines, 'hedge_wins_total', {}, wins);
+
+		this.family(lines, 'hedge_latency_saved_seconds', 'gauge', 'Average latency saved by winning hedges', 'seconds');
+		this.sample(lines, 'hedge_latency_saved_seconds', {}, hedging.avgLatencyImprovement / 1000);
+	}
+
+	family(lines, name, type, help, unit = null) {
+		const metricName = `${this.config.prefix}${name}`;
+		lines.push(`# HELP ${metricName} ${help}`);
+		lines.push(`# TYPE ${metricName} ${type}`);
+		if (unit) {
+			lines.push(`# UNIT ${metricName} ${unit}`);
+		}
+	}
+
+	sample(lines, name, labels, value) {
+		const allLabels = { ...this.config.constLabels, ...labels };
+		const labelText = Object.entries(allLabels)
+			.map(([label, labelValue]) => `${label}="${escapeLabelValue(labelValue)}"`)
+			.join(',');
+
+		lines.push(`${this.config.prefix}${name}${labelText ? `{${labelText}}` : ''} ${formatValue(value)}`);
+	}
+
+}
+
+/**
+ * Create a node:http request handler that serves the metrics
+ *
+ * Usable as a plain handler (http.createServer(handler)) or inside an existing server:
+ * requests to other paths get a 404, or are passed to next() when one is given.
+ *
+ * @param {Object} stats - StatsHub, or a client
+ * @param {Object} [options] - Exporter options plus path (default '/metrics')
+ * @returns {Function} (req, res, next?) => void
+ */
+export function createMetricsHandler(stats, options = {}) {
+	const { path = '/metrics', ...exporterOptions } = options;
+	const exporter = new OpenMetricsExporter(stats, exporterOptions);
+
+	return (req, res, next) => {
+		const requestPath = (req.url || '/').split('?')[0];
+		if (requestPath !== path || (req.method !== 'GET' && req.method !== 'HEAD')) {
+			if (typeof next === 'function') {
+				next();
+
+				return;
+			}
+
+			res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+			res.end('Not Found\n');
+
+			return;
+		}
+
+		let body;
+		try {
+			body = exporter.render();
+		} catch (error) {
+			res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+			res.end(`Failed to render metrics: ${error.message}\n`);
+
+			return;
+		}
+
+		res.writeHead(200, { 'Content-Type': exporter.contentType });
+		res.end(req.method === 'HEAD' ? undefined : body);
+	};
+}
@@ -0,0 +1,149 @@
+/**
+ * Circuit module for tracking circuit breaker state transitions and rejections
+ */
+
+import { createWindows, exportWindows, importWindows } from '../windows/index.js';
+import { pointCount } from '../windows/rollingWindow.js';
+
+export class CircuitModule {
+
+	constructor({ rollingWindows } = {}) {
+		this.windows = createWindows({ rollingWindows });
+
+		// Current state per circuit key
+		this.states = new Map();
+	}
+
+	/**
+	 * Record a circuit state transition
+	 */
+	recordStateChange(event) {
+		const { key, from, to, reason } = event;
+
+		this.states.set(key, { state: to, since: event.timestamp || Date.now() });
+
+		const dataPoint = {
+			type: 'circuit-transition',
+			key,
+			from,
+			to,
+			reason,
+			timestamp: Date.now()
+		};
+
+		Object.values(this.windows).forEach(window => window.add(dataPoint));
+	}
+
+	/**
+	 * Record a request rejected by an open circuit
+	 */
+	recordRejection(event) {
+		const { key, state } = event;
+
+		const dataPoint = {
+			type: 'circuit-rejection',
+			key,
+			state,
+			timestamp: Date.now()
+		};
+
+		Object.values(this.windows).forEach(window => window.add(dataPoint));
+	}
+
+	/**
+	 * Get circuit statistics
+	 */
+	get(window = 'since-start', filterFn = null) {
+		const windowData = this.windows[window];
+		if (!windowData) {
+			return null;
+		}
+
+		let dataPoints = windowData.getData();
+		if (filterFn) {
+			dataPoints = dataPoints.filter(filterFn);
+		}
+
+		const transitionsByState = {
+			'closed': 0,
+			'open': 0,
+			'half-open': 0
+		};
+		const byKey = {};
+		let transitions = 0;
+		let rejected = 0;
+
+		dataPoints.forEach(point => {
+			const count = pointCount(point);
+
+			if (!byKey[point.key]) {
+				byKey[point.key] = { transitions: 0, rejected: 0, opened: 0 };
+			}
+
+			if (point.type === 'circuit-transition') {
+				transitions += count;
+				byKey[point.key].transitions += count;
+				if (transitionsByState[point.to] !== undefined) {
+					transitionsByState[point.to] += count;
+				}
+				if (point.to === 'open') {
+					byKey[point.key].opened += count;
+				}
+			} else if (point.type === 'circuit-rejection') {
+				rejected += count;
+				byKey[point.key].rejected += count;
+			}
+		});
+
+		const current = {};
+		for (const [key, value] of this.states) {
+			current[key] = { ...value };
+		}
+
+		return {
+			transitions,
+			transitionsByState,
+			rejected,
+			byKey,
+			current
+		};
+	}
+
+	/**
+	 * Serializable state of every window and the current circuit states (see StatsHub.exportState)
+	 */
+	exportState() {
+		return {
+			windows: exportWindows(this.windows),
+			states: Object.fromEntries(this.states)
+		};
+	}
+
+	/**
+	 * Load an exportState() result - merged circuit states keep the most recent transition per key
+	 */
+	importState(state, options = {}) {
+		importWindows(this.windows, state.windows, options);
+
+		if (!options.merge) {
+			this.states.clear();
+		}
+
+		for (const [key, value] of Object.entries(state.states || {})) {
+			if (!this.states.has(key) || this.states.get(key).since <= value.since) {
+				this.states.set(key, { ...value });
+			}
+		}
+	}
+
+	/**
+	 * Reset module statistics (current states are kept)
+	 */
+	reset() {
+		Object.values(this.windows).forEach(window => {
+			if (window.reset) {
+				window.reset();
+			}
+		});
+	}
+}
@@ -3,22 +3,21 @@
  */
 
 import { createCountersSchema, mergeCounters } from '../query/schemas.js';
-import { Rolling60sWindow } from '../windows/rolling60s.js';
-import { SinceResetWindow } from '../windows/sinceReset.js';
-import { SinceStartWindow } from '../windows/sinceStart.js';
+import { createWindows, exportWindows, importWindows } from '../windows/index.js';
+import { pointCount } from '../windows/rollingWindow.js';
+import { selectDimensions } from '../query/selectors.js';
 
 export class CountersModule {
 	
-	constructor() {
-		this.windows = {
-			'rolling-60s': new Rolling60sWindow(),
-			'since-reset': new SinceResetWindow(),
-			'since-start': new SinceStartWindow()
-		};
+	constructor({ rollingWindows } = {}) {
+		this.windows = createWindows({ measures: ['durationMs'], rollingWindows });
 		
 		// Track current in-flight requests
 		this.inflightRequests = new Set();
 		
+		// Track in-flight requests that have been retried at least once
+		this.retriedRequests = new Set();
+		
 		// Track current debouncing requests
 		this.debouncingRequests = new Set();
 	}
@@ -48,10 +47,12 @@ export class CountersModule {
 		const { id, status, durationMs } = event;
 		
 		this.inflightRequests.delete(id);
+		this.retriedRequests.delete(id);
 		
 		const dataPoint = {
 			type: 'request-success',
 			id,
+			...selectDimensions(event),
 			status,
 			durationMs
 		};
@@ -63,10 +64,12 @@ export class CountersModule {
 		const { id, status, errorKind, durationMs } = event;
 		
 		this.inflightRequests.delete(id);
+		this.retriedRequests.delete(id);
 		
 		const dataPoint = {
 			type: 'request-fail',
 			id,
+			...selectDimensions(event),
 			status,
 			errorKind,
 			durationMs
@@ -76,13 +79,17 @@ export class CountersModule {
 	}
 
 	onRequestRetry(event) {
-		const { id, attempt, backoffMs } = event;
+		const { id } = event;
+		
+		// Only the first retry of a request counts it as retried
+		const firstRetry = !this.retriedRequests.has(id);
+		this.retriedRequests.add(id);
 		
 		const dataPoint = {
 			type: 'request-retry',
 			id,
-			attempt,
-			backoffMs
+			...selectDimensions(event),
+			firstRetry
 		};
 		
 		Object.values(this.windows).forEach(window => window.add(dataPoint));
@@ -92,10 +99,12 @@ export class CountersModule {
 		const { id } = event;
 		
 		this.inflightRequests.delete(id);
+		this.retriedRequests.delete(id);
 		
 		const dataPoint = {
 			type: 'request-abort',
-			id
+			id,
+			...selectDimensions(event)
 		};
 		
 		Object.values(this.windows).forEach(window => window.add(dataPoint));
@@ -150,44 +159,7 @@ export class CountersModule {
 		}
 		
 		const data = filterFn ? window.getFiltered(filterFn) : window.getData();
-		
-		const counters = createCountersSchema();
-		const requestStarts = new Set();
-		const retryRequests = new Set();
-		
-		for (const point of data) {
-			switch (point.type) {
-				case 'request-start':
-					if (!requestStarts.has(point.id)) {
-						counters.total++;
-						requestStarts.add(point.id);
-					}
-					break;
-				
-				case 'request-success':
-					counters.success++;
-					break;
-				
-				case 'request-fail':
-					counters.fail++;
-					break;
-				
-				case 'request-retry':
-					if (!retryRequests.has(point.id)) {
-						counters.retried++;
-						retryRequests.add(point.id);
-					}
-					break;
-				
-				case 'request-abort':
-					counters.aborted++;
-					break;
-				
-				case 'debounce-cancelled':
-					counters.cancelledByDebouncing++;
-					break;
-			}
-		}
+		const counters = this._calculateCountersFromData(data);
 		
 		// Add current in-flight count
 		counters.inflight = this.inflightRequests.size;
@@ -198,6 +170,20 @@ export class CountersModule {
 		return counters;
 	}
 
+	/**
+	 * Serializable state of every window (see StatsHub.exportState)
+	 */
+	exportState() {
+		return { windows: exportWindows(this.windows) };
+	}
+
+	/**
+	 * Load an exportState() result, replacing or merging into the current data
+	 */
+	importState(state, options = {}) {
+		importWindows(this.windows, state.windows, options);
+	}
+
 	/**
 	 * Reset counters for since-reset window
 	 */
@@ -264,43 +250,39 @@ export class CountersModule {
 	}
 
 	/**
-	 * Calculate counters from raw data points
+	 * Calculate counters from raw or pre-aggregated data points
 	 */
 	_calculateCountersFromData(dataPoints) {
 		const counters = createCountersSchema();
-		const requestStarts = new Set();
-		const retryRequests = new Set();
 		
 		for (const point of dataPoints) {
+			const count = pointCount(point);
+			
 			switch (point.type) {
 				case 'request-start':
-					if (!requestStarts.has(point.id)) {
-						counters.total++;
-						requestStarts.add(point.id);
-					}
+					counters.total += count;
 					break;
 				
 				case 'request-success':
-					counters.success++;
+					counters.success += count;
 					break;
 				
 				case 'request-fail':
-					counters.fail++;
+					counters.fail += count;
 					break;
 				
 				case 'request-retry':
-					if (!retryRequests.has(point.id)) {
-						counters.retried++;
-						retryRequests.add(point.id);
+					if (point.firstRetry) {
+						counters.retried += count;
 					}
 					break;
 				
 				case 'request-abort':
-					counters.aborted++;
+					counters.aborted += count;
 					break;
 				
 				case 'debounce-cancelled':
-					counters.cancelledByDebouncing++;
+					counters.cancelledByDebouncing += count;
 					break;
 			}
 		}
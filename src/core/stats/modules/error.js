@@ -3,18 +3,14 @@
  */
 
 import { createErrorSchema, mergeErrors } from '../query/schemas.js';
-import { Rolling60sWindow } from '../windows/rolling60s.js';
-import { SinceResetWindow } from '../windows/sinceReset.js';
-import { SinceStartWindow } from '../windows/sinceStart.js';
+import { createWindows, exportWindows, importWindows } from '../windows/index.js';
+import { pointCount } from '../windows/rollingWindow.js';
+import { selectDimensions } from '../query/selectors.js';
 
 export class ErrorModule {
 	
-	constructor() {
-		this.windows = {
-			'rolling-60s': new Rolling60sWindow(),
-			'since-reset': new SinceResetWindow(),
-			'since-start': new SinceStartWindow()
-		};
+	constructor({ rollingWindows } = {}) {
+		this.windows = createWindows({ measures: ['durationMs', 'timeoutMs'], rollingWindows });
 	}
 
 	/**
@@ -26,6 +22,7 @@ export class ErrorModule {
 		const dataPoint = {
 			type: 'error',
 			id,
+			...selectDimensions(event),
 			status,
 			errorKind,
 			durationMs,
@@ -44,6 +41,7 @@ export class ErrorModule {
 		const dataPoint = {
 			type: 'error',
 			id,
+			...selectDimensions(event),
 			errorKind: 'aborted',
 			errorClass: 'aborted'
 		};
@@ -60,6 +58,7 @@ export class ErrorModule {
 		const dataPoint = {
 			type: 'error',
 			id,
+			...selectDimensions(event),
 			errorKind: 'timeout',
 			errorClass: 'timeout',
 			timeoutMs
@@ -82,6 +81,20 @@ export class ErrorModule {
 		return this._calculateErrorMetrics(data);
 	}
 
+	/**
+	 * Serializable state of every window (see StatsHub.exportState)
+	 */
+	exportState() {
+		return { windows: exportWindows(this.windows) };
+	}
+
+	/**
+	 * Load an exportState() result, replacing or merging into the current data
+	 */
+	importState(state, options = {}) {
+		importWindows(this.windows, state.windows, options);
+	}
+
 	/**
 	 * Reset error data for since-reset window
 	 */
@@ -119,19 +132,20 @@ export class ErrorModule {
 		const statusCodes = new Map();
 		
 		for (const event of errorEvents) {
+			const eventCount = pointCount(event);
 
 			// Count by error class
 			const errorClass = event.errorClass;
 			if (errorSchema.byClass.hasOwnProperty(errorClass)) {
-				errorSchema.byClass[errorClass]++;
+				errorSchema.byClass[errorClass] += eventCount;
 			} else {
-				errorSchema.byClass.other++;
+				errorSchema.byClass.other += eventCount;
 			}
 			
 			// Track status codes
 			if (event.status && typeof event.status === 'number') {
 				const count = statusCodes.get(event.status) || 0;
-				statusCodes.set(event.status, count + 1);
+				statusCodes.set(event.status, count + eventCount);
 			}
 		}
 		
@@ -220,13 +234,16 @@ export class ErrorModule {
 		}
 		
 		const data = filterFn ? window.getFiltered(filterFn) : window.getData();
-		const errorEvents = data.filter(point => point.type === 'error');
-		const totalRequests = data.filter(point => point.type === 'request-start').length;
+		const countOf = (type) => data
+			.filter(point => point.type === type)
+			.reduce((total, point) => total + pointCount(point), 0);
+		const errorCount = countOf('error');
+		const totalRequests = countOf('request-start');
 		
 		return {
-			errorCount: errorEvents.length,
+			errorCount,
 			totalRequests,
-			errorRate: totalRequests > 0 ? (errorEvents.length / totalRequests) : 0
+			errorRate: totalRequests > 0 ? (errorCount / totalRequests) : 0
 		};
 	}
 
@@ -248,24 +265,28 @@ export class ErrorModule {
 			byErrorClass: new Map()
 		};
 		
+		let totalErrors = 0;
+		
 		for (const event of errorEvents) {
+			const eventCount = pointCount(event);
+			totalErrors += eventCount;
 
 			// By status code
 			if (event.status) {
 				const statusCount = breakdown.byStatusCode.get(event.status) || 0;
-				breakdown.byStatusCode.set(event.status, statusCount + 1);
+				breakdown.byStatusCode.set(event.status, statusCount + eventCount);
 			}
 			
 			// By error kind
 			if (event.errorKind) {
 				const kindCount = breakdown.byErrorKind.get(event.errorKind) || 0;
-				breakdown.byErrorKind.set(event.errorKind, kindCount + 1);
+				breakdown.byErrorKind.set(event.errorKind, kindCount + eventCount);
 			}
 			
 			// By error class
 			if (event.errorClass) {
 				const classCount = breakdown.byErrorClass.get(event.errorClass) || 0;
-				breakdown.byErrorClass.set(event.errorClass, classCount + 1);
+				breakdown.byErrorClass.set(event.errorClass, classCount + eventCount);
 			}
 		}
 		
@@ -274,7 +295,7 @@ export class ErrorModule {
 			byStatusCode: Object.fromEntries(breakdown.byStatusCode),
 			byErrorKind: Object.fromEntries(breakdown.byErrorKind),
 			byErrorClass: Object.fromEntries(breakdown.byErrorClass),
-			totalErrors: errorEvents.length
+			totalErrors
 		};
 	}
 
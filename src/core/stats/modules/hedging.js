@@ -2,18 +2,13 @@
  * Hedging module for tracking request hedging metrics
  */
 
-import { Rolling60sWindow } from '../windows/rolling60s.js';
-import { SinceResetWindow } from '../windows/sinceReset.js';
-import { SinceStartWindow } from '../windows/sinceStart.js';
+import { createWindows, exportWindows, importWindows } from '../windows/index.js';
+import { pointCount, pointMeasure } from '../windows/rollingWindow.js';
 
 export class HedgingModule {
 	
-	constructor() {
-		this.windows = {
-			'rolling-60s': new Rolling60sWindow(),
-			'since-reset': new SinceResetWindow(),
-			'since-start': new SinceStartWindow()
-		};
+	constructor({ rollingWindows } = {}) {
+		this.windows = createWindows({ measures: ['latencySaved'], rollingWindows });
 		
 		// Track hedging statistics
 		this.totalHedgedRequests = 0;
@@ -112,26 +107,28 @@ export class HedgingModule {
 		};
 		
 		dataPoints.forEach(point => {
+			const count = pointCount(point);
+			
 			if (point.type === 'hedging') {
-				hedgedRequests++;
-				hedgesSent += point.totalAttempts;
-				cancelled += (point.totalAttempts - 1);
+				hedgedRequests += count;
+				hedgesSent += point.totalAttempts * count;
+				cancelled += (point.totalAttempts - 1) * count;
 				
 				if (point.winner !== 'primary') {
-					hedgeWins++;
-					totalLatency += point.latencySaved;
+					hedgeWins += count;
+					totalLatency += pointMeasure(point, 'latencySaved')?.sum || 0;
 				}
 				
 				if (policyBreakdown[point.policy] !== undefined) {
-					policyBreakdown[point.policy]++;
+					policyBreakdown[point.policy] += count;
 				}
 			} else if (point.type === 'hedging-failure') {
-				hedgedRequests++;
-				hedgesSent += point.totalAttempts;
-				cancelled += point.totalAttempts;
+				hedgedRequests += count;
+				hedgesSent += point.totalAttempts * count;
+				cancelled += point.totalAttempts * count;
 				
 				if (policyBreakdown[point.policy] !== undefined) {
-					policyBreakdown[point.policy]++;
+					policyBreakdown[point.policy] += count;
 				}
 			}
 		});
@@ -146,6 +143,20 @@ export class HedgingModule {
 		};
 	}
 
+	/**
+	 * Serializable state of every window (see StatsHub.exportState)
+	 */
+	exportState() {
+		return { windows: exportWindows(this.windows) };
+	}
+
+	/**
+	 * Load an exportState() result, replacing or merging into the current data
+	 */
+	importState(state, options = {}) {
+		importWindows(this.windows, state.windows, options);
+	}
+
 	/**
 	 * Reset module statistics
 	 */
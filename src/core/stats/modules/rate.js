@@ -3,18 +3,13 @@
  */
 
 import { createRateSchema } from '../query/schemas.js';
-import { Rolling60sWindow } from '../windows/rolling60s.js';
-import { SinceResetWindow } from '../windows/sinceReset.js';
-import { SinceStartWindow } from '../windows/sinceStart.js';
+import { createWindows, exportWindows, importWindows } from '../windows/index.js';
+import { pointCount } from '../windows/rollingWindow.js';
 
 export class RateModule {
 	
-	constructor() {
-		this.windows = {
-			'rolling-60s': new Rolling60sWindow(),
-			'since-reset': new SinceResetWindow(),
-			'since-start': new SinceStartWindow()
-		};
+	constructor({ rollingWindows } = {}) {
+		this.windows = createWindows({ rollingWindows });
 		
 		// EMA (Exponential Moving Average) state for smooth rate calculation
 		this.emaState = {
@@ -61,6 +56,20 @@ export class RateModule {
 		throw new Error(`Unknown rate mode: ${mode}`);
 	}
 
+	/**
+	 * Serializable state of every window (see StatsHub.exportState)
+	 */
+	exportState() {
+		return { windows: exportWindows(this.windows) };
+	}
+
+	/**
+	 * Load an exportState() result, replacing or merging into the current data
+	 */
+	importState(state, options = {}) {
+		importWindows(this.windows, state.windows, options);
+	}
+
 	/**
 	 * Reset rate data for since-reset window
 	 */
@@ -105,10 +114,10 @@ export class RateModule {
 		const window = this.windows[windowName];
 		const data = filterFn ? window.getFiltered(filterFn) : window.getData();
 		
-		const requestStarts = data.filter(point => point.type === 'request-start');
+		const requestStarts = this._countRequestStarts(data);
 		const timespan = this._getWindowTimespan(windowName);
 		
-		const rps = timespan > 0 ? (requestStarts.length / (timespan / 1000)) : 0;
+		const rps = timespan > 0 ? (requestStarts / (timespan / 1000)) : 0;
 		const rpm = rps * 60;
 		
 		return {
@@ -151,8 +160,8 @@ export class RateModule {
 		
 		const results = [];
 		for (const [key, groupData] of groups) {
-			const requestStarts = groupData.filter(point => point.type === 'request-start');
-			const rps = timespan > 0 ? (requestStarts.length / (timespan / 1000)) : 0;
+			const requestStarts = this._countRequestStarts(groupData);
+			const rps = timespan > 0 ? (requestStarts / (timespan / 1000)) : 0;
 			const rpm = rps * 60;
 			
 			results.push({
@@ -168,6 +177,15 @@ export class RateModule {
 		return results;
 	}
 
+	/**
+	 * Count request starts in raw or pre-aggregated data points
+	 */
+	_countRequestStarts(data) {
+		return data
+			.filter(point => point.type === 'request-start')
+			.reduce((total, point) => total + pointCount(point), 0);
+	}
+
 	/**
 	 * Group data points by field
 	 */
@@ -3,18 +3,14 @@
  */
 
 import { createRetrySchema } from '../query/schemas.js';
-import { Rolling60sWindow } from '../windows/rolling60s.js';
-import { SinceResetWindow } from '../windows/sinceReset.js';
-import { SinceStartWindow } from '../windows/sinceStart.js';
+import { createWindows, exportWindows, importWindows } from '../windows/index.js';
+import { pointCount, pointMeasure } from '../windows/rollingWindow.js';
+import { selectDimensions } from '../query/selectors.js';
 
 export class RetryModule {
 	
-	constructor() {
-		this.windows = {
-			'rolling-60s': new Rolling60sWindow(),
-			'since-reset': new SinceResetWindow(),
-			'since-start': new SinceStartWindow()
-		};
+	constructor({ rollingWindows } = {}) {
+		this.windows = createWindows({ measures: ['backoffMs'], rollingWindows });
 		
 		// Track retry sequences per request ID
 		this.retrySequences = new Map();
@@ -29,6 +25,7 @@ export class RetryModule {
 		const dataPoint = {
 			type: 'retry',
 			id,
+			...selectDimensions(event),
 			attempt,
 			backoffMs
 		};
@@ -50,6 +47,23 @@ export class RetryModule {
 		});
 	}
 
+	/**
+	 * Handle retries denied by the client retry budget
+	 */
+	onRetryDenied(event) {
+		const { id, attempt, reason } = event;
+		
+		const dataPoint = {
+			type: 'retry-denied',
+			id,
+			...selectDimensions(event),
+			attempt,
+			reason
+		};
+		
+		Object.values(this.windows).forEach(window => window.add(dataPoint));
+	}
+
 	/**
 	 * Handle request success after retries
 	 */
@@ -62,6 +76,7 @@ export class RetryModule {
 			const dataPoint = {
 				type: 'retry-outcome',
 				id,
+				...selectDimensions(event),
 				outcome: 'success',
 				totalAttempts: this.retrySequences.get(id).attempts.length
 			};
@@ -82,6 +97,7 @@ export class RetryModule {
 			const dataPoint = {
 				type: 'retry-outcome',
 				id,
+				...selectDimensions(event),
 				outcome: 'giveup',
 				totalAttempts: this.retrySequences.get(id).attempts.length
 			};
@@ -111,6 +127,20 @@ export class RetryModule {
 		return this._calculateRetryMetrics(data);
 	}
 
+	/**
+	 * Serializable state of every window (see StatsHub.exportState)
+	 */
+	exportState() {
+		return { windows: exportWindows(this.windows) };
+	}
+
+	/**
+	 * Load an exportState() result, replacing or merging into the current data
+	 */
+	importState(state, options = {}) {
+		importWindows(this.windows, state.windows, options);
+	}
+
 	/**
 	 * Reset retry data for since-reset window
 	 */
@@ -147,31 +177,35 @@ export class RetryModule {
 		const retrySchema = createRetrySchema();
 		const retryEvents = data.filter(point => point.type === 'retry');
 		const outcomeEvents = data.filter(point => point.type === 'retry-outcome');
+		const countOf = (points) => points.reduce((total, point) => total + pointCount(point), 0);
 		
-		// Count total retries
-		retrySchema.count = retryEvents.length;
+		// Count total retries and retries denied by the retry budget
+		retrySchema.count = countOf(retryEvents);
+		retrySchema.denied = countOf(data.filter(point => point.type === 'retry-denied'));
 		
 		// Calculate backoff statistics
-		const backoffTimes = retryEvents
-			.filter(event => typeof event.backoffMs === 'number')
-			.map(event => event.backoffMs);
-		
-		if (backoffTimes.length > 0) {
-			retrySchema.minBackoffMs = Math.min(...backoffTimes);
-			retrySchema.maxBackoffMs = Math.max(...backoffTimes);
-			retrySchema.avgBackoffMs = backoffTimes.reduce((sum, val) => sum + val, 0) / backoffTimes.length;
+		const backoffs = retryEvents
+			.map(event => pointMeasure(event, 'backoffMs'))
+			.filter(Boolean);
+		
+		if (backoffs.length > 0) {
+			const backoffCount = backoffs.reduce((total, backoff) => total + backoff.count, 0);
+			retrySchema.minBackoffMs = Math.min(...backoffs.map(backoff => backoff.min));
+			retrySchema.maxBackoffMs = Math.max(...backoffs.map(backoff => backoff.max));
+			retrySchema.avgBackoffMs = backoffs.reduce((sum, backoff) => sum + backoff.sum, 0) / backoffCount;
 		}
 		
 		// Calculate success after retry average and giveups
 		const successfulRetries = outcomeEvents.filter(event => event.outcome === 'success');
 		const giveupRetries = outcomeEvents.filter(event => event.outcome === 'giveup');
+		const successCount = countOf(successfulRetries);
 		
-		if (successfulRetries.length > 0) {
-			const totalAttempts = successfulRetries.reduce((sum, event) => sum + event.totalAttempts, 0);
-			retrySchema.successAfterAvg = totalAttempts / successfulRetries.length;
+		if (successCount > 0) {
+			const totalAttempts = successfulRetries.reduce((sum, event) => sum + event.totalAttempts * pointCount(event), 0);
+			retrySchema.successAfterAvg = totalAttempts / successCount;
 		}
 		
-		retrySchema.giveups = giveupRetries.length;
+		retrySchema.giveups = countOf(giveupRetries);
 		
 		// Round to reasonable precision
 		retrySchema.successAfterAvg = Math.round(retrySchema.successAfterAvg * 100) / 100;
@@ -243,7 +277,7 @@ export class RetryModule {
 		const distribution = {};
 		for (const event of outcomeEvents) {
 			const attempts = event.totalAttempts;
-			distribution[attempts] = (distribution[attempts] || 0) + 1;
+			distribution[attempts] = (distribution[attempts] || 0) + pointCount(event);
 		}
 		
 		return distribution;
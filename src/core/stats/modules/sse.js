@@ -0,0 +1,174 @@
+/**
+ * SSE module for tracking Server-Sent Events connection opens, reconnects and errors
+ */
+
+import { createWindows, exportWindows, importWindows } from '../windows/index.js';
+import { pointCount, pointMeasure } from '../windows/rollingWindow.js';
+import { selectDimensions } from '../query/selectors.js';
+
+export class SseModule {
+
+	constructor({ rollingWindows } = {}) {
+		this.windows = createWindows({ measures: ['durationMs', 'delayMs'], rollingWindows });
+
+		// Live connections by connection id (not part of exported state)
+		this.connections = new Map();
+	}
+
+	/**
+	 * Record a connection that opened (first connect or reconnect)
+	 */
+	recordOpen(event) {
+		const { id, durationMs } = event;
+
+		this.connections.set(id, {
+			...this._describe(event),
+			state: 'open',
+			since: Date.now(),
+			reconnects: event.reconnects || 0
+		});
+
+		this._add({ type: 'sse-open', id, ...selectDimensions(event), durationMs });
+	}
+
+	/**
+	 * Record a scheduled reconnect
+	 */
+	recordReconnect(event) {
+		const { id, attempt, delayMs } = event;
+
+		this._updateConnection(event, { state: 'reconnecting', reconnects: (this.connections.get(id)?.reconnects || 0) + 1 });
+
+		this._add({ type: 'sse-reconnect', id, ...selectDimensions(event), attempt, delayMs });
+	}
+
+	/**
+	 * Record a failed connect or a stream that broke while open
+	 */
+	recordError(event) {
+		const { id, status, code, opened } = event;
+
+		this._add({
+			type: 'sse-error',
+			id,
+			...selectDimensions(event),
+			errorKey: status ? String(status) : code || 'NETWORK_ERROR',
+			opened: Boolean(opened)
+		});
+	}
+
+	/**
+	 * Record a connection closed by the client, the server or a final error
+	 */
+	recordClose(event) {
+		const { id, reason } = event;
+
+		this.connections.delete(id);
+
+		this._add({ type: 'sse-close', id, ...selectDimensions(event), reason });
+	}
+
+	/**
+	 * Get SSE statistics
+	 */
+	get(window = 'since-start', filterFn = null) {
+		const windowData = this.windows[window];
+		if (!windowData) {
+			return null;
+		}
+
+		let dataPoints = windowData.getData();
+		if (filterFn) {
+			dataPoints = dataPoints.filter(filterFn);
+		}
+
+		const byEndpoint = {};
+		const errorsByKey = {};
+		let opened = 0;
+		let reconnects = 0;
+		let errors = 0;
+		let closed = 0;
+		let connectMs = 0;
+		let delayMs = 0;
+
+		dataPoints.forEach(point => {
+			const count = pointCount(point);
+
+			if (!byEndpoint[point.endpoint]) {
+				byEndpoint[point.endpoint] = { opened: 0, reconnects: 0, errors: 0 };
+			}
+
+			if (point.type === 'sse-open') {
+				opened += count;
+				byEndpoint[point.endpoint].opened += count;
+				connectMs += pointMeasure(point, 'durationMs')?.sum || 0;
+			} else if (point.type === 'sse-reconnect') {
+				reconnects += count;
+				byEndpoint[point.endpoint].reconnects += count;
+				delayMs += pointMeasure(point, 'delayMs')?.sum || 0;
+			} else if (point.type === 'sse-error') {
+				errors += count;
+				byEndpoint[point.endpoint].errors += count;
+				errorsByKey[point.errorKey] = (errorsByKey[point.errorKey] || 0) + count;
+			} else if (point.type === 'sse-close') {
+				closed += count;
+			}
+		});
+
+		const connections = Array.from(this.connections.values())
+			.filter(connection => !filterFn || filterFn(connection))
+			.map(connection => ({ ...connection }));
+
+		return {
+			opened,
+			reconnects,
+			errors,
+			closed,
+			errorsByKey,
+			avgConnectMs: opened > 0 ? connectMs / opened : 0,
+			avgReconnectDelayMs: reconnects > 0 ? delayMs / reconnects : 0,
+			byEndpoint,
+			active: connections.length,
+			connections
+		};
+	}
+
+	/**
+	 * Serializable state of every window (see StatsHub.exportState) - live connections stay local
+	 */
+	exportState() {
+		return { windows: exportWindows(this.windows) };
+	}
+
+	/**
+	 * Load an exportState() result, replacing or merging into the current data
+	 */
+	importState(state, options = {}) {
+		importWindows(this.windows, state.windows, options);
+	}
+
+	/**
+	 * Reset module statistics (live connections are kept)
+	 */
+	reset() {
+		Object.values(this.windows).forEach(window => {
+			if (window.reset) {
+				window.reset();
+			}
+		});
+	}
+
+	_add(dataPoint) {
+		Object.values(this.windows).forEach(window => window.add(dataPoint));
+	}
+
+	_describe(event) {
+		return { id: event.id, url: event.url, ...selectDimensions(event) };
+	}
+
+	_updateConnection(event, changes) {
+		const connection = this.connections.get(event.id) || { ...this._describe(event), reconnects: 0 };
+
+		this.connections.set(event.id, { ...connection, ...changes, since: Date.now() });
+	}
+}
@@ -1,83 +1,74 @@
 /**
  * Time module for tracking response time metrics
+ * Durations go into DDSketch histograms per window and dimension series, so memory stays
+ * bounded and percentiles can be merged across clients and processes.
  */
 
-import { createTimeSchema, mergeTime } from '../query/schemas.js';
-import { Rolling60sWindow } from '../windows/rolling60s.js';
-import { SinceResetWindow } from '../windows/sinceReset.js';
-import { SinceStartWindow } from '../windows/sinceStart.js';
+import { createTimeSchema } from '../query/schemas.js';
+import { createHistogramWindows, exportWindows, importWindows } from '../windows/index.js';
+import { DDSketch } from '../DDSketch.js';
+import { selectDimensions, createGroupByFunction } from '../query/selectors.js';
 
 export class TimeModule {
 	
-	constructor() {
-		this.windows = {
-			'rolling-60s': new Rolling60sWindow(),
-			'since-reset': new SinceResetWindow(),
-			'since-start': new SinceStartWindow()
-		};
+	/**
+	 * @param {Object} [sketchConfig] - DDSketch options (relativeAccuracy, maxBuckets)
+	 * @param {Object} [options] - { rollingWindows } layouts from the stats hub
+	 */
+	constructor(sketchConfig = {}, { rollingWindows } = {}) {
+		this.windows = createHistogramWindows(sketchConfig, rollingWindows);
 	}
 
 	/**
 	 * Handle request completion (success or fail) to record timing
 	 */
 	onRequestSuccess(event) {
-		const { id, status, durationMs } = event;
-		
-		const dataPoint = {
-			type: 'timing',
-			id,
-			status,
-			durationMs,
-			success: true
-		};
-		
-		Object.values(this.windows).forEach(window => window.add(dataPoint));
+		this.recordTiming(event.id, event.durationMs, event);
 	}
 
 	onRequestFail(event) {
-		const { id, status, errorKind, durationMs } = event;
-		
-		const dataPoint = {
-			type: 'timing',
-			id,
-			status,
-			errorKind,
-			durationMs,
-			success: false
-		};
-		
-		Object.values(this.windows).forEach(window => window.add(dataPoint));
+		this.recordTiming(event.id, event.durationMs, event);
 	}
 
 	/**
 	 * Record timing data from other events that carry request context
 	 */
 	recordTiming(requestId, durationMs, context = {}) {
-		const dataPoint = {
-			type: 'timing',
-			id: requestId,
-			durationMs,
-			...context
-		};
-		
-		Object.values(this.windows).forEach(window => window.add(dataPoint));
+		if (typeof durationMs !== 'number') {
+			return;
+		}
+
+		const dimensions = selectDimensions(context);
+		Object.values(this.windows).forEach(window => window.add(dimensions, durationMs));
 	}
 
 	/**
 	 * Get time metrics for a specific window
+	 * @param {Object} [options] - { histogram: true } adds the raw DDSketch layout
 	 */
-	getMetrics(windowName, filterFn = null) {
-		const window = this.windows[windowName];
-		if (!window) {
-			throw new Error(`Unknown window: ${windowName}`);
-		}
-		
-		const data = filterFn ? window.getFiltered(filterFn) : window.getData();
-		const timings = data
-			.filter(point => point.type === 'timing' && typeof point.durationMs === 'number')
-			.map(point => point.durationMs);
-		
-		return this._calculateTimeMetrics(timings);
+	getMetrics(windowName, filterFn = null, options = {}) {
+		return this._toTimeMetrics(this.getHistogram(windowName, filterFn), options);
+	}
+
+	/**
+	 * Merged DDSketch of all timings matching the filter
+	 */
+	getHistogram(windowName, filterFn = null) {
+		return this._getWindow(windowName).getSketch(filterFn);
+	}
+
+	/**
+	 * Serializable state of every window (see StatsHub.exportState)
+	 */
+	exportState() {
+		return { windows: exportWindows(this.windows) };
+	}
+
+	/**
+	 * Load an exportState() result, replacing or merging into the current data
+	 */
+	importState(state, options = {}) {
+		importWindows(this.windows, state.windows, options);
 	}
 
 	/**
@@ -90,119 +81,55 @@ export class TimeModule {
 	/**
 	 * Get grouped time metrics
 	 */
-	getGroupedMetrics(windowName, groupByField, filterFn = null) {
-		const window = this.windows[windowName];
-		if (!window) {
-			throw new Error(`Unknown window: ${windowName}`);
-		}
-		
-		const data = filterFn ? window.getFiltered(filterFn) : window.getData();
+	getGroupedMetrics(windowName, groupByField, filterFn = null, options = {}) {
+		const selectGroup = createGroupByFunction(groupByField);
 		const groups = new Map();
 		
-		// Group timing data points by the specified field
-		for (const point of data) {
-			if (point.type !== 'timing' || typeof point.durationMs !== 'number') {
-				continue;
-			}
-			
-			let groupKey;
-			
-			switch (groupByField) {
-				case 'domain':
-					groupKey = point.domain || 'unknown';
-					break;
-				case 'method':
-					groupKey = point.method || 'unknown';
-					break;
-				case 'endpoint':
-					groupKey = point.endpoint || 'unknown';
-					break;
-				case 'tag':
-					const tags = point.tags || [];
-					groupKey = tags.length > 0 ? tags[0] : 'no-tags';
-					break;
-				default:
-					groupKey = 'all';
-			}
-			
+		// Merge series sketches by the group key of their dimensions
+		for (const { dimensions, sketch } of this._getWindow(windowName).getSeries(filterFn)) {
+			const groupKey = selectGroup(dimensions);
 			if (!groups.has(groupKey)) {
 				groups.set(groupKey, []);
 			}
-			groups.get(groupKey).push(point.durationMs);
+			groups.get(groupKey).push(sketch);
 		}
 		
-		// Calculate time metrics for each group
 		const results = [];
-		for (const [key, timings] of groups) {
-			const time = this._calculateTimeMetrics(timings);
+		for (const [key, sketches] of groups) {
+			const time = this._toTimeMetrics(DDSketch.merge(sketches), options);
 			results.push({ key, time });
 		}
 		
 		return results;
 	}
 
-	/**
-	 * Calculate time metrics from raw duration values
-	 */
-	_calculateTimeMetrics(timings) {
-		if (timings.length === 0) {
-			return createTimeSchema();
-		}
-		
-		const sorted = timings.slice().sort((a, b) => a - b);
-		const len = sorted.length;
-		const sum = sorted.reduce((acc, val) => acc + val, 0);
-		
-		return {
-			minMs: sorted[0],
-			avgMs: sum / len,
-			p50Ms: this._percentile(sorted, 0.5),
-			p95Ms: this._percentile(sorted, 0.95),
-			p99Ms: this._percentile(sorted, 0.99),
-			maxMs: sorted[len - 1]
-		};
-	}
-
-	/**
-	 * Calculate percentile from sorted array
-	 */
-	_percentile(sortedArray, percentile) {
-		if (sortedArray.length === 0) {
-			return 0;
-		}
-		
-		const index = (sortedArray.length - 1) * percentile;
-		const lower = Math.floor(index);
-		const upper = Math.ceil(index);
-		
-		if (lower === upper) {
-			return sortedArray[lower];
+	_getWindow(windowName) {
+		const window = this.windows[windowName];
+		if (!window) {
+			throw new Error(`Unknown window: ${windowName}`);
 		}
-		
-		const weight = index - lower;
 
-		return sortedArray[lower] * (1 - weight) + sortedArray[upper] * weight;
+		return window;
 	}
 
 	/**
-	 * Get raw timing data for debugging
+	 * Time metrics from a sketch - min/max/avg exact, percentiles within the sketch accuracy
 	 */
-	getRawTimings(windowName, filterFn = null) {
-		const window = this.windows[windowName];
-		if (!window) {
-			throw new Error(`Unknown window: ${windowName}`);
+	_toTimeMetrics(sketch, { histogram = false } = {}) {
+		const metrics = sketch.count === 0 ? createTimeSchema() : {
+			minMs: sketch.min,
+			avgMs: sketch.sum / sketch.count,
+			p50Ms: sketch.getValueAtQuantile(0.5),
+			p95Ms: sketch.getValueAtQuantile(0.95),
+			p99Ms: sketch.getValueAtQuantile(0.99),
+			maxMs: sketch.max
+		};
+
+		if (histogram) {
+			metrics.histogram = sketch.toJSON();
 		}
-		
-		const data = filterFn ? window.getFiltered(filterFn) : window.getData();
-
-		return data
-			.filter(point => point.type === 'timing' && typeof point.durationMs === 'number')
-			.map(point => ({
-				id: point.id,
-				durationMs: point.durationMs,
-				timestamp: point.timestamp,
-				success: point.success
-			}));
+
+		return metrics;
 	}
 
-}
\ No newline at end of file
+}
@@ -2,13 +2,18 @@
  * Query engine for executing stats queries with filtering, grouping, and limiting
  */
 
-import { METRIC_TYPES, GROUP_BY_DIMENSIONS, TIME_WINDOWS } from './schemas.js';
+import { METRIC_TYPES, GROUP_BY_DIMENSIONS, TIME_WINDOWS, assertTimeWindow } from './schemas.js';
 import { createFilterFunction, applyLimit } from './selectors.js';
 
 export class QueryEngine {
 	
-	constructor(modules) {
+	/**
+	 * @param {Object} modules - Metric modules by name
+	 * @param {string[]} [timeWindows] - Windows the modules were created with
+	 */
+	constructor(modules, timeWindows = TIME_WINDOWS) {
 		this.modules = modules;
+		this.timeWindows = timeWindows;
 	}
 
 	/**
@@ -143,9 +148,7 @@ export class QueryEngine {
 		}
 
 		// Validate window
-		if (!TIME_WINDOWS.includes(window)) {
-			throw new Error(`Unknown time window: ${window}. Supported: ${TIME_WINDOWS.join(', ')}`);
-		}
+		assertTimeWindow(window, this.timeWindows);
 	}
 
 	/**
@@ -188,7 +191,7 @@ export class QueryEngine {
 	 * Get available time windows
 	 */
 	getAvailableTimeWindows() {
-		return TIME_WINDOWS.slice();
+		return this.timeWindows.slice();
 	}
 
 	/**
@@ -67,6 +67,7 @@ export const createRateSchema = (mode = 'ema-30s') => ({
  * @property {number} avgBackoffMs - Average backoff time in milliseconds
  * @property {number} maxBackoffMs - Maximum backoff time in milliseconds
  * @property {number} giveups - Number of requests that gave up after max retries
+ * @property {number} denied - Number of retries denied by the client retry budget
  */
 export const createRetrySchema = () => ({
 	count: 0,
@@ -74,7 +75,8 @@ export const createRetrySchema = () => ({
 	minBackoffMs: 0,
 	avgBackoffMs: 0,
 	maxBackoffMs: 0,
-	giveups: 0
+	giveups: 0,
+	denied: 0
 });
 
 /**
@@ -113,6 +115,16 @@ export const mergeCounters = (a, b) => ({
 	aborted: a.aborted + b.aborted
 });
 
+/**
+ * Merge two measure aggregates ({ count, sum, min, max }); a may be missing
+ */
+export const mergeMeasures = (a, b) => (a ? {
+	count: a.count + b.count,
+	sum: a.sum + b.sum,
+	min: Math.min(a.min, b.min),
+	max: Math.max(a.max, b.max)
+} : { ...b });
+
 /**
  * Merge time metrics by calculating percentiles from combined samples
  */
@@ -164,6 +176,12 @@ export const mergeErrors = (schemas) => {
 	return merged;
 };
 
+/**
+ * Format and version of exported stats state documents (StatsHub.exportState)
+ */
+export const STATS_STATE_FORMAT = 'luminara-stats';
+export const STATS_STATE_VERSION = 1;
+
 /**
  * Supported metric types
  */
@@ -174,7 +192,91 @@ export const METRIC_TYPES = ['counters', 'time', 'rate', 'retry', 'error'];
  */
 export const GROUP_BY_DIMENSIONS = ['endpoint', 'domain', 'method', 'tag', 'none'];
 
+/**
+ * Rolling window layouts - span and pre-aggregation bucket size in milliseconds
+ */
+export const ROLLING_WINDOWS = {
+	'rolling-60s': { spanMs: 60 * 1000, bucketMs: 1000 },
+	'rolling-5m': { spanMs: 5 * 60 * 1000, bucketMs: 5 * 1000 },
+	'rolling-15m': { spanMs: 15 * 60 * 1000, bucketMs: 15 * 1000 },
+	'rolling-1h': { spanMs: 60 * 60 * 1000, bucketMs: 60 * 1000 }
+};
+
 /**
  * Supported time windows
  */
-export const TIME_WINDOWS = ['since-start', 'since-reset', 'rolling-60s'];
\ No newline at end of file
+export const TIME_WINDOWS = ['since-start', 'since-reset', ...Object.keys(ROLLING_WINDOWS)];
+
+/**
+ * Validate a rolling window layout - a name already registered must keep its layout
+ */
+const validateTimeWindow = (name, { spanMs, bucketMs } = {}) => {
+	if (typeof name !== 'string' || !name) {
+		throw new Error('Time window name must be a non-empty string');
+	}
+
+	if (name === 'since-start' || name === 'since-reset') {
+		throw new Error(`Time window name is reserved: ${name}`);
+	}
+
+	if (!Number.isInteger(bucketMs) || bucketMs <= 0 || !Number.isInteger(spanMs) || spanMs < bucketMs || spanMs % bucketMs !== 0) {
+		throw new Error('Time window spanMs and bucketMs must be positive integers, spanMs a multiple of bucketMs');
+	}
+
+	if (spanMs / bucketMs > 10000) {
+		throw new Error('Time window must have at most 10000 buckets - use a larger bucketMs');
+	}
+
+	const registered = ROLLING_WINDOWS[name];
+	if (registered && (registered.spanMs !== spanMs || registered.bucketMs !== bucketMs)) {
+		throw new Error(`Time window ${name} is already registered with a different layout`);
+	}
+};
+
+/**
+ * Register a custom rolling window for stats created afterwards
+ * Registering a name again with the same layout is a no-op
+ * @param {string} name - Window name used in queries (e.g. 'rolling-30m')
+ * @param {Object} layout - { spanMs, bucketMs }; spanMs must be a multiple of bucketMs
+ */
+export const registerTimeWindow = (name, layout) => {
+	validateTimeWindow(name, layout);
+
+	if (!ROLLING_WINDOWS[name]) {
+		ROLLING_WINDOWS[name] = { spanMs: layout.spanMs, bucketMs: layout.bucketMs };
+		TIME_WINDOWS.push(name);
+	}
+};
+
+/**
+ * Rolling windows for one stats hub - every registered window plus the hub's own
+ * @param {Object} [windows] - { [name]: { spanMs, bucketMs } } tracked by this hub only
+ * @returns {Object} Layouts by name, fixed for the hub's lifetime
+ */
+export const resolveRollingWindows = (windows = {}) => {
+	const layouts = { ...ROLLING_WINDOWS };
+
+	for (const [name, layout] of Object.entries(windows)) {
+		validateTimeWindow(name, layout);
+		layouts[name] = { spanMs: layout.spanMs, bucketMs: layout.bucketMs };
+	}
+
+	return layouts;
+};
+
+/**
+ * Check a window against the windows a stats hub was created with
+ * @param {string} window - Window name from a query or helper
+ * @param {string[]} available - The hub's time windows
+ */
+export const assertTimeWindow = (window, available) => {
+	if (available.includes(window)) {
+		return;
+	}
+
+	if (TIME_WINDOWS.includes(window)) {
+		throw new Error(`Time window ${window} was registered after these stats were created - call registerTimeWindow() before creating the client, or pass it in the statsWindows option`);
+	}
+
+	throw new Error(`Unknown time window: ${window}. Supported: ${available.join(', ')}`);
+};
\ No newline at end of file
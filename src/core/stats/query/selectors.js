@@ -32,6 +32,16 @@ export const selectTag = (dataPoint) => {
 	return tags.length > 0 ? tags[0] : 'no-tags';
 };
 
+/**
+ * Request dimensions carried by every data point so grouping and filtering see them
+ */
+export const selectDimensions = (event) => ({
+	domain: event.domain,
+	method: event.method,
+	endpoint: event.endpoint,
+	tags: event.tags || []
+});
+
 /**
  * Create a filter function based on where criteria
  */
@@ -53,6 +63,11 @@ export const createFilterFunction = (where = {}) => {
 			return false;
 		}
 		
+		// Check exact endpoint filter
+		if (where.endpoint && selectEndpoint(dataPoint) !== where.endpoint) {
+			return false;
+		}
+		
 		// Check endpoint prefix filter
 		if (where.endpointPrefix) {
 			const endpoint = selectEndpoint(dataPoint);
@@ -199,7 +214,7 @@ export const groupKeyMatchesFilter = (groupKey, groupBy, where) => {
 		case 'method':
 			return !where.method || groupKey === where.method;
 		case 'endpoint':
-			return !where.endpointPrefix || groupKey.includes(where.endpointPrefix);
+			return (!where.endpoint || groupKey === where.endpoint) && (!where.endpointPrefix || groupKey.includes(where.endpointPrefix));
 		case 'tag':
 			return !where.tag || groupKey === where.tag;
 		default:
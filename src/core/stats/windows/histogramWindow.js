@@ -0,0 +1,198 @@
+/**
+ * Histogram time window - one DDSketch per dimension series instead of raw data points
+ * Memory grows with the number of distinct series, not with traffic
+ */
+
+import { DDSketch } from '../DDSketch.js';
+
+export class HistogramWindow {
+
+	/**
+	 * @param {Object} [config]
+	 * @param {number|null} [config.spanMs=null] - Rolling span; null accumulates until reset
+	 * @param {number} [config.bucketMs=1000] - Rotation granularity of a rolling window
+	 * @param {Object} [config.sketch] - DDSketch options
+	 */
+	constructor(config = {}) {
+		this.spanMs = config.spanMs ?? null;
+		this.bucketSize = config.bucketMs ?? 1000;
+		this.sketchConfig = config.sketch || {};
+		this.slotCount = this.spanMs ? Math.ceil(this.spanMs / this.bucketSize) : 1;
+		this.slots = new Array(this.slotCount).fill(null).map(() => ({
+			timestamp: 0,
+			series: new Map()
+		}));
+		this.currentSlotIndex = 0;
+		this.lastUpdateTime = Date.now();
+		this.resetTime = Date.now();
+	}
+
+	/**
+	 * Record a value for the series identified by dimensions
+	 */
+	add(dimensions, value) {
+		const now = Date.now();
+		this._rotateSlots(now);
+
+		const slot = this.slots[this.currentSlotIndex];
+		slot.timestamp = now;
+
+		this._getSlotSeries(slot, dimensions).sketch.add(value);
+	}
+
+	/**
+	 * Series in the window, sketches merged across live slots
+	 * @param {Function} [filterFn] - Called with the series dimensions
+	 * @returns {Array<{ dimensions: Object, sketch: DDSketch }>}
+	 */
+	getSeries(filterFn = null) {
+		const now = Date.now();
+		this._rotateSlots(now);
+
+		const cutoffTime = this.spanMs ? now - this.spanMs : -Infinity;
+		const merged = new Map();
+
+		for (const slot of this.slots) {
+			if (slot.timestamp < cutoffTime) {
+				continue;
+			}
+
+			for (const [key, { dimensions, sketch }] of slot.series) {
+				if (filterFn && !filterFn(dimensions)) {
+					continue;
+				}
+
+				if (!merged.has(key)) {
+					merged.set(key, { dimensions, sketch: new DDSketch(this.sketchConfig) });
+				}
+				merged.get(key).sketch.merge(sketch);
+			}
+		}
+
+		return Array.from(merged.values());
+	}
+
+	/**
+	 * All matching series merged into one sketch
+	 */
+	getSketch(filterFn = null) {
+		return DDSketch.merge(this.getSeries(filterFn).map(({ sketch }) => sketch), this.sketchConfig);
+	}
+
+	/**
+	 * Serializable state: per-slot series with their sketch layouts
+	 */
+	exportState() {
+		const now = Date.now();
+		this._rotateSlots(now);
+
+		const cutoffTime = this.spanMs ? now - this.spanMs : -Infinity;
+
+		return {
+			type: 'histogram',
+			spanMs: this.spanMs,
+			bucketMs: this.bucketSize,
+			startTime: this.resetTime,
+			slots: this.slots
+				.filter(slot => slot.series.size > 0 && slot.timestamp >= cutoffTime)
+				.map(slot => ({
+					timestamp: slot.timestamp,
+					series: Array.from(slot.series.values(), ({ dimensions, sketch }) => ({ dimensions, sketch: sketch.toJSON() }))
+				}))
+		};
+	}
+
+	/**
+	 * Load exported series - rolling slots land in the local slot of the same age, expired ones are dropped
+	 * @param {Object} state - exportState() result
+	 * @param {Object} [options] - { merge: false } replaces the current data
+	 */
+	importState(state, { merge = false } = {}) {
+		if (!merge) {
+			this.reset();
+		}
+
+		const now = Date.now();
+		this._rotateSlots(now);
+		this.resetTime = merge ? Math.min(this.resetTime, state.startTime ?? this.resetTime) : state.startTime ?? now;
+
+		for (const { timestamp, series } of state.slots || []) {
+			const age = Math.max(0, now - timestamp);
+			if (this.spanMs && age >= this.spanMs) {
+				continue;
+			}
+
+			const offset = this.spanMs ? Math.floor(age / this.bucketSize) : 0;
+			const slot = this.slots[(this.currentSlotIndex - offset + this.slotCount) % this.slotCount];
+			slot.timestamp = Math.max(slot.timestamp, timestamp);
+
+			for (const { dimensions, sketch } of series) {
+				this._getSlotSeries(slot, dimensions).sketch.merge(sketch);
+			}
+		}
+	}
+
+	/**
+	 * Clear all data from the window
+	 */
+	reset() {
+		this.slots.forEach(slot => {
+			slot.series = new Map();
+			slot.timestamp = 0;
+		});
+		this.currentSlotIndex = 0;
+		this.lastUpdateTime = Date.now();
+		this.resetTime = Date.now();
+	}
+
+	clear() {
+		this.reset();
+	}
+
+	/**
+	 * Get statistics about the window
+	 */
+	getStats() {
+		const series = this.getSeries();
+
+		return {
+			totalPoints: series.reduce((total, { sketch }) => total + sketch.count, 0),
+			series: series.length,
+			buckets: series.reduce((total, { sketch }) => total + sketch.buckets.size, 0),
+			timespan: this.spanMs ?? Date.now() - this.resetTime
+		};
+	}
+
+	/**
+	 * Series of a slot for the given dimensions, created on first use
+	 */
+	_getSlotSeries(slot, dimensions) {
+		const key = JSON.stringify([dimensions.domain, dimensions.method, dimensions.endpoint, dimensions.tags || []]);
+		if (!slot.series.has(key)) {
+			slot.series.set(key, { dimensions: { ...dimensions, type: 'timing' }, sketch: new DDSketch(this.sketchConfig) });
+		}
+
+		return slot.series.get(key);
+	}
+
+	/**
+	 * Rotate slots based on time elapsed (rolling windows only)
+	 */
+	_rotateSlots(currentTime) {
+		if (!this.spanMs) {
+			return;
+		}
+
+		const slotsToRotate = Math.floor((currentTime - this.lastUpdateTime) / this.bucketSize);
+		if (slotsToRotate > 0) {
+			for (let i = 0; i < Math.min(slotsToRotate, this.slotCount); i++) {
+				this.currentSlotIndex = (this.currentSlotIndex + 1) % this.slotCount;
+				this.slots[this.currentSlotIndex].series = new Map();
+				this.slots[this.currentSlotIndex].timestamp = currentTime;
+			}
+
+			this.lastUpdateTime = currentTime;
+		}
+	}
+
+}
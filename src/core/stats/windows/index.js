@@ -0,0 +1,63 @@
+/**
+ * Window factories - every module gets the same set of windows
+ */
+
+import { ROLLING_WINDOWS } from '../query/schemas.js';
+import { RollingWindow } from './rollingWindow.js';
+import { SinceResetWindow } from './sinceReset.js';
+import { SinceStartWindow } from './sinceStart.js';
+import { HistogramWindow } from './histogramWindow.js';
+
+/**
+ * Data point windows: since-start, since-reset and every rolling window
+ * @param {Object} [options]
+ * @param {string[]} [options.measures] - Numeric fields rolling windows aggregate as sum/min/max
+ * @param {Object} [options.rollingWindows] - Rolling window layouts by name (the registered ones by default)
+ */
+export function createWindows({ measures = [], rollingWindows = ROLLING_WINDOWS } = {}) {
+	const windows = {
+		'since-reset': new SinceResetWindow({ measures }),
+		'since-start': new SinceStartWindow({ measures })
+	};
+
+	for (const [name, { spanMs, bucketMs }] of Object.entries(rollingWindows)) {
+		windows[name] = new RollingWindow({ spanMs, bucketMs, measures });
+	}
+
+	return windows;
+}
+
+/**
+ * Histogram windows for durations, with the same names as createWindows()
+ * @param {Object} [sketch] - DDSketch options
+ * @param {Object} [rollingWindows] - Rolling window layouts by name (the registered ones by default)
+ */
+export function createHistogramWindows(sketch = {}, rollingWindows = ROLLING_WINDOWS) {
+	const windows = {
+		'since-reset': new HistogramWindow({ sketch }),
+		'since-start': new HistogramWindow({ sketch })
+	};
+
+	for (const [name, { spanMs, bucketMs }] of Object.entries(rollingWindows)) {
+		windows[name] = new HistogramWindow({ spanMs, bucketMs, sketch });
+	}
+
+	return windows;
+}
+
+/**
+ * Serializable state of every window, by name
+ */
+export function exportWindows(windows) {
+	return Object.fromEntries(Object.entries(windows).map(([name, window]) => [name, window.exportState()]));
+}
+
+/**
+ * Load exported window states - windows this process does not have are skipped
+ * @param {Object} [options] - { merge: false } replaces the current data
+ */
+export function importWindows(windows, states = {}, options = {}) {
+	for (const [name, state] of Object.entries(states)) {
+		windows[name]?.importState(state, options);
+	}
+}
@@ -0,0 +1,240 @@
+/**
+ * Rolling time window with per-bucket pre-aggregation
+ *
+ * Data points landing in the same bucket that differ only by id are stored once with a count.
+ * Measure fields (e.g. backoffMs) are left out of the comparison and kept as { sum, min, max },
+ * so memory grows with the number of distinct points per bucket, not with traffic.
+ */
+
+import { mergeMeasures } from '../query/schemas.js';
+
+// Fields that never take part in a pre-aggregated point's identity
+const POINT_META_FIELDS = ['id', 'timestamp', 'count', 'measures'];
+
+export class RollingWindow {
+
+	/**
+	 * @param {Object} config
+	 * @param {number} config.spanMs - Window span
+	 * @param {number} config.bucketMs - Bucket size (resolution of the window edge)
+	 * @param {string[]} [config.measures] - Numeric fields aggregated as sum/min/max
+	 */
+	constructor({ spanMs, bucketMs, measures = [] }) {
+		this.spanMs = spanMs;
+		this.bucketSize = bucketMs;
+		this.bucketCount = Math.ceil(spanMs / bucketMs);
+		this.measures = measures;
+		this.buckets = new Array(this.bucketCount).fill(null).map(() => ({
+			timestamp: 0,
+			points: new Map()
+		}));
+		this.currentBucketIndex = 0;
+		this.lastUpdateTime = Date.now();
+	}
+
+	/**
+	 * Add a data point to the current bucket
+	 */
+	add(dataPoint) {
+		const now = Date.now();
+		this._rotateBuckets(now);
+
+		const bucket = this.buckets[this.currentBucketIndex];
+		bucket.timestamp = now;
+
+		const point = aggregatePoint(bucket.points, dataPoint, this.measures);
+		point.timestamp = now;
+	}
+
+	/**
+	 * Aggregated data points within the window
+	 */
+	getData() {
+		const now = Date.now();
+		this._rotateBuckets(now);
+
+		const cutoffTime = now - this.spanMs;
+		const results = [];
+
+		for (const bucket of this.buckets) {
+			if (bucket.timestamp >= cutoffTime) {
+				results.push(...bucket.points.values());
+			}
+		}
+
+		return results;
+	}
+
+	/**
+	 * Get data points matching a filter function
+	 */
+	getFiltered(filterFn) {
+		return this.getData().filter(filterFn);
+	}
+
+	/**
+	 * Clear all data from the window
+	 */
+	clear() {
+		this.buckets.forEach(bucket => {
+			bucket.points = new Map();
+			bucket.timestamp = 0;
+		});
+		this.currentBucketIndex = 0;
+		this.lastUpdateTime = Date.now();
+	}
+
+	reset() {
+		this.clear();
+	}
+
+	/**
+	 * Serializable state: the live buckets with their timestamps
+	 */
+	exportState() {
+		const now = Date.now();
+		this._rotateBuckets(now);
+
+		return {
+			type: 'rolling',
+			spanMs: this.spanMs,
+			bucketMs: this.bucketSize,
+			buckets: this.buckets
+				.filter(bucket => bucket.points.size > 0 && bucket.timestamp >= now - this.spanMs)
+				.map(bucket => ({ timestamp: bucket.timestamp, points: Array.from(bucket.points.values(), copyPoint) }))
+		};
+	}
+
+	/**
+	 * Load exported buckets - each lands in the local bucket of the same age, expired ones are dropped
+	 * @param {Object} state - exportState() result
+	 * @param {Object} [options] - { merge: false } replaces the current data
+	 */
+	importState(state, { merge = false } = {}) {
+		if (!merge) {
+			this.clear();
+		}
+
+		const now = Date.now();
+		this._rotateBuckets(now);
+
+		for (const { timestamp, points } of state.buckets || []) {
+			const age = Math.max(0, now - timestamp);
+			if (age >= this.spanMs) {
+				continue;
+			}
+
+			const offset = Math.floor(age / this.bucketSize);
+			const bucket = this.buckets[(this.currentBucketIndex - offset + this.bucketCount) % this.bucketCount];
+			bucket.timestamp = Math.max(bucket.timestamp, timestamp);
+
+			for (const point of points) {
+				aggregatePoint(bucket.points, point, this.measures);
+			}
+		}
+	}
+
+	/**
+	 * Get statistics about the window
+	 */
+	getStats() {
+		const data = this.getData();
+
+		return {
+			totalPoints: data.reduce((total, point) => total + point.count, 0),
+			storedPoints: data.length,
+			timespan: this.spanMs,
+			bucketMs: this.bucketSize,
+			oldestPoint: data.length > 0 ? Math.min(...data.map(point => point.timestamp)) : null,
+			newestPoint: data.length > 0 ? Math.max(...data.map(point => point.timestamp)) : null
+		};
+	}
+
+	/**
+	 * Rotate buckets based on time elapsed
+	 */
+	_rotateBuckets(currentTime) {
+		const bucketsToRotate = Math.floor((currentTime - this.lastUpdateTime) / this.bucketSize);
+
+		if (bucketsToRotate > 0) {
+
+			// Clear old buckets and move to new position
+			for (let i = 0; i < Math.min(bucketsToRotate, this.bucketCount); i++) {
+				this.currentBucketIndex = (this.currentBucketIndex + 1) % this.bucketCount;
+				this.buckets[this.currentBucketIndex].points = new Map();
+				this.buckets[this.currentBucketIndex].timestamp = currentTime;
+			}
+
+			this.lastUpdateTime = currentTime;
+		}
+	}
+
+}
+
+/**
+ * Number of events a data point stands for (1 for raw points)
+ */
+export const pointCount = (point) => point.count ?? 1;
+
+/**
+ * Aggregate of a measure field - { count, sum, min, max } - for raw and pre-aggregated points
+ */
+export const pointMeasure = (point, field) => {
+	if (point.measures) {
+		return point.measures[field] || null;
+	}
+
+	const value = point[field];
+
+	return typeof value === 'number' ? { count: 1, sum: value, min: value, max: value } : null;
+};
+
+/**
+ * Fold a raw or pre-aggregated data point into a Map of pre-aggregated points
+ * Points are keyed by their fields minus id, timestamp and the measure fields
+ * @returns {Object} The pre-aggregated point the data point was added to
+ */
+export const aggregatePoint = (points, dataPoint, measures) => {
+	const fields = {};
+	for (const [field, value] of Object.entries(dataPoint)) {
+		if (!POINT_META_FIELDS.includes(field) && !measures.includes(field)) {
+			fields[field] = value;
+		}
+	}
+
+	const key = JSON.stringify(fields);
+	let point = points.get(key);
+	if (!point) {
+		point = { ...fields, count: 0, measures: {} };
+		points.set(key, point);
+	}
+
+	point.count += pointCount(dataPoint);
+	point.timestamp = Math.max(point.timestamp ?? 0, dataPoint.timestamp ?? 0);
+
+	for (const field of measures) {
+		const measure = pointMeasure(dataPoint, field);
+		if (measure) {
+			point.measures[field] = mergeMeasures(point.measures[field], measure);
+		}
+	}
+
+	return point;
+};
+
+/**
+ * Pre-aggregate a list of data points (e.g. for export)
+ */
+export const aggregatePoints = (dataPoints, measures) => {
+	const points = new Map();
+	for (const dataPoint of dataPoints) {
+		aggregatePoint(points, dataPoint, measures);
+	}
+
+	return Array.from(points.values());
+};
+
+const copyPoint = (point) => ({
+	...point,
+	measures: Object.fromEntries(Object.entries(point.measures).map(([field, measure]) => [field, { ...measure }]))
+});
@@ -3,11 +3,18 @@
  * Accumulates data from the last reset point until now
  */
 
+import { aggregatePoints } from './rollingWindow.js';
+
 export class SinceResetWindow {
 	
-	constructor() {
+	/**
+	 * @param {Object} [config]
+	 * @param {string[]} [config.measures] - Numeric fields aggregated as sum/min/max on export
+	 */
+	constructor({ measures = [] } = {}) {
 		this.data = [];
 		this.resetTime = Date.now();
+		this.measures = measures;
 	}
 
 	/**
@@ -49,6 +56,33 @@ export class SinceResetWindow {
 		return this.resetTime;
 	}
 
+	/**
+	 * Serializable state: the data points pre-aggregated, plus the window start
+	 */
+	exportState() {
+		return {
+			type: 'since-reset',
+			startTime: this.resetTime,
+			points: aggregatePoints(this.data, this.measures)
+		};
+	}
+
+	/**
+	 * Load exported points - merging keeps the earliest window start
+	 * @param {Object} state - exportState() result
+	 * @param {Object} [options] - { merge: false } replaces the current data
+	 */
+	importState(state, { merge = false } = {}) {
+		if (merge) {
+			this.resetTime = Math.min(this.resetTime, state.startTime ?? this.resetTime);
+		} else {
+			this.data = [];
+			this.resetTime = state.startTime ?? Date.now();
+		}
+
+		this.data = this.data.concat(state.points || []);
+	}
+
 	/**
 	 * Get statistics about the window
 	 */
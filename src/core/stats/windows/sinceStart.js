@@ -3,11 +3,18 @@
  * Accumulates data from process start until now
  */
 
+import { aggregatePoints } from './rollingWindow.js';
+
 export class SinceStartWindow {
 	
-	constructor() {
+	/**
+	 * @param {Object} [config]
+	 * @param {string[]} [config.measures] - Numeric fields aggregated as sum/min/max on export
+	 */
+	constructor({ measures = [] } = {}) {
 		this.data = [];
 		this.startTime = Date.now();
+		this.measures = measures;
 	}
 
 	/**
@@ -41,6 +48,33 @@ export class SinceStartWindow {
 		return this.startTime;
 	}
 
+	/**
+	 * Serializable state: the data points pre-aggregated, plus the window start
+	 */
+	exportState() {
+		return {
+			type: 'since-start',
+			startTime: this.startTime,
+			points: aggregatePoints(this.data, this.measures)
+		};
+	}
+
+	/**
+	 * Load exported points - merging keeps the earliest window start
+	 * @param {Object} state - exportState() result
+	 * @param {Object} [options] - { merge: false } replaces the current data
+	 */
+	importState(state, { merge = false } = {}) {
+		if (merge) {
+			this.startTime = Math.min(this.startTime, state.startTime ?? this.startTime);
+		} else {
+			this.data = [];
+			this.startTime = state.startTime ?? Date.now();
+		}
+
+		this.data = this.data.concat(state.points || []);
+	}
+
 	/**
 	 * Get statistics about the window
 	 */
@@ -0,0 +1,34 @@
+/**
+ * InMemorySpanExporter - Keep finished spans in memory (for tests and debugging)
+ */
+
+export class InMemorySpanExporter {
+
+	constructor() {
+		this.spans = [];
+		this.stopped = false;
+	}
+
+	export(spans) {
+		if (!this.stopped) {
+			this.spans.push(...spans);
+		}
+	}
+
+	/**
+	 * Finished spans in the order they ended
+	 */
+	getFinishedSpans() {
+		return [...this.spans];
+	}
+
+	reset() {
+		this.spans = [];
+	}
+
+	shutdown() {
+		this.stopped = true;
+		this.spans = [];
+	}
+
+}
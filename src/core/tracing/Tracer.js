@@ -0,0 +1,330 @@
+import {
+	TRACEPARENT_HEADER, TRACESTATE_HEADER, generateTraceId, generateSpanId, parseTraceparent, formatTraceparent, getHeader
+} from './traceContext.js';
+
+/**
+ * Tracer - OpenTelemetry-compatible spans with W3C trace context propagation
+ *
+ * Responsibility: Create spans for logical requests, retry attempts and hedges, inject
+ * traceparent/tracestate headers and hand finished spans to the configured exporter.
+ *
+ * Exporter interface: { export(spans): void | Promise<void>, shutdown?(): void | Promise<void> }
+ * Span data follows OpenTelemetry naming (traceId, spanId, parentSpanId, kind, attributes,
+ * events, status) so an exporter can forward it to the OTel SDK or any collector.
+ */
+
+export const SPAN_KIND = {
+	INTERNAL: 'internal',
+	CLIENT: 'client'
+};
+
+export const SPAN_STATUS = {
+	UNSET: 'UNSET',
+	OK: 'OK',
+	ERROR: 'ERROR'
+};
+
+function now() {
+	return performance.timeOrigin + performance.now();
+}
+
+export class Span {
+
+	constructor(tracer, { name, traceId, parentSpanId = null, sampled = true, traceState = null, kind = SPAN_KIND.CLIENT, attributes = {} }) {
+		this.tracer = tracer;
+		this.name = name;
+		this.traceId = traceId;
+		this.spanId = generateSpanId();
+		this.parentSpanId = parentSpanId;
+		this.sampled = sampled;
+		this.traceState = traceState;
+		this.kind = kind;
+		this.startTime = now();
+		this.endTime = null;
+		this.attributes = { ...attributes };
+		this.events = [];
+		this.status = { code: SPAN_STATUS.UNSET };
+	}
+
+	get ended() {
+		return this.endTime !== null;
+	}
+
+	/**
+	 * W3C traceparent header value for requests made under this span
+	 */
+	get traceparent() {
+		return formatTraceparent(this);
+	}
+
+	setAttribute(key, value) {
+		if (!this.ended && value !== undefined && value !== null) {
+			this.attributes[key] = value;
+		}
+
+		return this;
+	}
+
+	setAttributes(attributes) {
+		for (const [key, value] of Object.entries(attributes)) {
+			this.setAttribute(key, value);
+		}
+
+		return this;
+	}
+
+	addEvent(name, attributes = {}) {
+		if (!this.ended) {
+			this.events.push({ name, time: now(), attributes });
+		}
+
+		return this;
+	}
+
+	setStatus(code, message) {
+		if (!this.ended) {
+			this.status = message ? { code, message } : { code };
+		}
+
+		return this;
+	}
+
+	/**
+	 * Mark the span as failed
+	 * @param {Error} error - Error that ended the operation
+	 * @param {string} [errorType] - error.type attribute (defaults to error.code or error.name)
+	 */
+	recordError(error, errorType) {
+		this.setAttribute('error.type', errorType || error?.code || error?.name || 'Error');
+		if (error?.status) {
+			this.setAttribute('http.response.status_code', error.status);
+		}
+		this.addEvent('exception', {
+			'exception.type': error?.name || 'Error',
+			'exception.message': error?.message || String(error)
+		});
+
+		return this.setStatus(SPAN_STATUS.ERROR, error?.message);
+	}
+
+	end(endTime = now()) {
+		if (this.ended) {
+			return;
+		}
+
+		this.endTime = endTime;
+		this.tracer.onSpanEnd(this);
+	}
+
+	/**
+	 * Plain span data passed to exporters
+	 */
+	toJSON() {
+		return {
+			traceId: this.traceId,
+			spanId: this.spanId,
+			parentSpanId: this.parentSpanId,
+			traceState: this.traceState,
+			name: this.name,
+			kind: this.kind,
+			startTime: this.startTime,
+			endTime: this.endTime,
+			duration: this.endTime === null ? null : this.endTime - this.startTime,
+			attributes: { ...this.tracer.config.attributes, ...this.attributes },
+			events: this.events.map(event => ({ ...event })),
+			status: { ...this.status }
+		};
+	}
+
+}
+
+export class Tracer {
+
+	constructor(config = {}) {
+		const defaults = {
+			exporter: null, // { export(spans), shutdown? }
+			sampleRate: 1, // Share of new traces recorded (requests with a parent follow its sampled flag)
+			propagate: true, // Inject traceparent/tracestate headers
+			traceState: null, // tracestate header value for new traces
+			attributes: {}, // Attributes added to every span (e.g. service.name)
+			onExportError: null // (error) => void - exporter failures never fail requests
+		};
+
+		this.config = {
+			...defaults,
+			...(typeof config === 'object' && config !== null ? config : {})
+		};
+
+		this.validateConfig();
+	}
+
+	/**
+	 * Validate configuration
+	 */
+	validateConfig() {
+		const { exporter, sampleRate, onExportError } = this.config;
+
+		if (exporter !== null && typeof exporter?.export !== 'function') {
+			throw new Error('tracing exporter must have an export(spans) method');
+		}
+
+		if (typeof sampleRate !== 'number' || sampleRate < 0 || sampleRate > 1) {
+			throw new Error('tracing sampleRate must be between 0 and 1');
+		}
+
+		if (onExportError !== null && typeof onExportError !== 'function') {
+			throw new Error('tracing onExportError must be a function');
+		}
+	}
+
+	/**
+	 * Start a span
+	 * @param {string} name - Span name
+	 * @param {Object} [options] - { parent: Span | { traceId, spanId, sampled }, kind, attributes, traceState }
+	 * @returns {Span}
+	 */
+	startSpan(name, { parent = null, kind = SPAN_KIND.CLIENT, attributes = {}, traceState } = {}) {
+		if (parent) {
+			return new Span(this, {
+				name,
+				kind,
+				attributes,
+				traceId: parent.traceId,
+				parentSpanId: parent.spanId,
+				sampled: parent.sampled,
+				traceState: traceState ?? parent.traceState ?? null
+			});
+		}
+
+		return new Span(this, {
+			name,
+			kind,
+			attributes,
+			traceId: generateTraceId(),
+			sampled: Math.random() < this.config.sampleRate,
+			traceState: traceState ?? this.config.traceState
+		});
+	}
+
+	/**
+	 * Start the span of a logical request - continues the trace of an incoming traceparent header
+	 */
+	startRequestSpan(req, requestId) {
+		const method = (req.method || 'GET').toUpperCase();
+		const parent = parseTraceparent(getHeader(req.headers, TRACEPARENT_HEADER));
+
+		return this.startSpan(`HTTP ${method}`, {
+			parent,
+			kind: SPAN_KIND.INTERNAL,
+			traceState: parent ? (getHeader(req.headers, TRACESTATE_HEADER) ?? null) : undefined,
+			attributes: {
+				'http.request.method': method,
+				'url.full': this.resolveUrl(req),
+				'luminara.request_id': requestId
+			}
+		});
+	}
+
+	/**
+	 * Start the span of one network attempt of a request
+	 */
+	startAttemptSpan(requestSpan, req, { requestId, attempt, backoffMs = 0 }) {
+		const method = (req.method || 'GET').toUpperCase();
+		const span = this.startSpan(`HTTP ${method}`, {
+			parent: requestSpan,
+			kind: SPAN_KIND.CLIENT,
+			attributes: {
+				'http.request.method': method,
+				'url.full': this.resolveUrl(req),
+				'luminara.request_id': requestId,
+				'luminara.attempt': attempt
+			}
+		});
+
+		if (attempt > 1) {
+			span.setAttributes({
+				'http.request.resend_count': attempt - 1,
+				'luminara.retry.backoff_ms': backoffMs
+			});
+		}
+
+		return span;
+	}
+
+	/**
+	 * Headers with traceparent/tracestate for the given span (existing trace headers are replaced)
+	 */
+	inject(headers = {}, span) {
+		if (!this.config.propagate) {
+			return headers;
+		}
+
+		const result = {};
+		for (const [name, value] of Object.entries(headers)) {
+			const key = name.toLowerCase();
+			if (key !== TRACEPARENT_HEADER && key !== TRACESTATE_HEADER) {
+				result[name] = value;
+			}
+		}
+
+		result[TRACEPARENT_HEADER] = span.traceparent;
+		if (span.traceState) {
+			result[TRACESTATE_HEADER] = span.traceState;
+		}
+
+		return result;
+	}
+
+	/**
+	 * End a span with the outcome of a request or attempt
+	 * @param {Span} span
+	 * @param {Object} outcome - { response, error, errorType }
+	 */
+	endSpan(span, { response = null, error = null, errorType } = {}) {
+		if (error) {
+			span.recordError(error, errorType);
+		} else if (response) {
+			span.setAttribute('http.response.status_code', response.status);
+		}
+
+		span.end();
+	}
+
+	onSpanEnd(span) {
+		const { exporter } = this.config;
+		if (!exporter || !span.sampled) {
+			return;
+		}
+
+		try {
+			const result = exporter.export([span.toJSON()]);
+			if (result && typeof result.catch === 'function') {
+				result.catch(error => this.handleExportError(error));
+			}
+		} catch (error) {
+			this.handleExportError(error);
+		}
+	}
+
+	handleExportError(error) {
+		if (this.config.onExportError) {
+			this.config.onExportError(error);
+		}
+	}
+
+	/**
+	 * Flush and close the exporter
+	 */
+	async shutdown() {
+		await this.config.exporter?.shutdown?.();
+	}
+
+	resolveUrl(req) {
+		try {
+			return new URL(req.url, req.baseURL || undefined).href;
+		} catch {
+			return req.url;
+		}
+	}
+
+}
@@ -0,0 +1,83 @@
+/**
+ * W3C Trace Context - traceparent/tracestate parsing, formatting and id generation
+ *
+ * traceparent: {version}-{trace-id}-{parent-id}-{trace-flags}
+ * e.g. 00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01
+ */
+
+export const TRACEPARENT_HEADER = 'traceparent';
+export const TRACESTATE_HEADER = 'tracestate';
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const SAMPLED_FLAG = 0x01;
+
+function randomHex(bytes) {
+	const values = new Uint8Array(bytes);
+	if (globalThis.crypto?.getRandomValues) {
+		globalThis.crypto.getRandomValues(values);
+	} else {
+		for (let i = 0; i < bytes; i++) {
+			values[i] = Math.floor(Math.random() * 256);
+		}
+	}
+
+	return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+export function generateTraceId() {
+	const traceId = randomHex(16);
+
+	return traceId === INVALID_TRACE_ID ? generateTraceId() : traceId;
+}
+
+export function generateSpanId() {
+	const spanId = randomHex(8);
+
+	return spanId === INVALID_SPAN_ID ? generateSpanId() : spanId;
+}
+
+/**
+ * Parse a traceparent header
+ * @returns {Object|null} { traceId, spanId, sampled } or null if invalid
+ */
+export function parseTraceparent(header) {
+	if (typeof header !== 'string') {
+		return null;
+	}
+
+	const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+	if (!match) {
+		return null;
+	}
+
+	const [, version, traceId, spanId, flags, rest] = match;
+
+	// Version ff is invalid, version 00 has no extra fields
+	if (version === 'ff' || (version === '00' && rest !== undefined)) {
+		return null;
+	}
+	if (traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) {
+		return null;
+	}
+
+	return { traceId, spanId, sampled: (parseInt(flags, 16) & SAMPLED_FLAG) === SAMPLED_FLAG };
+}
+
+export function formatTraceparent({ traceId, spanId, sampled }) {
+	return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * Find a header value by name (case-insensitive)
+ */
+export function getHeader(headers, name) {
+	if (!headers) {
+		return undefined;
+	}
+
+	const key = Object.keys(headers).find(headerName => headerName.toLowerCase() === name);
+
+	return key === undefined ? undefined : headers[key];
+}
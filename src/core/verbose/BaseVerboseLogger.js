@@ -221,6 +221,7 @@ function getCategoryEmoji(category) {
 		'RATELIMIT': '🚦',
 		'URL': '🔗',
 		'CONFIG': '⚙️',
+		'CACHE': '💾',
 		'LIFECYCLE': '♻️'
 	};
 
@@ -0,0 +1,194 @@
+/**
+ * Cassette - serialized request/response pairs for record-and-replay
+ *
+ * File format (JSON):
+ * {
+ *   version: 1,
+ *   interactions: [{
+ *     request: { method, url, headers, body },
+ *     response: { status, statusText, headers, body }, // body is base64
+ *     recordedAt
+ *   }]
+ * }
+ *
+ * Secrets are redacted before anything is written. Redacted values are replaced by
+ * REDACTED on both sides of a comparison, so they never affect matching.
+ */
+
+export const CASSETTE_VERSION = 1;
+export const REDACTED = '[REDACTED]';
+
+export const DEFAULT_REDACT_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+
+// Trace context headers differ on every request and are never compared
+export const TRACE_HEADERS = ['traceparent', 'tracestate'];
+
+// Statuses that must not carry a response body
+export const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+/**
+ * Encode bytes as base64 (works in browsers and Node.js)
+ */
+export function encodeBytes(bytes) {
+	let binary = '';
+	const chunkSize = 0x8000;
+	for (let i = 0; i < bytes.length; i += chunkSize) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+	}
+
+	return btoa(binary);
+}
+
+export function decodeBytes(base64) {
+	const binary = atob(base64);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+
+	return bytes;
+}
+
+/**
+ * Create the matcher and redaction rules for a cassette
+ * @param {Object} options - Cassette options
+ * @returns {Object} { serializeRequest, redactResponseHeaders, matches }
+ */
+export function createRules(options = {}) {
+	const {
+		ignoreHeaders = [],
+		ignoreQuery = [],
+		normalizeQuery = true,
+		matchBody = true,
+		redactHeaders = DEFAULT_REDACT_HEADERS,
+		redactQuery = [],
+		match = null
+	} = options;
+
+	const ignoredHeaders = new Set([...TRACE_HEADERS, ...ignoreHeaders.map(name => name.toLowerCase())]);
+	const ignoredQuery = new Set(ignoreQuery);
+	const redactedHeaders = new Set(redactHeaders.map(name => name.toLowerCase()));
+	const redactedQuery = new Set(redactQuery);
+
+	function redactHeaderValues(headers = {}) {
+		const result = {};
+		for (const [name, value] of Object.entries(headers)) {
+			const key = name.toLowerCase();
+			result[key] = redactedHeaders.has(key) ? REDACTED : String(value);
+		}
+
+		return result;
+	}
+
+	function redactUrl(url) {
+		const parsedUrl = new URL(url);
+		for (const name of redactedQuery) {
+			if (parsedUrl.searchParams.has(name)) {
+				parsedUrl.searchParams.set(name, REDACTED);
+			}
+		}
+
+		return parsedUrl.href;
+	}
+
+	/**
+	 * Redacted request as stored in the cassette
+	 */
+	async function serializeRequest(url, fetchOptions = {}) {
+		let body = fetchOptions.body ?? null;
+		if (body !== null && typeof body !== 'string') {
+
+			// URLSearchParams, FormData, Blob, bytes... - multipart boundaries differ per request, use matchBody: false
+			// (stream bodies are buffered by the driver first, reading one here would leave nothing to send)
+			body = await new Response(body).text();
+		}
+
+		return {
+			method: (fetchOptions.method || 'GET').toUpperCase(),
+			url: redactUrl(url),
+			headers: redactHeaderValues(fetchOptions.headers),
+			body
+		};
+	}
+
+	/**
+	 * Comparable form of a serialized request
+	 */
+	function normalize(request) {
+		const parsedUrl = new URL(request.url);
+		for (const name of ignoredQuery) {
+			parsedUrl.searchParams.delete(name);
+		}
+		if (normalizeQuery) {
+			parsedUrl.searchParams.sort();
+		}
+
+		const headers = Object.entries(request.headers)
+			.filter(([name]) => !ignoredHeaders.has(name))
+			.sort(([a], [b]) => a.localeCompare(b));
+
+		return JSON.stringify([request.method, parsedUrl.href, headers, matchBody ? request.body : null]);
+	}
+
+	function matches(request, recordedRequest) {
+		if (match) {
+			return match(request, recordedRequest);
+		}
+
+		return normalize(request) === normalize(recordedRequest);
+	}
+
+	return { serializeRequest, redactResponseHeaders: redactHeaderValues, matches };
+}
+
+/**
+ * Rebuild a fetch Response from a recorded response
+ */
+export function buildResponse(recorded) {
+	const body = NULL_BODY_STATUSES.has(recorded.status) ? null : decodeBytes(recorded.body || '');
+
+	return new Response(body, {
+		status: recorded.status,
+		statusText: recorded.statusText,
+		headers: new Headers(recorded.headers)
+	});
+}
+
+/**
+ * Load a cassette file (missing file → empty cassette)
+ */
+export function loadCassette(fs, path) {
+	try {
+		const cassette = JSON.parse(fs.readFileSync(path, 'utf8'));
+		if (!Array.isArray(cassette.interactions)) {
+			throw new Error(`Invalid cassette file: ${path}`);
+		}
+
+		return cassette;
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return { version: CASSETTE_VERSION, interactions: [] };
+		}
+		throw error;
+	}
+}
+
+/**
+ * Write a cassette file - asynchronously when the fs module has promises (node:fs does)
+ */
+export async function saveCassette(fs, path, cassette) {
+
+	// Write then rename so a crashed test run never leaves a partial cassette
+	const tempPath = `${path}.${globalThis.process?.pid ?? 0}.tmp`;
+	const contents = `${JSON.stringify(cassette, null, 2)}\n`;
+
+	if (fs.promises) {
+		await fs.promises.writeFile(tempPath, contents);
+		await fs.promises.rename(tempPath, path);
+
+		return;
+	}
+
+	fs.writeFileSync(tempPath, contents);
+	fs.renameSync(tempPath, path);
+}
@@ -0,0 +1,273 @@
+import { NativeFetchDriver } from '../native/index.js';
+import {
+	CASSETTE_VERSION, createRules, encodeBytes, buildResponse, loadCassette, saveCassette
+} from './cassette.js';
+
+export const CASSETTE_MODES = ['record', 'replay', 'record-missing', 'passthrough'];
+
+/**
+ * Cassette Driver for Luminara
+ *
+ * Record-and-replay wrapper around the native driver. Exchanges are recorded from the
+ * network into a JSON cassette file once, then replayed without any server. Like MockDriver,
+ * only fetch is replaced, so retry, timeouts, hedging, plugins and stats run unchanged.
+ *
+ * Modes:
+ * - record: send every request and overwrite the cassette with the new exchanges
+ * - replay: answer from the cassette only, unmatched requests fail
+ * - record-missing: replay matches, send and record everything else
+ * - passthrough: send every request, the cassette is not used
+ *
+ * Recorded response bodies reach the caller as they arrive and are stored once they end,
+ * also when the caller stops reading early or never reads them.
+ * The file is written asynchronously - await flushCassette() before reading it (it also waits
+ * for bodies still being recorded, so abort open streams first).
+ *
+ * Supported options (plus every NativeFetchDriver option):
+ * - cassette.path: string - Cassette file (required unless mode is passthrough)
+ * - cassette.mode: string - Mode (default 'replay')
+ * - cassette.ignoreHeaders: string[] - Request headers not compared when matching (traceparent and tracestate never are)
+ * - cassette.ignoreQuery: string[] - Query params not compared when matching
+ * - cassette.normalizeQuery: boolean - Compare query params in any order (default true)
+ * - cassette.matchBody: boolean - Compare request bodies (default true)
+ * - cassette.match: function - (request, recordedRequest) => boolean, replaces the rules above
+ * - cassette.redactHeaders: string[] - Request/response headers stored as [REDACTED]
+ *   (default authorization, proxy-authorization, cookie, set-cookie, x-api-key)
+ * - cassette.redactQuery: string[] - Query params stored as [REDACTED]
+ * - cassette.fs: object - fs module (defaults to node:fs)
+ * - fetch: function - fetch used for recording (default globalThis.fetch)
+ *
+ * @param {object} config - Default options for all requests
+ * @returns {object} Driver interface with cassette stats
+ */
+export function CassetteDriver(config = {}) {
+	const { cassette: cassetteOptions = {}, fetch: networkFetch = globalThis.fetch, ...driverConfig } = config;
+	const { path = null, mode = 'replay', fs = null } = cassetteOptions;
+
+	if (!CASSETTE_MODES.includes(mode)) {
+		throw new Error(`Invalid cassette mode: ${mode} (expected ${CASSETTE_MODES.join(', ')})`);
+	}
+
+	const fileSystem = fs ?? globalThis.process?.getBuiltinModule?.('node:fs') ?? null;
+	if (mode !== 'passthrough') {
+		if (!path || typeof path !== 'string') {
+			throw new Error('CassetteDriver requires cassette.path');
+		}
+		if (!fileSystem) {
+			throw new Error('CassetteDriver requires the cassette.fs option in this runtime (import fs from \'node:fs\')');
+		}
+	}
+
+	const rules = createRules(cassetteOptions);
+	const stats = { recorded: 0, replayed: 0, passthrough: 0, missing: 0 };
+
+	// Record mode starts a fresh cassette - the file is replaced on the first recording
+	let cassette = null;
+	const usedInteractions = new Set();
+
+	function getCassette() {
+		if (!cassette) {
+			cassette = mode === 'record'
+				? { version: CASSETTE_VERSION, interactions: [] }
+				: loadCassette(fileSystem, path);
+		}
+
+		return cassette;
+	}
+
+	/**
+	 * Next unused matching interaction, in recorded order (the last match repeats)
+	 */
+	function findInteraction(request) {
+		const { interactions } = getCassette();
+		let lastMatch = null;
+		for (const interaction of interactions) {
+			if (!rules.matches(request, interaction.request)) {
+				continue;
+			}
+			if (!usedInteractions.has(interaction)) {
+				usedInteractions.add(interaction);
+
+				return interaction;
+			}
+			lastMatch = interaction;
+		}
+
+		return lastMatch;
+	}
+
+	// Writes are async and coalesced - interactions recorded during a write share the next one
+	const recording = new Set(); // Response bodies still being read for the cassette
+	let writing = Promise.resolve();
+	let writeQueued = false;
+
+	function scheduleWrite() {
+		if (writeQueued) {
+			return;
+		}
+
+		writeQueued = true;
+		writing = writing
+			.then(() => {
+				writeQueued = false;
+
+				return saveCassette(fileSystem, path, getCassette());
+			})
+			.catch(error => console.warn('Error in cassette write:', error));
+	}
+
+	async function record(request, url, fetchOptions) {
+		const response = await networkFetch(url, fetchOptions);
+		const recordedAt = new Date().toISOString();
+		const addInteraction = (bytes) => {
+			const interaction = {
+				request,
+				response: {
+					status: response.status,
+					statusText: response.statusText,
+					headers: rules.redactResponseHeaders(Object.fromEntries(response.headers)),
+					body: encodeBytes(bytes)
+				},
+				recordedAt
+			};
+
+			getCassette().interactions.push(interaction);
+			usedInteractions.add(interaction);
+			stats.recorded++;
+			scheduleWrite();
+		};
+
+		if (!response.body) {
+			addInteraction(new Uint8Array(0));
+
+			return response;
+		}
+
+		// The caller reads the body as it arrives (event streams, NDJSON) - it is recorded once it ends
+		const { body, done } = recordBody(response.body, addInteraction);
+		const pending = done.finally(() => recording.delete(pending));
+		recording.add(pending);
+
+		return new Response(body, {
+			status: response.status,
+			statusText: response.statusText,
+			headers: response.headers
+		});
+	}
+
+	async function cassetteFetch(url, fetchOptions = {}) {
+		if (mode === 'passthrough') {
+			stats.passthrough++;
+
+			return networkFetch(url, fetchOptions);
+		}
+
+		// A stream body can be read only once - buffer it so it is both matched and sent
+		if (typeof ReadableStream !== 'undefined' && fetchOptions.body instanceof ReadableStream) {
+			fetchOptions = { ...fetchOptions, body: new Uint8Array(await new Response(fetchOptions.body).arrayBuffer()) };
+		}
+
+		const request = await rules.serializeRequest(url, fetchOptions);
+
+		if (mode !== 'record') {
+			const interaction = findInteraction(request);
+			if (interaction) {
+				stats.replayed++;
+
+				return buildResponse(interaction.response);
+			}
+		}
+
+		if (mode === 'replay') {
+			stats.missing++;
+			throw new Error(`No cassette interaction for ${request.method} ${request.url} (cassette: ${path})`);
+		}
+
+		return record(request, url, fetchOptions);
+	}
+
+	const driver = NativeFetchDriver({ ...driverConfig, fetch: cassetteFetch });
+
+	return {
+		...driver,
+
+		/**
+		 * Resolves once every response body being recorded has ended and the cassette file is written
+		 */
+		async flushCassette() {
+			await Promise.all(recording);
+
+			return writing;
+		},
+
+		getCassetteStats() {
+			return {
+				mode,
+				path,
+				interactions: mode === 'passthrough' ? 0 : getCassette().interactions.length,
+				...stats
+			};
+		}
+	};
+}
+
+/**
+ * Read a response body to the end for the cassette and pass its chunks on to the caller
+ * The body is read whether or not the caller reads its copy (an unread body or a loop left
+ * early is still recorded in full); bodies that are aborted or fail are not recorded
+ *
+ * @returns {{ body: ReadableStream, done: Promise<void> }} Caller's body and the end of recording
+ */
+function recordBody(source, onEnd) {
+	let controller;
+	let callerReading = true;
+	const body = new ReadableStream({
+		start(streamController) {
+			controller = streamController;
+		},
+		cancel() {
+			callerReading = false;
+		}
+	});
+
+	const done = (async () => {
+		const reader = source.getReader();
+		const chunks = [];
+		let length = 0;
+
+		try {
+			while (true) {
+				const chunk = await reader.read();
+				if (chunk.done) {
+					break;
+				}
+
+				chunks.push(chunk.value);
+				length += chunk.value.length;
+				if (callerReading) {
+					controller.enqueue(chunk.value);
+				}
+			}
+		} catch (error) {
+			if (callerReading) {
+				controller.error(error);
+			}
+
+			return;
+		}
+
+		if (callerReading) {
+			controller.close();
+		}
+
+		const bytes = new Uint8Array(length);
+		let offset = 0;
+		for (const chunk of chunks) {
+			bytes.set(chunk, offset);
+			offset += chunk.length;
+		}
+		onEnd(bytes);
+	})();
+
+	return { body, done };
+}
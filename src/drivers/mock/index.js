@@ -0,0 +1,179 @@
+import { NativeFetchDriver } from '../native/index.js';
+import { createMatcher, buildResponse, describeRequest } from './router.js';
+
+/**
+ * Mock Driver for Luminara
+ *
+ * Deterministic, offline driver for tests. It is the native driver with fetch replaced by
+ * an in-memory router, so timeouts, hedging, retry policy, error handling, response
+ * parsing, plugins and stats all run exactly as in production.
+ *
+ * Supported options (plus every NativeFetchDriver option):
+ * - latency: number|[min, max] - Simulated latency in ms for every route (default 0)
+ *
+ * Route responses:
+ * - object: { status, statusText, headers, data, body, delay, error }
+ *   - data: object (sent as JSON) or string (sent as text)
+ *   - body: raw body (string, Blob, ArrayBuffer, ...) sent as is
+ *   - delay: latency in ms for this response (overrides `latency`)
+ *   - error: 'network' (fetch failed), 'timeout' (never responds until aborted) or an Error
+ * - function: (request) => response object (sync or async) - request has params, query, body
+ * - array: status sequence, one entry per call - the last entry repeats
+ *
+ * @param {object} config - Default options for all requests
+ * @returns {object} Driver interface with route registration and recorded calls
+ */
+export function MockDriver(config = {}) {
+	const { latency = 0, ...driverConfig } = config;
+	const routes = [];
+	const calls = [];
+
+	function getDelay(definition) {
+		if (definition.delay !== undefined) {
+			return definition.delay;
+		}
+		if (Array.isArray(latency)) {
+			const [min, max] = latency;
+
+			return min + Math.random() * (max - min);
+		}
+
+		return latency;
+	}
+
+	/**
+	 * Wait for ms (forever when ms is Infinity), rejecting like fetch when the signal aborts
+	 */
+	function wait(ms, signal) {
+		return new Promise((resolve, reject) => {
+			if (signal?.aborted) {
+				reject(signal.reason);
+
+				return;
+			}
+
+			const timeoutId = Number.isFinite(ms) ? setTimeout(() => {
+				signal?.removeEventListener('abort', onAbort);
+				resolve();
+			}, ms) : null;
+
+			function onAbort() {
+				clearTimeout(timeoutId);
+				reject(signal.reason);
+			}
+
+			signal?.addEventListener('abort', onAbort, { once: true });
+		});
+	}
+
+	async function mockFetch(url, options = {}) {
+		const request = describeRequest(url, options);
+
+		let route = null;
+		let params = null;
+		for (const candidate of routes) {
+			params = candidate.match(request);
+			if (params) {
+				route = candidate;
+				break;
+			}
+		}
+
+		const call = { ...request, params: params ?? {}, route: route?.pattern ?? null, timestamp: Date.now() };
+		calls.push(call);
+
+		if (!route) {
+			throw new Error(`No mock route for ${request.method} ${request.url}`);
+		}
+
+		// Sequences advance once per call and then stay on the last entry
+		let definition = route.responses[Math.min(route.index, route.responses.length - 1)];
+		route.index++;
+		if (typeof definition === 'function') {
+			definition = await definition({ ...request, params: call.params });
+		}
+		definition = definition ?? {};
+
+		if (definition.error === 'timeout') {
+			await wait(Infinity, options.signal);
+		}
+
+		const delay = getDelay(definition);
+		if (delay > 0) {
+			await wait(delay, options.signal);
+		}
+
+		if (definition.error === 'network') {
+			throw new TypeError('fetch failed');
+		}
+		if (definition.error instanceof Error) {
+			throw definition.error;
+		}
+
+		return buildResponse(definition);
+	}
+
+	const driver = NativeFetchDriver({ ...driverConfig, fetch: mockFetch });
+
+	const mock = {
+		...driver,
+
+		/**
+		 * Register a route
+		 * @param {string} method - HTTP method or '*' for any method
+		 * @param {string|RegExp|Function} pattern - URL pattern
+		 * @param {Object|Function|Array} response - Response, response factory or sequence
+		 * @returns {object} The mock driver (chainable)
+		 */
+		on(method, pattern, response) {
+			const responses = Array.isArray(response) ? response : [response];
+			if (responses.length === 0 || responses.some(entry => !entry || !['object', 'function'].includes(typeof entry))) {
+				throw new Error('Mock response must be an object, a function or a non-empty array of them');
+			}
+
+			routes.push({ pattern, match: createMatcher(method, pattern), responses, index: 0 });
+
+			return mock;
+		},
+
+		get: (pattern, response) => mock.on('GET', pattern, response),
+		post: (pattern, response) => mock.on('POST', pattern, response),
+		put: (pattern, response) => mock.on('PUT', pattern, response),
+		patch: (pattern, response) => mock.on('PATCH', pattern, response),
+		delete: (pattern, response) => mock.on('DELETE', pattern, response),
+		head: (pattern, response) => mock.on('HEAD', pattern, response),
+		options: (pattern, response) => mock.on('OPTIONS', pattern, response),
+		query: (pattern, response) => mock.on('QUERY', pattern, response),
+		any: (pattern, response) => mock.on('*', pattern, response),
+
+		// Every fetch call in order, including hedged requests and retries
+		calls,
+
+		/**
+		 * Recorded calls, optionally filtered by method and URL pattern
+		 * @param {string} [method] - HTTP method or '*'
+		 * @param {string|RegExp|Function} [pattern] - URL pattern
+		 * @returns {Array} Matching calls
+		 */
+		getCalls(method = '*', pattern = null) {
+			if (pattern === null) {
+				return calls.filter(call => method === '*' || call.method === method.toUpperCase());
+			}
+			const match = createMatcher(method, pattern);
+
+			return calls.filter(call => match(call) !== null);
+		},
+
+		clearCalls() {
+			calls.length = 0;
+		},
+
+		// Remove all routes and recorded calls
+		reset() {
+			routes.length = 0;
+			calls.length = 0;
+		}
+	};
+
+	return mock;
+}
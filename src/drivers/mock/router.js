@@ -0,0 +1,145 @@
+/**
+ * Mock Router - route matching and response building for MockDriver
+ *
+ * Routes match by method plus a URL pattern:
+ * - string: path with `:param` segments and `*` wildcards ('/users/:id', '/files/*'),
+ *   matched against the pathname, or against origin + pathname when it starts with http(s)://
+ * - RegExp: tested against the full URL
+ * - function: (request) => boolean
+ */
+
+// Statuses that must not carry a response body
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+/**
+ * Compile a string pattern into a RegExp with named params
+ */
+function compilePath(pattern) {
+	const paramNames = [];
+	const source = pattern
+		.split('*')
+		.map(part => part
+			.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+			.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (match, name) => {
+				paramNames.push(name);
+
+				return '([^/]+)';
+			}))
+		.join('.*');
+
+	return { regex: new RegExp(`^${source}/?$`), paramNames };
+}
+
+/**
+ * Create a route matcher
+ * @param {string} method - HTTP method or '*' for any method
+ * @param {string|RegExp|Function} pattern - URL pattern
+ * @returns {Function} (request) => params object, or null when the route does not match
+ */
+export function createMatcher(method, pattern) {
+	const expectedMethod = method.toUpperCase();
+	const methodMatches = (request) => expectedMethod === '*' || expectedMethod === request.method;
+
+	if (typeof pattern === 'function') {
+		return (request) => (methodMatches(request) && pattern(request) ? {} : null);
+	}
+
+	if (pattern instanceof RegExp) {
+		return (request) => {
+			if (!methodMatches(request)) {
+				return null;
+			}
+			const match = pattern.exec(request.url);
+
+			return match ? { ...match.groups } : null;
+		};
+	}
+
+	if (typeof pattern !== 'string') {
+		throw new Error('Mock route pattern must be a string, RegExp or function');
+	}
+
+	const isAbsolute = /^https?:\/\//i.test(pattern);
+	const { regex, paramNames } = compilePath(pattern);
+
+	return (request) => {
+		if (!methodMatches(request)) {
+			return null;
+		}
+		const target = isAbsolute ? `${request.origin}${request.path}` : request.path;
+		const match = regex.exec(target);
+		if (!match) {
+			return null;
+		}
+
+		const params = {};
+		paramNames.forEach((name, index) => {
+			params[name] = decodeURIComponent(match[index + 1]);
+		});
+
+		return params;
+	};
+}
+
+/**
+ * Build a fetch Response from a mock response definition
+ * @param {Object} definition - { status, statusText, headers, data, body }
+ * @returns {Response} Fetch Response
+ */
+export function buildResponse(definition) {
+	const { status = 200, statusText = '', headers = {}, data, body } = definition;
+	const responseHeaders = new Headers(headers);
+
+	let responseBody = body ?? null;
+	if (responseBody === null && data !== undefined) {
+		if (typeof data === 'string') {
+			responseBody = data;
+			if (!responseHeaders.has('content-type')) {
+				responseHeaders.set('content-type', 'text/plain');
+			}
+		} else {
+			responseBody = JSON.stringify(data);
+			if (!responseHeaders.has('content-type')) {
+				responseHeaders.set('content-type', 'application/json');
+			}
+		}
+	}
+
+	if (NULL_BODY_STATUSES.has(status)) {
+		responseBody = null;
+	}
+
+	return new Response(responseBody, { status, statusText, headers: responseHeaders });
+}
+
+/**
+ * Describe an outgoing fetch call for matching and call recording
+ * @param {string} url - Full request URL
+ * @param {Object} options - fetch options
+ * @returns {Object} { method, url, origin, path, query, headers, body }
+ */
+export function describeRequest(url, options = {}) {
+	const parsedUrl = new URL(url);
+	const headers = { ...(options.headers || {}) };
+	const contentType = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+
+	let body = options.body;
+	if (typeof body === 'string' && contentType && /json/i.test(headers[contentType])) {
+		try {
+			body = JSON.parse(body);
+		} catch {
+
+			// Keep the raw string
+		}
+	}
+
+	return {
+		method: (options.method || 'GET').toUpperCase(),
+		url: parsedUrl.href,
+		origin: parsedUrl.origin,
+		path: parsedUrl.pathname,
+		query: Object.fromEntries(parsedUrl.searchParams),
+		headers,
+		body
+	};
+}
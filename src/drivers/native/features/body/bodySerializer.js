@@ -0,0 +1,78 @@
+/**
+ * Request body serialization
+ * Maps every fetch BodyInit type to the body sent and a default Content-Type; other values are sent as JSON
+ */
+
+const OCTET_STREAM = 'application/octet-stream';
+
+function isBlob(body) {
+	return typeof Blob !== 'undefined' && body instanceof Blob;
+}
+
+function isFormData(body) {
+	return typeof FormData !== 'undefined' && body instanceof FormData;
+}
+
+function isReadableStream(body) {
+	return typeof ReadableStream !== 'undefined' && body instanceof ReadableStream;
+}
+
+/**
+ * Serialize a request body for fetch
+ *
+ * @param {*} body - BodyInit (string, URLSearchParams, FormData, Blob, ArrayBuffer, typed array, DataView, ReadableStream) or a JSON value
+ * @returns {{ body: *, contentType: string|null, stream: boolean }} Body to send, Content-Type for when none is set, whether it is a stream
+ */
+export function serializeBody(body) {
+
+	// fetch derives text/plain, form-urlencoded and multipart (with its boundary) itself
+	if (typeof body === 'string' || body instanceof URLSearchParams || isFormData(body)) {
+		return { body, contentType: null, stream: false };
+	}
+
+	if (isBlob(body)) {
+		return { body, contentType: body.type ? null : OCTET_STREAM, stream: false };
+	}
+
+	if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+		return { body, contentType: OCTET_STREAM, stream: false };
+	}
+
+	if (isReadableStream(body)) {
+		return { body, contentType: OCTET_STREAM, stream: true };
+	}
+
+	return { body: JSON.stringify(body), contentType: 'application/json', stream: false };
+}
+
+/**
+ * Whether a request sends its body - fetch refuses bodies on GET and HEAD
+ *
+ * @param {string} [method] - Request method (GET when missing)
+ * @param {*} body - Request body as passed to the client
+ * @returns {boolean} True when the body goes on the wire
+ */
+export function sendsBody(method = 'GET', body) {
+	return body !== undefined && !['GET', 'HEAD'].includes(method.toUpperCase());
+}
+
+/**
+ * Body for one send - a body factory is called for every attempt and hedge
+ *
+ * @param {*|Function} body - Body or () => body (may return a promise)
+ * @returns {Promise<*>} Body to serialize
+ */
+export async function resolveBody(body) {
+	return typeof body === 'function' ? await body() : body;
+}
+
+/**
+ * Whether a body can be sent more than once (retries, hedges, plugin replays)
+ * A ReadableStream is consumed by its first send - pass a factory returning a new stream instead
+ *
+ * @param {*|Function} body - Request body as passed to the client
+ * @returns {boolean} False for ReadableStream bodies
+ */
+export function isReplayableBody(body) {
+	return !isReadableStream(body);
+}
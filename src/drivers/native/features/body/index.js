@@ -0,0 +1,6 @@
+/**
+ * Body feature module
+ * Exports request body serialization and replay checks
+ */
+
+export { serializeBody, resolveBody, isReplayableBody, sendsBody } from './bodySerializer.js';
@@ -0,0 +1,109 @@
+/**
+ * Cache-Control utilities
+ * Parses caching headers and computes freshness lifetimes (RFC 9111)
+ */
+
+/**
+ * Read a header value from a plain headers object or a Headers instance (case-insensitive)
+ * @param {Object|Headers} headers - Request or response headers
+ * @param {string} name - Header name
+ * @returns {string|null} Header value or null if not present
+ */
+export function getHeaderValue(headers, name) {
+	if (!headers) {
+		return null;
+	}
+
+	if (typeof headers.get === 'function') {
+		return headers.get(name);
+	}
+
+	const lowerName = name.toLowerCase();
+	for (const key of Object.keys(headers)) {
+		if (key.toLowerCase() === lowerName) {
+			return headers[key];
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Parse a Cache-Control header into a directives object
+ * Example: "public, max-age=60" → { public: true, 'max-age': 60 }
+ * @param {string|null} value - Cache-Control header value
+ * @returns {Object} Directives keyed by lowercase name
+ */
+export function parseCacheControl(value) {
+	const directives = {};
+
+	if (!value) {
+		return directives;
+	}
+
+	for (const part of String(value).split(',')) {
+		const [rawName, ...rest] = part.split('=');
+		const name = rawName.trim().toLowerCase();
+		if (!name) {
+			continue;
+		}
+
+		if (rest.length === 0) {
+			directives[name] = true;
+			continue;
+		}
+
+		const rawValue = rest.join('=').trim().replace(/^"|"$/g, '');
+		const seconds = parseInt(rawValue, 10);
+		directives[name] = isNaN(seconds) ? rawValue : seconds;
+	}
+
+	return directives;
+}
+
+/**
+ * Compute the freshness lifetime of a response in milliseconds
+ * Precedence: s-maxage (shared caches) → max-age → Expires
+ * @param {Object} directives - Parsed response Cache-Control directives
+ * @param {Headers} headers - Response headers
+ * @param {boolean} shared - Whether the cache acts as a shared cache
+ * @returns {number|null} Lifetime in ms, or null if the response carries no explicit freshness
+ */
+export function getFreshnessLifetime(directives, headers, shared = false) {
+	if (shared && typeof directives['s-maxage'] === 'number') {
+		return directives['s-maxage'] * 1000;
+	}
+
+	if (typeof directives['max-age'] === 'number') {
+		return directives['max-age'] * 1000;
+	}
+
+	const expires = getHeaderValue(headers, 'Expires');
+	if (expires) {
+		const expiresTime = new Date(expires).getTime();
+		if (isNaN(expiresTime)) {
+
+			// Invalid Expires values mean "already expired"
+			return 0;
+		}
+
+		const dateHeader = getHeaderValue(headers, 'Date');
+		const dateTime = dateHeader ? new Date(dateHeader).getTime() : NaN;
+		const baseTime = isNaN(dateTime) ? Date.now() : dateTime;
+
+		return Math.max(0, expiresTime - baseTime);
+	}
+
+	return null;
+}
+
+/**
+ * Get the initial age of a response in milliseconds from its Age header
+ * @param {Headers} headers - Response headers
+ * @returns {number} Age in ms (0 if absent or invalid)
+ */
+export function getInitialAge(headers) {
+	const age = parseInt(getHeaderValue(headers, 'Age'), 10);
+
+	return isNaN(age) || age < 0 ? 0 : age * 1000;
+}
@@ -0,0 +1,462 @@
+/**
+ * HttpCache - Persistent HTTP response cache
+ * Core class for the cache feature: freshness (Cache-Control / Expires),
+ * conditional revalidation (ETag / Last-Modified → 304) and pluggable storage
+ */
+
+import { generateKey } from '../deduplicator/keyGenerator.js';
+import { MemoryCacheStorage, isValidStorage } from './storage.js';
+import { getHeaderValue, parseCacheControl, getFreshnessLifetime, getInitialAge } from './cacheControl.js';
+import { STREAMING_RESPONSE_TYPES } from '../response/index.js';
+
+// Every other method - POST, PUT, PATCH, DELETE and custom ones like PURGE - invalidates
+// cached GET/HEAD responses for the same URL (RFC 9111 §4.4)
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'QUERY'];
+
+export class HttpCache {
+	constructor(config = {}, verboseLogger = null) {
+		const defaults = {
+			storage: null,
+			maxEntries: 500,
+			methods: ['GET'],
+			statusCodes: [200, 203, 204],
+			shared: false,
+			defaultTTL: 0,
+			keyStrategy: 'url+method',
+			keyGenerator: null,
+			includeHeaders: []
+		};
+
+		this.config = {
+			...defaults,
+			...config
+		};
+
+		this.validateConfig();
+
+		this.storage = this.config.storage || new MemoryCacheStorage({ maxEntries: this.config.maxEntries });
+		this.logger = verboseLogger;
+
+		// URL → keys stored for it, so unsafe requests also drop entries whose keys include
+		// headers or come from a keyGenerator (bounded by maxEntries, least recent URL first)
+		this.keysByUrl = new Map();
+
+		// Stats tracking
+		this.stats = {
+			lookups: 0,
+			hits: 0,
+			misses: 0,
+			revalidated: 0,
+			stored: 0,
+			bypassed: 0,
+			invalidated: 0
+		};
+	}
+
+	/**
+	 * Validate configuration
+	 */
+	validateConfig() {
+		const { storage, methods, statusCodes, defaultTTL, keyStrategy, keyGenerator } = this.config;
+
+		if (storage !== null && !isValidStorage(storage)) {
+			throw new Error('cache storage must implement get, set, delete and clear');
+		}
+
+		if (!Array.isArray(methods)) {
+			throw new Error('cache methods must be an array');
+		}
+
+		if (!Array.isArray(statusCodes)) {
+			throw new Error('cache statusCodes must be an array');
+		}
+
+		if (typeof defaultTTL !== 'number' || defaultTTL < 0) {
+			throw new Error('cache defaultTTL must be >= 0');
+		}
+
+		if (keyStrategy === 'custom' && typeof keyGenerator !== 'function') {
+			throw new Error('keyStrategy "custom" requires a keyGenerator function');
+		}
+	}
+
+	/**
+	 * Look up a request in the cache
+	 * Returns { response } for a fresh hit, { key, entry } for a miss or stale entry,
+	 * or { key: null } when the request bypasses the cache
+	 */
+	async match(request, options = {}) {
+		const config = { ...this.config, ...options };
+		const method = (request.method || 'GET').toUpperCase();
+
+		if (!this.isCacheableMethod(method, config)) {
+			this.stats.bypassed++;
+			return { key: null, entry: null };
+		}
+
+		const requestDirectives = parseCacheControl(getHeaderValue(request.headers, 'Cache-Control'));
+		const key = this.generateKey(request, config);
+
+		// no-store on the request: neither serve from nor write to the cache
+		if (requestDirectives['no-store']) {
+			this.logger?.bypass(key, 'request no-store');
+			this.stats.bypassed++;
+			return { key: null, entry: null };
+		}
+
+		this.stats.lookups++;
+		const entry = await this.storage.get(key);
+
+		if (!entry || !this.varyMatches(entry, request.headers)) {
+			this.logger?.miss(key);
+			this.stats.misses++;
+			return { key, entry: null };
+		}
+
+		if (this.isFresh(entry, requestDirectives)) {
+			this.logger?.hit(key, this.getAge(entry));
+			this.stats.hits++;
+			return { key, entry, response: this.toResponse(entry, 'hit') };
+		}
+
+		this.logger?.stale(key);
+		return { key, entry };
+	}
+
+	/**
+	 * Execute a request that was not served from the cache
+	 * Adds conditional headers for stale entries, turns 304 into the cached response
+	 * and stores cacheable results
+	 */
+	async fetch(request, lookup, executeFunction, options = {}) {
+		const config = { ...this.config, ...options };
+		const { key, entry } = lookup;
+
+		// Bypassed requests: execute and invalidate on successful unsafe methods
+		if (!key) {
+			const result = await executeFunction(request);
+			await this.invalidate(request, config);
+
+			return result;
+		}
+
+		const conditionalRequest = entry ? this.buildConditionalRequest(request, entry) : request;
+
+		try {
+			const result = await executeFunction(conditionalRequest);
+
+			// 304 returned as a result when ignoreResponseError is set
+			if (result?.status === 304 && entry) {
+				return await this.revalidate(key, entry, result.headers, config);
+			}
+
+			await this.store(key, request, result, config);
+
+			return result;
+		} catch (error) {
+			if (error?.status === 304 && entry) {
+				return await this.revalidate(key, entry, error.response?.headers, config);
+			}
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Refresh a stale entry after a 304 Not Modified and serve it
+	 */
+	async revalidate(key, entry, notModifiedHeaders, config) {
+		const refreshed = this.refreshEntry(entry, notModifiedHeaders, config);
+		await this.storage.set(key, refreshed);
+		this.logger?.revalidated(key);
+		this.stats.revalidated++;
+
+		return this.toResponse(refreshed, 'revalidated');
+	}
+
+	/**
+	 * Store a successful result if its status and headers allow it
+	 */
+	async store(key, request, result, config) {
+		if (!result || !config.statusCodes.includes(result.status)) {
+			return;
+		}
+
+		// Streams can only be consumed once
+		if (STREAMING_RESPONSE_TYPES.includes(request.responseType)) {
+			return;
+		}
+
+		const directives = parseCacheControl(getHeaderValue(result.headers, 'Cache-Control'));
+
+		if (directives['no-store'] || (config.shared && directives.private)) {
+			this.logger?.notStored(key, directives['no-store'] ? 'no-store' : 'private');
+			await this.storage.delete(key);
+
+			return;
+		}
+
+		const varyHeader = getHeaderValue(result.headers, 'Vary');
+		if (varyHeader && varyHeader.trim() === '*') {
+			this.logger?.notStored(key, 'Vary: *');
+
+			return;
+		}
+
+		const entry = this.createEntry(request, result, directives, config);
+
+		// Without freshness information or validators the entry could never be reused
+		if (entry.expiresAt <= entry.storedAt && !entry.etag && !entry.lastModified) {
+			this.logger?.notStored(key, 'no freshness information or validators');
+
+			return;
+		}
+
+		await this.storage.set(key, entry);
+		this.indexKey(request, key, config);
+		this.logger?.stored(key, entry.expiresAt - entry.storedAt);
+		this.stats.stored++;
+	}
+
+	/**
+	 * Build a serializable cache entry from a driver result
+	 */
+	createEntry(request, result, directives, config) {
+		const now = Date.now();
+		const lifetime = getFreshnessLifetime(directives, result.headers, config.shared);
+		const freshFor = lifetime !== null ? lifetime : config.defaultTTL;
+		const initialAge = getInitialAge(result.headers);
+
+		return {
+			status: result.status,
+			headers: headersToEntries(result.headers),
+			data: result.data,
+			storedAt: now,
+			initialAge,
+			expiresAt: now + freshFor - initialAge,
+			noCache: !!directives['no-cache'],
+			etag: getHeaderValue(result.headers, 'ETag'),
+			lastModified: getHeaderValue(result.headers, 'Last-Modified'),
+			vary: this.captureVary(getHeaderValue(result.headers, 'Vary'), request.headers)
+		};
+	}
+
+	/**
+	 * Update a stale entry with the headers of a 304 response
+	 */
+	refreshEntry(entry, notModifiedHeaders, config) {
+		const merged = new Headers(entry.headers);
+		if (notModifiedHeaders) {
+			notModifiedHeaders.forEach((value, name) => {
+				merged.set(name, value);
+			});
+		}
+
+		const directives = parseCacheControl(merged.get('Cache-Control'));
+		const now = Date.now();
+		const lifetime = getFreshnessLifetime(directives, merged, config.shared);
+		const freshFor = lifetime !== null ? lifetime : config.defaultTTL;
+		const initialAge = notModifiedHeaders ? getInitialAge(notModifiedHeaders) : 0;
+
+		return {
+			...entry,
+			headers: headersToEntries(merged),
+			storedAt: now,
+			initialAge,
+			expiresAt: now + freshFor - initialAge,
+			noCache: !!directives['no-cache'],
+			etag: merged.get('ETag') || entry.etag,
+			lastModified: merged.get('Last-Modified') || entry.lastModified
+		};
+	}
+
+	/**
+	 * Add If-None-Match / If-Modified-Since validators unless the caller set their own
+	 */
+	buildConditionalRequest(request, entry) {
+		const headers = { ...(request.headers || {}) };
+
+		if (entry.etag && !getHeaderValue(headers, 'If-None-Match')) {
+			headers['If-None-Match'] = entry.etag;
+		}
+
+		if (entry.lastModified && !getHeaderValue(headers, 'If-Modified-Since')) {
+			headers['If-Modified-Since'] = entry.lastModified;
+		}
+
+		return { ...request, headers };
+	}
+
+	/**
+	 * Remember a stored key under its request URL for invalidation
+	 */
+	indexKey(request, key, config) {
+		const url = request.fullUrl || request.url;
+		const keys = this.keysByUrl.get(url) || new Set();
+		keys.add(key);
+
+		// Move to most-recently-used position
+		this.keysByUrl.delete(url);
+		this.keysByUrl.set(url, keys);
+
+		if (this.keysByUrl.size > config.maxEntries) {
+			this.keysByUrl.delete(this.keysByUrl.keys().next().value);
+		}
+	}
+
+	/**
+	 * Remove cached GET/HEAD entries after a successful unsafe request to the same URL
+	 * Keys come from the URL alone - the unsafe request's body and headers are not part of them
+	 */
+	async invalidate(request, config = this.config) {
+		const method = (request.method || 'GET').toUpperCase();
+		if (SAFE_METHODS.includes(method)) {
+			return;
+		}
+
+		const url = request.fullUrl || request.url;
+		const keys = new Set(this.keysByUrl.get(url));
+		this.keysByUrl.delete(url);
+
+		// Entries this instance did not store (persistent storage) - keyed by URL and method
+		if (config.keyStrategy !== 'custom') {
+			for (const cachedMethod of config.methods) {
+				keys.add(this.generateKey({ url: request.url, fullUrl: request.fullUrl, method: cachedMethod.toUpperCase() }, config));
+			}
+		}
+
+		for (const key of keys) {
+			await this.storage.delete(key);
+		}
+
+		this.logger?.invalidated(url, method);
+		this.stats.invalidated++;
+	}
+
+	/**
+	 * Check whether an entry can be served without revalidation
+	 */
+	isFresh(entry, requestDirectives = {}) {
+		if (entry.noCache || requestDirectives['no-cache']) {
+			return false;
+		}
+
+		const age = this.getAge(entry);
+		if (typeof requestDirectives['max-age'] === 'number' && age > requestDirectives['max-age'] * 1000) {
+			return false;
+		}
+
+		return Date.now() < entry.expiresAt;
+	}
+
+	/**
+	 * Current age of an entry in milliseconds
+	 */
+	getAge(entry) {
+		return Date.now() - entry.storedAt + (entry.initialAge || 0);
+	}
+
+	/**
+	 * Record request header values selected by the response Vary header
+	 */
+	captureVary(varyHeader, requestHeaders) {
+		if (!varyHeader) {
+			return null;
+		}
+
+		const vary = {};
+		for (const name of varyHeader.split(',')) {
+			const headerName = name.trim().toLowerCase();
+			if (headerName) {
+				vary[headerName] = getHeaderValue(requestHeaders, headerName);
+			}
+		}
+
+		return vary;
+	}
+
+	/**
+	 * Check that the request matches the header values recorded by Vary
+	 */
+	varyMatches(entry, requestHeaders) {
+		if (!entry.vary) {
+			return true;
+		}
+
+		return Object.entries(entry.vary).every(([name, value]) => getHeaderValue(requestHeaders, name) === value);
+	}
+
+	/**
+	 * Build the driver result shape from a cache entry
+	 */
+	toResponse(entry, status) {
+		return {
+			status: entry.status,
+			headers: new Headers(entry.headers),
+			data: entry.data,
+			cacheMetadata: {
+				status,
+				age: Math.floor(this.getAge(entry) / 1000)
+			}
+		};
+	}
+
+	/**
+	 * Check if method should be cached
+	 */
+	isCacheableMethod(method, config) {
+		return config.methods.some(m => m.toUpperCase() === method);
+	}
+
+	/**
+	 * Generate cache key using the deduplicator key strategies
+	 */
+	generateKey(request, config = this.config) {
+		return generateKey(request, config.keyStrategy, {
+			keyGenerator: config.keyGenerator,
+			includeHeaders: config.includeHeaders
+		});
+	}
+
+	/**
+	 * Remove all cached entries
+	 */
+	async clear() {
+		await this.storage.clear();
+		this.keysByUrl.clear();
+		this.logger?.cleared();
+	}
+
+	/**
+	 * Get cache statistics
+	 */
+	getStats() {
+		const { lookups, hits } = this.stats;
+
+		return {
+			...this.stats,
+			hitRate: lookups > 0 ? hits / lookups : 0,
+			entries: typeof this.storage.size === 'function' ? this.storage.size() : null
+		};
+	}
+}
+
+/**
+ * Convert Headers into serializable [name, value] pairs
+ */
+function headersToEntries(headers) {
+	if (!headers) {
+		return [];
+	}
+
+	if (typeof headers.forEach === 'function' && typeof headers.get === 'function') {
+		const entries = [];
+		headers.forEach((value, name) => {
+			entries.push([name, value]);
+		});
+
+		return entries;
+	}
+
+	return Object.entries(headers);
+}
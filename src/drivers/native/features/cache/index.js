@@ -0,0 +1,9 @@
+/**
+ * HTTP Cache Feature
+ * Persistent response cache honoring Cache-Control with conditional revalidation
+ */
+
+export { HttpCache } from './httpCache.js';
+export { MemoryCacheStorage, isValidStorage } from './storage.js';
+export { parseCacheControl, getFreshnessLifetime, getHeaderValue } from './cacheControl.js';
+export { createCacheVerboseLogger } from './verboseLogger.js';
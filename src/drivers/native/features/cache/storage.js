@@ -0,0 +1,80 @@
+/**
+ * Cache storage adapters
+ *
+ * A storage adapter is any object implementing the async interface below.
+ * Entries are plain JSON-serializable objects (headers are stored as [name, value] pairs),
+ * so adapters can persist them to IndexedDB, localStorage, a file directory, Redis, etc.
+ *
+ * Adapter interface:
+ * - get(key): Promise<Object|null>  - Return stored entry or null
+ * - set(key, entry): Promise<void>  - Store or replace entry
+ * - delete(key): Promise<void>      - Remove entry
+ * - clear(): Promise<void>          - Remove all entries
+ * - size(): number                  - Optional, number of stored entries (used for stats)
+ */
+
+/**
+ * In-memory LRU storage (default)
+ * Least recently used entries are evicted once maxEntries is exceeded
+ */
+export class MemoryCacheStorage {
+
+	constructor({ maxEntries = 500 } = {}) {
+		if (typeof maxEntries !== 'number' || maxEntries <= 0) {
+			throw new Error('maxEntries must be > 0');
+		}
+
+		this.maxEntries = maxEntries;
+		this.entries = new Map(); // key → entry (Map keeps insertion order, oldest first)
+	}
+
+	async get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) {
+			return null;
+		}
+
+		// Move to most-recently-used position
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+
+		return entry;
+	}
+
+	async set(key, entry) {
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+
+		// Evict least recently used entries
+		while (this.entries.size > this.maxEntries) {
+			const oldestKey = this.entries.keys().next().value;
+			this.entries.delete(oldestKey);
+		}
+	}
+
+	async delete(key) {
+		this.entries.delete(key);
+	}
+
+	async clear() {
+		this.entries.clear();
+	}
+
+	size() {
+		return this.entries.size;
+	}
+
+}
+
+/**
+ * Check that an object implements the storage adapter interface
+ * @param {Object} storage - Storage adapter candidate
+ * @returns {boolean} True if the adapter is usable
+ */
+export function isValidStorage(storage) {
+	return !!storage &&
+		typeof storage.get === 'function' &&
+		typeof storage.set === 'function' &&
+		typeof storage.delete === 'function' &&
+		typeof storage.clear === 'function';
+}
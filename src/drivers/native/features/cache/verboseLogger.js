@@ -0,0 +1,48 @@
+/**
+ * Verbose Logger for HTTP Cache Feature
+ * Simple logging without BaseVerboseLogger - logs directly to console
+ */
+
+export function createCacheVerboseLogger() {
+	return {
+		log(message) {
+			console.info(`💾 [CACHE] ${message}`);
+		},
+
+		hit(key, age) {
+			this.log(`✅ Fresh hit: ${key} (age: ${Math.floor(age / 1000)}s)`);
+		},
+
+		miss(key) {
+			this.log(`❌ Miss: ${key}`);
+		},
+
+		stale(key) {
+			this.log(`⏳ Stale entry, revalidating: ${key}`);
+		},
+
+		revalidated(key) {
+			this.log(`🔄 304 Not Modified - serving cached response: ${key}`);
+		},
+
+		stored(key, freshFor) {
+			this.log(`📥 Stored: ${key} (fresh for ${Math.max(0, Math.floor(freshFor / 1000))}s)`);
+		},
+
+		notStored(key, reason) {
+			this.log(`⏭️ Not stored: ${key} (${reason})`);
+		},
+
+		bypass(key, reason) {
+			this.log(`🚫 Bypassing cache: ${key} (${reason})`);
+		},
+
+		invalidated(url, method) {
+			this.log(`🗑️ Invalidated cached entries for ${url} after ${method}`);
+		},
+
+		cleared() {
+			this.log('🗑️ Cache cleared');
+		}
+	};
+}
@@ -0,0 +1,358 @@
+/**
+ * CircuitBreaker - Fail fast when an upstream keeps failing
+ * Core class for the circuit breaker feature: closed → open → half-open state machine
+ * per circuit key (global, domain or endpoint, derived like rate limiting keys)
+ */
+
+import { deriveKey, isValidScope } from '../rateLimit/key.js';
+
+export const CIRCUIT_STATES = {
+	CLOSED: 'closed',
+	OPEN: 'open',
+	HALF_OPEN: 'half-open'
+};
+
+export class CircuitBreaker {
+	constructor(config = {}, verboseLogger = null) {
+		const defaults = {
+			scope: 'domain',
+			include: undefined,
+			exclude: undefined,
+			failureThreshold: 5,
+			failureRatio: 0.5,
+			minimumRequests: 10,
+			windowMs: 60000,
+			cooldownMs: 30000,
+			halfOpenMaxProbes: 1,
+			isFailure: null
+		};
+
+		this.config = {
+			...defaults,
+			...config
+		};
+
+		this.validateConfig();
+
+		this.circuits = new Map(); // key → circuit state
+		this.listeners = new Set();
+		this.logger = verboseLogger;
+	}
+
+	/**
+	 * Validate configuration
+	 */
+	validateConfig() {
+		const { scope, failureThreshold, failureRatio, minimumRequests, windowMs, cooldownMs, halfOpenMaxProbes, isFailure } = this.config;
+
+		if (!isValidScope(scope)) {
+			throw new Error(`Invalid circuitBreaker scope: "${scope}". Must be one of: global, domain, endpoint`);
+		}
+
+		if (failureThreshold !== null && (typeof failureThreshold !== 'number' || failureThreshold < 1)) {
+			throw new Error('failureThreshold must be >= 1 or null');
+		}
+
+		if (failureRatio !== null && (typeof failureRatio !== 'number' || failureRatio <= 0 || failureRatio > 1)) {
+			throw new Error('failureRatio must be between 0 (exclusive) and 1, or null');
+		}
+
+		if (typeof minimumRequests !== 'number' || minimumRequests < 1) {
+			throw new Error('minimumRequests must be >= 1');
+		}
+
+		if (typeof windowMs !== 'number' || windowMs <= 0) {
+			throw new Error('windowMs must be > 0');
+		}
+
+		if (typeof cooldownMs !== 'number' || cooldownMs < 0) {
+			throw new Error('cooldownMs must be >= 0');
+		}
+
+		if (typeof halfOpenMaxProbes !== 'number' || halfOpenMaxProbes < 1) {
+			throw new Error('halfOpenMaxProbes must be >= 1');
+		}
+
+		if (isFailure !== null && typeof isFailure !== 'function') {
+			throw new Error('isFailure must be a function');
+		}
+	}
+
+	/**
+	 * Derive the circuit key for a request
+	 * @returns {string|null} Circuit key, or null if the request is excluded
+	 */
+	getKey(request) {
+		const key = deriveKey({ url: request.fullUrl || request.url }, this.config.scope, {
+			include: this.config.include,
+			exclude: this.config.exclude
+		});
+
+		return key === '__no_limit__' ? null : key;
+	}
+
+	/**
+	 * Ask permission to send a request
+	 * Returns a permit (or null for excluded requests), or { rejected: true, ... } when the circuit is open
+	 */
+	acquire(request) {
+		const key = this.getKey(request);
+		if (!key) {
+			return null;
+		}
+
+		const circuit = this.getCircuit(key);
+		const now = Date.now();
+
+		// Cool-down elapsed - allow probe requests
+		if (circuit.state === CIRCUIT_STATES.OPEN && now - circuit.openedAt >= this.config.cooldownMs) {
+			this.transition(key, circuit, CIRCUIT_STATES.HALF_OPEN, 'cooldown elapsed');
+		}
+
+		if (circuit.state === CIRCUIT_STATES.OPEN) {
+			return this.reject(key, circuit, Math.max(0, circuit.openedAt + this.config.cooldownMs - now));
+		}
+
+		if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+			if (circuit.probesInFlight >= this.config.halfOpenMaxProbes) {
+				return this.reject(key, circuit, 0);
+			}
+
+			circuit.probesInFlight++;
+			this.logger?.probe(key, circuit.probesInFlight, this.config.halfOpenMaxProbes);
+
+			return { key, probe: true, generation: circuit.generation };
+		}
+
+		return { key, probe: false, generation: circuit.generation };
+	}
+
+	/**
+	 * Record a rejected request
+	 */
+	reject(key, circuit, retryAfter) {
+		circuit.rejected++;
+		this.logger?.rejected(key, circuit.state, retryAfter);
+		this.notify({ type: 'rejected', key, state: circuit.state, retryAfter });
+
+		return { key, rejected: true, state: circuit.state, retryAfter };
+	}
+
+	/**
+	 * Record the outcome of an executed request
+	 * @param {Object} permit - Permit returned by acquire()
+	 * @param {Error|null} error - Error thrown by the request (null on success)
+	 * @param {Object|null} response - Driver result on success
+	 */
+	record(permit, error = null, response = null) {
+		if (!permit) {
+			return;
+		}
+
+		const circuit = this.getCircuit(permit.key);
+
+		// Outcome belongs to a previous state cycle (e.g. slow request finishing after the circuit opened)
+		if (permit.generation !== circuit.generation) {
+			return;
+		}
+
+		const failed = this.isFailure(error, response);
+
+		// User aborts say nothing about upstream health
+		if (failed === null) {
+			return;
+		}
+
+		if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+			if (failed) {
+				this.open(permit.key, circuit, 'probe failed');
+			} else {
+				circuit.probeSuccesses++;
+				if (circuit.probeSuccesses >= this.config.halfOpenMaxProbes) {
+					this.transition(permit.key, circuit, CIRCUIT_STATES.CLOSED, 'probes succeeded');
+				}
+			}
+
+			return;
+		}
+
+		// Closed: track consecutive failures and rolling failure ratio
+		const now = Date.now();
+		circuit.outcomes.push({ timestamp: now, failed });
+		this.pruneOutcomes(circuit, now);
+		circuit.consecutiveFailures = failed ? circuit.consecutiveFailures + 1 : 0;
+
+		if (!failed) {
+			return;
+		}
+
+		const { failureThreshold, failureRatio, minimumRequests } = this.config;
+
+		if (failureThreshold !== null && circuit.consecutiveFailures >= failureThreshold) {
+			this.open(permit.key, circuit, `${circuit.consecutiveFailures} consecutive failures`);
+
+			return;
+		}
+
+		if (failureRatio !== null && circuit.outcomes.length >= minimumRequests) {
+			const failures = circuit.outcomes.filter(outcome => outcome.failed).length;
+			const ratio = failures / circuit.outcomes.length;
+			if (ratio >= failureRatio) {
+				this.open(permit.key, circuit, `failure ratio ${(ratio * 100).toFixed(0)}%`);
+			}
+		}
+	}
+
+	/**
+	 * Release a half-open probe slot once the request has settled
+	 */
+	release(permit) {
+		if (!permit?.probe) {
+			return;
+		}
+
+		const circuit = this.getCircuit(permit.key);
+		if (permit.generation === circuit.generation && circuit.probesInFlight > 0) {
+			circuit.probesInFlight--;
+		}
+	}
+
+	/**
+	 * Classify an outcome: true (failure), false (success) or null (ignored)
+	 */
+	isFailure(error, response) {
+		if (this.config.isFailure) {
+			return !!this.config.isFailure(error, response);
+		}
+
+		if (error) {
+			if (error.code === 'ABORT' || error.name === 'AbortError') {
+				return null;
+			}
+
+			// Network errors and timeouts have no status
+			return !error.status || error.status >= 500;
+		}
+
+		return !!response && response.status >= 500;
+	}
+
+	open(key, circuit, reason) {
+		circuit.openedAt = Date.now();
+		this.transition(key, circuit, CIRCUIT_STATES.OPEN, reason);
+	}
+
+	/**
+	 * Move a circuit to a new state and start a new state cycle
+	 */
+	transition(key, circuit, to, reason) {
+		const from = circuit.state;
+		circuit.state = to;
+		circuit.generation++;
+		circuit.changedAt = Date.now();
+		circuit.probesInFlight = 0;
+		circuit.probeSuccesses = 0;
+
+		if (to === CIRCUIT_STATES.CLOSED) {
+			circuit.outcomes = [];
+			circuit.consecutiveFailures = 0;
+		}
+
+		this.logger?.stateChange(key, from, to, reason);
+		this.notify({ type: 'state-change', key, from, to, reason });
+	}
+
+	pruneOutcomes(circuit, now) {
+		const cutoff = now - this.config.windowMs;
+		while (circuit.outcomes.length > 0 && circuit.outcomes[0].timestamp < cutoff) {
+			circuit.outcomes.shift();
+		}
+	}
+
+	getCircuit(key) {
+		let circuit = this.circuits.get(key);
+		if (!circuit) {
+			circuit = {
+				state: CIRCUIT_STATES.CLOSED,
+				generation: 0,
+				openedAt: null,
+				changedAt: Date.now(),
+				outcomes: [],
+				consecutiveFailures: 0,
+				probesInFlight: 0,
+				probeSuccesses: 0,
+				rejected: 0
+			};
+			this.circuits.set(key, circuit);
+		}
+
+		return circuit;
+	}
+
+	/**
+	 * Subscribe to circuit events ({ type: 'state-change' | 'rejected', key, ... })
+	 * @returns {Function} Unsubscribe function
+	 */
+	onEvent(listener) {
+		this.listeners.add(listener);
+
+		return () => this.listeners.delete(listener);
+	}
+
+	notify(event) {
+		const enrichedEvent = { ...event, timestamp: Date.now() };
+		for (const listener of this.listeners) {
+			try {
+				listener(enrichedEvent);
+			} catch (error) {
+				console.warn('Error in circuit breaker listener:', error);
+			}
+		}
+	}
+
+	/**
+	 * Force all circuits back to closed
+	 */
+	reset() {
+		for (const [key, circuit] of this.circuits) {
+			if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+				this.transition(key, circuit, CIRCUIT_STATES.CLOSED, 'manual reset');
+			}
+		}
+		this.circuits.clear();
+	}
+
+	/**
+	 * Get circuit states
+	 */
+	getStats() {
+		const circuits = {};
+		for (const [key, circuit] of this.circuits) {
+			this.pruneOutcomes(circuit, Date.now());
+			const failures = circuit.outcomes.filter(outcome => outcome.failed).length;
+			circuits[key] = {
+				state: circuit.state,
+				since: circuit.changedAt,
+				requests: circuit.outcomes.length,
+				failures,
+				failureRatio: circuit.outcomes.length > 0 ? failures / circuit.outcomes.length : 0,
+				consecutiveFailures: circuit.consecutiveFailures,
+				probesInFlight: circuit.probesInFlight,
+				rejected: circuit.rejected
+			};
+		}
+
+		return {
+			circuits,
+			config: {
+				scope: this.config.scope,
+				failureThreshold: this.config.failureThreshold,
+				failureRatio: this.config.failureRatio,
+				minimumRequests: this.config.minimumRequests,
+				windowMs: this.config.windowMs,
+				cooldownMs: this.config.cooldownMs,
+				halfOpenMaxProbes: this.config.halfOpenMaxProbes
+			}
+		};
+	}
+}
@@ -0,0 +1,7 @@
+/**
+ * Circuit Breaker Feature
+ * Fails fast with CIRCUIT_OPEN errors while an upstream is unhealthy
+ */
+
+export { CircuitBreaker, CIRCUIT_STATES } from './circuitBreaker.js';
+export { createCircuitBreakerVerboseLogger } from './verboseLogger.js';
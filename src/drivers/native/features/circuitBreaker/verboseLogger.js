@@ -0,0 +1,24 @@
+/**
+ * Verbose Logger for Circuit Breaker Feature
+ * Simple logging without BaseVerboseLogger - logs directly to console
+ */
+
+export function createCircuitBreakerVerboseLogger() {
+	return {
+		log(message) {
+			console.info(`🔌 [CIRCUIT] ${message}`);
+		},
+
+		stateChange(key, from, to, reason) {
+			this.log(`🔀 ${key}: ${from} → ${to} (${reason})`);
+		},
+
+		rejected(key, state, retryAfter) {
+			this.log(`⛔ Rejected request for ${key} (circuit ${state}, retry after ${retryAfter}ms)`);
+		},
+
+		probe(key, inFlight, max) {
+			this.log(`🔍 Probe request for ${key} (${inFlight}/${max})`);
+		}
+	};
+}
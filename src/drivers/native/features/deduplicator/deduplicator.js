@@ -4,7 +4,8 @@
  */
 
 import { RequestCache } from './requestCache.js';
-import { generateKey } from './keyGenerator.js';
+import { generateKey, hasUnkeyableBody } from './keyGenerator.js';
+import { STREAMING_RESPONSE_TYPES } from '../response/index.js';
 
 export class Deduplicator {
 	constructor(config = {}, statsHub = null, verboseLogger = null) {
@@ -124,6 +125,20 @@ export class Deduplicator {
 			return executeFunction();
 		}
 
+		// Sent bodies are part of the key - Blob, stream and factory bodies cannot be compared
+		if (hasUnkeyableBody(request)) {
+			this.logger?.skipped('body cannot be part of the key');
+			this.stats.executed++;
+			return executeFunction();
+		}
+
+		// Streams (stream, ndjson, jsonl) can be read by one caller only
+		if (STREAMING_RESPONSE_TYPES.includes(request.responseType)) {
+			this.logger?.skipped(`${request.responseType} responses cannot be shared`);
+			this.stats.executed++;
+			return executeFunction();
+		}
+
 		// Generate request key
 		const key = generateKey(request, config.keyStrategy, {
 			keyGenerator: config.keyGenerator,
@@ -5,5 +5,5 @@
 
 export { Deduplicator } from './deduplicator.js';
 export { RequestCache } from './requestCache.js';
-export { generateKey } from './keyGenerator.js';
+export { generateKey, hashString } from './keyGenerator.js';
 export { createDeduplicateVerboseLogger } from './verboseLogger.js';
@@ -1,8 +1,12 @@
 /**
  * KeyGenerator - Generate unique keys for request identity
  * Supports multiple strategies: url, url+method, url+method+body, custom
+ * A body that is sent (any method but GET/HEAD - QUERY and custom methods carry their input in it)
+ * is part of the key for every built-in strategy
  */
 
+import { sendsBody } from '../body/index.js';
+
 /**
  * Generate request key based on strategy
  */
@@ -32,11 +36,26 @@ export function generateKey(request, strategy, options = {}) {
 	}
 }
 
+/**
+ * Whether a request sends a body that cannot be hashed into a key (Blob, stream, body factory)
+ * Such requests must not share a key with anything else
+ */
+export function hasUnkeyableBody(request) {
+	return sendsBody(request.method, request.body) && hashBody(request.body) === null;
+}
+
+/**
+ * Key suffix for a body that is sent ('' when there is none)
+ */
+function getSentBodyKey(request) {
+	return sendsBody(request.method, request.body) ? `:body:${hashBody(request.body)}` : '';
+}
+
 /**
  * Strategy: url only
  */
 function generateUrlKey(request) {
-	return request.fullUrl || request.url;
+	return (request.fullUrl || request.url) + getSentBodyKey(request);
 }
 
 /**
@@ -45,7 +64,7 @@ function generateUrlKey(request) {
 function generateMethodUrlKey(request) {
 	const url = request.fullUrl || request.url;
 	const method = request.method || 'GET';
-	return `${method}:${url}`;
+	return `${method}:${url}${getSentBodyKey(request)}`;
 }
 
 /**
@@ -84,20 +103,31 @@ function generateFullKey(request, options) {
 
 /**
  * Hash request body to fixed-size string
- * Handles different body types: string, object, FormData, etc.
+ * Handles different body types: string, object, FormData, binary, etc.
+ * Returns null for bodies whose content cannot be read synchronously (Blob, File, stream, factory)
  */
 function hashBody(body) {
 	let bodyString;
 
+	if (typeof body === 'function' || body instanceof Blob || body instanceof ReadableStream) {
+		return null;
+	}
+
 	if (typeof body === 'string') {
 		bodyString = body;
 	} else if (body instanceof FormData) {
 		// FormData - convert to string representation
 		const parts = [];
 		for (const [key, value] of body.entries()) {
+			if (typeof value !== 'string') {
+				return null;
+			}
 			parts.push(`${key}=${value}`);
 		}
 		bodyString = parts.join('&');
+	} else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+		const bytes = body instanceof ArrayBuffer ? new Uint8Array(body) : new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+		bodyString = new TextDecoder('latin1').decode(bytes); // One char per byte
 	} else if (body instanceof URLSearchParams) {
 		bodyString = body.toString();
 	} else if (typeof body === 'object' && body !== null) {
@@ -110,10 +140,16 @@ function hashBody(body) {
 		bodyString = String(body);
 	}
 
-	// Simple hash function (djb2 algorithm)
+	return hashString(bodyString);
+}
+
+/**
+ * Hash a string to a short fixed-size key part (djb2 algorithm)
+ */
+export function hashString(value) {
 	let hash = 5381;
-	for (let i = 0; i < bodyString.length; i++) {
-		hash = ((hash << 5) + hash) + bodyString.charCodeAt(i);
+	for (let i = 0; i < value.length; i++) {
+		hash = ((hash << 5) + hash) + value.charCodeAt(i);
 		hash = hash & hash; // Convert to 32-bit integer
 	}
 
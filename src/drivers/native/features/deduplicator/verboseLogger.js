@@ -43,6 +43,10 @@ export function createDeduplicateVerboseLogger() {
 			this.log('🚫 Condition check failed, skipping deduplication');
 		},
 
+		skipped(reason) {
+			this.log(`⏭️ Skipping deduplication: ${reason}`);
+		},
+
 		cacheCleanup(removed) {
 			if (removed > 0) {
 				this.log(`🧹 Cleaned up ${removed} expired cache entries`);
@@ -194,6 +194,24 @@ export function createAbortError(originalError, requestContext, attempt = 1) {
 	});
 }
 
+/**
+ * Creates a circuit open error (request rejected without being sent)
+ * @param {string} circuitKey - Key of the open circuit
+ * @param {string} state - Circuit state ('open' or 'half-open')
+ * @param {number} retryAfter - Milliseconds until the circuit allows probe requests
+ * @param {Object} requestContext - Request context
+ * @param {number} attempt - Current retry attempt
+ * @returns {LuminaraError} Normalized circuit open error
+ */
+export function createCircuitOpenError(circuitKey, state, retryAfter, requestContext, attempt = 1) {
+	return createLuminaraError(`Circuit open for ${circuitKey}`, {
+		code: 'CIRCUIT_OPEN',
+		data: { circuit: circuitKey, state, retryAfter },
+		request: createRequestSnapshot(requestContext),
+		attempt
+	});
+}
+
 /**
  * Creates a network error
  * @param {Error} originalError - Original network error
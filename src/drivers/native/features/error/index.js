@@ -9,5 +9,6 @@ export {
 	createTimeoutError, 
 	createParseError, 
 	createAbortError,
-	createNetworkError
+	createNetworkError,
+	createCircuitOpenError
 } from './errorHandler.js';
\ No newline at end of file
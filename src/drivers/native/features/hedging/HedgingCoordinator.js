@@ -19,7 +19,7 @@ export class HedgingCoordinator {
 			hedgeDelay: 2000,
 			maxHedges: 2,
 			cancelOnSuccess: true,
-			includeHttpMethods: ['GET', 'HEAD', 'OPTIONS'],
+			includeHttpMethods: ['GET', 'HEAD', 'OPTIONS', 'QUERY'],
 			serverRotation: null,
 			timeout: null,
 			exponentialBackoff: false,
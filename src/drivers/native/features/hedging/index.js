@@ -13,6 +13,8 @@
 
 import { HedgingCoordinator } from './HedgingCoordinator.js';
 import * as hedgingLogger from './verboseLogger.js';
+import { isReplayableBody } from '../body/index.js';
+import { isMethodToken } from '../../../../core/api/httpMethods.js';
 
 /**
  * Check if hedging should be used for this request
@@ -48,7 +50,7 @@ export function shouldUseHedging(preparedRequest) {
 	// 2. No global config, per-request can enable by providing config
 	
 	// Get included methods (whitelist)
-	let includedMethods = hedging.includeHttpMethods || ['GET', 'HEAD', 'OPTIONS'];
+	let includedMethods = hedging.includeHttpMethods || ['GET', 'HEAD', 'OPTIONS', 'QUERY'];
 	
 	// Support single string format: 'GET' -> ['GET']
 	if (typeof includedMethods === 'string') {
@@ -66,6 +68,14 @@ export function shouldUseHedging(preparedRequest) {
 		return false;
 	}
 	
+	// Every hedge sends the body again - a stream body can only be sent once
+	if (!isReplayableBody(preparedRequest.body)) {
+		if (preparedRequest.verbose) {
+			hedgingLogger.logHedgingDisabled('stream body cannot be sent twice (pass a body factory)');
+		}
+		return false;
+	}
+	
 	// Validate configuration
 	const validationErrors = validateHedgingConfig(hedging);
 	if (validationErrors.length > 0) {
@@ -140,9 +150,8 @@ export function validateHedgingConfig(config) {
 			? config.includeHttpMethods 
 			: [config.includeHttpMethods];
 		
-		const validMethods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
-		const invalidMethods = methods.filter(m => 
-			!validMethods.includes(m.toUpperCase()));
+		// Any method token - custom methods (PROPFIND, QUERY) can be whitelisted too
+		const invalidMethods = methods.filter(m => !isMethodToken(m));
 		
 		if (invalidMethods.length > 0) {
 			errors.push(`Invalid HTTP methods: ${invalidMethods.join(', ')}`);
@@ -0,0 +1,13 @@
+/**
+ * Progress feature module
+ * Exports upload and download progress reporting
+ */
+
+export {
+	createProgressTracker,
+	trackDownloadProgress,
+	trackUploadProgress,
+	completeUploadProgress,
+	supportsRequestStreams,
+	isTrackableUploadBody
+} from './progressTracker.js';
@@ -0,0 +1,221 @@
+/**
+ * Upload and download progress reporting
+ * Counts bytes through a pass-through stream and reports throttled { loaded, total, rate } events
+ */
+
+const UPLOAD_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Throttled progress reporter for one transfer (one per attempt, so retries start from zero)
+ *
+ * @param {Function} callback - ({ loaded, total, progress, rate }) => void
+ * @param {Object} options
+ * @param {number|null} options.total - Expected bytes, null when unknown
+ * @param {number} [options.interval=100] - Minimum ms between events; the final event is always sent
+ */
+export function createProgressTracker(callback, { total = null, interval = 100 } = {}) {
+	const startTime = Date.now();
+	let loaded = 0;
+	let lastEmitTime = 0;
+	let lastEmitLoaded = -1;
+
+	const emit = (now) => {
+		lastEmitTime = now;
+		lastEmitLoaded = loaded;
+
+		try {
+			callback({
+				loaded,
+				total,
+				progress: total ? Math.min(1, loaded / total) : null,
+				rate: Math.round(loaded / (Math.max(1, now - startTime) / 1000)) // Bytes per second
+			});
+		} catch (error) {
+			console.warn('Error in progress callback:', error);
+		}
+	};
+
+	return {
+		add(bytes) {
+			loaded += bytes;
+
+			const now = Date.now();
+			if (now - lastEmitTime >= interval) {
+				emit(now);
+			}
+		},
+		done() {
+			if (loaded !== lastEmitLoaded) {
+				emit(Date.now());
+			}
+		}
+	};
+}
+
+/**
+ * Pass-through stream that reports every chunk to the tracker
+ */
+function createCountingStream(tracker) {
+	return new TransformStream({
+		transform(chunk, controller) {
+			tracker.add(chunk.byteLength);
+			controller.enqueue(chunk);
+		},
+		flush() {
+			tracker.done();
+		}
+	});
+}
+
+/**
+ * Response whose body reports download progress as it is read
+ * Content-Length is the total unless the body is content-encoded (the stream yields decoded bytes)
+ *
+ * @param {Response} response - Fetch response
+ * @param {Function} onDownloadProgress - Progress callback
+ * @param {Object} [options] - { interval }
+ * @returns {Response} Response with a counting body (the same response when it has no body)
+ */
+export function trackDownloadProgress(response, onDownloadProgress, { interval } = {}) {
+	if (!response.body) {
+		return response;
+	}
+
+	const encoding = response.headers.get('content-encoding');
+	const length = Number(response.headers.get('content-length'));
+	const total = (!encoding || encoding === 'identity') && length > 0 ? length : null;
+
+	const tracker = createProgressTracker(onDownloadProgress, { total, interval });
+	const tracked = new Response(response.body.pipeThrough(createCountingStream(tracker)), {
+		status: response.status,
+		statusText: response.statusText,
+		headers: response.headers
+	});
+
+	// Keep what the Response constructor cannot set (used in error reports)
+	for (const property of ['url', 'redirected', 'type']) {
+		Object.defineProperty(tracked, property, { value: response[property] });
+	}
+
+	return tracked;
+}
+
+/**
+ * Whether upload progress can be reported for a body
+ */
+export function isTrackableUploadBody(body) {
+	return (typeof Blob !== 'undefined' && body instanceof Blob)
+		|| body instanceof ArrayBuffer
+		|| ArrayBuffer.isView(body)
+		|| (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream);
+}
+
+/**
+ * Size of an upload body in bytes, null for streams
+ */
+function getUploadSize(body) {
+	if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+		return body.byteLength;
+	}
+
+	return typeof Blob !== 'undefined' && body instanceof Blob ? body.size : null;
+}
+
+let requestStreamProbe = null; // Cached result of the Request duplex probe
+
+/**
+ * Whether fetch can send stream request bodies in this runtime (Node.js, Deno, Bun)
+ * Browsers are left out: Firefox and Safari reject stream bodies, Chromium sends them over HTTP/2 only
+ */
+export function supportsRequestStreams() {
+	if (typeof document !== 'undefined' || typeof WorkerGlobalScope !== 'undefined') {
+		return false;
+	}
+
+	if (requestStreamProbe === null) {
+		try {
+			let duplexAccessed = false;
+			const request = new Request('http://localhost/', {
+				method: 'POST',
+				body: new ReadableStream(),
+				get duplex() {
+					duplexAccessed = true;
+
+					return 'half';
+				}
+			});
+			requestStreamProbe = duplexAccessed && !request.headers.has('content-type');
+		} catch {
+			requestStreamProbe = false;
+		}
+	}
+
+	return requestStreamProbe;
+}
+
+/**
+ * Stream body that reports upload progress as fetch reads it
+ * Stream bodies need `duplex: 'half'` on the fetch options (Node, Chromium)
+ *
+ * @param {Blob|ArrayBuffer|ArrayBufferView|ReadableStream} body - Request body
+ * @param {Function} onUploadProgress - Progress callback
+ * @param {Object} [options] - { interval }
+ * @returns {{ body: ReadableStream, total: number|null }} Counting stream and its size when known
+ */
+export function trackUploadProgress(body, onUploadProgress, { interval } = {}) {
+	const total = getUploadSize(body);
+	let source;
+
+	if (body instanceof ReadableStream) {
+		source = body;
+	} else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+		const bytes = body instanceof ArrayBuffer
+			? new Uint8Array(body)
+			: new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+		source = createChunkedStream(bytes);
+	} else {
+		source = body.stream();
+	}
+
+	const tracker = createProgressTracker(onUploadProgress, { total, interval });
+
+	return { body: source.pipeThrough(createCountingStream(tracker)), total };
+}
+
+/**
+ * Upload progress for a body sent as-is (no streaming uploads) - one final event once it is sent
+ * Stream bodies have no known size, so they get no event
+ *
+ * @param {Blob|ArrayBuffer|ArrayBufferView|ReadableStream} body - Request body
+ * @param {Function} onUploadProgress - Progress callback
+ * @returns {Function} Call when the response arrived
+ */
+export function completeUploadProgress(body, onUploadProgress) {
+	const total = getUploadSize(body);
+
+	return () => {
+		if (total !== null) {
+			createProgressTracker(onUploadProgress, { total, interval: 0 }).add(total);
+		}
+	};
+}
+
+/**
+ * Stream over a byte array in fixed-size chunks, so progress advances while it is sent
+ */
+function createChunkedStream(bytes) {
+	let offset = 0;
+
+	return new ReadableStream({
+		pull(controller) {
+			if (offset >= bytes.byteLength) {
+				controller.close();
+
+				return;
+			}
+
+			controller.enqueue(bytes.slice(offset, offset + UPLOAD_CHUNK_SIZE));
+			offset += UPLOAD_CHUNK_SIZE;
+		}
+	});
+}
@@ -0,0 +1,188 @@
+/**
+ * Rate Limit Algorithms
+ *
+ * Admission strategies used by the limiter's buckets. Each strategy decides how many
+ * requests a bucket may dispatch right now, given the bucket's limit per window:
+ *
+ * - token-bucket: tokens refill continuously up to burst (default, allows bursts)
+ * - sliding-window: at most `limit` dispatches in any rolling window (log of timestamps)
+ * - fixed-window: at most `limit` dispatches per aligned window (counter reset at boundaries)
+ * - leaky-bucket: dispatches evenly spaced at the refill rate, no bursts
+ *
+ * Strategy interface:
+ * - init(bucket, now) - add algorithm state to a new bucket
+ * - available(bucket, now) - requests that may be dispatched now (syncs state)
+ * - acquire(bucket, now) - record a dispatch
+ * - restrict(bucket, remaining, now) - allow at most `remaining` more dispatches until state
+ *   frees up on its own (adaptive mode: 429 responses and server-reported remaining quota)
+ * - describe(bucket, now) - algorithm fields for stats
+ */
+
+export const DEFAULT_ALGORITHM = 'token-bucket';
+
+/**
+ * Whole requests allowed per window (adaptive limits can be fractional)
+ */
+function getWindowLimit(bucket) {
+	return Math.max(1, Math.floor(bucket.limit));
+}
+
+const tokenBucket = {
+	init() {
+
+		// Token state (tokens, lastRefill) is part of every bucket - adaptive mode adjusts it
+	},
+
+	available(bucket, now) {
+
+		// Quota exhausted until the server-announced reset
+		if (now < bucket.pausedUntil) {
+			return bucket.tokens;
+		}
+
+		const elapsed = now - Math.max(bucket.lastRefill, bucket.pausedUntil);
+		bucket.tokens = Math.min(bucket.burst, bucket.tokens + bucket.ratePerMs * elapsed);
+		bucket.lastRefill = now;
+
+		return bucket.tokens;
+	},
+
+	acquire(bucket) {
+		bucket.tokens -= 1;
+	},
+
+	restrict(bucket, remaining, now) {
+		tokenBucket.available(bucket, now);
+		bucket.tokens = Math.min(bucket.tokens, remaining);
+	},
+
+	describe(bucket) {
+		return {
+			tokens: Math.round(bucket.tokens * 100) / 100
+		};
+	}
+};
+
+const slidingWindow = {
+	init(bucket) {
+		bucket.log = []; // Dispatch timestamps within the window
+	},
+
+	available(bucket, now) {
+		const cutoff = now - bucket.windowMs;
+		while (bucket.log.length > 0 && bucket.log[0] <= cutoff) {
+			bucket.log.shift();
+		}
+
+		return Math.max(0, getWindowLimit(bucket) - bucket.log.length);
+	},
+
+	acquire(bucket, now) {
+		bucket.log.push(now);
+	},
+
+	restrict(bucket, remaining, now) {
+
+		// Fill the log with dispatches at `now` - they leave the window one windowMs later
+		while (slidingWindow.available(bucket, now) > remaining) {
+			bucket.log.push(now);
+		}
+	},
+
+	describe(bucket, now) {
+		const tokens = slidingWindow.available(bucket, now);
+
+		return {
+			tokens,
+			windowCount: bucket.log.length,
+			nextSlotAt: tokens > 0 || bucket.log.length === 0 ? now : bucket.log[0] + bucket.windowMs
+		};
+	}
+};
+
+const fixedWindow = {
+	init(bucket, now) {
+		bucket.windowStart = now - (now % bucket.windowMs);
+		bucket.windowCount = 0;
+	},
+
+	available(bucket, now) {
+
+		// Windows are aligned to multiples of windowMs, like server-side counters
+		if (now >= bucket.windowStart + bucket.windowMs) {
+			bucket.windowStart = now - (now % bucket.windowMs);
+			bucket.windowCount = 0;
+		}
+
+		return Math.max(0, getWindowLimit(bucket) - bucket.windowCount);
+	},
+
+	acquire(bucket) {
+		bucket.windowCount += 1;
+	},
+
+	restrict(bucket, remaining, now) {
+		fixedWindow.available(bucket, now);
+		bucket.windowCount = Math.max(bucket.windowCount, getWindowLimit(bucket) - remaining);
+	},
+
+	describe(bucket, now) {
+		return {
+			tokens: fixedWindow.available(bucket, now),
+			windowCount: bucket.windowCount,
+			windowResetAt: bucket.windowStart + bucket.windowMs
+		};
+	}
+};
+
+const leakyBucket = {
+	init(bucket, now) {
+		bucket.nextDispatchAt = now;
+	},
+
+	available(bucket, now) {
+		return now >= bucket.nextDispatchAt ? 1 : 0;
+	},
+
+	acquire(bucket, now) {
+
+		// One request per 1/rate ms - idle time does not accumulate into a burst
+		bucket.nextDispatchAt = Math.max(now, bucket.nextDispatchAt) + 1 / bucket.ratePerMs;
+	},
+
+	restrict(bucket, remaining, now) {
+
+		// At most one request is available at a time - only an exhausted quota moves the next slot
+		if (remaining < 1) {
+			bucket.nextDispatchAt = Math.max(now + 1 / bucket.ratePerMs, bucket.nextDispatchAt);
+		}
+	},
+
+	describe(bucket, now) {
+		return {
+			tokens: leakyBucket.available(bucket, now),
+			nextDispatchAt: Math.max(now, bucket.nextDispatchAt)
+		};
+	}
+};
+
+const ALGORITHMS = {
+	'token-bucket': tokenBucket,
+	'sliding-window': slidingWindow,
+	'fixed-window': fixedWindow,
+	'leaky-bucket': leakyBucket
+};
+
+/**
+ * Get the strategy for an algorithm name
+ * @param {string} name - Algorithm name
+ * @returns {Object} Strategy with init, available, acquire, restrict and describe
+ */
+export function getAlgorithm(name = DEFAULT_ALGORITHM) {
+	const algorithm = ALGORITHMS[name];
+	if (!algorithm) {
+		throw new Error(`Unknown rate limit algorithm: ${name} (expected ${Object.keys(ALGORITHMS).join(', ')})`);
+	}
+
+	return algorithm;
+}
@@ -0,0 +1,97 @@
+/**
+ * Rate Limit Header Parsing
+ *
+ * Reads server-published quotas from RateLimit-* (IETF draft), structured RateLimit
+ * and X-RateLimit-* response headers.
+ */
+
+import { getHeaderValue } from '../cache/cacheControl.js';
+
+/**
+ * Parse a rate limit reset value into a delay
+ * Small values are delta-seconds (RateLimit-Reset), large values are epoch seconds or milliseconds (X-RateLimit-Reset)
+ * @param {string} resetValue - Reset header value
+ * @returns {number} Delay in milliseconds, or 0 if invalid
+ */
+export function parseRateLimitReset(resetValue) {
+	const value = parseFloat(resetValue);
+	if (isNaN(value) || value <= 0) {
+		return 0;
+	}
+
+	// Epoch milliseconds
+	if (value > 1e12) {
+		return Math.max(0, value - Date.now());
+	}
+
+	// Epoch seconds
+	if (value > 1e9) {
+		return Math.max(0, value * 1000 - Date.now());
+	}
+
+	return value * 1000;
+}
+
+/**
+ * Parse "name=value" parameters of a structured header
+ * Example: "limit=100, remaining=0, reset=30" → { limit: '100', remaining: '0', reset: '30' }
+ */
+function parseHeaderParams(value) {
+	const params = {};
+
+	for (const part of String(value).split(/[,;]/)) {
+		const [name, paramValue] = part.split('=').map(item => item?.trim().toLowerCase());
+		if (name && paramValue !== undefined) {
+			params[name] = paramValue;
+		}
+	}
+
+	return params;
+}
+
+/**
+ * Parse a numeric header value, reading the first list item ("100, 100;w=60" → 100)
+ */
+function parseNumber(value) {
+	if (value === null || value === undefined) {
+		return null;
+	}
+
+	const number = parseFloat(String(value).split(/[,;]/)[0]);
+
+	return isNaN(number) ? null : number;
+}
+
+/**
+ * Read the quota published in response headers
+ * @param {Object|Headers} headers - Response headers
+ * @returns {Object} { limit, remaining, resetMs, windowMs } - null for values not present
+ */
+export function parseRateLimitHeaders(headers) {
+	const quota = { limit: null, remaining: null, resetMs: null, windowMs: null };
+
+	if (!headers) {
+		return quota;
+	}
+
+	const structuredHeader = getHeaderValue(headers, 'RateLimit');
+	const structured = structuredHeader ? parseHeaderParams(structuredHeader) : {};
+
+	const limitHeader = getHeaderValue(headers, 'RateLimit-Limit') ?? getHeaderValue(headers, 'X-RateLimit-Limit');
+	quota.limit = parseNumber(limitHeader ?? structured.limit);
+	quota.remaining = parseNumber(getHeaderValue(headers, 'RateLimit-Remaining') ?? getHeaderValue(headers, 'X-RateLimit-Remaining') ?? structured.remaining);
+
+	const reset = getHeaderValue(headers, 'RateLimit-Reset') ?? structured.reset ?? getHeaderValue(headers, 'X-RateLimit-Reset');
+	if (reset !== null && reset !== undefined) {
+		quota.resetMs = parseRateLimitReset(reset);
+	}
+
+	// Quota window from policy parameters: "100;w=60" (RateLimit-Limit) or RateLimit-Policy
+	const policy = getHeaderValue(headers, 'RateLimit-Policy') ?? limitHeader;
+	const windowSeconds = policy ? parseNumber(parseHeaderParams(policy).w) : null;
+	if (windowSeconds) {
+		quota.windowMs = windowSeconds * 1000;
+	}
+
+	return quota;
+}
@@ -51,13 +51,13 @@ export function createRateLimitFeature(config) {
 				return limiter.schedule(keyOrReq, requestFn);
 			} else {
 
-				// schedule(req) without function - just wait for rate limiting
-				return new Promise((resolve) => {
+				// schedule(req) without function - just wait for rate limiting (queue full, invalid priority reject)
+				return new Promise((resolve, reject) => {
 					limiter.schedule(keyOrReq, () => {
 						resolve();
 
 						return Promise.resolve();
-					});
+					}).catch(reject);
 				});
 			}
 		}
@@ -88,6 +88,19 @@ export function createRateLimitFeature(config) {
 		};
 	}
 	
+	/**
+	 * Feed a request outcome to the limiter (adaptive mode learns from status and headers)
+	 * @param {Object} req - Request object (same as passed to schedule)
+	 * @param {Object|null} response - Response with status and headers (on success)
+	 * @param {Error|null} error - Request error (HTTP errors carry status and response headers)
+	 */
+	function observe(req, response, error = null) {
+		const outcome = error
+			? { status: error.status, headers: error.response?.headers }
+			: { status: response?.status, headers: response?.headers };
+		limiter.observe(req, outcome);
+	}
+	
 	/**
 	 * Update rate limiting configuration at runtime
 	 * @param {Object} partialConfig - Partial configuration to merge
@@ -122,6 +135,7 @@ export function createRateLimitFeature(config) {
 		schedule,
 		generateKey,
 		wrapRequest,
+		observe,
 		update,
 		stats: {
 			get: getStats,
@@ -1,15 +1,27 @@
 /**
  * Rate Limiter - Token Bucket Algorithm Implementation
  * 
- * Internal rate limiting using token bucket algorithm with FIFO queuing.
+ * Internal rate limiting using token bucket (default), sliding-window, fixed-window
+ * or leaky-bucket admission with priority queuing
+ * (FIFO within a priority, waiting requests age into higher priorities).
+ * Algorithm state lives in a store (in-memory by default) so limiters in several
+ * workers or processes can share one quota.
  * Supports scope-based rate limiting (global, domain, endpoint) with
  * configurable burst capacity and request scheduling.
+ * In adaptive mode, each bucket's rate is learned from RateLimit-* response
+ * headers and shrinks AIMD-style on 429 responses.
  */
 
 import { rateLimitLogger } from './verboseLogger.js';
+import { parseRateLimitHeaders } from './headers.js';
+import { resolvePriority, selectNext, createPriorityStats } from './priority.js';
+import { getAlgorithm, DEFAULT_ALGORITHM } from './algorithms.js';
+import { MemoryRateLimitStore, isValidRateLimitStore } from './store.js';
+import { getRetryAfterFromHeaders, DEFAULT_MAX_RETRY_AFTER } from '../retry/retryPolicy.js';
+import { createLuminaraError } from '../error/index.js';
 
 /**
- * Creates a rate limiter instance with token bucket algorithm
+ * Creates a rate limiter instance with the configured algorithm
  * @param {Object} config - Rate limiting configuration
  * @param {Object} options - Environment dependencies and utilities
  * @returns {Object} Rate limiter instance with schedule, update, stats, shutdown methods
@@ -25,16 +37,18 @@ export function createLimiter(config, { env, deriveKey }) {
 	
 	// Normalize configuration to standard format
 	let normalizedConfig = normalizeConfig(config);
+	let store = normalizedConfig.store ?? new MemoryRateLimitStore();
 	log('Initialized with config', normalizedConfig);
 	
-	// Rate limiting state
-	const buckets = new Map(); // key -> { tokens, lastRefill, queue, inFlight }
+	// Rate limiting state - algorithm state (tokens, windows) is kept in the store
+	const buckets = new Map(); // key -> { queue, inFlight, limit, windowMs, ratePerMs, burst, ... }
 	const stats = {
 		queued: 0,
 		dispatched: 0,
 		dropped: 0,
 		inFlight: 0
 	};
+	const priorityStats = createPriorityStats();
 	
 	// Scheduler state
 	let schedulerTimer = null;
@@ -61,32 +75,87 @@ export function createLimiter(config, { env, deriveKey }) {
 	
 		const burst = cfg.burst !== undefined ? cfg.burst : limit;
 		const ratePerMs = limit / windowMs;
+		const agingMs = cfg.agingMs ?? 1000;
+		const algorithmName = cfg.algorithm || DEFAULT_ALGORITHM;
+		getAlgorithm(algorithmName); // Throws for unknown algorithms
+		
+		const store = cfg.store ?? null;
+		if (store && !isValidRateLimitStore(store)) {
+			throw new Error('Rate limit store must implement acquire, release, update, get and clear');
+		}
+		if (store?.supportsAlgorithm && !store.supportsAlgorithm(algorithmName)) {
+			throw new Error(`Rate limit store does not support the ${algorithmName} algorithm`);
+		}
+		
+		if (typeof agingMs !== 'number' || agingMs < 0) {
+			throw new Error('Rate limit agingMs must be >= 0');
+		}
 
 		return {
 			limit,
 			windowMs,
 			burst,
 			ratePerMs,
+			algorithm: algorithmName,
+			store, // Shared bucket state (null = private in-memory store)
+			adaptive: normalizeAdaptive(cfg.adaptive),
 			scope: cfg.scope || 'global',
 			maxConcurrent: cfg.maxConcurrent || Infinity,
 			queueLimit: cfg.queueLimit || Infinity,
 			tickMs: cfg.tickMs || 25,
+			agingMs, // Queue wait that promotes a request one priority level (0 disables aging)
 			include: cfg.include || undefined,
 			exclude: cfg.exclude || undefined,
 			verbose: cfg.verbose || false
 		};
 	}
 	
+	/**
+	 * Normalize adaptive mode options (null when disabled)
+	 */
+	function normalizeAdaptive(adaptive) {
+		if (!adaptive) {
+			return null;
+		}
+		
+		const options = typeof adaptive === 'object' ? adaptive : {};
+		const normalized = {
+			increase: options.increase ?? 1, // Requests per window added per successful response
+			decrease: options.decrease ?? 0.5, // Rate multiplier applied on 429
+			minLimit: options.minLimit ?? 1, // Lowest learned limit (requests per window)
+			maxLimit: options.maxLimit ?? null // Highest learned limit (defaults to server or configured limit)
+		};
+		
+		if (typeof normalized.increase !== 'number' || normalized.increase < 0) {
+			throw new Error('Adaptive rate limit increase must be >= 0');
+		}
+		if (typeof normalized.decrease !== 'number' || normalized.decrease <= 0 || normalized.decrease >= 1) {
+			throw new Error('Adaptive rate limit decrease must be between 0 and 1 (exclusive)');
+		}
+		if (typeof normalized.minLimit !== 'number' || normalized.minLimit <= 0) {
+			throw new Error('Adaptive rate limit minLimit must be > 0');
+		}
+		
+		return normalized;
+	}
+	
 	/**
 	 * Get or create bucket for the given key
 	 */
 	function getBucket(key) {
 		if (!buckets.has(key)) {
 			buckets.set(key, {
-				tokens: normalizedConfig.burst, // Start with full capacity
-				lastRefill: env.now(),
 				queue: [],
-				inFlight: 0
+				inFlight: 0,
+				
+				// Bucket rate - starts from config, resized live in adaptive mode
+				limit: normalizedConfig.limit,
+				windowMs: normalizedConfig.windowMs,
+				ratePerMs: normalizedConfig.ratePerMs,
+				burst: normalizedConfig.burst,
+				ceiling: null, // Limit published by the server (upper bound for additive increase)
+				pausedUntil: 0, // No refill until the server-announced reset
+				learned: null
 			});
 			log(`Created new bucket for key: ${key}`);
 		}
@@ -95,27 +164,195 @@ export function createLimiter(config, { env, deriveKey }) {
 	}
 	
 	/**
-	 * Refill tokens for a bucket based on elapsed time
+	 * Resize a bucket's refill rate (requests per window)
+	 */
+	function setBucketRate(bucket, limit, windowMs) {
+		bucket.limit = limit;
+		bucket.windowMs = windowMs;
+		bucket.ratePerMs = limit / windowMs;
+		bucket.burst = Math.max(1, Math.min(limit, normalizedConfig.burst));
+	}
+	
+	/**
+	 * Rate passed to the store for a bucket
+	 */
+	function getRate(bucket) {
+		return {
+			algorithm: normalizedConfig.algorithm,
+			limit: bucket.limit,
+			windowMs: bucket.windowMs,
+			ratePerMs: bucket.ratePerMs,
+			burst: bucket.burst,
+			pausedUntil: bucket.pausedUntil
+		};
+	}
+	
+	/**
+	 * Learn from a response (adaptive mode only)
+	 * Server quota headers resize the bucket; 429 shrinks it multiplicatively;
+	 * other successful responses grow it additively up to the known ceiling
+	 * @param {Object} req - Request object (same shape as passed to schedule)
+	 * @param {Object} response - { status, headers } of the response
 	 */
-	function refillTokens(bucket) {
+	function observe(req, response) {
+		const { adaptive } = normalizedConfig;
+		if (!adaptive || isShutdown || !response?.status) {
+			return;
+		}
+		
+		const key = deriveKey(req, normalizedConfig.scope, {
+			include: normalizedConfig.include,
+			exclude: normalizedConfig.exclude
+		});
+		if (key === '__no_limit__') {
+			return;
+		}
+		
+		const bucket = getBucket(key);
 		const now = env.now();
-		const elapsed = now - bucket.lastRefill;
-		const tokensToAdd = normalizedConfig.ratePerMs * elapsed;
 		
-		bucket.tokens = Math.min(normalizedConfig.burst, bucket.tokens + tokensToAdd);
-		bucket.lastRefill = now;
+		try {
+			learn(key, bucket, response, now);
+		} catch (error) {
+			console.warn('Error in rate limit store update:', error);
+		}
+	}
+	
+	/**
+	 * Resize a bucket from one response (observe without the store error handling)
+	 */
+	function learn(key, bucket, response, now) {
+		const { adaptive } = normalizedConfig;
+		const algorithm = getAlgorithm(normalizedConfig.algorithm);
 		
-		return bucket.tokens;
+		// Settle elapsed time at the current rate before changing it
+		store.update(key, getRate(bucket), now, state => {
+			algorithm.available(state, now);
+		});
+		
+		const { status, headers } = response;
+		const quota = parseRateLimitHeaders(headers);
+		const previousLimit = bucket.limit;
+		let source = null;
+		
+		if (status === 429) {
+
+			// Multiplicative decrease, wait for Retry-After / reset before refilling
+			setBucketRate(bucket, Math.max(adaptive.minLimit, bucket.limit * adaptive.decrease), bucket.windowMs);
+			store.update(key, getRate(bucket), now, state => {
+				algorithm.restrict(state, 0, now);
+			});
+			const pauseMs = Math.min(getRetryAfterFromHeaders(headers, status), DEFAULT_MAX_RETRY_AFTER);
+			if (pauseMs > 0) {
+				bucket.pausedUntil = now + pauseMs;
+			}
+			source = 'aimd';
+		} else if (quota.limit !== null || quota.remaining !== null) {
+
+			// Server-published quota
+			if (quota.limit !== null && quota.windowMs) {
+				bucket.ceiling = quota.limit;
+				setBucketRate(bucket, quota.limit, quota.windowMs);
+			} else if (quota.remaining > 0 && quota.resetMs > 0) {
+
+				// Unknown window - spread the remaining quota until the reset
+				bucket.ceiling = quota.remaining;
+				setBucketRate(bucket, quota.remaining, quota.resetMs);
+			} else if (quota.limit !== null) {
+				bucket.ceiling = quota.limit;
+				setBucketRate(bucket, quota.limit, bucket.windowMs);
+			}
+			
+			if (quota.remaining !== null) {
+				store.update(key, getRate(bucket), now, state => {
+					algorithm.restrict(state, quota.remaining, now);
+				});
+				if (quota.remaining === 0 && quota.resetMs > 0) {
+					bucket.pausedUntil = now + Math.min(quota.resetMs, DEFAULT_MAX_RETRY_AFTER);
+				}
+			}
+			source = 'headers';
+		} else if (status < 400) {
+
+			// Additive increase up to the server limit (or configured limit)
+			const ceiling = adaptive.maxLimit ?? bucket.ceiling ?? normalizedConfig.limit * (bucket.windowMs / normalizedConfig.windowMs);
+			if (bucket.limit < ceiling) {
+				setBucketRate(bucket, Math.min(ceiling, bucket.limit + adaptive.increase), bucket.windowMs);
+				source = 'aimd';
+			}
+		}
+		
+		if (!source) {
+			return;
+		}
+		
+		if (adaptive.maxLimit !== null && bucket.limit > adaptive.maxLimit) {
+			setBucketRate(bucket, adaptive.maxLimit, bucket.windowMs);
+		}
+		
+		bucket.learned = {
+			source,
+			limit: quota.limit,
+			remaining: quota.remaining,
+			resetMs: quota.resetMs,
+			windowMs: quota.windowMs,
+			status,
+			updatedAt: now
+		};
+		
+		if (bucket.limit !== previousLimit) {
+			log(`Adapted rate for key: ${key}, ${previousLimit.toFixed(2)} → ${bucket.limit.toFixed(2)} per ${bucket.windowMs}ms (${source})`);
+		}
 	}
 	
 	/**
-	 * Check if we can dispatch more requests (token and concurrency limits)
+	 * Take a permit for a bucket if concurrency, pause and the store's algorithm state allow it
 	 */
-	function canDispatch(bucket) {
-		refillTokens(bucket);
+	function tryAcquire(key, bucket) {
+		const now = env.now();
 		const totalInFlight = Array.from(buckets.values()).reduce((sum, b) => sum + b.inFlight, 0);
+		if (now < bucket.pausedUntil || totalInFlight >= normalizedConfig.maxConcurrent) {
+			return false;
+		}
 		
-		return bucket.tokens >= 1 && totalInFlight < normalizedConfig.maxConcurrent;
+		if (!store.acquire(key, getRate(bucket), now)) {
+			return false;
+		}
+		
+		bucket.inFlight += 1;
+		stats.inFlight += 1;
+		stats.dispatched += 1;
+		
+		return true;
+	}
+	
+	/**
+	 * Error for a request whose permit could not be taken because the store failed
+	 * (lock timeout, full shared store) - other requests and buckets keep going
+	 */
+	function createStoreError(key, error) {
+		return createLuminaraError(`Rate limit store failed for key ${key}: ${error.message}`, {
+			code: 'RATE_LIMIT_STORE_ERROR',
+			originalError: error
+		});
+	}
+	
+	/**
+	 * Release the permit once a dispatched request settles
+	 */
+	function trackCompletion(key, bucket, dispatchPromise) {
+		
+		// Rejections are handled by the caller
+		dispatchPromise.finally(() => {
+			bucket.inFlight -= 1;
+			stats.inFlight -= 1;
+			try {
+				store.release(key);
+			} catch (error) {
+				console.warn('Error in rate limit store release:', error);
+			}
+			log(`Request completed for key: ${key}, inFlight: ${bucket.inFlight}`);
+		}).catch(() => {});
 	}
 	
 	/**
@@ -145,26 +382,34 @@ export function createLimiter(config, { env, deriveKey }) {
 				continue;
 			}
 			
-			// Dispatch as many requests as possible
-			while (bucket.queue.length > 0 && canDispatch(bucket)) {
-				const queuedRequest = bucket.queue.shift();
-				bucket.tokens -= 1;
-				bucket.inFlight += 1;
-				stats.inFlight += 1;
-				stats.dispatched += 1;
+			// Dispatch as many requests as possible, highest effective priority first
+			while (bucket.queue.length > 0) {
+				let acquired;
+				try {
+					acquired = tryAcquire(key, bucket);
+				} catch (error) {
+					
+					// Fail the request that was due - the rest of the queue is retried
+					const [failedRequest] = bucket.queue.splice(selectNext(bucket.queue, env.now(), normalizedConfig.agingMs), 1);
+					stats.dropped += 1;
+					log(`Rate limit store failed for key: ${key}, rejecting ${failedRequest.label} request`, error.message);
+					failedRequest.reject(createStoreError(key, error));
+					continue;
+				}
+				if (!acquired) {
+					break;
+				}
+				
+				const now = env.now();
+				const [queuedRequest] = bucket.queue.splice(selectNext(bucket.queue, now, normalizedConfig.agingMs), 1);
+				priorityStats.recordDispatch(queuedRequest.label, queuedRequest.level, now - queuedRequest.timestamp);
 				
-				log(`Dispatching request for key: ${key}, tokens remaining: ${bucket.tokens.toFixed(2)}`);
+				log(`Dispatching ${queuedRequest.label} request for key: ${key}, queue length: ${bucket.queue.length}`);
 				
 				// Dispatch the request
 				const dispatchPromise = queuedRequest.dispatch();
 				queuedRequest.resolve(dispatchPromise);
-				
-				// Handle completion
-				dispatchPromise.finally(() => {
-					bucket.inFlight -= 1;
-					stats.inFlight -= 1;
-					log(`Request completed for key: ${key}, inFlight: ${bucket.inFlight}`);
-				});
+				trackCompletion(key, bucket, dispatchPromise);
 			}
 		}
 	}
@@ -194,10 +439,17 @@ export function createLimiter(config, { env, deriveKey }) {
 			return dispatch();
 		}
 		
+		let priority;
+		try {
+			priority = resolvePriority(req.priority);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+		
 		const bucket = getBucket(key);
 		
 		if (normalizedConfig.verbose && req.debugRateLimit) {
-			log(`Rate limiting request with key: ${key}, tokens: ${bucket.tokens}, queue: ${bucket.queue.length}`);
+			log(`Rate limiting request with key: ${key}, ${normalizedConfig.algorithm}, queue: ${bucket.queue.length}`);
 		}
 		
 		// Check queue limit
@@ -209,34 +461,39 @@ export function createLimiter(config, { env, deriveKey }) {
 			return Promise.reject(new Error('Rate limit queue is full'));
 		}
 		
+		let acquired;
+		try {
+			acquired = tryAcquire(key, bucket);
+		} catch (error) {
+			stats.dropped += 1;
+			log(`Rate limit store failed for key: ${key}`, error.message);
+
+			return Promise.reject(createStoreError(key, error));
+		}
+		
 		// If we can dispatch immediately, do so
-		if (canDispatch(bucket)) {
-			bucket.tokens -= 1;
-			bucket.inFlight += 1;
-			stats.inFlight += 1;
-			stats.dispatched += 1;
+		if (acquired) {
+			priorityStats.recordDispatch(priority.label, priority.level, 0);
 			
-			log(`Immediate dispatch for key: ${key}, tokens remaining: ${bucket.tokens.toFixed(2)}`);
+			log(`Immediate dispatch for key: ${key}`);
 			
 			const dispatchPromise = dispatch();
-			dispatchPromise.finally(() => {
-				bucket.inFlight -= 1;
-				stats.inFlight -= 1;
-				log(`Request completed for key: ${key}, inFlight: ${bucket.inFlight}`);
-			});
+			trackCompletion(key, bucket, dispatchPromise);
 			
 			return dispatchPromise;
 		}
 		
 		// Queue the request
 		stats.queued += 1;
-		log(`Queuing request for key: ${key}, queue length: ${bucket.queue.length + 1}`);
+		log(`Queuing ${priority.label} request for key: ${key}, queue length: ${bucket.queue.length + 1}`);
 		
 		return new Promise((resolve, reject) => {
 			const queuedRequest = {
 				dispatch,
 				resolve,
 				reject,
+				level: priority.level,
+				label: priority.label,
 				timestamp: env.now()
 			};
 			
@@ -257,8 +514,9 @@ export function createLimiter(config, { env, deriveKey }) {
 		
 		log('Updated configuration', normalizedConfig);
 		
-		// Clear existing buckets to apply new settings
+		// Clear existing buckets to apply new settings (shared store state is kept)
 		buckets.clear();
+		store = normalizedConfig.store ?? new MemoryRateLimitStore();
 		log('Cleared existing buckets for configuration update');
 	}
 	
@@ -266,18 +524,45 @@ export function createLimiter(config, { env, deriveKey }) {
 	 * Get current statistics
 	 */
 	function getStats() {
+		const now = env.now();
 		const bucketStats = {};
+		const priorityDepths = new Map(); // label -> { level, queued }
 		for (const [key, bucket] of buckets.entries()) {
+			for (const { label, level } of bucket.queue) {
+				const depth = priorityDepths.get(label) ?? { level, queued: 0 };
+				depth.queued += 1;
+				priorityDepths.set(label, depth);
+			}
+			
+			// A failing store (full shared store, unreadable file) leaves out the algorithm stats
+			let storeStats = {};
+			try {
+				storeStats = store.get(key, getRate(bucket), now);
+			} catch (error) {
+				log(`Rate limit store failed for key: ${key}`, error.message);
+			}
+			const { inFlight: sharedInFlight, ...algorithmStats } = storeStats;
 			bucketStats[key] = {
-				tokens: Math.round(bucket.tokens * 100) / 100,
+				...algorithmStats,
 				queued: bucket.queue.length,
-				inFlight: bucket.inFlight
+				inFlight: bucket.inFlight,
+				sharedInFlight // In flight across all limiters using the store
 			};
+			
+			// Learned limits in adaptive mode
+			if (normalizedConfig.adaptive) {
+				bucketStats[key].limit = Math.round(bucket.limit * 100) / 100;
+				bucketStats[key].windowMs = bucket.windowMs;
+				bucketStats[key].rps = Math.round(bucket.ratePerMs * 1000 * 100) / 100;
+				bucketStats[key].pausedUntil = bucket.pausedUntil > now ? bucket.pausedUntil : null;
+				bucketStats[key].learned = bucket.learned;
+			}
 		}
 		
 		return {
 			...stats,
 			buckets: bucketStats,
+			priorities: priorityStats.get(priorityDepths),
 			config: normalizedConfig
 		};
 	}
@@ -290,6 +575,7 @@ export function createLimiter(config, { env, deriveKey }) {
 		stats.dispatched = 0;
 		stats.dropped = 0;
 		stats.inFlight = 0;
+		priorityStats.reset();
 		log('Statistics reset');
 	}
 	
@@ -325,6 +611,7 @@ export function createLimiter(config, { env, deriveKey }) {
 	
 	return {
 		schedule,
+		observe,
 		update,
 		stats: {
 			get: getStats,
@@ -0,0 +1,154 @@
+/**
+ * Rate Limit Priorities
+ *
+ * Maps the per-request `priority` option to a numeric level (lower dispatches first)
+ * and tracks per-priority wait times for stats.
+ */
+
+export const PRIORITY_LEVELS = {
+	critical: 0,
+	high: 1,
+	normal: 2,
+	low: 3
+};
+
+export const DEFAULT_PRIORITY = 'normal';
+
+// Wait time samples kept per priority for percentiles
+const MAX_WAIT_SAMPLES = 1000;
+
+/**
+ * Resolve a priority option to its level and stats label
+ * @param {string|number} [priority] - Named priority or numeric level
+ * @returns {Object} { level, label }
+ */
+export function resolvePriority(priority = DEFAULT_PRIORITY) {
+	if (typeof priority === 'number' && Number.isFinite(priority)) {
+		const name = Object.keys(PRIORITY_LEVELS).find(key => PRIORITY_LEVELS[key] === priority);
+
+		return { level: priority, label: name ?? String(priority) };
+	}
+
+	if (typeof priority === 'string' && priority in PRIORITY_LEVELS) {
+		return { level: PRIORITY_LEVELS[priority], label: priority };
+	}
+
+	throw new Error(`Invalid rate limit priority: ${priority} (expected ${Object.keys(PRIORITY_LEVELS).join(', ')} or a number)`);
+}
+
+/**
+ * Effective level of a queued request - waiting promotes it one level per agingMs
+ * so low priority work is not starved by a steady stream of higher priorities
+ */
+export function getEffectiveLevel(queuedRequest, now, agingMs) {
+	if (!agingMs) {
+		return queuedRequest.level;
+	}
+
+	return queuedRequest.level - (now - queuedRequest.timestamp) / agingMs;
+}
+
+/**
+ * Index of the next request to dispatch (lowest effective level, FIFO among equals)
+ */
+export function selectNext(queue, now, agingMs) {
+	let selected = 0;
+	let selectedLevel = Infinity;
+
+	for (let i = 0; i < queue.length; i++) {
+		const level = getEffectiveLevel(queue[i], now, agingMs);
+		if (level < selectedLevel) {
+			selected = i;
+			selectedLevel = level;
+		}
+	}
+
+	return selected;
+}
+
+/**
+ * Per-priority dispatch counters and wait time samples
+ */
+export function createPriorityStats() {
+	const priorities = new Map(); // label -> { level, dispatched, waits }
+
+	function getEntry(label, level) {
+		if (!priorities.has(label)) {
+			priorities.set(label, { level, dispatched: 0, waits: [] });
+		}
+
+		return priorities.get(label);
+	}
+
+	/**
+	 * Record a dispatched request and how long it waited in the queue
+	 */
+	function recordDispatch(label, level, waitMs) {
+		const entry = getEntry(label, level);
+		entry.dispatched += 1;
+		entry.waits.push(waitMs);
+		if (entry.waits.length > MAX_WAIT_SAMPLES) {
+			entry.waits.shift();
+		}
+	}
+
+	/**
+	 * Build stats, with current queue depth per label
+	 * @param {Map} depths - label -> { level, queued }
+	 */
+	function get(depths) {
+		for (const [label, { level }] of depths) {
+			getEntry(label, level);
+		}
+
+		const result = {};
+		const sortedEntries = Array.from(priorities.entries()).sort((a, b) => a[1].level - b[1].level);
+		for (const [label, entry] of sortedEntries) {
+			result[label] = {
+				level: entry.level,
+				queued: depths.get(label)?.queued ?? 0,
+				dispatched: entry.dispatched,
+				wait: summarizeWaits(entry.waits)
+			};
+		}
+
+		return result;
+	}
+
+	function reset() {
+		priorities.clear();
+	}
+
+	return { recordDispatch, get, reset };
+}
+
+function summarizeWaits(waits) {
+	if (waits.length === 0) {
+		return { avgMs: 0, p50Ms: 0, p95Ms: 0, p99Ms: 0, maxMs: 0 };
+	}
+
+	const sorted = waits.slice().sort((a, b) => a - b);
+	const sum = sorted.reduce((acc, value) => acc + value, 0);
+
+	return {
+		avgMs: sum / sorted.length,
+		p50Ms: percentile(sorted, 0.5),
+		p95Ms: percentile(sorted, 0.95),
+		p99Ms: percentile(sorted, 0.99),
+		maxMs: sorted[sorted.length - 1]
+	};
+}
+
+function percentile(sortedArray, fraction) {
+	const index = (sortedArray.length - 1) * fraction;
+	const lower = Math.floor(index);
+	const upper = Math.ceil(index);
+
+	if (lower === upper) {
+		return sortedArray[lower];
+	}
+
+	const weight = index - lower;
+
+	return sortedArray[lower] * (1 - weight) + sortedArray[upper] * weight;
+}
@@ -0,0 +1,581 @@
+/**
+ * Rate limit state stores
+ *
+ * A store holds the algorithm state of each bucket (tokens, window counters, dispatch log)
+ * so several limiters - worker threads or separate processes - can draw from one quota.
+ * Request queues, priorities and adaptive rates stay local to each limiter.
+ *
+ * Store interface (synchronous - the limiter checks it on every scheduler tick):
+ * - acquire(key, rate, now): boolean          - Take one permit if the algorithm allows it
+ * - release(key): void                        - A dispatched request finished
+ * - update(key, rate, now, fn): any           - Atomically adjust state (adaptive mode)
+ * - get(key, rate, now): Object               - Algorithm stats plus inFlight across limiters
+ * - clear(): void                             - Remove all state
+ * - supportsAlgorithm(name): boolean          - Optional, checked when the limiter is configured
+ *
+ * `rate` is { algorithm, limit, windowMs, ratePerMs, burst, pausedUntil } for the bucket.
+ * Methods must not block: a store that cannot take its lock returns false from acquire
+ * (the limiter retries on the next tick) and applies release/update later.
+ * Errors thrown by acquire reject the request being dispatched.
+ * Custom stores can extend RateLimitStore and implement withState(key, fn) and clear().
+ */
+
+import { getAlgorithm } from './algorithms.js';
+
+/**
+ * Apply the bucket rate to a state object, initializing new state
+ * @returns {Object} Algorithm strategy for the rate
+ */
+function syncState(state, rate, now) {
+	const algorithm = getAlgorithm(rate.algorithm);
+	const isNew = state.lastRefill === undefined;
+
+	state.limit = rate.limit;
+	state.windowMs = rate.windowMs;
+	state.ratePerMs = rate.ratePerMs;
+	state.burst = rate.burst;
+	state.pausedUntil = rate.pausedUntil;
+
+	if (isNew) {
+		state.tokens = rate.burst; // Start with full capacity
+		state.lastRefill = now;
+		state.inFlight = 0;
+		algorithm.init(state, now);
+	}
+
+	return algorithm;
+}
+
+/**
+ * Take one permit from a state object if the algorithm allows it
+ */
+function acquireState(state, rate, now) {
+	const algorithm = syncState(state, rate, now);
+	if (algorithm.available(state, now) < 1) {
+		return false;
+	}
+
+	algorithm.acquire(state, now);
+	state.inFlight += 1;
+
+	return true;
+}
+
+function releaseState(state) {
+	if (state.inFlight > 0) {
+		state.inFlight -= 1;
+	}
+}
+
+/**
+ * Algorithm stats of a state object plus its inFlight count
+ */
+function describeState(state, rate, now) {
+	const algorithm = syncState(state, rate, now);
+	algorithm.available(state, now);
+
+	return {
+		...algorithm.describe(state, now),
+		inFlight: state.inFlight
+	};
+}
+
+/**
+ * Base store - implements the interface on top of an atomic withState(key, fn)
+ */
+export class RateLimitStore {
+
+	/**
+	 * Run fn(state) for a key while holding exclusive access, persisting changes
+	 * @param {string} key - Bucket key
+	 * @param {Function} fn - Receives the mutable state object ({} for new keys)
+	 * @returns {any} Result of fn
+	 */
+	withState() {
+		throw new Error('Rate limit store must implement withState(key, fn)');
+	}
+
+	clear() {
+		throw new Error('Rate limit store must implement clear()');
+	}
+
+	supportsAlgorithm() {
+		return true;
+	}
+
+	acquire(key, rate, now) {
+		return this.withState(key, state => acquireState(state, rate, now));
+	}
+
+	release(key) {
+		this.withState(key, releaseState);
+	}
+
+	update(key, rate, now, fn) {
+		return this.withState(key, state => {
+			syncState(state, rate, now);
+
+			return fn(state);
+		});
+	}
+
+	get(key, rate, now) {
+		return this.withState(key, state => describeState(state, rate, now));
+	}
+
+}
+
+/**
+ * In-memory store (default) - state private to one limiter
+ */
+export class MemoryRateLimitStore extends RateLimitStore {
+
+	constructor() {
+		super();
+		this.states = new Map(); // key → state
+	}
+
+	withState(key, fn) {
+		if (!this.states.has(key)) {
+			this.states.set(key, {});
+		}
+
+		return fn(this.states.get(key));
+	}
+
+	clear() {
+		this.states.clear();
+	}
+
+}
+
+// Retry interval for writes deferred while another thread or process holds the lock
+const LOCK_RETRY_MS = 25;
+
+/**
+ * Base for stores shared between threads or processes - the lock is only ever tried, never waited for.
+ * acquire returns false while the lock is busy (and throws once it has been busy for lockTimeoutMs),
+ * release/update/clear are applied with the next locked transaction or retried every LOCK_RETRY_MS.
+ * Subclasses implement locked(fn), lockName and get().
+ */
+class TryLockRateLimitStore extends RateLimitStore {
+
+	constructor({ lockTimeoutMs = 5000 } = {}) {
+		super();
+		this.lockTimeoutMs = lockTimeoutMs;
+		this.pending = []; // Writes waiting for the lock: (states) => void
+		this.flushTimer = null;
+		this.busySince = null; // First denied acquire since the lock was last taken
+	}
+
+	/**
+	 * Run fn(states) if the lock is free - states is { get(key), has(key), clear() } over the stored states
+	 * @returns {{ locked: boolean, result?: any }} locked is false while another thread or process holds the lock
+	 */
+	locked() {
+		throw new Error('Rate limit store must implement locked(fn)');
+	}
+
+	/**
+	 * Run fn(states) under the lock if it is free, applying pending writes first
+	 */
+	transact(fn) {
+		return this.locked((states) => {
+			this.pending.splice(0).forEach(write => write(states));
+
+			return fn(states);
+		});
+	}
+
+	/**
+	 * Queue a write and apply it now if the lock is free
+	 */
+	defer(write) {
+		this.pending.push(write);
+		if (!this.flushTimer) {
+			this.flush();
+		}
+	}
+
+	flush() {
+		this.flushTimer = null;
+		if (this.pending.length === 0) {
+			return;
+		}
+
+		try {
+			if (!this.transact(() => {}).locked) {
+				this.flushTimer = setTimeout(() => this.flush(), LOCK_RETRY_MS);
+			}
+		} catch (error) {
+			this.pending = [];
+			console.warn('Error in rate limit store write:', error);
+		}
+	}
+
+	/**
+	 * Run fn on a key's state under the lock (throws while another thread or process holds it)
+	 */
+	withState(key, fn) {
+		const { locked, result } = this.transact(states => fn(states.get(key)));
+		if (!locked) {
+			throw new Error(`Rate limit lock is busy: ${this.lockName}`);
+		}
+
+		return result;
+	}
+
+	acquire(key, rate, now) {
+		const { locked, result } = this.transact(states => acquireState(states.get(key), rate, now));
+		if (locked) {
+			this.busySince = null;
+
+			return result;
+		}
+
+		// Denied until the lock frees up - the limiter retries on its next tick
+		const busyFor = Date.now() - (this.busySince ??= Date.now());
+		if (busyFor > this.lockTimeoutMs) {
+			this.busySince = null;
+			throw new Error(`Timed out waiting for rate limit lock: ${this.lockName}`);
+		}
+
+		return false;
+	}
+
+	release(key) {
+		this.defer(states => {
+			if (states.has(key)) {
+				releaseState(states.get(key));
+			}
+		});
+	}
+
+	/**
+	 * Applied immediately when the lock is free - returns undefined when deferred
+	 */
+	update(key, rate, now, fn) {
+		let result;
+		this.defer(states => {
+			const state = states.get(key);
+			syncState(state, rate, now);
+			result = fn(state);
+		});
+
+		return result;
+	}
+
+	clear() {
+		this.defer(states => states.clear());
+	}
+
+}
+
+// Shared memory layout: Int32 header [lock, maxKeys, slot hashes...], then Float64 slot fields
+const LOCK_INDEX = 0;
+const MAX_KEYS_INDEX = 1;
+const HEADER_INTS = 2;
+const SLOT_FIELDS = ['tokens', 'lastRefill', 'windowStart', 'windowCount', 'nextDispatchAt', 'inFlight'];
+
+// Critical sections are a few field reads/writes - a short spin rides out ordinary contention
+const LOCK_SPINS = 100;
+
+function getHeaderBytes(maxKeys) {
+	const bytes = (HEADER_INTS + maxKeys) * Int32Array.BYTES_PER_ELEMENT;
+
+	return Math.ceil(bytes / Float64Array.BYTES_PER_ELEMENT) * Float64Array.BYTES_PER_ELEMENT;
+}
+
+/**
+ * 32-bit FNV-1a hash of a bucket key (never 0, which marks an empty slot)
+ */
+function hashKey(key) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < key.length; i++) {
+		hash ^= key.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+
+	return hash === 0 ? 1 : hash;
+}
+
+/**
+ * SharedArrayBuffer store for worker_threads (or browser workers)
+ * Create it once, pass `store.buffer` to each worker and wrap it there:
+ * new SharedMemoryRateLimitStore({ buffer: workerData.rateLimitBuffer })
+ * The lock is tried a bounded number of times, never waited for - a worker that dies holding it
+ * makes acquire throw after lockTimeoutMs instead of freezing the other threads. get reads without locking.
+ * Keys are matched by 32-bit hash only - two keys with the same hash share one bucket.
+ * Acquiring for a new key once maxKeys buckets exist throws, failing only that request.
+ * The sliding-window log does not fit fixed-size slots, so sliding-window is not supported.
+ */
+export class SharedMemoryRateLimitStore extends TryLockRateLimitStore {
+
+	constructor({ buffer = null, maxKeys = 64, lockTimeoutMs = 5000 } = {}) {
+		super({ lockTimeoutMs });
+
+		if (typeof SharedArrayBuffer === 'undefined') {
+			throw new Error('SharedMemoryRateLimitStore requires SharedArrayBuffer');
+		}
+
+		if (buffer) {
+			if (!(buffer instanceof SharedArrayBuffer)) {
+				throw new Error('SharedMemoryRateLimitStore buffer must be a SharedArrayBuffer');
+			}
+			maxKeys = new Int32Array(buffer, 0, HEADER_INTS)[MAX_KEYS_INDEX];
+		} else {
+			if (!Number.isInteger(maxKeys) || maxKeys <= 0) {
+				throw new Error('SharedMemoryRateLimitStore maxKeys must be a positive integer');
+			}
+			buffer = new SharedArrayBuffer(getHeaderBytes(maxKeys) + maxKeys * SLOT_FIELDS.length * Float64Array.BYTES_PER_ELEMENT);
+			new Int32Array(buffer, 0, HEADER_INTS)[MAX_KEYS_INDEX] = maxKeys;
+		}
+
+		this.buffer = buffer;
+		this.maxKeys = maxKeys;
+		this.lockName = 'shared memory';
+		this.header = new Int32Array(buffer, 0, HEADER_INTS + maxKeys);
+		this.slots = new Float64Array(buffer, getHeaderBytes(maxKeys), maxKeys * SLOT_FIELDS.length);
+	}
+
+	/**
+	 * Take the lock without waiting
+	 * @returns {boolean} False while another thread holds it
+	 */
+	tryLock() {
+		for (let attempt = 0; attempt < LOCK_SPINS; attempt++) {
+			if (Atomics.compareExchange(this.header, LOCK_INDEX, 0, 1) === 0) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	unlock() {
+		Atomics.store(this.header, LOCK_INDEX, 0);
+	}
+
+	/**
+	 * Find the slot for a key, claiming an empty one for new keys (claiming requires the lock)
+	 * @returns {{ slot: number, isNew: boolean }|null} null for unknown keys when not claiming
+	 */
+	findSlot(key, claim = true) {
+		const hash = hashKey(key);
+		const start = (hash >>> 0) % this.maxKeys;
+
+		for (let i = 0; i < this.maxKeys; i++) {
+			const slot = (start + i) % this.maxKeys;
+			const slotHash = this.header[HEADER_INTS + slot];
+			if (slotHash === hash) {
+				return { slot, isNew: false };
+			}
+			if (slotHash === 0) {
+				if (!claim) {
+					return null;
+				}
+				this.header[HEADER_INTS + slot] = hash;
+
+				return { slot, isNew: true };
+			}
+		}
+
+		if (!claim) {
+			return null;
+		}
+
+		throw new Error(`SharedMemoryRateLimitStore is full (maxKeys: ${this.maxKeys})`);
+	}
+
+	readSlot(slot) {
+		const offset = slot * SLOT_FIELDS.length;
+		const state = {};
+		SLOT_FIELDS.forEach((field, index) => {
+			state[field] = this.slots[offset + index];
+		});
+
+		return state;
+	}
+
+	locked(fn) {
+		if (!this.tryLock()) {
+			return { locked: false };
+		}
+
+		const loaded = new Map(); // key → { slot, isNew, state }
+		try {
+			const result = fn({
+				get: (key) => {
+					if (!loaded.has(key)) {
+						const { slot, isNew } = this.findSlot(key);
+						loaded.set(key, { slot, isNew, state: isNew ? {} : this.readSlot(slot) });
+					}
+
+					return loaded.get(key).state;
+				},
+				has: key => loaded.has(key) || this.findSlot(key, false) !== null,
+				clear: () => {
+					loaded.clear();
+					this.header.fill(0, HEADER_INTS);
+					this.slots.fill(0);
+				}
+			});
+
+			for (const { slot, isNew, state } of loaded.values()) {
+
+				// Nothing to store yet - give a new slot back
+				if (state.lastRefill === undefined) {
+					if (isNew) {
+						this.header[HEADER_INTS + slot] = 0;
+					}
+					continue;
+				}
+
+				const offset = slot * SLOT_FIELDS.length;
+				SLOT_FIELDS.forEach((field, index) => {
+					this.slots[offset + index] = state[field] ?? 0;
+				});
+			}
+
+			return { locked: true, result };
+		} finally {
+			this.unlock();
+		}
+	}
+
+	supportsAlgorithm(name) {
+		return name !== 'sliding-window';
+	}
+
+	get(key, rate, now) {
+		const found = this.findSlot(key, false);
+
+		return describeState(found ? this.readSlot(found.slot) : {}, rate, now);
+	}
+
+}
+
+/**
+ * File store for separate processes on one machine
+ * State is a JSON file guarded by an exclusive lock file (`${path}.lock`).
+ * The lock is never waited for: acquire returns false while another process holds it
+ * (and throws once it has been busy for lockTimeoutMs), release/update/clear are applied
+ * with the next write or retried every LOCK_RETRY_MS. get reads the file without locking.
+ * Uses synchronous fs calls - pass `fs` explicitly where node:fs is not a builtin module lookup.
+ */
+export class FileRateLimitStore extends TryLockRateLimitStore {
+
+	constructor({ path, fs = null, lockTimeoutMs = 5000, staleLockMs = 10000 } = {}) {
+		super({ lockTimeoutMs });
+
+		if (!path || typeof path !== 'string') {
+			throw new Error('FileRateLimitStore requires a path');
+		}
+
+		this.fs = fs ?? globalThis.process?.getBuiltinModule?.('node:fs') ?? null;
+		if (!this.fs) {
+			throw new Error('FileRateLimitStore requires the fs option in this runtime (import fs from \'node:fs\')');
+		}
+
+		this.path = path;
+		this.lockPath = `${path}.lock`;
+		this.lockName = this.lockPath;
+		this.staleLockMs = staleLockMs;
+	}
+
+	/**
+	 * Take the lock file without waiting
+	 * @returns {number|null} File descriptor, null while another process holds the lock
+	 */
+	tryLock() {
+		for (let attempt = 0; attempt < 2; attempt++) {
+			try {
+				return this.fs.openSync(this.lockPath, 'wx');
+			} catch (error) {
+				if (error.code !== 'EEXIST') {
+					throw error;
+				}
+			}
+
+			// Remove locks left behind by crashed processes, then try once more
+			try {
+				if (Date.now() - this.fs.statSync(this.lockPath).mtimeMs <= this.staleLockMs) {
+					return null;
+				}
+				this.fs.unlinkSync(this.lockPath);
+			} catch {
+				// Lock released (or removed by another process) in between
+			}
+		}
+
+		return null;
+	}
+
+	unlock(fd) {
+		this.fs.closeSync(fd);
+		this.fs.unlinkSync(this.lockPath);
+	}
+
+	read() {
+		try {
+			return JSON.parse(this.fs.readFileSync(this.path, 'utf8'));
+		} catch (error) {
+			if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+				return {};
+			}
+			throw error;
+		}
+	}
+
+	write(states) {
+
+		// Write then rename so readers never see a partial file
+		const tempPath = `${this.path}.${globalThis.process?.pid ?? 0}.tmp`;
+		this.fs.writeFileSync(tempPath, JSON.stringify(states));
+		this.fs.renameSync(tempPath, this.path);
+	}
+
+	locked(fn) {
+		const fd = this.tryLock();
+		if (fd === null) {
+			return { locked: false };
+		}
+
+		try {
+			const states = this.read();
+			const result = fn({
+				get: key => states[key] ??= {},
+				has: key => Object.hasOwn(states, key),
+				clear: () => {
+					for (const key of Object.keys(states)) {
+						delete states[key];
+					}
+				}
+			});
+			this.write(states);
+
+			return { locked: true, result };
+		} finally {
+			this.unlock(fd);
+		}
+	}
+
+	get(key, rate, now) {
+		return describeState(this.read()[key] ?? {}, rate, now);
+	}
+
+}
+
+/**
+ * Check that an object implements the rate limit store interface
+ * @param {Object} store - Store candidate
+ * @returns {boolean} True if the store is usable
+ */
+export function isValidRateLimitStore(store) {
+	return !!store &&
+		typeof store.acquire === 'function' &&
+		typeof store.release === 'function' &&
+		typeof store.update === 'function' &&
+		typeof store.get === 'function' &&
+		typeof store.clear === 'function';
+}
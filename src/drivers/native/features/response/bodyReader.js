@@ -0,0 +1,49 @@
+/**
+ * Streaming body reader shared by the line and event stream parsers
+ * Owns the reader lifecycle: abort handling and releasing the connection on early exit
+ */
+
+/**
+ * Read a response body chunk by chunk
+ *
+ * @param {ReadableStream<Uint8Array>|null} body - Response body
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the iteration (without error) and releases the body
+ * @returns {AsyncGenerator<Uint8Array>} Body chunks as they arrive
+ */
+export async function* readBodyChunks(body, { signal } = {}) {
+	if (!body || signal?.aborted) {
+		return;
+	}
+
+	const reader = body.getReader();
+	const cancel = () => reader.cancel().catch(() => {});
+	signal?.addEventListener('abort', cancel, { once: true });
+
+	try {
+		while (true) {
+			let chunk;
+			try {
+				chunk = await reader.read();
+			} catch (error) {
+
+				// Abort errors the body stream - an aborted iteration just ends
+				if (signal?.aborted) {
+					return;
+				}
+				throw error;
+			}
+
+			if (chunk.done || signal?.aborted) {
+				return;
+			}
+
+			yield chunk.value;
+		}
+	} finally {
+		signal?.removeEventListener('abort', cancel);
+
+		// Early exit (break, error, abort) - release the connection
+		await cancel();
+	}
+}
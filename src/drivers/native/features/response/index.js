@@ -3,4 +3,6 @@
  * Exports response parsing functionality
  */
 
-export { parseResponseData } from './responseParser.js';
\ No newline at end of file
+export { parseResponseData, STREAMING_RESPONSE_TYPES } from './responseParser.js';
+export { parseNdjsonStream } from './ndjsonParser.js';
+export { readBodyChunks } from './bodyReader.js';
\ No newline at end of file
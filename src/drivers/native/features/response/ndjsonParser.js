@@ -0,0 +1,124 @@
+/**
+ * NDJSON / JSON Lines stream parsing
+ * Turns a response body into an async iterable that yields one parsed record per line as chunks arrive
+ */
+
+import { createLuminaraError } from '../error/index.js';
+import { readBodyChunks } from './bodyReader.js';
+
+const NEWLINE = 0x0A;
+const DEFAULT_MAX_LINE_BYTES = 1024 * 1024;
+const SKIP = Symbol('skip'); // parseLine() result for blank and skipped lines
+
+/**
+ * Parse a line-delimited JSON body
+ * Lines are split on raw bytes, so records and multi-byte characters may span chunks.
+ * Blank lines are skipped; a trailing line without newline is parsed at the end of the body.
+ *
+ * @param {ReadableStream<Uint8Array>|null} body - Response body
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the iteration (without error) and releases the body
+ * @param {number} [options.maxLineBytes=1048576] - Longest accepted line; longer lines end the iteration with an error
+ * @param {Function} [options.onLineError] - (error) => void; skips lines that are not valid JSON instead of throwing
+ * @returns {AsyncGenerator<any>} Parsed records
+ */
+export async function* parseNdjsonStream(body, { signal, maxLineBytes = DEFAULT_MAX_LINE_BYTES, onLineError } = {}) {
+	const decoder = new TextDecoder();
+	let parts = []; // Byte chunks of the current (unterminated) line
+	let partsLength = 0;
+	let lineNumber = 0;
+
+	const takeLine = (tail) => {
+		const bytes = concatBytes(parts, partsLength, tail);
+		parts = [];
+		partsLength = 0;
+		lineNumber++;
+
+		return decoder.decode(bytes);
+	};
+
+	for await (const bytes of readBodyChunks(body, { signal })) {
+		let start = 0;
+		let newline = bytes.indexOf(NEWLINE, start);
+
+		while (newline !== -1) {
+			checkLineLength(partsLength + newline - start, maxLineBytes, lineNumber + 1);
+
+			const record = parseLine(takeLine(bytes.subarray(start, newline)), lineNumber, onLineError);
+			if (record !== SKIP) {
+				yield record;
+				if (signal?.aborted) {
+					return;
+				}
+			}
+
+			start = newline + 1;
+			newline = bytes.indexOf(NEWLINE, start);
+		}
+
+		if (start < bytes.length) {
+			checkLineLength(partsLength + bytes.length - start, maxLineBytes, lineNumber + 1);
+			parts.push(bytes.subarray(start));
+			partsLength += bytes.length - start;
+		}
+	}
+
+	if (partsLength > 0 && !signal?.aborted) {
+		const record = parseLine(takeLine(), lineNumber, onLineError);
+		if (record !== SKIP) {
+			yield record;
+		}
+	}
+}
+
+function parseLine(text, lineNumber, onLineError) {
+	const line = (lineNumber === 1 ? text.replace(/^\uFEFF/, '') : text).trim();
+	if (line.length === 0) {
+		return SKIP;
+	}
+
+	try {
+		return JSON.parse(line);
+	} catch (parseError) {
+		const error = createLuminaraError(`Invalid JSON on line ${lineNumber}: ${parseError.message}`, {
+			code: 'PARSE_ERROR',
+			data: { line: lineNumber, text: line.length > 200 ? `${line.slice(0, 200)}…` : line },
+			originalError: parseError
+		});
+
+		if (typeof onLineError !== 'function') {
+			throw error;
+		}
+
+		onLineError(error);
+
+		return SKIP;
+	}
+}
+
+function checkLineLength(length, maxLineBytes, lineNumber) {
+	if (length > maxLineBytes) {
+		throw createLuminaraError(`Line ${lineNumber} exceeds maxLineBytes (${maxLineBytes})`, {
+			code: 'LINE_TOO_LONG',
+			data: { line: lineNumber, maxLineBytes }
+		});
+	}
+}
+
+function concatBytes(parts, partsLength, tail = null) {
+	if (parts.length === 0) {
+		return tail || new Uint8Array(0);
+	}
+
+	const bytes = new Uint8Array(partsLength + (tail ? tail.length : 0));
+	let offset = 0;
+	for (const part of parts) {
+		bytes.set(part, offset);
+		offset += part.length;
+	}
+	if (tail) {
+		bytes.set(tail, offset);
+	}
+
+	return bytes;
+}
@@ -4,8 +4,17 @@
  */
 
 import { logResponse } from '../../../../core/verbose/verboseLogger.js';
+import { parseNdjsonStream } from './ndjsonParser.js';
 
-export async function parseResponseData(response, responseType = 'auto', parseResponse, context = null) {
+/**
+ * Response types that read the body incrementally - the body can only be consumed once
+ */
+export const STREAMING_RESPONSE_TYPES = ['stream', 'ndjson', 'jsonl'];
+
+/**
+ * @param {Object} [streamOptions] - { signal, maxLineBytes, onLineError } for 'ndjson'/'jsonl'
+ */
+export async function parseResponseData(response, responseType = 'auto', parseResponse, context = null, streamOptions = {}) {
 
 	// Log response received
 	if (context) {
@@ -54,6 +63,14 @@ export async function parseResponseData(response, responseType = 'auto', parseRe
 		}
 
 		return response.body; // ReadableStream
+	} else if ((responseType === 'ndjson' || responseType === 'jsonl') && response.ok) {
+		if (context) {
+			logResponse(context, 'parsing', { type: responseType });
+			logResponse(context, 'parsed', { type: responseType, resultType: 'AsyncIterable' });
+		}
+
+		// Error responses fall through to auto-detection so their body is readable on the error
+		return parseNdjsonStream(response.body, streamOptions);
 	} else if (responseType === 'text') {
 		if (context) {
 			logResponse(context, 'parsing', { type: 'text' });
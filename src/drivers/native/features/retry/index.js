@@ -8,9 +8,12 @@ export {
 	defaultRetryPolicy, 
 	createRetryPolicy, 
 	calculateRetryDelayWithHeaders,
+	getRetryAfterFromHeaders,
 	IDEMPOTENT_METHODS,
 	DEFAULT_RETRY_STATUS_CODES,
+	DEFAULT_MAX_RETRY_AFTER,
 	parseRetryAfter,
+	parseRateLimitReset,
 	isIdempotentMethod
 } from './retryPolicy.js';
 export { 
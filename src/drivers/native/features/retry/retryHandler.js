@@ -45,8 +45,11 @@ export async function calculateRetryDelay(attempt, retryDelay, backoffType, back
 		}
 	}
 
-	// Consider Retry-After headers
-	const finalDelay = calculateRetryDelayWithHeaders(baseDelay, response, retryContext.error);
+	// Consider Retry-After and RateLimit-* headers of the failed response
+	const finalDelay = calculateRetryDelayWithHeaders(baseDelay, response, retryContext.error, {
+		respectRetryAfter: luminaraContext?.req?.respectRetryAfter,
+		maxRetryAfter: luminaraContext?.req?.maxRetryAfter
+	});
 	
 	return finalDelay;
 }
@@ -3,11 +3,16 @@
  * Implements intelligent retry logic with status codes, idempotent methods, and Retry-After headers
  */
 
+import { getHeaderValue } from '../cache/cacheControl.js';
+import { parseRateLimitHeaders } from '../rateLimit/headers.js';
+
+export { parseRateLimitReset } from '../rateLimit/headers.js';
+
 /**
  * HTTP methods considered idempotent (safe to retry)
  */
 export const IDEMPOTENT_METHODS = new Set([
-	'GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'
+	'GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE', 'QUERY'
 ]);
 
 /**
@@ -25,13 +30,19 @@ export const DEFAULT_RETRY_STATUS_CODES = new Set([
 	504  // Gateway Timeout
 ]);
 
+/**
+ * Default cap for server-sent retry delays (5 minutes)
+ */
+export const DEFAULT_MAX_RETRY_AFTER = 300000;
+
 /**
  * Parse Retry-After header value
  * Supports both seconds (number) and HTTP-date format
  * @param {string} retryAfterValue - The Retry-After header value
+ * @param {number} maxDelay - Maximum delay in milliseconds (defaults to 5 minutes)
  * @returns {number} Delay in milliseconds, or 0 if invalid
  */
-export function parseRetryAfter(retryAfterValue) {
+export function parseRetryAfter(retryAfterValue, maxDelay = DEFAULT_MAX_RETRY_AFTER) {
 
 	if (!retryAfterValue) {
 		return 0;
@@ -40,7 +51,7 @@ export function parseRetryAfter(retryAfterValue) {
 	// Try parsing as seconds (number)
 	const seconds = parseInt(retryAfterValue, 10);
 	if (!isNaN(seconds) && seconds > 0) {
-		return Math.min(seconds * 1000, 300000); // Cap at 5 minutes
+		return Math.min(seconds * 1000, maxDelay);
 	}
 
 	// Try parsing as HTTP-date
@@ -49,7 +60,7 @@ export function parseRetryAfter(retryAfterValue) {
 		if (!isNaN(date.getTime())) {
 			const delay = date.getTime() - Date.now();
 
-			return Math.max(0, Math.min(delay, 300000)); // Cap at 5 minutes, minimum 0
+			return Math.max(0, Math.min(delay, maxDelay)); // Minimum 0
 		}
 	} catch (error) {
 
@@ -59,6 +70,30 @@ export function parseRetryAfter(retryAfterValue) {
 	return 0;
 }
 
+/**
+ * Get the server-requested retry delay from failed response headers (uncapped)
+ * Retry-After always applies; RateLimit-Reset, RateLimit (reset=) and X-RateLimit-Reset apply
+ * to 429 responses or when the remaining quota is 0
+ * @param {Object|Headers} headers - Response headers
+ * @param {number} status - Response status
+ * @returns {number} Delay in milliseconds, or 0 if the headers don't request one
+ */
+export function getRetryAfterFromHeaders(headers, status) {
+	if (!headers) {
+		return 0;
+	}
+
+	const retryAfter = getHeaderValue(headers, 'Retry-After');
+	if (retryAfter) {
+		return parseRetryAfter(retryAfter, Infinity);
+	}
+
+	const { remaining, resetMs } = parseRateLimitHeaders(headers);
+	const exhausted = status === 429 || remaining === 0;
+
+	return exhausted && resetMs ? resetMs : 0;
+}
+
 /**
  * Check if an HTTP method is idempotent (safe to retry)
  * @param {string} method - HTTP method
@@ -182,30 +217,30 @@ export function createRetryPolicy(options = {}) {
 }
 
 /**
- * Calculate retry delay considering Retry-After header
+ * Calculate retry delay considering Retry-After and RateLimit-* headers
  * @param {number} baseDelay - Base delay from backoff strategy
- * @param {Response} response - HTTP response (if available)
+ * @param {Response} response - Failed HTTP response (if available)
  * @param {Error} error - Error object (if available)
+ * @param {Object} options - Header handling options
+ * @param {string} options.respectRetryAfter - 'cap' (default) clamps to maxRetryAfter, 'always' waits the full server value, 'ignore' uses backoff only
+ * @param {number} options.maxRetryAfter - Maximum server-requested delay in milliseconds
  * @returns {number} Final delay in milliseconds
  */
-export function calculateRetryDelayWithHeaders(baseDelay, response, error) {
+export function calculateRetryDelayWithHeaders(baseDelay, response, error, options = {}) {
+	const { respectRetryAfter = 'cap', maxRetryAfter = DEFAULT_MAX_RETRY_AFTER } = options;
 
-	let retryAfterDelay = 0;
-
-	// Check for Retry-After header in response
-	if (response?.headers) {
-		const retryAfter = response.headers.get('Retry-After');
-		if (retryAfter) {
-			retryAfterDelay = parseRetryAfter(retryAfter);
-		}
+	if (respectRetryAfter === 'ignore') {
+		return baseDelay;
 	}
 
-	// Check for Retry-After in error context (if error has response data)
+	// Check headers of the failed response, falling back to the response snapshot on the error
+	let retryAfterDelay = getRetryAfterFromHeaders(response?.headers, response?.status);
 	if (!retryAfterDelay && error?.response?.headers) {
-		const retryAfter = error.response.headers.get('Retry-After');
-		if (retryAfter) {
-			retryAfterDelay = parseRetryAfter(retryAfter);
-		}
+		retryAfterDelay = getRetryAfterFromHeaders(error.response.headers, error.status ?? error.response.status);
+	}
+
+	if (respectRetryAfter !== 'always') {
+		retryAfterDelay = Math.min(retryAfterDelay, maxRetryAfter);
 	}
 
 	// Use the longer of the two delays (Retry-After or backoff strategy)
@@ -6,6 +6,10 @@
  * 2. Prepare fetch options (method, headers, body)
  * 3. Execute native fetch request
  * 4. Request hedging for latency optimization
+ * 5. HAR capture of each network exchange (when enabled on the client)
+ * 6. Tracing spans for hedge requests (when tracing is enabled on the client)
+ * 7. Upload progress reporting (onUploadProgress)
+ * 8. Request body serialization (body factories are called per send)
  * 
  * This handler manages the request while it's actively being executed.
  */
@@ -14,6 +18,8 @@ import { createTimeoutHandler } from '../features/timeout/index.js';
 import { timeoutLogger } from '../features/timeout/verboseLogger.js';
 import { verboseLog } from '../../../core/verbose/verboseLogger.js';
 import { shouldUseHedging, executeWithHedging } from '../features/hedging/index.js';
+import { trackUploadProgress, completeUploadProgress, supportsRequestStreams, isTrackableUploadBody } from '../features/progress/index.js';
+import { serializeBody, resolveBody, sendsBody } from '../features/body/index.js';
 
 /**
  * Execute request with timeout and optional hedging
@@ -41,9 +47,13 @@ export async function executeRequest(preparedRequest, currentAttempt) {
  */
 export async function executeSingleRequest(preparedRequest, currentAttempt) {
 	const {
-		fullUrl, method, headers, body, signal, timeout, verbose, context
+		fullUrl, method, headers, body, signal, timeout, verbose, context, har, trace, hedging,
+		onUploadProgress, progressInterval, fetch: fetchImplementation = globalThis.fetch
 	} = preparedRequest;
 	
+	// Serialize the body first - a body factory may throw before anything is sent
+	const serialized = sendsBody(method, body) ? serializeBody(await resolveBody(body)) : null;
+	
 	// Setup timeout handling with signal combination
 	const { signal: combinedSignal, cleanup: timeoutCleanup } =
 		createTimeoutHandler(timeout, signal, context);
@@ -60,13 +70,35 @@ export async function executeSingleRequest(preparedRequest, currentAttempt) {
 		signal: combinedSignal
 	};
 	
-	// Handle body for POST/PUT/PATCH requests
-	if (body !== undefined && ['POST', 'PUT', 'PATCH'].includes(method.toUpperCase())) {
-		if (typeof body === 'string' || body instanceof URLSearchParams || body instanceof FormData) {
-			fetchOptions.body = body;
+	// Attach the body (any method but GET/HEAD), with a default Content-Type for its type
+	let uploadComplete = null;
+	if (serialized) {
+		if (serialized.contentType && !hasHeader(fetchOptions.headers, 'content-type')) {
+			fetchOptions.headers = { ...fetchOptions.headers, 'Content-Type': serialized.contentType };
+		}
+		
+		const trackUpload = typeof onUploadProgress === 'function' && isTrackableUploadBody(serialized.body);
+		if (trackUpload && supportsRequestStreams()) {
+
+			// Fresh counting stream per attempt - progress starts over on retries
+			const upload = trackUploadProgress(serialized.body, onUploadProgress, { interval: progressInterval });
+			fetchOptions.body = upload.body;
+			fetchOptions.duplex = 'half';
+
+			// Keep a fixed-length upload instead of chunked encoding
+			if (upload.total !== null && !hasHeader(fetchOptions.headers, 'content-length')) {
+				fetchOptions.headers = { ...fetchOptions.headers, 'Content-Length': String(upload.total) };
+			}
 		} else {
-			fetchOptions.body = JSON.stringify(body);
-			fetchOptions.headers['Content-Type'] = fetchOptions.headers['Content-Type'] || 'application/json';
+			fetchOptions.body = serialized.body;
+			if (serialized.stream) {
+				fetchOptions.duplex = 'half';
+			}
+			
+			// Browsers cannot stream it - the body goes as-is and progress is reported once it is sent
+			if (trackUpload) {
+				uploadComplete = completeUploadProgress(serialized.body, onUploadProgress);
+			}
 		}
 	}
 	
@@ -81,17 +113,52 @@ export async function executeSingleRequest(preparedRequest, currentAttempt) {
 		});
 	}
 	
+	// Hedge requests get their own child span of the attempt span
+	const hedgeSpan = trace && hedging?.index > 0 ? trace.tracer.startSpan(`HTTP ${method.toUpperCase()}`, {
+		parent: trace.span,
+		attributes: {
+			'http.request.method': method.toUpperCase(),
+			'url.full': fullUrl,
+			'luminara.hedge.index': hedging.index
+		}
+	}) : null;
+	if (hedgeSpan) {
+		fetchOptions.headers = trace.tracer.inject(fetchOptions.headers, hedgeSpan);
+	}
+	
+	// One HAR entry per exchange - retries and hedges each get their own
+	// (recorded with the serialized body, not the upload progress stream wrapping it)
+	const harEntry = har ? har.recorder.startEntry({
+		requestId: har.requestId,
+		attempt: har.attempt,
+		hedging,
+		method,
+		url: fullUrl,
+		headers: { ...fetchOptions.headers },
+		body: serialized?.body
+	}) : null;
+	
 	try {
-		// Execute native fetch
-		const response = await fetch(fullUrl, fetchOptions);
+		// Execute native fetch (or the configured fetch implementation)
+		const response = await fetchImplementation(fullUrl, fetchOptions);
 		
 		// Clear timeout if request succeeded
 		timeoutCleanup();
+		uploadComplete?.();
+		
+		if (harEntry) {
+			harEntry.response(response);
+		}
+		
+		if (hedgeSpan) {
+			trace.tracer.endSpan(hedgeSpan, { response });
+		}
 		
 		// Return response with cleanup function and prepared request (include combinedSignal for error handling)
 		return {
 			response,
 			timeoutCleanup,
+			harEntry,
 			preparedRequest: {
 				...preparedRequest,
 				combinedSignal  // Add combinedSignal for error handler
@@ -101,6 +168,14 @@ export async function executeSingleRequest(preparedRequest, currentAttempt) {
 		// Clear timeout on error
 		timeoutCleanup();
 		
+		if (harEntry) {
+			harEntry.fail(error);
+		}
+		
+		if (hedgeSpan) {
+			trace.tracer.endSpan(hedgeSpan, { error });
+		}
+		
 		// Attach combinedSignal to prepared request for error handler
 		preparedRequest.combinedSignal = combinedSignal;
 		
@@ -108,3 +183,10 @@ export async function executeSingleRequest(preparedRequest, currentAttempt) {
 		throw error;
 	}
 }
+
+/**
+ * Case-insensitive header lookup on a plain headers object
+ */
+function hasHeader(headers, name) {
+	return Object.keys(headers).some(key => key.toLowerCase() === name);
+}
@@ -3,23 +3,26 @@
  * 
  * Responsibilities:
  * 1. Build complete URL from config
- * 2. Deduplicate concurrent identical requests
- * 3. Debounce duplicate requests
- * 4. Apply rate limiting with internal queue
+ * 2. Serve fresh responses from the HTTP cache (conditional revalidation when stale)
+ * 3. Fail fast when the circuit breaker is open
+ * 4. Deduplicate concurrent identical requests
+ * 5. Debounce duplicate requests
+ * 6. Apply rate limiting with internal queue
  * 
  * This is the entry point for all requests before execution.
  */
 
 import { buildFullUrl } from '../features/url/index.js';
 import { urlLogger } from '../features/url/verboseLogger.js';
+import { createCircuitOpenError } from '../features/error/index.js';
 
 /**
  * Dispatch request through pre-flight pipeline
- * Coordinates URL building, debouncing, and rate limiting before execution
+ * Coordinates URL building, caching, debouncing, and rate limiting before execution
  * 
  * @param {object} config - Request configuration
  * @param {object} context - Request context
- * @param {object} features - Driver features (debouncer, rateLimiter)
+ * @param {object} features - Driver features (httpCache, breaker, deduplicator, debouncer, rateLimiter)
  * @param {Function} executeFunction - Function to execute the actual request
  * @returns {Promise} Result of the request execution
  */
@@ -28,11 +31,16 @@ export async function dispatchRequest(config, context, features = {}, executeFun
 		url, baseURL, query, method = 'GET', headers, body,
 		signal, timeout, retry = 0, retryDelay = 1000,
 		retryStatusCodes, backoffType, backoffMaxDelay, shouldRetry,
-		responseType, ignoreResponseError, parseResponse, verbose,
-		debounce, rateLimit, deduplicate, hedging
+		responseType, ignoreResponseError, parseResponse, maxLineBytes, onLineError, verbose,
+		onUploadProgress, onDownloadProgress, progressInterval,
+		debounce, rateLimit, deduplicate, hedging, cache, circuitBreaker, priority,
+		fetch: fetchImplementation, __har: har, __trace: trace
 	} = config;
 	
-	const { debouncer, rateLimiter, deduplicator, globalDebounce, globalRateLimit, globalDeduplicate } = features;
+	const {
+		debouncer, rateLimiter, deduplicator, httpCache, breaker,
+		globalDebounce, globalRateLimit, globalDeduplicate, globalCache, globalCircuitBreaker
+	} = features;
 	
 	//  ═══════════════════════════════════════════════════════════════
 	//  STEP 1: Build complete URL
@@ -69,13 +77,80 @@ export async function dispatchRequest(config, context, features = {}, executeFun
 		responseType,
 		ignoreResponseError,
 		parseResponse,
+		maxLineBytes,
+		onLineError,
+		onUploadProgress,
+		onDownloadProgress,
+		progressInterval,
 		verbose,
 		hedging,
+		priority,
+		fetch: fetchImplementation,
+		har,
+		trace,
 		context
 	};
 	
 	//  ═══════════════════════════════════════════════════════════════
-	//  STEP 2: Apply deduplication (prevents duplicate concurrent requests)
+	//  STEP 2: Apply HTTP cache (fresh hits skip the rest of the pipeline)
+	//  ═══════════════════════════════════════════════════════════════
+	
+	// Determine if caching should be applied
+	const effectiveCache = cache !== undefined ? cache : globalCache;
+	const shouldCache = effectiveCache && effectiveCache !== false && httpCache;
+	
+	let runRequest = executeFunction;
+	
+	if (shouldCache) {
+		const requestCacheConfig = typeof effectiveCache === 'object' ? effectiveCache : {};
+		const lookup = await httpCache.match(preparedRequest, requestCacheConfig);
+		
+		// Fresh hit - no network, no rate limit token spent
+		if (lookup.response) {
+			return lookup.response;
+		}
+		
+		// Miss or stale entry - execute with conditional headers and store the result
+		runRequest = (request) => httpCache.fetch(request, lookup, executeFunction, requestCacheConfig);
+	}
+	
+	//  ═══════════════════════════════════════════════════════════════
+	//  STEP 3: Apply circuit breaker (fails fast while upstream is unhealthy)
+	//  ═══════════════════════════════════════════════════════════════
+	
+	// Determine if the circuit breaker should be applied
+	const effectiveCircuitBreaker = circuitBreaker !== undefined ? circuitBreaker : globalCircuitBreaker;
+	const shouldBreak = effectiveCircuitBreaker && effectiveCircuitBreaker !== false && breaker;
+	
+	let permit = null;
+	if (shouldBreak) {
+		permit = breaker.acquire(preparedRequest);
+		
+		// Open circuit - reject without touching dedup, debounce or rate limit queues
+		if (permit?.rejected) {
+			throw createCircuitOpenError(permit.key, permit.state, permit.retryAfter, {
+				...preparedRequest,
+				url: fullUrl
+			}, context.attempt || 1);
+		}
+		
+		// Record the outcome of the request that actually hits the network
+		const guardedRequest = runRequest;
+		runRequest = async (request) => {
+			try {
+				const result = await guardedRequest(request);
+				breaker.record(permit, null, result);
+				
+				return result;
+			} catch (error) {
+				breaker.record(permit, error);
+				throw error;
+			}
+		};
+	}
+	
+	//  ═══════════════════════════════════════════════════════════════
+	//  STEP 4: Apply deduplication (prevents duplicate concurrent requests)
 	//  ═══════════════════════════════════════════════════════════════
 	
 	// Determine if deduplication should be applied
@@ -83,7 +158,7 @@ export async function dispatchRequest(config, context, features = {}, executeFun
 	const shouldDeduplicate = effectiveDeduplicate && effectiveDeduplicate !== false && deduplicator;
 	
 	// Create execution function wrapper
-	let executionFn = () => executeFunction(preparedRequest);
+	let executionFn = () => runRequest(preparedRequest);
 	
 	// Wrap execution with deduplication if enabled
 	if (shouldDeduplicate) {
@@ -91,7 +166,7 @@ export async function dispatchRequest(config, context, features = {}, executeFun
 		const deduplicationWrapper = async () => {
 			return await deduplicator.process(
 				preparedRequest,
-				() => executeFunction(preparedRequest),
+				() => runRequest(preparedRequest),
 				requestDeduplicateConfig
 			);
 		};
@@ -99,7 +174,7 @@ export async function dispatchRequest(config, context, features = {}, executeFun
 	}
 	
 	//  ═══════════════════════════════════════════════════════════════
-	//  STEP 3: Apply debouncing (delays execution)
+	//  STEP 5: Apply debouncing (delays execution)
 	//  ═══════════════════════════════════════════════════════════════
 	
 	// Determine if debouncing should be applied
@@ -119,18 +194,37 @@ export async function dispatchRequest(config, context, features = {}, executeFun
 	}
 	
 	//  ═══════════════════════════════════════════════════════════════
-	//  STEP 4: Apply rate limiting (throttles/queues request execution)
+	//  STEP 6: Apply rate limiting (throttles/queues request execution)
 	//  ═══════════════════════════════════════════════════════════════
 	
 	// Determine if rate limiting should be applied
 	const effectiveRateLimit = rateLimit !== undefined ? rateLimit : globalRateLimit;
 	const shouldRateLimit = effectiveRateLimit && effectiveRateLimit !== false && rateLimiter;
 	
-	// Apply rate limiting if enabled
-	if (shouldRateLimit) {
-		return await rateLimiter.schedule(preparedRequest, executionFn);
+	try {
+
+		// Apply rate limiting if enabled (adaptive limiters learn from each outcome)
+		if (shouldRateLimit) {
+			return await rateLimiter.schedule(preparedRequest, async () => {
+				try {
+					const result = await executionFn();
+					rateLimiter.observe(preparedRequest, result);
+					
+					return result;
+				} catch (error) {
+					rateLimiter.observe(preparedRequest, null, error);
+					throw error;
+				}
+			});
+		}
+		
+		// Execute directly if no rate limiting
+		return await executionFn();
+	} finally {
+
+		// Free the half-open probe slot (if this request held one)
+		if (permit) {
+			breaker.release(permit);
+		}
 	}
-	
-	// Execute directly if no rate limiting
-	return await executionFn();
 }
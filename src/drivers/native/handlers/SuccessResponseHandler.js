@@ -2,7 +2,7 @@
  * SuccessResponseHandler - Success path response processing (PHASE 3)
  * 
  * Responsibilities:
- * 1. Parse response data based on responseType
+ * 1. Parse response data based on responseType (reporting download progress)
  * 2. Check HTTP status code
  * 3. Return formatted response object
  * 
@@ -10,6 +10,7 @@
  */
 
 import { parseResponseData } from '../features/response/index.js';
+import { trackDownloadProgress } from '../features/progress/index.js';
 import { responseLogger } from '../features/response/verboseLogger.js';
 import { createHttpError, createParseError } from '../features/error/index.js';
 import { errorLogger } from '../features/error/verboseLogger.js';
@@ -23,8 +24,15 @@ import { errorLogger } from '../features/error/verboseLogger.js';
  * @returns {Promise<object>} Formatted response { status, headers, data }
  */
 export async function handleSuccessResponse(result, preparedRequest, currentAttempt) {
-	const { response } = result;
-	const { responseType, parseResponse, ignoreResponseError, verbose, context, signal } = preparedRequest;
+	const {
+		responseType, parseResponse, ignoreResponseError, verbose, context, signal, maxLineBytes, onLineError,
+		onDownloadProgress, progressInterval
+	} = preparedRequest;
+	
+	// Count body bytes as they are parsed - only the response that gets parsed (e.g. a hedging winner) reports
+	const response = typeof onDownloadProgress === 'function'
+		? trackDownloadProgress(result.response, onDownloadProgress, { interval: progressInterval })
+		: result.response;
 	
 	// Check if request was aborted before processing response
 	// This can happen in hedging race scenarios where the winner completes
@@ -44,7 +52,7 @@ export async function handleSuccessResponse(result, preparedRequest, currentAtte
 	// Parse response data based on parseResponse and responseType options
 	let data;
 	try {
-		data = await parseResponseData(response, responseType, parseResponse, context);		// Log successful parsing if verbose
+		data = await parseResponseData(response, responseType, parseResponse, context, { signal, maxLineBytes, onLineError });		// Log successful parsing if verbose
 		if (verbose) {
 			responseLogger.logResponseParsingSuccess(context, responseType || 'auto', typeof data, JSON.stringify(data).length);
 		}
@@ -7,13 +7,15 @@ import { retryLogger } from './features/retry/verboseLogger.js';
 import { Debouncer, generateKey, createVerboseLogger as createDebounceVerboseLogger } from './features/debouncer/index.js';
 import { createRateLimitFeature } from './features/rateLimit/index.js';
 import { Deduplicator, createDeduplicateVerboseLogger } from './features/deduplicator/index.js';
+import { HttpCache, createCacheVerboseLogger } from './features/cache/index.js';
+import { CircuitBreaker, createCircuitBreakerVerboseLogger } from './features/circuitBreaker/index.js';
 
 /**
  * Native Fetch Driver for Luminara
  * 
  * Zero external dependencies. Uses Node.js/browser native fetch() API.
  * Handler-based architecture with clean separation of concerns:
- * - Request Dispatcher: URL building, debouncing, rate limiting (pre-flight)
+ * - Request Dispatcher: URL building, caching, circuit breaking, debouncing, rate limiting (pre-flight)
  * - In-Flight Handler: Timeout handling, request execution (execution)
  * - Response Handlers: Error and success response processing (post-flight)
  * 
@@ -32,13 +34,21 @@ import { Deduplicator, createDeduplicateVerboseLogger } from './features/dedupli
  * - shouldRetry: function - Custom retry policy
  * - backoffType: string - Backoff strategy (linear, exponential, decorrelated)
  * - backoffMaxDelay: number - Maximum backoff delay in ms
+ * - respectRetryAfter: string - Retry-After / RateLimit-* handling ('cap', 'always', 'ignore')
+ * - maxRetryAfter: number - Maximum server-requested retry delay in ms (default 300000)
  * - debounce: boolean|object - Debounce configuration
  * - deduplicate: boolean|object - Deduplication configuration
+ * - cache: boolean|object - HTTP response cache configuration ({ storage, maxEntries, shared, etc. })
+ * - circuitBreaker: boolean|object - Circuit breaker configuration ({ scope, failureThreshold, cooldownMs, etc. })
  * - rateLimit: object - Rate limiting configuration ({ rps, burst, etc. })
  * - responseType: string - Response parsing type (json, text, blob, etc.)
  * - ignoreResponseError: boolean - Don't throw on non-2xx responses
  * - parseResponse: boolean - Whether to parse response body
+ * - onUploadProgress: function - Upload progress callback for Blob/ArrayBuffer/stream bodies
+ * - onDownloadProgress: function - Download progress callback ({ loaded, total, progress, rate })
+ * - progressInterval: number - Minimum ms between progress events (default 100)
  * - verbose: boolean - Enable verbose logging
+ * - fetch: function - fetch implementation (default globalThis.fetch, used by MockDriver)
  * 
  * @param {object} config - Default options for all requests
  * @returns {object} Driver interface with request method
@@ -64,11 +74,29 @@ export function NativeFetchDriver(config = {}) {
 		deduplicator = new Deduplicator(deduplicateConfig, globalConfig.statsHub, deduplicateVerboseLogger);
 	}
 	
+	// Initialize HTTP cache if cache configuration exists
+	let httpCache = null;
+	if (globalConfig.cache && globalConfig.cache !== false) {
+		const cacheConfig = typeof globalConfig.cache === 'object' ? globalConfig.cache : {};
+		const cacheVerboseLogger = globalConfig.verbose ? createCacheVerboseLogger() : null;
+		httpCache = new HttpCache(cacheConfig, cacheVerboseLogger);
+	}
+	
+	// Initialize circuit breaker if circuitBreaker configuration exists
+	let breaker = null;
+	if (globalConfig.circuitBreaker && globalConfig.circuitBreaker !== false) {
+		const circuitBreakerConfig = typeof globalConfig.circuitBreaker === 'object' ? globalConfig.circuitBreaker : {};
+		const circuitBreakerVerboseLogger = globalConfig.verbose ? createCircuitBreakerVerboseLogger() : null;
+		breaker = new CircuitBreaker(circuitBreakerConfig, circuitBreakerVerboseLogger);
+	}
+	
 	// Initialize rate limiter if rateLimit configuration exists
 	let rateLimiter = null;
 	if (globalConfig.rateLimit) {
 		const rateLimitConfig = typeof globalConfig.rateLimit === 'object' ? globalConfig.rateLimit : { rps: 10 };
-		rateLimiter = createRateLimitFeature(rateLimitConfig);
+
+		// A shared store is drawn from once per request by the client limiter - pace attempts locally
+		rateLimiter = createRateLimitFeature({ ...rateLimitConfig, store: null });
 	}
 	
 	return {
@@ -87,20 +115,29 @@ export function NativeFetchDriver(config = {}) {
 			
 			// Define execution function for PHASE 2 & 3
 			const executeRequestFunction = async (preparedRequest) => {
+				let inFlight = null;
 				try {
 					//  ═══════════════════════════════════════════════════════════════
 					//  PHASE 2: IN-FLIGHT (Execute Request)
 					//  Timeout handling, request execution
 					//  ═══════════════════════════════════════════════════════════════
 					
-					const response = await executeRequest(preparedRequest, currentAttempt);
+					inFlight = await executeRequest(preparedRequest, currentAttempt);
 					
 					//  ═══════════════════════════════════════════════════════════════
 					//  PHASE 3: POST-FLIGHT (Response Handlers)
 					//  Success path: Parse response data
 					//  ═══════════════════════════════════════════════════════════════
 					
-					return await handleSuccessResponse(response, preparedRequest, currentAttempt);
+					const result = await handleSuccessResponse(inFlight, preparedRequest, currentAttempt);
+					inFlight.harEntry?.finish(result.data);
+					
+					// Winner and attempts of a hedged request (feeds hedging stats)
+					if (inFlight.hedgingMetadata) {
+						result.hedgingMetadata = inFlight.hedgingMetadata;
+					}
+					
+					return result;
 				} catch (error) {
 
 					//  ═══════════════════════════════════════════════════════════════
@@ -108,12 +145,17 @@ export function NativeFetchDriver(config = {}) {
 					//  Error path: Transform and enrich error information
 					//  ═══════════════════════════════════════════════════════════════
 					
-					throw await handleErrorResponse(error, preparedRequest, currentAttempt);
+					const handledError = await handleErrorResponse(error, preparedRequest, currentAttempt);
+					
+					// Response received but rejected (HTTP error status, parse error) - keep its body in the HAR entry
+					inFlight?.harEntry?.finish(handledError.data);
+					
+					throw handledError;
 				}
 			};
 			
 			// Dispatch request through pre-flight pipeline (PHASE 1)
-			// This handles URL building, deduplication, debouncing, and rate limiting
+			// This handles URL building, caching, circuit breaking, deduplication, debouncing, and rate limiting
 			return await dispatchRequest(
 				mergedOpts,
 				context,
@@ -121,9 +163,13 @@ export function NativeFetchDriver(config = {}) {
 					debouncer,
 					deduplicator,
 					rateLimiter,
+					httpCache,
+					breaker,
 					globalDebounce: globalConfig.debounce,
 					globalDeduplicate: globalConfig.deduplicate,
-					globalRateLimit: globalConfig.rateLimit
+					globalRateLimit: globalConfig.rateLimit,
+					globalCache: globalConfig.cache,
+					globalCircuitBreaker: globalConfig.circuitBreaker
 				},
 				executeRequestFunction
 			);
@@ -132,6 +178,11 @@ export function NativeFetchDriver(config = {}) {
 		// Provide shouldRetry method for LuminaraClient to use
 		shouldRetry(error, context) {
 
+			// Requests rejected by an open circuit are never retried
+			if (error?.code === 'CIRCUIT_OPEN') {
+				return false;
+			}
+			
 			// Extract retry configuration from context
 			const { retry = 0, retryStatusCodes, shouldRetry, backoffType, backoffMaxDelay } = context.req || {};
 			
@@ -149,7 +200,7 @@ export function NativeFetchDriver(config = {}) {
 				context.req.headers || {},
 				retry,
 				context.attempt || 1,
-				null, // response
+				error?.response || null,
 				error
 			);
 			
@@ -168,6 +219,9 @@ export function NativeFetchDriver(config = {}) {
 		async calculateRetryDelay(context) {
 			const { retry = 0, retryDelay = 1000, backoffType, backoffMaxDelay, attempt = 1 } = context.req || {};
 			
+			// Failed response (status + headers) drives Retry-After / RateLimit-* handling
+			const failedResponse = context.error?.response || null;
+			
 			// Create retry context
 			const retryContext = createRetryContext(
 				context.req.url,
@@ -175,12 +229,12 @@ export function NativeFetchDriver(config = {}) {
 				context.req.headers || {},
 				retry,
 				context.attempt || 1,
-				null, // response
+				failedResponse,
 				context.error
 			);
 			
 			// Use driver's sophisticated delay calculation, passing both retry context and Luminara context
-			const delay = await calculateRetryDelay(context.attempt || 1, retryDelay, backoffType, backoffMaxDelay, retryContext, null, context);
+			const delay = await calculateRetryDelay(context.attempt || 1, retryDelay, backoffType, backoffMaxDelay, retryContext, failedResponse, context);
 			
 			// Log delay calculation if verbose
 			if (context.req?.verbose) {
@@ -199,6 +253,32 @@ export function NativeFetchDriver(config = {}) {
 			if (rateLimiter) {
 				rateLimiter.resetStats();
 			}
+		},
+		
+		// Expose HTTP cache stats and clearing (if configured)
+		getCacheStats() {
+			return httpCache ? httpCache.getStats() : null;
+		},
+		
+		async clearCache() {
+			if (httpCache) {
+				await httpCache.clear();
+			}
+		},
+		
+		// Expose circuit breaker state and events (if configured)
+		getCircuitBreakerStats() {
+			return breaker ? breaker.getStats() : null;
+		},
+		
+		resetCircuitBreaker() {
+			if (breaker) {
+				breaker.reset();
+			}
+		},
+		
+		onCircuitEvent(listener) {
+			return breaker ? breaker.onEvent(listener) : () => {};
 		}
 	};
 }
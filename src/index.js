@@ -12,6 +12,8 @@ export function createLuminara(config = {}) {
 // Re-export client, driver, and utilities for users that need custom setups
 export { LuminaraClient } from './core/luminara.js';
 export { NativeFetchDriver } from './drivers/native/index.js';
+export { MockDriver } from './drivers/mock/index.js';
+export { CassetteDriver, CASSETTE_MODES } from './drivers/cassette/index.js';
 export { backoffStrategies, createBackoffHandler } from './drivers/native/features/retry/backoff.js';
 export { 
 	defaultRetryPolicy, 
@@ -24,16 +26,44 @@ export {
 
 // Export stats system components
 export { StatsHub } from './core/stats/StatsHub.js';
-export { METRIC_TYPES, GROUP_BY_DIMENSIONS, TIME_WINDOWS } from './core/stats/query/schemas.js';
+export { DDSketch } from './core/stats/DDSketch.js';
+export {
+	METRIC_TYPES, GROUP_BY_DIMENSIONS, TIME_WINDOWS, ROLLING_WINDOWS, registerTimeWindow, STATS_STATE_VERSION
+} from './core/stats/query/schemas.js';
+export {
+	OpenMetricsExporter, createMetricsHandler, OPENMETRICS_CONTENT_TYPE, DEFAULT_DURATION_BUCKETS
+} from './core/stats/exporters/openMetrics.js';
 
 // Export hedging utilities
 export { isHedgingError, hasHedgingMetadata } from './drivers/native/features/hedging/index.js';
 
+// Export HTTP cache storage (for custom/persistent storage adapters)
+export { MemoryCacheStorage } from './drivers/native/features/cache/index.js';
+
+// Export rate limit stores (for sharing quotas across workers and processes)
+export {
+	RateLimitStore,
+	MemoryRateLimitStore,
+	SharedMemoryRateLimitStore,
+	FileRateLimitStore
+} from './drivers/native/features/rateLimit/store.js';
+
+// Export first-party plugins
+export { authPlugin } from './plugins/auth/index.js';
+
 // Export orchestration components (for benchmarking and advanced usage)
 export { PluginPipeline } from './core/orchestration/PluginPipeline.js';
 export { RetryOrchestrator } from './core/orchestration/RetryOrchestrator.js';
 export { ContextBuilder } from './core/orchestration/ContextBuilder.js';
 export { SignalManager } from './core/orchestration/SignalManager.js';
+export { StaleWhileRevalidate } from './core/orchestration/StaleWhileRevalidate.js';
+export { RetryBudget } from './core/orchestration/RetryBudget.js';
+export { HarRecorder } from './core/har/HarRecorder.js';
+
+// Export tracing (W3C trace context, exporters for OpenTelemetry integration)
+export { Tracer, Span, SPAN_KIND, SPAN_STATUS } from './core/tracing/Tracer.js';
+export { InMemorySpanExporter } from './core/tracing/InMemorySpanExporter.js';
+export { parseTraceparent, formatTraceparent } from './core/tracing/traceContext.js';
 
 // Export config manager (for benchmarking and advanced usage)
 export { ConfigManager } from './core/config/ConfigManager.js';
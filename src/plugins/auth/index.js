@@ -0,0 +1,180 @@
+import { createLuminaraError } from '../../drivers/native/features/error/index.js';
+
+/**
+ * Auth Plugin - Bearer token injection with single-flight refresh
+ *
+ * Responsibility: Add the Authorization header to every request and, when a request
+ * fails with 401, run one shared token refresh for all failing requests, then replay
+ * them with the new token. Requests started while a refresh is running wait for it.
+ *
+ * Replays go through the retry loop (context.replay) and do not use up `retry` attempts.
+ */
+
+/**
+ * Create the auth plugin
+ * @param {Object} options - Plugin options
+ * @param {Function} options.refreshToken - async (context) => newToken - called once per refresh
+ * @param {string|null} [options.token] - Initial token
+ * @param {Function} [options.getToken] - async () => token - loads the token when none is set
+ * @param {string} [options.header] - Header name (default 'Authorization')
+ * @param {string|null} [options.scheme] - Token scheme (default 'Bearer', null sends the raw token)
+ * @param {Function} [options.shouldRefresh] - (error, context) => boolean (default: status 401)
+ * @param {Function} [options.onRefreshFailed] - (error) => void - called once per failed refresh
+ * @returns {Object} Luminara plugin
+ */
+export function authPlugin(options = {}) {
+	const {
+		refreshToken,
+		getToken = null,
+		header = 'Authorization',
+		scheme = 'Bearer',
+		shouldRefresh = (error) => error?.status === 401,
+		onRefreshFailed = null
+	} = options;
+
+	if (typeof refreshToken !== 'function') {
+		throw new Error('authPlugin requires a refreshToken function');
+	}
+
+	let currentToken = options.token ?? null;
+	let refreshPromise = null;
+	let failedRefresh = null; // { token, error } - last refresh failure, until the token changes
+	const stats = { refreshes: 0, failures: 0, replays: 0 };
+
+	function createRefreshError(refreshError, context, error = null) {
+		return createLuminaraError(`Token refresh failed: ${refreshError.message}`, {
+			status: 401,
+			code: 'AUTH_REFRESH_FAILED',
+			data: error?.data,
+			request: error?.request ?? { url: context.req.url, method: context.req.method || 'GET' },
+			response: error?.response ?? null,
+			attempt: context.attempt,
+			originalError: refreshError
+		});
+	}
+
+	/**
+	 * Current token - waits for a running refresh, so queued requests use the new token
+	 */
+	async function resolveToken(context) {
+		if (refreshPromise) {
+			try {
+				await refreshPromise;
+			} catch (refreshError) {
+				throw createRefreshError(refreshError, context);
+			}
+		}
+
+		if (currentToken === null && getToken) {
+			currentToken = (await getToken()) ?? null;
+		}
+
+		return currentToken;
+	}
+
+	/**
+	 * Start a refresh, or join the one already running (single-flight)
+	 */
+	function refresh(context = null) {
+		if (!refreshPromise) {
+			const staleToken = currentToken;
+			stats.refreshes++;
+			refreshPromise = Promise.resolve()
+				.then(() => refreshToken(context))
+				.then(token => {
+					if (token === null || token === undefined || token === '') {
+						throw new Error('refreshToken returned no token');
+					}
+					currentToken = token;
+					failedRefresh = null;
+
+					return token;
+				})
+				.catch(error => {
+					failedRefresh = { token: staleToken, error };
+					stats.failures++;
+					if (onRefreshFailed) {
+						onRefreshFailed(error);
+					}
+					throw error;
+				})
+				.finally(() => {
+					refreshPromise = null;
+				});
+		}
+
+		return refreshPromise;
+	}
+
+	return {
+		name: 'auth',
+
+		onAttach(client) {
+			client.auth = {
+				getToken: () => currentToken,
+				setToken: (token) => {
+					currentToken = token ?? null;
+					failedRefresh = null;
+				},
+				clearToken: () => {
+					currentToken = null;
+					failedRefresh = null;
+				},
+				refresh: () => refresh(),
+				getStats: () => ({ ...stats, refreshing: !!refreshPromise })
+			};
+		},
+
+		async onRequest(context) {
+			if (context.req.auth === false) {
+				return;
+			}
+
+			const token = await resolveToken(context);
+			context.meta.authToken = token;
+			if (token === null) {
+				return;
+			}
+
+			context.req.headers = {
+				...context.req.headers,
+				[header]: scheme ? `${scheme} ${token}` : token
+			};
+		},
+
+		async onResponseError(context) {
+			const { error } = context;
+			if (context.req.auth === false || error?.code === 'AUTH_REFRESH_FAILED' || !shouldRefresh(error, context)) {
+				return;
+			}
+
+			// One replay per request - a second 401 means the new token is rejected too
+			if (context.meta.authReplayed) {
+				return;
+			}
+
+			// Refresh for this token already failed - late 401s fail the same way instead of refreshing again
+			if (failedRefresh && failedRefresh.token === context.meta.authToken && currentToken === context.meta.authToken) {
+				context.error = createRefreshError(failedRefresh.error, context, error);
+
+				return;
+			}
+
+			try {
+
+				// Refresh unless another request already replaced the token this one was sent with
+				if (currentToken === context.meta.authToken || refreshPromise) {
+					await refresh(context);
+				}
+			} catch (refreshError) {
+				context.error = createRefreshError(refreshError, context, error);
+
+				return;
+			}
+
+			context.meta.authReplayed = true;
+			context.replay = true;
+			stats.replays++;
+		}
+	};
+}
@@ -20,6 +20,18 @@ import { suite as edgeCasesSuite, mockServer as edgeCasesServer } from './tests/
 import { suite as deduplicatorSuite, mockServer as deduplicatorServer } from './tests/deduplicator.test.js';
 import { suite as hedgingSuite, mockServer as hedgingServer } from './tests/hedging.test.js';
 import { suite as pluginSuite, mockServer as pluginsServer  } from './tests/plugins.test.js';
+import { suite as httpCacheSuite, mockServer as httpCacheServer } from './tests/httpCache.test.js';
+import { suite as swrSuite, mockServer as swrServer } from './tests/staleWhileRevalidate.test.js';
+import { suite as circuitBreakerSuite, mockServer as circuitBreakerServer } from './tests/circuitBreaker.test.js';
+import { suite as authPluginSuite, mockServer as authPluginServer } from './tests/authPlugin.test.js';
+import { suite as mockDriverSuite, mockServer as mockDriverServer } from './tests/mockDriver.test.js';
+import { suite as cassetteSuite, mockServer as cassetteServer } from './tests/cassette.test.js';
+import { suite as harSuite, mockServer as harServer } from './tests/har.test.js';
+import { suite as tracingSuite, mockServer as tracingServer } from './tests/tracing.test.js';
+import { suite as openMetricsSuite, mockServer as openMetricsServer } from './tests/openMetrics.test.js';
+import { suite as sseSuite, mockServer as sseServer } from './tests/sse.test.js';
+import { suite as transferProgressSuite, mockServer as transferProgressServer } from './tests/transferProgress.test.js';
+import { suite as requestBodiesSuite, mockServer as requestBodiesServer } from './tests/requestBodies.test.js';
 
 // Test suite registry
 const TEST_SUITES = [
@@ -39,7 +51,19 @@ const TEST_SUITES = [
 	{ name: 'Edge Cases', suite: edgeCasesSuite, server: edgeCasesServer },
 	{ name: 'Request Deduplicator', suite: deduplicatorSuite, server: deduplicatorServer },
 	{ name: 'Request Hedging', suite: hedgingSuite, server: hedgingServer },
-	{ name: 'Plugins', suite: pluginSuite, server: pluginsServer }
+	{ name: 'Plugins', suite: pluginSuite, server: pluginsServer },
+	{ name: 'HTTP Cache', suite: httpCacheSuite, server: httpCacheServer },
+	{ name: 'Stale-While-Revalidate', suite: swrSuite, server: swrServer },
+	{ name: 'Circuit Breaker', suite: circuitBreakerSuite, server: circuitBreakerServer },
+	{ name: 'Auth Plugin', suite: authPluginSuite, server: authPluginServer },
+	{ name: 'Mock Driver', suite: mockDriverSuite, server: mockDriverServer },
+	{ name: 'Cassette Driver', suite: cassetteSuite, server: cassetteServer },
+	{ name: 'HAR Capture', suite: harSuite, server: harServer },
+	{ name: 'Tracing', suite: tracingSuite, server: tracingServer },
+	{ name: 'OpenMetrics Exporter', suite: openMetricsSuite, server: openMetricsServer },
+	{ name: 'Server-Sent Events', suite: sseSuite, server: sseServer },
+	{ name: 'Transfer Progress', suite: transferProgressSuite, server: transferProgressServer },
+	{ name: 'Request Bodies', suite: requestBodiesSuite, server: requestBodiesServer }
 ];
 
 // Standalone tests (no mock server needed)
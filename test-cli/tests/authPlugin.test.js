@@ -0,0 +1,220 @@
+/**
+ * Auth Plugin Tests
+ * Tests for Authorization header injection and single-flight token refresh on 401
+ */
+
+import { createLuminara, authPlugin } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('Auth Plugin');
+const mockServer = new MockServer(4240);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+// /auth/* accepts only the current valid token
+let validToken = 'token-1';
+let unauthorizedCount = 0;
+const originalHandler = mockServer.handleRequest;
+
+mockServer.handleRequest = function(req, res, path, params) {
+	if (path.startsWith('/auth/')) {
+		const authorization = req.headers['authorization'] || null;
+		if (authorization !== `Bearer ${validToken}`) {
+			unauthorizedCount++;
+			res.writeHead(401, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({ error: 'Unauthorized' }));
+
+			return;
+		}
+
+		res.writeHead(200, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({ authorization }));
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, path, params);
+};
+
+function resetServer(token) {
+	validToken = token;
+	unauthorizedCount = 0;
+}
+
+suite.test('Injects the Authorization header', async () => {
+	resetServer('token-1');
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [authPlugin({ token: 'token-1', refreshToken: async () => 'unused' })]
+	});
+
+	const response = await api.getJson('/auth/me');
+
+	assertEqual(response.data.authorization, 'Bearer token-1', 'Request should carry the bearer token');
+});
+
+suite.test('Concurrent 401s trigger a single refresh and replay', async () => {
+	resetServer('token-2');
+	let refreshCalls = 0;
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [authPlugin({
+			token: 'expired',
+			refreshToken: async () => {
+				refreshCalls++;
+				await new Promise(resolve => setTimeout(resolve, 50));
+
+				return 'token-2';
+			}
+		})]
+	});
+
+	const responses = await Promise.all(
+		Array.from({ length: 20 }, (_, i) => api.getJson(`/auth/items/${i}`))
+	);
+
+	assertEqual(refreshCalls, 1, 'Twenty 401s should share one refresh');
+	assert(responses.every(response => response.data.authorization === 'Bearer token-2'), 'All requests should be replayed with the new token');
+	assertEqual(unauthorizedCount, 20, 'Each request should fail only once');
+	assertEqual(api.auth.getStats().replays, 20, 'Stats should count replays');
+});
+
+suite.test('Requests started during a refresh wait for the new token', async () => {
+	resetServer('token-3');
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [authPlugin({
+			token: 'expired',
+			refreshToken: async () => {
+				await new Promise(resolve => setTimeout(resolve, 150));
+
+				return 'token-3';
+			}
+		})]
+	});
+
+	const first = api.getJson('/auth/first');
+	while (!api.auth.getStats().refreshing) {
+		await new Promise(resolve => setTimeout(resolve, 5));
+	}
+
+	const second = await api.getJson('/auth/second');
+	await first;
+
+	assertEqual(second.data.authorization, 'Bearer token-3', 'Queued request should use the refreshed token');
+	assertEqual(unauthorizedCount, 1, 'Queued request should not be sent with the stale token');
+});
+
+suite.test('Failed refresh rejects all waiting requests once', async () => {
+	resetServer('token-4');
+	let refreshCalls = 0;
+	const failures = [];
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [authPlugin({
+			token: 'expired',
+			refreshToken: async () => {
+				refreshCalls++;
+				await new Promise(resolve => setTimeout(resolve, 50));
+				throw new Error('refresh token revoked');
+			},
+			onRefreshFailed: (error) => failures.push(error)
+		})]
+	});
+
+	const results = await Promise.allSettled(
+		Array.from({ length: 5 }, (_, i) => api.getJson(`/auth/items/${i}`))
+	);
+
+	assertEqual(refreshCalls, 1, 'Failing refresh should run once');
+	assertEqual(failures.length, 1, 'onRefreshFailed should be called once');
+	assert(results.every(result => result.status === 'rejected'), 'All requests should reject');
+	const error = results[0].reason;
+	assertEqual(error.code, 'AUTH_REFRESH_FAILED', 'Error should use the AUTH_REFRESH_FAILED code');
+	assertEqual(error.status, 401, 'Error should keep the 401 status');
+	assertEqual(error.cause?.message, 'refresh token revoked', 'Error should keep the refresh failure as cause');
+	assertEqual(unauthorizedCount, 5, 'Requests should not be replayed after a failed refresh');
+});
+
+suite.test('Gives up when the refreshed token is also rejected', async () => {
+	resetServer('token-5');
+	let refreshCalls = 0;
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		retry: 2,
+		retryDelay: 10,
+		plugins: [authPlugin({
+			token: 'expired',
+			refreshToken: async () => {
+				refreshCalls++;
+
+				return 'also-wrong';
+			}
+		})]
+	});
+
+	try {
+		await api.getJson('/auth/me');
+		assert(false, 'Request should fail');
+	} catch (error) {
+		assertEqual(error.status, 401, 'Final error should be the 401');
+	}
+
+	assertEqual(refreshCalls, 1, 'Refresh should not loop');
+	assertEqual(unauthorizedCount, 2, 'Original request plus one replay');
+});
+
+suite.test('Loads the token lazily and supports setToken', async () => {
+	resetServer('token-6');
+	let getTokenCalls = 0;
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [authPlugin({
+			getToken: async () => {
+				getTokenCalls++;
+
+				return 'token-6';
+			},
+			refreshToken: async () => 'unused'
+		})]
+	});
+
+	await api.getJson('/auth/a');
+	await api.getJson('/auth/b');
+	assertEqual(getTokenCalls, 1, 'getToken should only be called while no token is set');
+
+	validToken = 'token-7';
+	api.auth.setToken('token-7');
+	const response = await api.getJson('/auth/c');
+	assertEqual(response.data.authorization, 'Bearer token-7', 'setToken should replace the token');
+});
+
+suite.test('Per-request auth: false skips the plugin', async () => {
+	resetServer('token-8');
+	let refreshCalls = 0;
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [authPlugin({
+			token: 'token-8',
+			refreshToken: async () => {
+				refreshCalls++;
+
+				return 'token-8';
+			}
+		})]
+	});
+
+	try {
+		await api.getJson('/auth/public', { auth: false });
+		assert(false, 'Request without token should fail');
+	} catch (error) {
+		assertEqual(error.status, 401, 'Request should be sent without Authorization');
+	}
+
+	assertEqual(refreshCalls, 0, 'Skipped requests should not trigger a refresh');
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'Auth Plugin', suite, mockServer);
+
+export { suite, mockServer };
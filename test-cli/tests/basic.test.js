@@ -189,8 +189,13 @@ suite.test('getNDJSON helper', async () => {
 	const response = await api.getNDJSON('/ndjson');
 	
 	assert(response.status === 200, 'Should handle NDJSON requests');
-	assert(typeof response.data === 'string', 'Should return NDJSON as string');
-	assert(response.data.includes('\n'), 'Should contain newline separators');
+	assert(typeof response.data[Symbol.asyncIterator] === 'function', 'Should return NDJSON as an async iterable');
+	
+	const records = [];
+	for await (const record of response.data) {
+		records.push(record);
+	}
+	assertEqual(records.map(record => record.line), [1, 2, 3], 'Should yield one parsed record per line');
 });
 
 // Test typed POST/PUT/PATCH helpers (request content types)
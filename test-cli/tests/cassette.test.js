@@ -0,0 +1,298 @@
+/**
+ * Cassette Driver Tests
+ * Tests for record-and-replay: cassette files, modes, matching rules and redaction
+ */
+
+import { mkdtempSync, rmSync, readFileSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { LuminaraClient, CassetteDriver } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('Cassette Driver');
+const mockServer = new MockServer(4242);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+// /cassette/* counts hits so tests can tell replayed responses from network ones
+let hits = 0;
+let releaseStream = null; // /cassette/stream holds its second line until this is called
+const originalHandler = mockServer.handleRequest;
+
+mockServer.handleRequest = function(req, res, requestPath, params) {
+	if (requestPath.startsWith('/cassette/')) {
+		hits++;
+
+		if (requestPath === '/cassette/echo') {
+			const chunks = [];
+			req.on('data', chunk => chunks.push(chunk));
+			req.on('end', () => {
+				res.writeHead(200, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify({ hit: hits, body: Buffer.concat(chunks).toString() }));
+			});
+
+			return;
+		}
+
+		if (requestPath === '/cassette/stream') {
+			res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+			res.write('{"line":1}\n');
+			releaseStream = () => res.end('{"line":2}\n');
+
+			return;
+		}
+
+		if (requestPath === '/cassette/bytes') {
+			res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+			res.end(Buffer.from([0, 1, 2, 253, 254, 255]));
+
+			return;
+		}
+
+		res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': 'session=secret' });
+		res.end(JSON.stringify({ path: requestPath, hit: hits, query: Object.fromEntries(params) }));
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, requestPath, params);
+};
+
+const tempDir = mkdtempSync(join(tmpdir(), 'luminara-cassette-'));
+let cassetteIndex = 0;
+process.on('exit', () => rmSync(tempDir, { recursive: true, force: true }));
+
+function createCassetteClient(cassette, config = {}) {
+	const options = { baseURL: BASE_URL, ...config };
+	const driver = CassetteDriver({ ...options, cassette });
+
+	return { driver, api: new LuminaraClient(driver, [], options) };
+}
+
+async function recordOnce(cassettePath, url, options = {}, rules = {}) {
+	const { driver, api } = createCassetteClient({ ...rules, path: cassettePath, mode: 'record' });
+	await api.getJson(url, options);
+	await driver.flushCassette();
+}
+
+function nextCassettePath() {
+	cassetteIndex++;
+
+	return join(tempDir, `cassette-${cassetteIndex}.json`);
+}
+
+suite.test('Records exchanges and replays them without the server', async () => {
+	hits = 0;
+	const cassettePath = nextCassettePath();
+
+	const recorder = createCassetteClient({ path: cassettePath, mode: 'record' });
+	const recorded = await recorder.api.getJson('/cassette/users', { query: { page: 1 } });
+	const recordedBytes = await recorder.api.getArrayBuffer('/cassette/bytes');
+	await recorder.driver.flushCassette();
+
+	const player = createCassetteClient({ path: cassettePath, mode: 'replay' });
+	const replayed = await player.api.getJson('/cassette/users', { query: { page: 1 } });
+	const replayedBytes = await player.api.getArrayBuffer('/cassette/bytes');
+
+	assertEqual(hits, 2, 'Replay should not reach the server');
+	assertEqual(replayed.data.hit, recorded.data.hit, 'Replayed body should match the recording');
+	assertEqual(replayed.status, 200, 'Replayed status should match the recording');
+	assertEqual(Array.from(new Uint8Array(replayedBytes.data)).join(','), Array.from(new Uint8Array(recordedBytes.data)).join(','), 'Body bytes should survive the round trip');
+	assertEqual(player.driver.getCassetteStats().replayed, 2, 'Stats should count replays');
+});
+
+suite.test('Replay mode fails on unrecorded requests', async () => {
+	hits = 0;
+	const cassettePath = nextCassettePath();
+	await recordOnce(cassettePath, '/cassette/known');
+
+	const { api } = createCassetteClient({ path: cassettePath, mode: 'replay' });
+	try {
+		await api.getJson('/cassette/unknown');
+		assert(false, 'Unrecorded request should fail');
+	} catch (error) {
+		assert(error.message.includes('No cassette interaction for GET'), `Unexpected error: ${error.message}`);
+	}
+
+	assertEqual(hits, 1, 'Replay mode should never reach the server');
+});
+
+suite.test('record-missing replays known requests and records new ones', async () => {
+	hits = 0;
+	const cassettePath = nextCassettePath();
+	await recordOnce(cassettePath, '/cassette/a');
+
+	const { driver, api } = createCassetteClient({ path: cassettePath, mode: 'record-missing' });
+	await api.getJson('/cassette/a');
+	await api.getJson('/cassette/b');
+	await driver.flushCassette();
+
+	const stats = driver.getCassetteStats();
+	assertEqual(hits, 2, 'Only the new request should reach the server');
+	assertEqual(stats.replayed, 1, 'Known request should be replayed');
+	assertEqual(stats.recorded, 1, 'New request should be recorded');
+	assertEqual(JSON.parse(readFileSync(cassettePath, 'utf8')).interactions.length, 2, 'Cassette file should hold both exchanges');
+});
+
+suite.test('Passthrough mode sends everything and writes nothing', async () => {
+	hits = 0;
+	const cassettePath = nextCassettePath();
+	const { driver, api } = createCassetteClient({ path: cassettePath, mode: 'passthrough' });
+
+	await api.getJson('/cassette/live');
+	await api.getJson('/cassette/live');
+
+	assertEqual(hits, 2, 'Every request should reach the server');
+	assertEqual(driver.getCassetteStats().passthrough, 2, 'Stats should count passthrough requests');
+	assert(!existsSync(cassettePath), 'Passthrough should not write a cassette');
+});
+
+suite.test('Matching ignores configured headers and query order', async () => {
+	hits = 0;
+	const cassettePath = nextCassettePath();
+	const rules = { ignoreHeaders: ['X-Request-Id'] };
+	await recordOnce(cassettePath, '/cassette/search?a=1&b=2', { headers: { 'X-Request-Id': 'first' } }, rules);
+
+	const { api } = createCassetteClient({ ...rules, path: cassettePath, mode: 'replay' });
+	const response = await api.getJson('/cassette/search?b=2&a=1', { headers: { 'X-Request-Id': 'second' } });
+
+	assertEqual(response.data.query.a, '1', 'Reordered query with a different ignored header should match');
+	assertEqual(hits, 1, 'Matched request should be replayed');
+});
+
+suite.test('Secrets are redacted from the cassette', async () => {
+	hits = 0;
+	const cassettePath = nextCassettePath();
+	const rules = { redactQuery: ['api_key'] };
+	await recordOnce(cassettePath, '/cassette/secure?api_key=abc123', { headers: { Authorization: 'Bearer live-token' } }, rules);
+
+	const contents = readFileSync(cassettePath, 'utf8');
+	assert(!contents.includes('live-token'), 'Authorization header should be redacted');
+	assert(!contents.includes('abc123'), 'Redacted query param should not be stored');
+	assert(!contents.includes('session=secret'), 'Set-Cookie response header should be redacted');
+
+	// Redacted values do not affect matching
+	const { api } = createCassetteClient({ ...rules, path: cassettePath, mode: 'replay' });
+	await api.getJson('/cassette/secure?api_key=other', { headers: { Authorization: 'Bearer other-token' } });
+	assertEqual(hits, 1, 'Request with different secrets should be replayed');
+});
+
+suite.test('Repeated requests replay in recorded order', async () => {
+	hits = 0;
+	const cassettePath = nextCassettePath();
+	const recorder = createCassetteClient({ path: cassettePath, mode: 'record' });
+	await recorder.api.getJson('/cassette/counter');
+	await recorder.api.getJson('/cassette/counter');
+	await recorder.driver.flushCassette();
+
+	const { api } = createCassetteClient({ path: cassettePath, mode: 'replay' });
+	const first = await api.getJson('/cassette/counter');
+	const second = await api.getJson('/cassette/counter');
+	const third = await api.getJson('/cassette/counter');
+
+	assertEqual(`${first.data.hit},${second.data.hit},${third.data.hit}`, '1,2,2', 'Interactions replay in order, then the last one repeats');
+});
+
+suite.test('Stream request bodies are recorded and still sent', async () => {
+	hits = 0;
+	const cassettePath = nextCassettePath();
+	const streamOf = text => new ReadableStream({
+		start(controller) {
+			controller.enqueue(new TextEncoder().encode(text));
+			controller.close();
+		}
+	});
+
+	const recorder = createCassetteClient({ path: cassettePath, mode: 'record' });
+	const recorded = await recorder.api.post('/cassette/echo', streamOf('streamed'));
+	assertEqual(recorded.data.body, 'streamed', 'Stream body should reach the server while recording');
+	await recorder.driver.flushCassette();
+	assertEqual(JSON.parse(readFileSync(cassettePath, 'utf8')).interactions[0].request.body, 'streamed', 'Stream body should be recorded');
+
+	const { driver, api } = createCassetteClient({ path: cassettePath, mode: 'record-missing' });
+	const replayed = await api.post('/cassette/echo', streamOf('streamed'));
+	const other = await api.post('/cassette/echo', streamOf('other'));
+	assertEqual(replayed.data.hit, recorded.data.hit, 'Same stream body should match the recording');
+	assertEqual(other.data.body, 'other', 'New stream body should be sent in record-missing mode');
+	assertEqual(hits, 2, 'Only the new body should reach the server');
+	assertEqual(driver.getCassetteStats().recorded, 1, 'New body should be recorded');
+});
+
+suite.test('Streaming responses reach the caller while recording', async () => {
+	hits = 0;
+	const cassettePath = nextCassettePath();
+	const recorder = createCassetteClient({ path: cassettePath, mode: 'record' });
+
+	const response = await recorder.api.get('/cassette/stream', { responseType: 'ndjson' });
+	const lines = [];
+	for await (const line of response.data) {
+		lines.push(line);
+		if (lines.length === 1) {
+			assertEqual(recorder.driver.getCassetteStats().recorded, 0, 'Open stream should not be recorded yet');
+			releaseStream();
+		}
+	}
+	await recorder.driver.flushCassette();
+
+	assertEqual(lines.map(line => line.line).join(','), '1,2', 'Lines should be delivered as they arrive');
+	assertEqual(JSON.parse(readFileSync(cassettePath, 'utf8')).interactions.length, 1, 'Ended stream should be recorded');
+
+	const { api } = createCassetteClient({ path: cassettePath, mode: 'replay' });
+	const replayed = [];
+	for await (const line of (await api.get('/cassette/stream', { responseType: 'ndjson' })).data) {
+		replayed.push(line.line);
+	}
+	assertEqual(replayed.join(','), '1,2', 'Replay should deliver the recorded lines');
+	assertEqual(hits, 1, 'Replay should not reach the server');
+});
+
+suite.test('Bodies are recorded in full when the caller stops early or never reads them', async () => {
+	hits = 0;
+	const cassettePath = nextCassettePath();
+	const recorder = createCassetteClient({ path: cassettePath, mode: 'record' });
+
+	// Leave the loop after the first line - the rest of the body is still recorded
+	const response = await recorder.api.get('/cassette/stream', { responseType: 'ndjson' });
+	for await (const line of response.data) {
+		assertEqual(line.line, 1, 'First line should arrive');
+		break;
+	}
+	releaseStream();
+
+	// Never read the body at all
+	await recorder.api.get('/cassette/bytes', { responseType: 'stream' });
+
+	await recorder.driver.flushCassette();
+	assertEqual(JSON.parse(readFileSync(cassettePath, 'utf8')).interactions.length, 2, 'Both bodies should be recorded');
+
+	const { api } = createCassetteClient({ path: cassettePath, mode: 'replay' });
+	const replayed = [];
+	for await (const line of (await api.get('/cassette/stream', { responseType: 'ndjson' })).data) {
+		replayed.push(line.line);
+	}
+	const bytes = await api.get('/cassette/bytes', { responseType: 'arrayBuffer' });
+	assertEqual(replayed.join(','), '1,2', 'Stream left early should replay every line');
+	assertEqual([...new Uint8Array(bytes.data)].join(','), '0,1,2,253,254,255', 'Unread body should replay in full');
+	assertEqual(hits, 2, 'Replay should not reach the server');
+});
+
+suite.test('Invalid cassette options throw', async () => {
+	try {
+		CassetteDriver({ cassette: { path: nextCassettePath(), mode: 'rewind' } });
+		assert(false, 'Unknown mode should throw');
+	} catch (error) {
+		assert(error.message.includes('Invalid cassette mode'), `Unexpected error: ${error.message}`);
+	}
+
+	try {
+		CassetteDriver({ cassette: { mode: 'replay' } });
+		assert(false, 'Missing path should throw');
+	} catch (error) {
+		assert(error.message.includes('requires cassette.path'), `Unexpected error: ${error.message}`);
+	}
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'Cassette Driver', suite, mockServer);
+
+export { suite, mockServer };
@@ -0,0 +1,242 @@
+/**
+ * Circuit Breaker Tests
+ * Tests for failing fast while an upstream is unhealthy (closed → open → half-open)
+ */
+
+import { createLuminara } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('Circuit Breaker');
+const mockServer = new MockServer(4239);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+// Upstream health switch for /cb/toggle
+let upstreamHealthy = true;
+const originalHandler = mockServer.handleRequest;
+
+mockServer.handleRequest = function(req, res, path, params) {
+	if (path === '/cb/fail' || (path === '/cb/toggle' && !upstreamHealthy)) {
+		res.writeHead(503, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({ error: 'Service unavailable' }));
+
+		return;
+	}
+
+	if (path === '/cb/bad-request') {
+		res.writeHead(400, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({ error: 'Bad request' }));
+
+		return;
+	}
+
+	if (path.startsWith('/cb/')) {
+		res.writeHead(200, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({ ok: true }));
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, path, params);
+};
+
+async function captureError(promise) {
+	try {
+		await promise;
+	} catch (error) {
+		return error;
+	}
+
+	return null;
+}
+
+suite.test('Opens after consecutive failures and fails fast', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		circuitBreaker: { failureThreshold: 3, cooldownMs: 10000 }
+	});
+
+	for (let i = 0; i < 3; i++) {
+		const error = await captureError(api.getJson('/cb/fail'));
+		assertEqual(error?.status, 503, 'Failures before opening should be HTTP errors');
+	}
+
+	const start = Date.now();
+	const error = await captureError(api.getJson('/cb/fail'));
+	const duration = Date.now() - start;
+
+	assertEqual(error?.name, 'LuminaraError', 'Rejection should be a LuminaraError');
+	assertEqual(error?.code, 'CIRCUIT_OPEN', 'Rejection should use the CIRCUIT_OPEN code');
+	assertEqual(error?.data?.state, 'open', 'Error data should include the circuit state');
+	assert(error?.data?.retryAfter > 0, 'Error data should include time until probes are allowed');
+	assert(duration < 50, `Rejection should be immediate, took ${duration}ms`);
+	assertEqual(mockServer.getRequestCount('GET', '/cb/fail'), 3, 'Open circuit should not reach the server');
+
+	const stats = api.getCircuitBreakerStats();
+	const circuit = Object.values(stats.circuits)[0];
+	assertEqual(circuit.state, 'open', 'Stats should report the open circuit');
+	assertEqual(circuit.rejected, 1, 'Stats should count the rejection');
+});
+
+suite.test('Opens on failure ratio once minimumRequests is reached', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		circuitBreaker: { failureThreshold: null, failureRatio: 0.5, minimumRequests: 4, cooldownMs: 10000 }
+	});
+
+	await api.getJson('/cb/ok');
+	await captureError(api.getJson('/cb/fail'));
+	await api.getJson('/cb/ok');
+	assertEqual(Object.values(api.getCircuitBreakerStats().circuits)[0].state, 'closed', 'Below minimumRequests should stay closed');
+
+	await captureError(api.getJson('/cb/fail'));
+	const error = await captureError(api.getJson('/cb/ok'));
+	assertEqual(error?.code, 'CIRCUIT_OPEN', '50% failures over 4 requests should open the circuit');
+});
+
+suite.test('Half-open probe success closes the circuit', async () => {
+	mockServer.resetCounts();
+	upstreamHealthy = false;
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		circuitBreaker: { failureThreshold: 2, cooldownMs: 200 }
+	});
+
+	await captureError(api.getJson('/cb/toggle'));
+	await captureError(api.getJson('/cb/toggle'));
+	assertEqual((await captureError(api.getJson('/cb/toggle')))?.code, 'CIRCUIT_OPEN', 'Circuit should be open');
+
+	upstreamHealthy = true;
+	await new Promise(resolve => setTimeout(resolve, 250));
+
+	const response = await api.getJson('/cb/toggle');
+	assertEqual(response.status, 200, 'Probe request should be sent after cool-down');
+	assertEqual(Object.values(api.getCircuitBreakerStats().circuits)[0].state, 'closed', 'Successful probe should close the circuit');
+});
+
+suite.test('Half-open probe failure reopens the circuit', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		circuitBreaker: { failureThreshold: 1, cooldownMs: 150 }
+	});
+
+	await captureError(api.getJson('/cb/fail'));
+	await new Promise(resolve => setTimeout(resolve, 200));
+
+	const probeError = await captureError(api.getJson('/cb/fail'));
+	assertEqual(probeError?.status, 503, 'Probe should reach the server');
+
+	const error = await captureError(api.getJson('/cb/fail'));
+	assertEqual(error?.code, 'CIRCUIT_OPEN', 'Failed probe should reopen the circuit');
+	assertEqual(mockServer.getRequestCount('GET', '/cb/fail'), 2, 'Only the probe should reach the server');
+});
+
+suite.test('Half-open allows a limited number of probes', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		circuitBreaker: { failureThreshold: 1, cooldownMs: 100, halfOpenMaxProbes: 1 }
+	});
+
+	await captureError(api.getJson('/cb/fail'));
+	await new Promise(resolve => setTimeout(resolve, 150));
+
+	const results = await Promise.allSettled([
+		api.getJson('/cb/fail'),
+		api.getJson('/cb/fail'),
+		api.getJson('/cb/fail')
+	]);
+
+	const rejected = results.filter(result => result.reason?.code === 'CIRCUIT_OPEN').length;
+	assertEqual(rejected, 2, 'Requests beyond halfOpenMaxProbes should be rejected');
+	assertEqual(mockServer.getRequestCount('GET', '/cb/fail'), 2, 'Only one probe should reach the server');
+});
+
+suite.test('Retries stop once the circuit opens', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		retry: 5,
+		retryDelay: 10,
+		circuitBreaker: { failureThreshold: 2, cooldownMs: 10000 }
+	});
+
+	const error = await captureError(api.getJson('/cb/fail'));
+
+	assertEqual(error?.code, 'CIRCUIT_OPEN', 'Final error should be the circuit rejection');
+	assertEqual(mockServer.getRequestCount('GET', '/cb/fail'), 2, 'Retries should stop hitting the server once open');
+});
+
+suite.test('Client errors do not count as failures', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		circuitBreaker: { failureThreshold: 2 }
+	});
+
+	for (let i = 0; i < 4; i++) {
+		const error = await captureError(api.getJson('/cb/bad-request'));
+		assertEqual(error?.status, 400, '4xx responses should pass through');
+	}
+
+	assertEqual(mockServer.getRequestCount('GET', '/cb/bad-request'), 4, 'Circuit should stay closed on 4xx');
+});
+
+suite.test('Endpoint scope isolates circuits', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		circuitBreaker: { scope: 'endpoint', failureThreshold: 1, cooldownMs: 10000 }
+	});
+
+	await captureError(api.getJson('/cb/fail'));
+	const error = await captureError(api.getJson('/cb/fail'));
+	assertEqual(error?.code, 'CIRCUIT_OPEN', 'Failing endpoint should be open');
+
+	const response = await api.getJson('/cb/ok');
+	assertEqual(response.status, 200, 'Other endpoints should not be affected');
+	assertEqual(Object.keys(api.getCircuitBreakerStats().circuits).length, 2, 'Each endpoint should have its own circuit');
+});
+
+suite.test('State transitions and rejections feed into stats', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		circuitBreaker: { failureThreshold: 1, cooldownMs: 10000 }
+	});
+
+	await captureError(api.getJson('/cb/fail'));
+	await captureError(api.getJson('/cb/fail'));
+	await captureError(api.getJson('/cb/fail'));
+
+	const circuitStats = api.stats().circuit.get({ window: 'since-start' })['since-start'];
+	assertEqual(circuitStats.transitionsByState.open, 1, 'Stats should record the transition to open');
+	assertEqual(circuitStats.rejected, 2, 'Stats should record rejected requests');
+	const [key] = Object.keys(circuitStats.current);
+	assertEqual(circuitStats.current[key].state, 'open', 'Stats should expose the current state');
+
+	const filtered = api.stats().circuit.get({ window: 'since-start', where: { key: 'other-host' } })['since-start'];
+	assertEqual(filtered.transitions, 0, 'where.key should filter circuit events');
+});
+
+suite.test('Per-request circuitBreaker: false bypasses the breaker', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		circuitBreaker: { failureThreshold: 1, cooldownMs: 10000 }
+	});
+
+	await captureError(api.getJson('/cb/fail'));
+	const error = await captureError(api.getJson('/cb/fail', { circuitBreaker: false }));
+
+	assertEqual(error?.status, 503, 'Bypassed request should reach the server');
+	assertEqual(mockServer.getRequestCount('GET', '/cb/fail'), 2, 'Bypassed request should be sent');
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'Circuit Breaker', suite, mockServer);
+
+export { suite, mockServer };
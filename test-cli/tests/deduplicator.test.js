@@ -4,13 +4,32 @@
  */
 
 import { createLuminara } from '../../dist/index.mjs';
-import { TestSuite, MockServer, assert, Timer, assertRange } from '../testUtils.js';
+import { TestSuite, MockServer, assert, assertEqual, Timer, assertRange, sleep } from '../testUtils.js';
 import { runTestSuiteIfDirect } from '../runTestSuite.js';
 
 const suite = new TestSuite('Request Deduplicator');
 const mockServer = new MockServer(4223);
 const BASE_URL = `http://localhost:${mockServer.port}`;
 
+const originalHandler = mockServer.handleRequest;
+
+// /echo-body answers after 50ms with the body it received
+mockServer.handleRequest = function(req, res, path, params) {
+	if (path === '/echo-body') {
+		const chunks = [];
+		req.on('data', chunk => chunks.push(chunk));
+		req.on('end', async () => {
+			await sleep(50);
+			res.writeHead(200, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({ body: Buffer.concat(chunks).toString() }));
+		});
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, path, params);
+};
+
 suite.test('Deduplication disabled by default', async () => {
 	const api = createLuminara({
 		baseURL: BASE_URL
@@ -61,7 +80,7 @@ suite.test('Key strategy: url (ignores method)', async () => {
 	
 	await Promise.all([
 		api.get('/delay/100'),
-		api.post('/delay/100', { body: { test: true } })
+		api.del('/delay/100')
 	]);
 	
 	timer.mark();
@@ -418,6 +437,51 @@ suite.test('Concurrent identical GET requests deduplicate', async () => {
 	assertRange(duration, 50, 400, `5 concurrent requests should execute as 1, got ${duration}ms`);
 });
 
+suite.test('Requests are keyed by the body they send', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		deduplicate: {}
+	});
+	
+	const [a, b, sameAsA] = await Promise.all([
+		api.queryJson('/echo-body', { q: 'a' }),
+		api.queryJson('/echo-body', { q: 'b' }),
+		api.queryJson('/echo-body', { q: 'a' })
+	]);
+	assertEqual(a.data.body, '{"q":"a"}', 'First QUERY should get its own result');
+	assertEqual(b.data.body, '{"q":"b"}', 'QUERY with another body should not be merged');
+	assertEqual(sameAsA.data.body, '{"q":"a"}', 'Identical QUERY should share the result');
+	assertEqual(mockServer.getRequestCount('QUERY', '/echo-body'), 2, 'Only identical bodies should be merged');
+	
+	const purges = await Promise.all(['one', 'two'].map(body => api.request({ url: '/echo-body', method: 'PURGE', body })));
+	assertEqual(purges.map(response => response.data.body).join(','), 'one,two', 'Custom methods should be keyed by body');
+	assertEqual(mockServer.getRequestCount('PURGE', '/echo-body'), 2, 'PURGE calls with different bodies should both be sent');
+	
+	await Promise.all([1, 2].map(() => api.query('/echo-body', new Blob(['same']))));
+	assertEqual(mockServer.getRequestCount('QUERY', '/echo-body'), 4, 'Bodies that cannot be compared should never be merged');
+});
+
+suite.test('Streaming responses are never shared', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		deduplicate: {}
+	});
+	
+	const responses = await Promise.all([api.getNDJSON('/ndjson'), api.getNDJSON('/ndjson')]);
+	const readers = responses.map(async response => {
+		const lines = [];
+		for await (const line of response.data) {
+			lines.push(line.line);
+		}
+		return lines.join(',');
+	});
+	
+	assertEqual((await Promise.all(readers)).join(' | '), '1,2,3 | 1,2,3', 'Each caller should read its own stream');
+	assertEqual(mockServer.getRequestCount('GET', '/ndjson'), 2, 'Concurrent streaming requests should not be merged');
+});
+
 // Run tests if this file is executed directly
 await runTestSuiteIfDirect(import.meta.url, 'Request Deduplicator', suite, mockServer);
 
@@ -0,0 +1,168 @@
+/**
+ * HAR Capture Tests
+ * Tests for HAR 1.2 export: entries per attempt, hedge labels, redaction and body limits
+ */
+
+import { LuminaraClient, MockDriver } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('HAR Capture');
+
+// Registered with the runner like every suite - MockDriver requests never reach it
+const mockServer = new MockServer(4243);
+const BASE_URL = 'http://api.test';
+
+function createHarClient(config = {}) {
+	const options = { baseURL: BASE_URL, ...config };
+	const mock = MockDriver(options);
+
+	return { mock, api: new LuminaraClient(mock, [], options) };
+}
+
+function findHeader(headers, name) {
+	return headers.find(header => header.name.toLowerCase() === name.toLowerCase())?.value;
+}
+
+suite.test('Stop returns a HAR 1.2 document with request and response details', async () => {
+	const { mock, api } = createHarClient();
+	mock.get('/users/:id', { headers: { 'X-Trace': 'abc' }, data: { id: 7 } });
+
+	api.startHarCapture();
+	await api.getJson('/users/7', { query: { fields: 'name' } });
+	const har = api.stopHarCapture();
+
+	assertEqual(har.log.version, '1.2', 'HAR version should be 1.2');
+	assertEqual(har.log.creator.name, 'luminara', 'Creator should default to luminara');
+	assertEqual(har.log.entries.length, 1, 'One exchange should produce one entry');
+
+	const [entry] = har.log.entries;
+	assertEqual(entry.request.method, 'GET', 'Request method should be recorded');
+	assertEqual(entry.request.url, `${BASE_URL}/users/7?fields=name`, 'Request URL should include the query');
+	assertEqual(entry.request.queryString[0].name, 'fields', 'Query string should be listed');
+	assertEqual(entry.response.status, 200, 'Response status should be recorded');
+	assertEqual(findHeader(entry.response.headers, 'x-trace'), 'abc', 'Response headers should be recorded');
+	assertEqual(JSON.parse(entry.response.content.text).id, 7, 'Response body should be recorded');
+	assertEqual(entry._label, 'initial', 'First attempt should be labeled initial');
+	assert(entry.time >= 0 && entry.timings.wait >= 0, 'Timings should be recorded');
+	assert(!Number.isNaN(Date.parse(entry.startedDateTime)), 'startedDateTime should be an ISO date');
+});
+
+suite.test('Each retry attempt gets its own labeled entry', async () => {
+	const { mock, api } = createHarClient({ retry: 2, retryDelay: 10 });
+	mock.get('/flaky', [{ status: 503, data: { error: 'busy' } }, { status: 503 }, { data: { ok: true } }]);
+
+	api.startHarCapture();
+	await api.getJson('/flaky');
+	const { entries } = api.stopHarCapture().log;
+
+	assertEqual(entries.length, 3, 'Every attempt should be recorded');
+	assertEqual(entries.map(entry => entry._attempt).join(','), '1,2,3', 'Attempts should be numbered');
+	assertEqual(entries.map(entry => entry._label).join(','), 'initial,retry,retry', 'Retries should be labeled');
+	assertEqual(entries.map(entry => entry.response.status).join(','), '503,503,200', 'Each attempt keeps its status');
+	assert(entries[0].response.content.text.includes('busy'), 'Failed attempt should keep its response body');
+	assertEqual(new Set(entries.map(entry => entry._requestId)).size, 1, 'Attempts should share the request id');
+});
+
+suite.test('Hedge requests are labeled', async () => {
+	const { mock, api } = createHarClient({
+		hedging: { policy: 'race', hedgeDelay: 50, maxHedges: 1 }
+	});
+	mock.get('/hedged', [{ delay: 1000, data: { winner: 'primary' } }, { data: { winner: 'hedge' } }]);
+
+	api.startHarCapture();
+	await api.getJson('/hedged');
+	const { entries } = api.stopHarCapture().log;
+
+	const hedge = entries.find(entry => entry._label === 'hedge');
+	assertEqual(entries.length, 2, 'Primary and hedge should both be recorded');
+	assert(hedge, 'Hedge entry should be labeled hedge');
+	assertEqual(hedge._hedgeIndex, 1, 'Hedge entry should carry its index');
+	assertEqual(JSON.parse(hedge.response.content.text).winner, 'hedge', 'Winning hedge should keep its body');
+});
+
+suite.test('Secrets are redacted from headers, query and bodies', async () => {
+	const { mock, api } = createHarClient();
+	mock.post('/login', {
+		headers: { 'Set-Cookie': 'session=secret-cookie' },
+		data: { access_token: 'secret-access', user: 'ada' }
+	});
+
+	api.startHarCapture({ redactQuery: ['api_key'] });
+	await api.postJson('/login?api_key=secret-key', { user: 'ada', password: 'secret-password' }, {
+		headers: { Authorization: 'Bearer secret-bearer', Cookie: 'id=secret-id' }
+	});
+	const har = api.stopHarCapture();
+	const serialized = JSON.stringify(har);
+
+	for (const secret of ['secret-cookie', 'secret-access', 'secret-key', 'secret-password', 'secret-bearer', 'secret-id']) {
+		assert(!serialized.includes(secret), `${secret} should be redacted`);
+	}
+
+	const [entry] = har.log.entries;
+	assertEqual(findHeader(entry.request.headers, 'authorization'), '[REDACTED]', 'Authorization should be redacted');
+	assertEqual(JSON.parse(entry.request.postData.text).user, 'ada', 'Other body fields should be kept');
+});
+
+suite.test('Custom redact function and body size limit', async () => {
+	const { mock, api } = createHarClient();
+	mock.get('/large', { data: 'x'.repeat(500) });
+
+	api.startHarCapture({
+		maxBodySize: 100,
+		redact: (entry) => ({ ...entry, comment: 'reviewed' })
+	});
+	await api.getText('/large');
+	const [entry] = api.stopHarCapture().log.entries;
+
+	assertEqual(entry.response.content.size, 500, 'Content size should be the full size');
+	assertEqual(entry.response.content.text.length, 100, 'Body text should be truncated');
+	assert(entry.response.content.comment.includes('Truncated'), 'Truncation should be noted');
+	assertEqual(entry.comment, 'reviewed', 'Custom redact function should run on every entry');
+});
+
+suite.test('Network failures are recorded with the error', async () => {
+	const { mock, api } = createHarClient();
+	mock.get('/down', { error: 'network' });
+
+	api.startHarCapture();
+	try {
+		await api.get('/down');
+		assert(false, 'Request should fail');
+	} catch {
+
+		// Expected
+	}
+	const [entry] = api.stopHarCapture().log.entries;
+
+	assertEqual(entry.response.status, 0, 'Failed exchange has no status');
+	assert(typeof entry._error === 'string' && entry._error.length > 0, 'Error should be recorded');
+});
+
+suite.test('Nothing is recorded outside a capture', async () => {
+	const { mock, api } = createHarClient();
+	mock.get('/ping', { data: {} });
+
+	assertEqual(api.stopHarCapture(), null, 'Stop without a capture should return null');
+
+	await api.get('/ping');
+	api.startHarCapture();
+	await api.get('/ping');
+	assertEqual(api.getHarCapture().log.entries.length, 1, 'Only requests during the capture should be recorded');
+
+	api.stopHarCapture();
+	await api.get('/ping');
+	assertEqual(api.getHarCapture(), null, 'Stopped capture should not be available');
+
+	try {
+		api.startHarCapture({ maxEntries: 0 });
+		assert(false, 'Invalid options should throw');
+	} catch (error) {
+		assert(error.message.includes('maxEntries'), `Unexpected error: ${error.message}`);
+	}
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'HAR Capture', suite, mockServer);
+
+export { suite, mockServer };
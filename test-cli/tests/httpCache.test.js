@@ -0,0 +1,314 @@
+/**
+ * HTTP Cache Tests
+ * Tests for the persistent response cache (Cache-Control, conditional revalidation, storage adapters)
+ */
+
+import { createLuminara, MemoryCacheStorage } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('HTTP Cache');
+const mockServer = new MockServer(4237);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+// Cache-aware endpoints
+const ETAG = '"v1"';
+const originalHandler = mockServer.handleRequest;
+
+mockServer.handleRequest = function(req, res, path, params) {
+	const count = this.getRequestCount(req.method, path);
+
+	if (path === '/cache/max-age') {
+		res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=60' });
+		res.end(JSON.stringify({ count }));
+
+		return;
+	}
+
+	if (path === '/cache/short') {
+		res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=1' });
+		res.end(JSON.stringify({ count }));
+
+		return;
+	}
+
+	if (path === '/cache/no-store') {
+		res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+		res.end(JSON.stringify({ count }));
+
+		return;
+	}
+
+	if (path === '/cache/private') {
+		res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'private, max-age=60' });
+		res.end(JSON.stringify({ count }));
+
+		return;
+	}
+
+	if (path === '/cache/etag') {
+		if (req.headers['if-none-match'] === ETAG) {
+			res.writeHead(304, { 'ETag': ETAG, 'Cache-Control': 'no-cache' });
+			res.end();
+
+			return;
+		}
+
+		res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': ETAG, 'Cache-Control': 'no-cache' });
+		res.end(JSON.stringify({ count }));
+
+		return;
+	}
+
+	if (path === '/cache/last-modified') {
+		const lastModified = 'Wed, 21 Oct 2015 07:28:00 GMT';
+		if (req.headers['if-modified-since'] === lastModified) {
+			res.writeHead(304, { 'Last-Modified': lastModified });
+			res.end();
+
+			return;
+		}
+
+		res.writeHead(200, { 'Content-Type': 'application/json', 'Last-Modified': lastModified, 'Cache-Control': 'max-age=0' });
+		res.end(JSON.stringify({ count }));
+
+		return;
+	}
+
+	if (path === '/cache/vary') {
+		res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=60', 'Vary': 'Accept-Language' });
+		res.end(JSON.stringify({ count, language: req.headers['accept-language'] || null }));
+
+		return;
+	}
+
+	if (path === '/cache/resource') {
+		res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=60' });
+		res.end(JSON.stringify({ count, method: req.method }));
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, path, params);
+};
+
+suite.test('Cache disabled by default', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL });
+
+	await api.get('/cache/max-age');
+	await api.get('/cache/max-age');
+
+	assertEqual(mockServer.getRequestCount('GET', '/cache/max-age'), 2, 'Both requests should reach the server');
+	assertEqual(api.getCacheStats(), null, 'Cache stats should be null when cache is disabled');
+});
+
+suite.test('Fresh responses are served from cache (max-age)', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, cache: true });
+
+	const first = await api.getJson('/cache/max-age');
+	const second = await api.getJson('/cache/max-age');
+
+	assertEqual(mockServer.getRequestCount('GET', '/cache/max-age'), 1, 'Only one request should reach the server');
+	assertEqual(second.data.count, first.data.count, 'Cached data should match the original response');
+	assertEqual(second.status, 200, 'Cached response should keep original status');
+	assertEqual(second.headers.get('cache-control'), 'max-age=60', 'Cached response should keep original headers');
+	assertEqual(second.cacheMetadata?.status, 'hit', 'Cached response should be marked as hit');
+	assert(first.cacheMetadata === undefined, 'Network response should not carry cache metadata');
+
+	const stats = api.getCacheStats();
+	assertEqual(stats.hits, 1, 'Stats should report one hit');
+	assertEqual(stats.stored, 1, 'Stats should report one stored entry');
+});
+
+suite.test('Expired entries are fetched again', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, cache: true });
+
+	await api.getJson('/cache/short');
+	await new Promise(resolve => setTimeout(resolve, 1100));
+	await api.getJson('/cache/short');
+
+	assertEqual(mockServer.getRequestCount('GET', '/cache/short'), 2, 'Expired entry should trigger a new request');
+});
+
+suite.test('no-store responses are never cached', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, cache: true });
+
+	await api.getJson('/cache/no-store');
+	await api.getJson('/cache/no-store');
+
+	assertEqual(mockServer.getRequestCount('GET', '/cache/no-store'), 2, 'no-store responses should not be cached');
+});
+
+suite.test('private responses are skipped by shared caches only', async () => {
+	mockServer.resetCounts();
+	const privateApi = createLuminara({ baseURL: BASE_URL, cache: true });
+	await privateApi.getJson('/cache/private');
+	await privateApi.getJson('/cache/private');
+	assertEqual(mockServer.getRequestCount('GET', '/cache/private'), 1, 'Private cache should store private responses');
+
+	mockServer.resetCounts();
+	const sharedApi = createLuminara({ baseURL: BASE_URL, cache: { shared: true } });
+	await sharedApi.getJson('/cache/private');
+	await sharedApi.getJson('/cache/private');
+	assertEqual(mockServer.getRequestCount('GET', '/cache/private'), 2, 'Shared cache should not store private responses');
+});
+
+suite.test('ETag revalidation turns 304 into the cached response', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, cache: true });
+
+	const first = await api.getJson('/cache/etag');
+	const second = await api.getJson('/cache/etag');
+
+	assertEqual(mockServer.getRequestCount('GET', '/cache/etag'), 2, 'no-cache entry should be revalidated with the server');
+	assertEqual(second.status, 200, '304 should resolve to the cached status');
+	assertEqual(second.data.count, first.data.count, '304 should resolve to the cached data');
+	assertEqual(second.cacheMetadata?.status, 'revalidated', 'Response should be marked as revalidated');
+	assertEqual(api.getCacheStats().revalidated, 1, 'Stats should report one revalidation');
+});
+
+suite.test('Last-Modified revalidation sends If-Modified-Since', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, cache: true });
+
+	const first = await api.getJson('/cache/last-modified');
+	const second = await api.getJson('/cache/last-modified');
+
+	assertEqual(mockServer.getRequestCount('GET', '/cache/last-modified'), 2, 'Stale entry should be revalidated');
+	assertEqual(second.data.count, first.data.count, '304 should resolve to the cached data');
+	assertEqual(second.cacheMetadata?.status, 'revalidated', 'Response should be marked as revalidated');
+});
+
+suite.test('Request Cache-Control no-cache forces revalidation', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, cache: true });
+
+	await api.getJson('/cache/max-age');
+	await api.getJson('/cache/max-age', { headers: { 'Cache-Control': 'no-cache' } });
+
+	assertEqual(mockServer.getRequestCount('GET', '/cache/max-age'), 2, 'no-cache request should bypass the fresh entry');
+});
+
+suite.test('Vary headers select matching entries', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, cache: true });
+
+	await api.getJson('/cache/vary', { headers: { 'Accept-Language': 'en' } });
+	await api.getJson('/cache/vary', { headers: { 'Accept-Language': 'en' } });
+	assertEqual(mockServer.getRequestCount('GET', '/cache/vary'), 1, 'Same Vary header value should hit');
+
+	const french = await api.getJson('/cache/vary', { headers: { 'Accept-Language': 'fr' } });
+	assertEqual(mockServer.getRequestCount('GET', '/cache/vary'), 2, 'Different Vary header value should miss');
+	assertEqual(french.data.language, 'fr', 'Miss should return the matching variant');
+});
+
+suite.test('Unsafe methods invalidate cached entries', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, cache: true });
+
+	await api.getJson('/cache/resource');
+	await api.post('/cache/resource', { name: 'update' });
+	await api.getJson('/cache/resource');
+
+	assertEqual(mockServer.getRequestCount('GET', '/cache/resource'), 2, 'GET after POST should reach the server');
+	assertEqual(api.getCacheStats().invalidated, 1, 'Stats should report one invalidation');
+
+	await api.queryJson('/cache/resource', { name: 'search' });
+	await api.getJson('/cache/resource');
+	assertEqual(mockServer.getRequestCount('GET', '/cache/resource'), 2, 'Safe QUERY should not invalidate');
+
+	await api.request({ url: '/cache/resource', method: 'PURGE' });
+	await api.getJson('/cache/resource');
+	assertEqual(mockServer.getRequestCount('GET', '/cache/resource'), 3, 'Custom methods like PURGE should invalidate');
+	assertEqual(api.getCacheStats().invalidated, 2, 'Stats should report the PURGE invalidation');
+});
+
+suite.test('Invalidation ignores the unsafe request body and headers in the key', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		cache: { keyStrategy: 'url+method+body', includeHeaders: ['Accept-Language'] }
+	});
+
+	await api.getJson('/cache/resource', { headers: { 'Accept-Language': 'fr' } });
+	await api.post('/cache/resource', { name: 'update' }, { headers: { 'Accept-Language': 'en' } });
+	await api.getJson('/cache/resource', { headers: { 'Accept-Language': 'fr' } });
+
+	assertEqual(mockServer.getRequestCount('GET', '/cache/resource'), 2, 'GET after POST should reach the server');
+	assertEqual(api.getCacheStats().invalidated, 1, 'Stats should report one invalidation');
+});
+
+suite.test('Per-request cache: false bypasses the cache', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, cache: true });
+
+	await api.getJson('/cache/max-age');
+	await api.getJson('/cache/max-age', { cache: false });
+
+	assertEqual(mockServer.getRequestCount('GET', '/cache/max-age'), 2, 'cache: false should skip the cache');
+});
+
+suite.test('Custom storage adapter receives serializable entries', async () => {
+	mockServer.resetCounts();
+	const store = new Map();
+	const storage = {
+		async get(key) {
+			return store.has(key) ? JSON.parse(store.get(key)) : null;
+		},
+		async set(key, entry) {
+			store.set(key, JSON.stringify(entry));
+		},
+		async delete(key) {
+			store.delete(key);
+		},
+		async clear() {
+			store.clear();
+		}
+	};
+
+	const api = createLuminara({ baseURL: BASE_URL, cache: { storage } });
+	const first = await api.getJson('/cache/max-age');
+	const second = await api.getJson('/cache/max-age');
+
+	assertEqual(store.size, 1, 'Adapter should hold one entry');
+	assertEqual(mockServer.getRequestCount('GET', '/cache/max-age'), 1, 'Second request should be served by the adapter');
+	assertEqual(second.data.count, first.data.count, 'Adapter should round-trip data through JSON');
+	assertEqual(second.headers.get('content-type'), 'application/json', 'Adapter should round-trip headers');
+
+	await api.clearCache();
+	assertEqual(store.size, 0, 'clearCache should clear the adapter');
+});
+
+suite.test('MemoryCacheStorage evicts least recently used entries', async () => {
+	const storage = new MemoryCacheStorage({ maxEntries: 2 });
+
+	await storage.set('a', { id: 'a' });
+	await storage.set('b', { id: 'b' });
+	await storage.get('a');
+	await storage.set('c', { id: 'c' });
+
+	assertEqual(storage.size(), 2, 'Storage should respect maxEntries');
+	assert(await storage.get('a'), 'Recently used entry should be kept');
+	assertEqual(await storage.get('b'), null, 'Least recently used entry should be evicted');
+});
+
+suite.test('Invalid storage adapter is rejected', async () => {
+	let threw = false;
+	try {
+		createLuminara({ baseURL: BASE_URL, cache: { storage: { get() {} } } });
+	} catch (error) {
+		threw = true;
+		assert(error.message.includes('storage'), 'Error should mention storage');
+	}
+
+	assert(threw, 'Creating a client with an invalid storage adapter should throw');
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'HTTP Cache', suite, mockServer);
+
+export { suite, mockServer };
@@ -0,0 +1,125 @@
+/**
+ * Mock Driver Tests
+ * Tests for the offline MockDriver: route matching, sequences, simulated failures and call recording
+ */
+
+import { LuminaraClient, MockDriver, authPlugin } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('Mock Driver');
+
+// Registered with the runner like every suite - MockDriver requests never reach it
+const mockServer = new MockServer(4241);
+const BASE_URL = 'http://api.test';
+
+function createMockClient(config = {}, plugins = []) {
+	const options = { baseURL: BASE_URL, ...config };
+	const mock = MockDriver(options);
+
+	return { mock, api: new LuminaraClient(mock, plugins, options) };
+}
+
+suite.test('Matches routes by method and path params and records calls', async () => {
+	const { mock, api } = createMockClient();
+	mock
+		.get('/users/:id', (request) => ({ data: { id: request.params.id, query: request.query } }))
+		.post('/users', { status: 201, data: { created: true } });
+
+	const user = await api.getJson('/users/42', { query: { fields: 'name' } });
+	const created = await api.postJson('/users', { name: 'Ada' });
+
+	assertEqual(user.data.id, '42', 'Path params should reach the response function');
+	assertEqual(user.data.query.fields, 'name', 'Query should reach the response function');
+	assertEqual(created.status, 201, 'Static response status should be used');
+	assertEqual(mock.calls.length, 2, 'Both calls should be recorded');
+	assertEqual(mock.getCalls('POST', '/users')[0].body.name, 'Ada', 'JSON request body should be recorded parsed');
+	assertEqual(mock.getCalls('GET').length, 1, 'Calls should filter by method');
+});
+
+suite.test('Status sequences drive retries', async () => {
+	const { mock, api } = createMockClient({ retry: 2, retryDelay: 10 });
+	mock.get('/flaky', [{ status: 500 }, { status: 500 }, { status: 200, data: { ok: true } }]);
+
+	const response = await api.getJson('/flaky');
+
+	assertEqual(response.data.ok, true, 'Third attempt should succeed');
+	assertEqual(mock.getCalls('GET', '/flaky').length, 3, 'Retry should call the route three times');
+});
+
+suite.test('Simulates network errors', async () => {
+	const { mock, api } = createMockClient();
+	mock.get('/down', { error: 'network' });
+
+	try {
+		await api.get('/down');
+		assert(false, 'Request should fail');
+	} catch (error) {
+		assertEqual(error.code, 'NETWORK_ERROR', 'Network failure should surface as NETWORK_ERROR');
+	}
+});
+
+suite.test('Simulates latency and timeouts', async () => {
+	const { mock, api } = createMockClient({ timeout: 50 });
+	mock
+		.get('/slow', { delay: 500, data: {} })
+		.get('/hang', { error: 'timeout' })
+		.get('/fast', { delay: 20, data: { fast: true } });
+
+	for (const path of ['/slow', '/hang']) {
+		try {
+			await api.get(path);
+			assert(false, `${path} should time out`);
+		} catch (error) {
+			assertEqual(error.code, 'TIMEOUT', `${path} should fail with TIMEOUT`);
+		}
+	}
+
+	const response = await api.getJson('/fast');
+	assertEqual(response.data.fast, true, 'Response within the timeout should succeed');
+});
+
+suite.test('Unmatched requests fail with a descriptive error', async () => {
+	const { mock, api } = createMockClient();
+	mock.get('/known', { data: {} });
+
+	try {
+		await api.del('/known');
+		assert(false, 'Unmatched request should fail');
+	} catch (error) {
+		assert(error.message.includes('No mock route for DELETE http://api.test/known'), `Unexpected error: ${error.message}`);
+	}
+
+	assertEqual(mock.calls[0].route, null, 'Unmatched call should be recorded without a route');
+});
+
+suite.test('Hedging runs on top of the mock driver', async () => {
+	const { mock, api } = createMockClient({
+		hedging: { policy: 'race', hedgeDelay: 50, maxHedges: 1 }
+	});
+	mock.get('/hedged', [{ delay: 1000, data: { winner: 'primary' } }, { data: { winner: 'hedge' } }]);
+
+	const response = await api.getJson('/hedged');
+
+	assertEqual(response.data.winner, 'hedge', 'Hedge request should win the race');
+	assertEqual(mock.getCalls('GET', '/hedged').length, 2, 'Primary and hedge should both be recorded');
+});
+
+suite.test('Plugins and stats run unchanged', async () => {
+	const { mock, api } = createMockClient({}, [authPlugin({ token: 'old', refreshToken: async () => 'new' })]);
+	mock.get('/me', (request) => (request.headers.Authorization === 'Bearer new'
+		? { data: { user: 'ada' } }
+		: { status: 401 }));
+
+	const response = await api.getJson('/me');
+	const counters = api.stats().query({ metrics: ['counters'], window: 'since-start', groupBy: 'none' }).groups[0].counters;
+
+	assertEqual(response.data.user, 'ada', 'Auth plugin should refresh and replay');
+	assertEqual(mock.calls.map(call => call.headers.Authorization).join(','), 'Bearer old,Bearer new', 'Calls should record headers');
+	assertEqual(counters.success, 1, 'Stats should count the request');
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'Mock Driver', suite, mockServer);
+
+export { suite, mockServer };
@@ -0,0 +1,168 @@
+/**
+ * OpenMetrics Exporter Tests
+ * Tests for the Prometheus/OpenMetrics text exporter and its node:http handler
+ */
+
+import http from 'node:http';
+import { LuminaraClient, MockDriver, OpenMetricsExporter, createMetricsHandler } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('OpenMetrics Exporter');
+
+// Registered with the runner like every suite - MockDriver requests never reach it
+const mockServer = new MockServer(4245);
+const BASE_URL = 'http://api.test';
+
+function createMetricsClient(config = {}) {
+	const options = { baseURL: BASE_URL, ...config };
+	const mock = MockDriver(options);
+	mock
+		.get('/users', { data: [] })
+		.post('/users', { status: 201, data: {} })
+		.get('/flaky', [{ status: 503 }, { data: {} }])
+		.get('/broken', { status: 500 })
+		.get('/missing', { status: 404 });
+
+	return new LuminaraClient(mock, [], options);
+}
+
+/**
+ * Value of the sample with exactly these labels (label order ignored)
+ */
+function sampleValue(text, name, labels = {}) {
+	const expected = Object.entries(labels).map(([label, value]) => `${label}="${value}"`).sort().join(',');
+	for (const line of text.split('\n')) {
+		const match = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})? (\S+)$/.exec(line);
+		if (match && match[1] === name && (match[2] || '').split(',').filter(Boolean).sort().join(',') === expected) {
+			return Number(match[3]);
+		}
+	}
+
+	return undefined;
+}
+
+suite.test('Renders request counters labeled by domain and method', async () => {
+	const api = createMetricsClient();
+
+	// Stats take the domain from the request URL, so use absolute URLs here
+	await api.get(`${BASE_URL}/users`);
+	await api.get(`${BASE_URL}/users`);
+	await api.post(`${BASE_URL}/users`, {});
+
+	const exporter = new OpenMetricsExporter(api);
+	const text = exporter.render();
+
+	assert(text.endsWith('# EOF\n'), 'Exposition should end with # EOF');
+	assert(text.includes('# TYPE luminara_requests counter'), 'Counter family should be declared');
+	assert(exporter.contentType.startsWith('application/openmetrics-text'), 'Content type should be OpenMetrics');
+	assertEqual(sampleValue(text, 'luminara_requests_total', { domain: 'api.test', method: 'GET' }), 2, 'GET requests should be counted');
+	assertEqual(sampleValue(text, 'luminara_requests_total', { domain: 'api.test', method: 'POST' }), 1, 'POST requests should be counted');
+	assertEqual(sampleValue(text, 'luminara_requests_completed_total', { domain: 'api.test', method: 'GET', result: 'success' }), 2, 'Results should be labeled by request');
+	assertEqual(sampleValue(text, 'luminara_requests_in_flight'), 0, 'In-flight gauge should be rendered');
+});
+
+suite.test('Durations render as a histogram or a summary', async () => {
+	const api = createMetricsClient();
+	await api.get('/users');
+	await api.get('/users');
+
+	const histogram = new OpenMetricsExporter(api, { labels: ['method'], buckets: [0.001, 60] }).render();
+	assertEqual(sampleValue(histogram, 'luminara_request_duration_seconds_bucket', { method: 'GET', le: '60' }), 2, 'Buckets should count durations');
+	assertEqual(sampleValue(histogram, 'luminara_request_duration_seconds_bucket', { method: 'GET', le: '+Inf' }), 2, '+Inf bucket should hold every sample');
+	assertEqual(sampleValue(histogram, 'luminara_request_duration_seconds_count', { method: 'GET' }), 2, 'Count should be rendered');
+	assert(sampleValue(histogram, 'luminara_request_duration_seconds_sum', { method: 'GET' }) >= 0, 'Sum should be rendered');
+
+	const summary = new OpenMetricsExporter(api, { labels: ['method'], durationType: 'summary' }).render();
+	assert(summary.includes('# TYPE luminara_request_duration_seconds summary'), 'Summary family should be declared');
+	assert(sampleValue(summary, 'luminara_request_duration_seconds', { method: 'GET', quantile: '0.99' }) >= 0, 'Quantiles should be rendered');
+	assert(!summary.includes('_bucket'), 'Summary should not render buckets');
+});
+
+suite.test('Retries and errors by class are labeled per endpoint', async () => {
+	const api = createMetricsClient({ retry: 1, retryDelay: 1 });
+	await api.get('/flaky');
+	for (const path of ['/broken', '/missing']) {
+		try {
+			await api.get(path);
+		} catch {
+
+			// Expected
+		}
+	}
+
+	const text = new OpenMetricsExporter(api, { labels: ['endpoint'] }).render();
+
+	assertEqual(sampleValue(text, 'luminara_retries_total', { endpoint: 'GET /flaky' }), 1, 'Retry should be counted on its endpoint');
+	assertEqual(sampleValue(text, 'luminara_requests_retried_total', { endpoint: 'GET /flaky' }), 1, 'Retried request should be counted');
+	assertEqual(sampleValue(text, 'luminara_retry_giveups_total', { endpoint: 'GET /broken' }), 1, 'Give-up should be counted');
+	assertEqual(sampleValue(text, 'luminara_errors_total', { endpoint: 'GET /broken', class: '5xx' }), 1, '5xx should be counted');
+	assertEqual(sampleValue(text, 'luminara_errors_total', { endpoint: 'GET /missing', class: '4xx' }), 1, '4xx should be counted');
+	assertEqual(sampleValue(text, 'luminara_errors_total', { endpoint: 'GET /flaky', class: '5xx' }), 0, 'Recovered request should not count as an error');
+});
+
+suite.test('Prefix, label allowlist and constant labels', async () => {
+	const api = createMetricsClient();
+	await api.get('/users', { tags: ['checkout'] });
+
+	const text = new OpenMetricsExporter(api.stats(), {
+		prefix: 'web_http_',
+		labels: ['tag'],
+		constLabels: { service: 'storefront' }
+	}).render();
+
+	assertEqual(sampleValue(text, 'web_http_requests_total', { service: 'storefront', tag: 'checkout' }), 1, 'Sample should use the prefix and allowed labels only');
+	assert(!text.includes('domain='), 'Labels outside the allowlist should not be rendered');
+	assert(!text.includes('luminara_'), 'Default prefix should be replaced');
+
+	for (const options of [{ labels: ['status'] }, { prefix: '9bad' }, { durationType: 'gauge' }]) {
+		try {
+			new OpenMetricsExporter(api, options);
+			assert(false, `Invalid options should throw: ${JSON.stringify(options)}`);
+		} catch (error) {
+			assert(!error.message.includes('Invalid options should throw'), error.message);
+		}
+	}
+});
+
+suite.test('Hedging metrics count hedged requests and hedge wins', async () => {
+	const options = { baseURL: BASE_URL, hedging: { policy: 'race', hedgeDelay: 30, maxHedges: 1 } };
+	const mock = MockDriver(options);
+	mock.get('/hedged', [{ delay: 500, data: {} }, { data: {} }]);
+	const api = new LuminaraClient(mock, [], options);
+
+	await api.get('/hedged');
+	const text = new OpenMetricsExporter(api).render();
+
+	assertEqual(sampleValue(text, 'luminara_hedged_requests_total', { policy: 'race' }), 1, 'Hedged request should be counted by policy');
+	assertEqual(sampleValue(text, 'luminara_hedge_attempts_total'), 2, 'Primary and hedge should be counted');
+	assertEqual(sampleValue(text, 'luminara_hedge_wins_total'), 1, 'Hedge win should be counted');
+});
+
+suite.test('Metrics handler serves /metrics over node:http', async () => {
+	const api = createMetricsClient();
+	await api.get('/users');
+
+	const server = http.createServer(createMetricsHandler(api, { labels: ['method'] }));
+	await new Promise(resolve => server.listen(0, resolve));
+	const metricsUrl = `http://localhost:${server.address().port}`;
+
+	try {
+		const response = await fetch(`${metricsUrl}/metrics`);
+		const text = await response.text();
+		assertEqual(response.status, 200, '/metrics should respond');
+		assert(response.headers.get('content-type').startsWith('application/openmetrics-text'), 'Content type should be OpenMetrics');
+		assertEqual(sampleValue(text, 'luminara_requests_total', { method: 'GET' }), 1, 'Body should be the exposition');
+
+		const missing = await fetch(`${metricsUrl}/other`);
+		await missing.text();
+		assertEqual(missing.status, 404, 'Other paths should get 404');
+	} finally {
+		await new Promise(resolve => server.close(resolve));
+	}
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'OpenMetrics Exporter', suite, mockServer);
+
+export { suite, mockServer };
@@ -5,14 +5,48 @@
  * Tests token bucket algorithm, scoping, internal state, queue management, and statistics.
  */
 
-import { createLuminara } from '../../src/index.js';
-import { TestSuite, MockServer, assert, assertRange, Timer } from '../testUtils.js';
+import { Worker } from 'node:worker_threads';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createLuminara, MemoryRateLimitStore, SharedMemoryRateLimitStore, FileRateLimitStore } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual, assertRange, Timer } from '../testUtils.js';
 import { runTestSuiteIfDirect } from '../runTestSuite.js';
 
 const suite = new TestSuite('Rate Limiting');
 const mockServer = new MockServer(4231);
 const BASE_URL = `http://localhost:${mockServer.port}`;
 
+// /quota responds with rate limit headers taken from query params
+const QUOTA_HEADERS = {
+	limit: 'RateLimit-Limit',
+	remaining: 'RateLimit-Remaining',
+	reset: 'RateLimit-Reset',
+	policy: 'RateLimit-Policy',
+	xLimit: 'X-RateLimit-Limit',
+	xRemaining: 'X-RateLimit-Remaining',
+	xReset: 'X-RateLimit-Reset'
+};
+const originalHandler = mockServer.handleRequest;
+
+mockServer.handleRequest = function(req, res, path, params) {
+	if (path === '/quota') {
+		const headers = { 'Content-Type': 'application/json' };
+		for (const [param, header] of Object.entries(QUOTA_HEADERS)) {
+			if (params.has(param)) {
+				headers[header] = params.get(param);
+			}
+		}
+		res.writeHead(200, headers);
+		res.end(JSON.stringify({ ok: true }));
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, path, params);
+};
+
 // Test 1: API availability and basic structure
 suite.test('Rate limit API availability and structure', async () => {
 	const api = createLuminara({ 
@@ -310,6 +344,471 @@ suite.test('Burst capacity and token refill validation', async () => {
 	assert(afterRefillRequest.dispatched === 4, `Should have dispatched refill verification request, got ${afterRefillRequest.dispatched}`);
 });
 
+// Adaptive mode: learning limits from response headers
+suite.test('Adaptive mode resizes buckets from RateLimit headers', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 10, adaptive: true }
+	});
+	
+	await api.getJson('/quota', { query: { limit: '30', remaining: '25', reset: '40', policy: '30;w=60' } });
+	
+	const bucket = api.getRateLimitStats().buckets.__global__;
+	assert(bucket.limit === 30, `Bucket limit should be learned from headers, got ${bucket.limit}`);
+	assert(bucket.windowMs === 60000, `Bucket window should come from the policy, got ${bucket.windowMs}`);
+	assert(bucket.rps === 0.5, `Bucket rate should be 30/60s, got ${bucket.rps}`);
+	assert(bucket.learned.source === 'headers', 'Learned limits should report their source');
+	assert(bucket.learned.remaining === 25, 'Learned limits should include remaining quota');
+});
+
+suite.test('Adaptive mode waits for X-RateLimit-Reset when quota is exhausted', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 10, adaptive: true }
+	});
+	
+	await api.getJson('/quota', { query: { xLimit: '100', xRemaining: '0', xReset: '1' } });
+	const bucket = api.getRateLimitStats().buckets.__global__;
+	assert(bucket.pausedUntil !== null, 'Exhausted bucket should be paused until reset');
+	assert(bucket.tokens === 0, `Exhausted bucket should have no tokens, got ${bucket.tokens}`);
+	
+	const timer = new Timer();
+	timer.mark();
+	await api.getJson('/json');
+	timer.mark();
+	
+	assert(timer.getDuration() >= 900, `Next request should wait for the reset, waited ${timer.getDuration()}ms`);
+});
+
+suite.test('Adaptive mode shrinks on 429 and grows additively', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 10, adaptive: { decrease: 0.5, increase: 1 } }
+	});
+	
+	try {
+		await api.getJson('/json?status=429');
+	} catch (error) {
+		assert(error.status === 429, 'Should receive 429');
+	}
+	
+	let bucket = api.getRateLimitStats().buckets.__global__;
+	assert(bucket.limit === 5, `429 should halve the limit, got ${bucket.limit}`);
+	assert(bucket.learned.source === 'aimd', 'Decrease should be reported as aimd');
+	
+	await api.getJson('/json');
+	await api.getJson('/json');
+	
+	bucket = api.getRateLimitStats().buckets.__global__;
+	assert(bucket.limit === 7, `Successes should add 1 per response, got ${bucket.limit}`);
+	
+	for (let i = 0; i < 5; i++) {
+		await api.getJson('/json');
+	}
+	bucket = api.getRateLimitStats().buckets.__global__;
+	assert(bucket.limit === 10, `Increase should stop at the configured limit, got ${bucket.limit}`);
+});
+
+suite.test('Adaptive mode exhausts every algorithm', async () => {
+	for (const algorithm of ['token-bucket', 'sliding-window', 'fixed-window', 'leaky-bucket']) {
+		const api = createLuminara({
+			baseURL: BASE_URL,
+			rateLimit: { limit: 10, windowMs: 60000, algorithm, adaptive: true }
+		});
+		
+		await api.getJson('/quota', { query: { limit: '10', remaining: '0' } });
+		assertEqual(api.getRateLimitStats().buckets.__global__.tokens, 0, `${algorithm} should have nothing left when the server reports 0 remaining`);
+	}
+	
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { limit: 10, windowMs: 60000, algorithm: 'sliding-window', adaptive: true }
+	});
+	await api.getJson('/quota', { query: { limit: '10', remaining: '3' } });
+	const bucket = api.getRateLimitStats().buckets.__global__;
+	assertEqual(bucket.tokens, 3, 'Remaining quota should cap the sliding window');
+	assertEqual(bucket.windowCount, 7, 'Sliding window log should be filled up to the remaining quota');
+});
+
+suite.test('Fixed mode ignores rate limit headers', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 10 }
+	});
+	
+	await api.getJson('/quota', { query: { limit: '1', remaining: '0', reset: '30' } });
+	
+	const stats = api.getRateLimitStats();
+	assert(stats.config.adaptive === null, 'Adaptive mode should be disabled by default');
+	assert(stats.buckets.__global__.learned === undefined, 'Fixed buckets should not report learned limits');
+});
+
+// Priority lanes
+suite.test('Queued requests dispatch by priority', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 10, burst: 1, agingMs: 0 }
+	});
+	
+	const order = [];
+	const track = (name, priority) => api.getJson(`/json?name=${name}`, { priority }).then(() => order.push(name));
+	
+	await Promise.all([
+		track('first', 'low'),
+		track('low-1', 'low'),
+		track('normal', undefined),
+		track('low-2', 'low'),
+		track('critical', 'critical'),
+		track('numeric', 1)
+	]);
+	
+	assertEqual(order, ['first', 'critical', 'numeric', 'normal', 'low-1', 'low-2'], 'Queue should dispatch highest priority first, FIFO within a priority');
+});
+
+suite.test('Aging promotes long-waiting low priority requests', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 2, burst: 1, agingMs: 100 }
+	});
+	
+	const order = [];
+	const requests = [
+		api.getJson('/json?name=first').then(() => order.push('first')),
+		api.getJson('/json?name=low', { priority: 'low' }).then(() => order.push('low'))
+	];
+	
+	// A fresh normal request arrives shortly before the next token
+	await new Promise(resolve => setTimeout(resolve, 400));
+	requests.push(api.getJson('/json?name=normal').then(() => order.push('normal')));
+	
+	await Promise.all(requests);
+	
+	assertEqual(order, ['first', 'low', 'normal'], 'Low priority request waiting 500ms should outrank a normal request waiting 100ms');
+});
+
+suite.test('Per-priority queue depth and wait times in stats', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 10, burst: 1, agingMs: 0 }
+	});
+	
+	const requests = [
+		api.getJson('/json', { priority: 'high' }),
+		api.getJson('/json', { priority: 'low' }),
+		api.getJson('/json', { priority: 'low' }),
+		api.getJson('/json', { priority: 'low' })
+	];
+	
+	let stats = api.getRateLimitStats();
+	assertEqual(stats.priorities.low.queued, 3, 'Low priority queue depth should be reported');
+	assertEqual(stats.priorities.high.dispatched, 1, 'Immediate dispatch should be counted');
+	
+	await Promise.all(requests);
+	
+	stats = api.getRateLimitStats();
+	assertEqual(Object.keys(stats.priorities), ['high', 'low'], 'Priorities should be ordered by level');
+	assertEqual(stats.priorities.low.queued, 0, 'Queue should be drained');
+	assertEqual(stats.priorities.low.dispatched, 3, 'All low priority requests should be dispatched');
+	assert(stats.priorities.high.wait.maxMs === 0, 'Immediate dispatch should not wait');
+	assertRange(stats.priorities.low.wait.p50Ms, 150, 300, 'Median low priority wait should reflect the 10 rps refill');
+	assert(stats.priorities.low.wait.p99Ms >= stats.priorities.low.wait.p50Ms, 'Percentiles should be ordered');
+	
+	api.resetRateLimitStats();
+	assertEqual(Object.keys(api.getRateLimitStats().priorities).length, 0, 'Reset should clear priority stats');
+});
+
+suite.test('Invalid priority is rejected', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 10 }
+	});
+	
+	try {
+		await api.getJson('/json', { priority: 'urgent' });
+		assert(false, 'Should reject unknown priority');
+	} catch (error) {
+		assert(error.message.includes('Invalid rate limit priority'), `Unexpected error: ${error.message}`);
+	}
+});
+
+// Algorithms
+async function dispatchTimes(api, count) {
+	const start = Date.now();
+	const times = await Promise.all(
+		Array.from({ length: count }, () => api.getJson('/json').then(() => Date.now() - start))
+	);
+
+	return { start, times: times.sort((a, b) => a - b) };
+}
+
+suite.test('Sliding window never exceeds the limit in a rolling window', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { limit: 3, windowMs: 500, algorithm: 'sliding-window' }
+	});
+	
+	const { times } = await dispatchTimes(api, 6);
+	
+	assert(times[2] < 300, `First 3 requests should run immediately, third took ${times[2]}ms`);
+	assert(times[3] >= 480, `Fourth request should wait for the window to slide, took ${times[3]}ms`);
+	
+	const bucket = api.getRateLimitStats().buckets.__global__;
+	assertEqual(bucket.windowCount, 3, 'Stats should report dispatches in the current window');
+	assertEqual(api.getRateLimitStats().config.algorithm, 'sliding-window', 'Config should report the algorithm');
+});
+
+suite.test('Fixed window resets at window boundaries', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { limit: 3, windowMs: 1000, algorithm: 'fixed-window' }
+	});
+	
+	const { start, times } = await dispatchTimes(api, 4);
+	const boundary = Math.ceil((start + 1) / 1000) * 1000 - start;
+	
+	assert(times[3] >= boundary - 5, `Fourth request should wait for the next window (${boundary}ms), took ${times[3]}ms`);
+	
+	const bucket = api.getRateLimitStats().buckets.__global__;
+	assert(bucket.windowResetAt % 1000 === 0, 'Windows should be aligned to the window size');
+});
+
+suite.test('Leaky bucket spaces requests evenly without bursts', async () => {
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 10, burst: 10, algorithm: 'leaky-bucket' }
+	});
+	
+	const { times } = await dispatchTimes(api, 5);
+	
+	const spread = times[4] - times[0];
+	assert(spread >= 300, `Requests should leave every 100ms regardless of burst, spread was ${spread}ms`);
+	assert(api.getRateLimitStats().buckets.__global__.nextDispatchAt > 0, 'Stats should report the next dispatch slot');
+});
+
+suite.test('Unknown algorithm is rejected', async () => {
+	try {
+		createLuminara({ rateLimit: { rps: 10, algorithm: 'random-drop' } });
+		assert(false, 'Should throw for unknown algorithm');
+	} catch (error) {
+		assert(error.message.includes('Unknown rate limit algorithm'), `Unexpected error: ${error.message}`);
+	}
+	
+	const api = createLuminara({ baseURL: BASE_URL, rateLimit: { rps: 10 } });
+	assertEqual(api.getRateLimitStats().config.algorithm, 'token-bucket', 'Token bucket should be the default');
+});
+
+// Shared stores
+const STORE_MODULE_URL = new URL('../../src/drivers/native/features/rateLimit/store.js', import.meta.url).href;
+
+// 5 permits per hour - refill during the test is negligible, so only 5 acquires can succeed in total
+const SCARCE_RATE = { algorithm: 'token-bucket', limit: 5, windowMs: 3600000, ratePerMs: 5 / 3600000, burst: 5, pausedUntil: 0 };
+
+function acquireScript(createStore) {
+	return `
+		const { SharedMemoryRateLimitStore, FileRateLimitStore } = await import(${JSON.stringify(STORE_MODULE_URL)});
+		const store = ${createStore};
+		const rate = ${JSON.stringify(SCARCE_RATE)};
+		let granted = 0;
+
+		// Keep trying for a while - acquire also returns false while another process holds the lock
+		const until = Date.now() + 300;
+		while (Date.now() < until) {
+			if (store.acquire('__global__', rate, Date.now())) {
+				granted++;
+			}
+		}
+	`;
+}
+
+suite.test('Clients sharing a store draw from one quota', async () => {
+	const store = new MemoryRateLimitStore();
+	const clients = [1, 2].map(() => createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 2, burst: 2, store }
+	}));
+	
+	const start = Date.now();
+	const times = await Promise.all(
+		[...clients, ...clients].map(api => api.getJson('/json').then(() => Date.now() - start))
+	);
+	times.sort((a, b) => a - b);
+	
+	assert(times[3] >= 900, `Four requests at 2 rps with burst 2 should take about 1s across both clients, took ${times[3]}ms`);
+	assertEqual(clients[0].getRateLimitStats().buckets.__global__.sharedInFlight, 0, 'Shared in-flight count should drop to 0');
+});
+
+suite.test('SharedMemoryRateLimitStore coordinates worker threads', async () => {
+	const store = new SharedMemoryRateLimitStore({ maxKeys: 8 });
+	const script = acquireScript('new SharedMemoryRateLimitStore({ buffer: workerData.buffer })') + `
+		parentPort.postMessage(granted);
+	`;
+	
+	const results = await Promise.all([1, 2, 3].map(() => new Promise((resolve, reject) => {
+		const worker = new Worker(`
+			const { parentPort, workerData } = await import('node:worker_threads');
+			${script}
+		`, { eval: true, workerData: { buffer: store.buffer } });
+		worker.once('message', resolve);
+		worker.once('error', reject);
+	})));
+	
+	assertEqual(results.reduce((sum, granted) => sum + granted, 0), 5, `Workers together should get exactly 5 permits, got ${results.join('+')}`);
+	assertEqual(store.get('__global__', SCARCE_RATE, Date.now()).inFlight, 5, 'Main thread should see permits taken by workers');
+});
+
+suite.test('FileRateLimitStore coordinates separate processes', async () => {
+	const dir = mkdtempSync(join(tmpdir(), 'luminara-ratelimit-'));
+	const path = join(dir, 'state.json');
+	const script = acquireScript(`new FileRateLimitStore({ path: ${JSON.stringify(path)}, fs: await import('node:fs') })`) + `
+		console.log(granted);
+	`;
+	
+	try {
+		const results = await Promise.all([1, 2, 3].map(() => new Promise((resolve, reject) => {
+			const child = spawn(process.execPath, ['--input-type=module', '-e', script]);
+			let output = '';
+			child.stdout.on('data', chunk => {
+				output += chunk;
+			});
+			child.stderr.on('data', chunk => {
+				output += chunk;
+			});
+			child.once('error', reject);
+			child.once('close', code => (code === 0 ? resolve(Number(output.trim())) : reject(new Error(output))));
+		})));
+		
+		assertEqual(results.reduce((sum, granted) => sum + granted, 0), 5, `Processes together should get exactly 5 permits, got ${results.join('+')}`);
+	} finally {
+		rmSync(dir, { recursive: true, force: true });
+	}
+});
+
+suite.test('FileRateLimitStore does not wait for a busy lock', async () => {
+	const dir = mkdtempSync(join(tmpdir(), 'luminara-ratelimit-'));
+	const path = join(dir, 'state.json');
+	const store = new FileRateLimitStore({ path, lockTimeoutMs: 100 });
+	
+	try {
+		assert(store.acquire('__global__', SCARCE_RATE, Date.now()), 'Free lock should grant a permit');
+		assertEqual(store.get('__global__', SCARCE_RATE, Date.now()).inFlight, 1, 'get should read the stored state');
+		
+		// Another process holds the lock
+		writeFileSync(`${path}.lock`, '');
+		const start = Date.now();
+		assertEqual(store.acquire('__global__', SCARCE_RATE, Date.now()), false, 'Busy lock should deny without waiting');
+		assert(Date.now() - start < 50, `acquire should not block, took ${Date.now() - start}ms`);
+		store.release('__global__');
+		assertEqual(store.get('__global__', SCARCE_RATE, Date.now()).inFlight, 1, 'Release should wait for the lock');
+		
+		await new Promise(resolve => setTimeout(resolve, 150));
+		try {
+			store.acquire('__global__', SCARCE_RATE, Date.now());
+			assert(false, 'Lock busy for longer than lockTimeoutMs should throw');
+		} catch (error) {
+			assert(error.message.includes('Timed out waiting for rate limit lock'), `Unexpected error: ${error.message}`);
+		}
+		
+		rmSync(`${path}.lock`);
+		await new Promise(resolve => setTimeout(resolve, 100));
+		assertEqual(store.get('__global__', SCARCE_RATE, Date.now()).inFlight, 0, 'Deferred release should be written once the lock is free');
+		
+		rmSync(path);
+		store.get('__global__', SCARCE_RATE, Date.now());
+		assertEqual(existsSync(path), false, 'get should not write the file');
+	} finally {
+		rmSync(dir, { recursive: true, force: true });
+	}
+});
+
+suite.test('SharedMemoryRateLimitStore does not wait for a held lock', async () => {
+	const store = new SharedMemoryRateLimitStore({ lockTimeoutMs: 100 });
+	const lockWord = new Int32Array(store.buffer, 0, 1);
+	
+	assert(store.acquire('__global__', SCARCE_RATE, Date.now()), 'Free lock should grant a permit');
+	
+	// A worker died holding the lock
+	Atomics.store(lockWord, 0, 1);
+	const start = Date.now();
+	assertEqual(store.acquire('__global__', SCARCE_RATE, Date.now()), false, 'Held lock should deny without waiting');
+	store.release('__global__');
+	store.clear();
+	assert(Date.now() - start < 50, `Store calls should not block, took ${Date.now() - start}ms`);
+	assertEqual(store.get('__global__', SCARCE_RATE, Date.now()).inFlight, 1, 'Release should wait for the lock');
+	
+	await new Promise(resolve => setTimeout(resolve, 150));
+	try {
+		store.acquire('__global__', SCARCE_RATE, Date.now());
+		assert(false, 'Lock held for longer than lockTimeoutMs should throw');
+	} catch (error) {
+		assert(error.message.includes('Timed out waiting for rate limit lock'), `Unexpected error: ${error.message}`);
+	}
+	
+	Atomics.store(lockWord, 0, 0);
+	await new Promise(resolve => setTimeout(resolve, 100));
+	assertEqual(store.get('__global__', SCARCE_RATE, Date.now()).inFlight, 0, 'Deferred writes should be applied once the lock is free');
+	assert(store.acquire('__global__', SCARCE_RATE, Date.now()), 'Cleared store should grant a permit again');
+});
+
+suite.test('Store errors reject only the affected request', async () => {
+	class FlakyStore extends MemoryRateLimitStore {
+		acquire(key, rate, now) {
+			if (this.failing) {
+				throw new Error('store offline');
+			}
+
+			return super.acquire(key, rate, now);
+		}
+	}
+	const store = new FlakyStore();
+	const api = createLuminara({ baseURL: BASE_URL, rateLimit: { rps: 1, burst: 1, store } });
+	
+	await api.getJson('/json');
+	const queued = api.getJson('/json').then(() => null, error => error);
+	store.failing = true;
+	const error = await queued;
+	assertEqual(error?.name, 'LuminaraError', 'Queued request should be rejected with a LuminaraError');
+	assertEqual(error.code, 'RATE_LIMIT_STORE_ERROR', 'Error should carry the store error code');
+	assert(error.cause?.message === 'store offline', 'Store error should be the cause');
+	
+	store.failing = false;
+	const response = await api.getJson('/json');
+	assertEqual(response.status, 200, 'Limiter should keep working after a store error');
+	
+	// A full shared store fails requests for new buckets only
+	const shared = createLuminara({
+		baseURL: BASE_URL,
+		rateLimit: { rps: 100, scope: 'endpoint', store: new SharedMemoryRateLimitStore({ maxKeys: 1 }) }
+	});
+	await shared.getJson('/json');
+	try {
+		await shared.getJson('/quota');
+		assert(false, 'Request for a bucket that does not fit should fail');
+	} catch (fullError) {
+		assertEqual(fullError.code, 'RATE_LIMIT_STORE_ERROR', 'Full store should reject with a store error');
+		assert(fullError.message.includes('is full'), `Unexpected error: ${fullError.message}`);
+	}
+	assertEqual((await shared.getJson('/json')).status, 200, 'Existing bucket should keep working');
+	assert(shared.getRateLimitStats().buckets, 'Stats should not throw for the failed bucket');
+});
+
+suite.test('Stores reject algorithms they cannot hold', async () => {
+	try {
+		createLuminara({
+			rateLimit: { limit: 5, windowMs: 1000, algorithm: 'sliding-window', store: new SharedMemoryRateLimitStore() }
+		});
+		assert(false, 'Should throw for unsupported algorithm');
+	} catch (error) {
+		assert(error.message.includes('does not support the sliding-window algorithm'), `Unexpected error: ${error.message}`);
+	}
+	
+	try {
+		createLuminara({ rateLimit: { rps: 5, store: {} } });
+		assert(false, 'Should throw for invalid store');
+	} catch (error) {
+		assert(error.message.includes('Rate limit store must implement'), `Unexpected error: ${error.message}`);
+	}
+});
+
 // Execute tests if run directly
 await runTestSuiteIfDirect(import.meta.url, 'Rate Limiting', suite, mockServer);
 
@@ -0,0 +1,172 @@
+/**
+ * Request Bodies Tests
+ * Tests for body serialization: BodyInit types, Content-Type defaults and replaying bodies on retries and hedges,
+ * bodies on DELETE/QUERY/custom methods and method validation
+ */
+
+import { createLuminara } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual, sleep } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('Request Bodies');
+const mockServer = new MockServer(4248);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+const originalHandler = mockServer.handleRequest;
+
+// /echo-body answers with what arrived; ?failFirst=N fails the first N requests after reading the body
+mockServer.handleRequest = function(req, res, path, params) {
+	if (path === '/echo-body') {
+		const chunks = [];
+		req.on('data', chunk => chunks.push(chunk));
+		req.on('end', () => {
+			const failing = this.getRequestCount(req.method, path) <= parseInt(params.get('failFirst') || '0');
+			const bytes = Buffer.concat(chunks);
+			res.writeHead(failing ? 503 : 200, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({
+				method: req.method,
+				contentType: req.headers['content-type'] || null,
+				size: bytes.length,
+				text: bytes.toString('latin1')
+			}));
+		});
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, path, params);
+};
+
+function streamOf(text) {
+	return new ReadableStream({
+		start(controller) {
+			controller.enqueue(new TextEncoder().encode(text));
+			controller.close();
+		}
+	});
+}
+
+suite.test('Binary bodies are sent as-is with a default Content-Type', async () => {
+	const api = createLuminara({ baseURL: BASE_URL });
+	const bytes = new Uint8Array([0, 1, 2, 250, 255]);
+
+	const buffer = await api.post('/echo-body', bytes.buffer);
+	assertEqual(buffer.data.size, 5, 'ArrayBuffer should not be turned into JSON');
+	assertEqual(buffer.data.text, Buffer.from(bytes).toString('latin1'), 'ArrayBuffer bytes should arrive unchanged');
+	assertEqual(buffer.data.contentType, 'application/octet-stream', 'ArrayBuffer should default to octet-stream');
+
+	const view = await api.put('/echo-body', new DataView(bytes.buffer, 1, 3));
+	assertEqual(view.data.size, 3, 'DataView should send only its window of the buffer');
+
+	const typedBlob = await api.post('/echo-body', new Blob(['<a/>'], { type: 'application/xml' }));
+	assertEqual(typedBlob.data.contentType, 'application/xml', 'Blob type should be the Content-Type');
+	assertEqual(typedBlob.data.text, '<a/>', 'Blob should be sent as-is');
+
+	const plainBlob = await api.patch('/echo-body', new Blob(['raw']));
+	assertEqual(plainBlob.data.contentType, 'application/octet-stream', 'Untyped Blob should default to octet-stream');
+
+	const explicit = await api.post('/echo-body', bytes, { headers: { 'content-type': 'image/png' } });
+	assertEqual(explicit.data.contentType, 'image/png', 'An explicit Content-Type should win in any case');
+
+	const stream = await api.post('/echo-body', streamOf('streamed'));
+	assertEqual(stream.data.text, 'streamed', 'ReadableStream should be sent as-is');
+
+	const json = await api.post('/echo-body', { a: 1 });
+	assertEqual(json.data.contentType, 'application/json', 'Plain objects should still be sent as JSON');
+	assertEqual(json.data.text, '{"a":1}', 'Plain objects should be serialized');
+});
+
+suite.test('Stream bodies are not retried or hedged', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, retry: 2, retryDelay: 10 });
+
+	try {
+		await api.post('/echo-body?failFirst=5', streamOf('once'));
+		assert(false, 'Request should fail');
+	} catch (error) {
+		assertEqual(error.status, 503, 'Original error should be kept');
+		assertEqual(error.bodyNotReplayable, true, 'Error should be marked as not replayable');
+	}
+	assertEqual(mockServer.getRequestCount('POST', '/echo-body'), 1, 'Consumed stream should not be sent again');
+	assertEqual(api.stats().retry.get({ window: 'since-start' }).denied, 1, 'Refused retry should be counted as denied');
+
+	mockServer.resetCounts();
+	const hedged = createLuminara({
+		baseURL: BASE_URL,
+		hedging: { policy: 'race', hedgeDelay: 10, maxHedges: 1, includeHttpMethods: ['POST'] }
+	});
+	const response = await hedged.post('/echo-body', streamOf('single'));
+	assertEqual(response.data.text, 'single', 'Stream should be sent once');
+	assertEqual(mockServer.getRequestCount('POST', '/echo-body'), 1, 'Hedging should be skipped for stream bodies');
+});
+
+suite.test('Body factories are called for every attempt', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, retry: 2, retryDelay: 10 });
+	let calls = 0;
+
+	const response = await api.post('/echo-body?failFirst=1', () => {
+		calls++;
+
+		return streamOf(`attempt ${calls}`);
+	});
+
+	assertEqual(response.status, 200, 'Retry should succeed');
+	assertEqual(calls, 2, 'Factory should be called once per attempt');
+	assertEqual(response.data.text, 'attempt 2', 'Retry should send a fresh body');
+	assertEqual(response.data.contentType, 'application/octet-stream', 'Factory result should get its default Content-Type');
+
+	const json = await api.post('/echo-body', async () => ({ lazy: true }));
+	assertEqual(json.data.text, '{"lazy":true}', 'Async factories returning JSON values should be serialized');
+});
+
+suite.test('DELETE and custom methods send bodies, GET does not', async () => {
+	const api = createLuminara({ baseURL: BASE_URL });
+
+	const bulkDelete = await api.del('/echo-body', { body: { ids: [1, 2, 3] } });
+	assertEqual(bulkDelete.data.text, '{"ids":[1,2,3]}', 'DELETE should send its body');
+	assertEqual(bulkDelete.data.contentType, 'application/json', 'DELETE body should be JSON');
+
+	const propfind = await api.request({ url: '/echo-body', method: 'PROPFIND', headers: { 'Content-Type': 'application/xml' }, body: '<propfind/>' });
+	assertEqual(propfind.data.method, 'PROPFIND', 'Custom method should be sent');
+	assertEqual(propfind.data.text, '<propfind/>', 'Custom method should send its body');
+
+	const lowercase = await api.request({ url: '/echo-body', method: 'patch', body: { a: 1 } });
+	assertEqual(lowercase.data.method, 'PATCH', 'Standard methods should be sent uppercase');
+
+	const get = await api.get('/echo-body', { body: { ignored: true } });
+	assertEqual(get.data.size, 0, 'GET should not send a body');
+});
+
+suite.test('request() rejects invalid and forbidden methods', async () => {
+	const api = createLuminara({ baseURL: BASE_URL });
+
+	for (const method of ['BAD METHOD', '', 'GET\r\n', 42, 'trace', 'CONNECT']) {
+		try {
+			await api.request({ url: '/echo-body', method });
+			assert(false, `Method ${JSON.stringify(method)} should be rejected`);
+		} catch (error) {
+			assert(/HTTP method/.test(error.message), `Unexpected error for ${JSON.stringify(method)}: ${error.message}`);
+		}
+	}
+});
+
+suite.test('QUERY helpers send a body and are hedged like GET', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, hedging: { policy: 'race', hedgeDelay: 10, maxHedges: 1 } });
+
+	const response = await api.queryJson('/echo-body', { filter: { active: true } });
+	assertEqual(response.data.method, 'QUERY', 'queryJson should send QUERY');
+	assertEqual(response.data.text, '{"filter":{"active":true}}', 'QUERY should send its body');
+	assertEqual(response.data.contentType, 'application/json', 'queryJson should send JSON');
+
+	await api.post('/echo-body', { filter: { active: true } });
+	await sleep(200);
+	assertEqual(mockServer.getRequestCount('QUERY', '/echo-body'), 2, 'QUERY should be hedged by default');
+	assertEqual(mockServer.getRequestCount('POST', '/echo-body'), 1, 'POST should not be hedged by default');
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'Request Bodies', suite, mockServer);
+
+export { suite, mockServer };
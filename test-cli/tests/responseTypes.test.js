@@ -1,5 +1,5 @@
 import { createLuminara } from '../../src/index.js';
-import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { TestSuite, MockServer, assert, assertEqual, sleep } from '../testUtils.js';
 import { runTestSuiteIfDirect } from '../runTestSuite.js';
 
 const suite = new TestSuite('Response Types');
@@ -105,6 +105,109 @@ suite.test('no responseType should default to auto-detection', async () => {
 	assert(response.data.message === 'Success', 'Default behavior should properly parse JSON');
 });
 
+// Fetch stand-in that streams the given chunks (strings or bytes), optionally one every delayMs
+function streamingFetch(chunks, delayMs = 0) {
+	const encoder = new TextEncoder();
+
+	return async () => {
+		const pending = [...chunks];
+		const body = new ReadableStream({
+			async pull(controller) {
+				if (pending.length === 0) {
+					controller.close();
+
+					return;
+				}
+				if (delayMs) {
+					await sleep(delayMs);
+				}
+				const chunk = pending.shift();
+				controller.enqueue(typeof chunk === 'string' ? encoder.encode(chunk) : chunk);
+			}
+		});
+
+		return new Response(body, { status: 200, headers: { 'Content-Type': 'application/x-ndjson' } });
+	};
+}
+
+async function collect(iterable) {
+	const records = [];
+	for await (const record of iterable) {
+		records.push(record);
+	}
+
+	return records;
+}
+
+// Test responseType: 'ndjson'
+suite.test('responseType: ndjson should yield records split across chunks', async () => {
+	const accented = new TextEncoder().encode('{"name":"café"}\n');
+	const luminara = createLuminara({
+		fetch: streamingFetch(['{"id":1,"na', 'me":"first"}\n\n{"id"', ':2}\r\n', accented.subarray(0, 13), accented.subarray(13), '{"id":3}'])
+	});
+	
+	const response = await luminara.get('http://localhost/stream', { responseType: 'ndjson' });
+	const records = await collect(response.data);
+	
+	assertEqual(records.length, 4, 'Blank lines should be skipped and the unterminated last line parsed');
+	assertEqual(records[0].name, 'first', 'Records split across chunks should be joined');
+	assertEqual(records[1].id, 2, 'CRLF line endings should be accepted');
+	assertEqual(records[2].name, 'café', 'Multi-byte characters split across chunks should decode');
+	assertEqual(records[3].id, 3, 'Last line without newline should be parsed');
+});
+
+// Test responseType: 'jsonl' line errors
+suite.test('responseType: jsonl should report parse errors with line numbers', async () => {
+	const luminara = createLuminara({ fetch: streamingFetch(['{"id":1}\n{broken\n{"id":3}\n']) });
+	
+	const response = await luminara.get('http://localhost/stream', { responseType: 'jsonl' });
+	const records = [];
+	try {
+		for await (const record of response.data) {
+			records.push(record);
+		}
+		assert(false, 'Invalid line should throw');
+	} catch (error) {
+		assertEqual(error.code, 'PARSE_ERROR', 'Should be a parse error');
+		assertEqual(error.data.line, 2, 'Error should carry the line number');
+		assert(error.message.includes('line 2'), `Message should name the line: ${error.message}`);
+	}
+	assertEqual(records.length, 1, 'Records before the bad line should be yielded');
+	
+	const skipped = [];
+	const tolerant = await luminara.get('http://localhost/stream', {
+		responseType: 'jsonl',
+		onLineError: (error) => skipped.push(error.data.line)
+	});
+	assertEqual((await collect(tolerant.data)).map(record => record.id), [1, 3], 'onLineError should skip bad lines');
+	assertEqual(skipped, [2], 'onLineError should get the line number');
+});
+
+// Test maxLineBytes guard and abort
+suite.test('responseType: ndjson should enforce maxLineBytes and stop on abort', async () => {
+	const guarded = createLuminara({ fetch: streamingFetch(['{"id":1}\n{"blob":"', 'x'.repeat(64), 'x'.repeat(64)]) });
+	const response = await guarded.getNDJSON('http://localhost/stream', { maxLineBytes: 100 });
+	const records = [];
+	try {
+		for await (const record of response.data) {
+			records.push(record);
+		}
+		assert(false, 'Oversized line should throw');
+	} catch (error) {
+		assertEqual(error.code, 'LINE_TOO_LONG', 'Should be a line length error');
+		assertEqual(error.data.line, 2, 'Error should carry the line number');
+	}
+	assertEqual(records.length, 1, 'Records before the oversized line should be yielded');
+	
+	const controller = new AbortController();
+	const streaming = createLuminara({ fetch: streamingFetch(Array.from({ length: 40 }, (_, i) => `{"i":${i}}\n`), 10) });
+	const stream = await streaming.getNDJSON('http://localhost/stream', { signal: controller.signal });
+	setTimeout(() => controller.abort(), 60);
+	
+	const received = await collect(stream.data);
+	assert(received.length > 0 && received.length < 40, `Iteration should end early without error, got ${received.length} records`);
+});
+
 // Run tests if this file is executed directly
 await runTestSuiteIfDirect(import.meta.url, 'Response Types', suite, mockServer);
 
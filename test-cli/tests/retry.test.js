@@ -6,6 +6,39 @@ const suite = new TestSuite('Retry');
 const mockServer = new MockServer(4234);
 const BASE_URL = `http://localhost:${mockServer.port}`;
 
+// /retry-after fails once with the requested status and rate limit headers, then succeeds
+const RETRY_AFTER_HEADERS = {
+	ra: 'Retry-After',
+	rlReset: 'RateLimit-Reset',
+	xrlReset: 'X-RateLimit-Reset',
+	xrlRemaining: 'X-RateLimit-Remaining'
+};
+const originalHandler = mockServer.handleRequest;
+
+mockServer.handleRequest = function(req, res, path, params) {
+	if (path === '/retry-after') {
+		if (this.getRequestCount(req.method, path) === 1) {
+			const headers = { 'Content-Type': 'application/json' };
+			for (const [param, header] of Object.entries(RETRY_AFTER_HEADERS)) {
+				if (params.has(param)) {
+					headers[header] = params.get(param);
+				}
+			}
+			res.writeHead(parseInt(params.get('status') || '429'), headers);
+			res.end(JSON.stringify({ error: 'Slow down' }));
+
+			return;
+		}
+
+		res.writeHead(200, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({ ok: true }));
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, path, params);
+};
+
 // Test basic retry functionality
 suite.test('Basic retry on server errors', async () => {
 	mockServer.resetCounts();
@@ -349,6 +382,79 @@ suite.test('Retry-After header parsing (invalid)', async () => {
 	assertEqual(delay, 0, 'Should return 0 for invalid input');
 });
 
+// Server-sent retry delay tests
+suite.test('Retry-After header on failed response drives backoff', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, retry: 1, retryDelay: 10 });
+
+	const timer = new Timer();
+	timer.mark();
+	const response = await api.getJson('/retry-after?status=429&ra=1');
+	timer.mark();
+
+	assertEqual(response.status, 200, 'Retry should succeed');
+	assert(timer.getDuration() >= 900, `Retry should wait for Retry-After (1s), waited ${timer.getDuration()}ms`);
+});
+
+suite.test('RateLimit-Reset and X-RateLimit-Reset drive backoff when quota is exhausted', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, retry: 1, retryDelay: 10 });
+
+	let timer = new Timer();
+	timer.mark();
+	await api.getJson('/retry-after?status=429&rlReset=1');
+	timer.mark();
+	assert(timer.getDuration() >= 900, `Retry should wait for RateLimit-Reset (1s), waited ${timer.getDuration()}ms`);
+
+	// Epoch seconds with remaining quota 0 (on a non-429 status)
+	mockServer.resetCounts();
+	const resetAt = Math.ceil(Date.now() / 1000) + 1;
+	timer = new Timer();
+	timer.mark();
+	await api.getJson(`/retry-after?status=503&xrlRemaining=0&xrlReset=${resetAt}`);
+	timer.mark();
+	assert(timer.getDuration() >= 900, `Retry should wait until X-RateLimit-Reset, waited ${timer.getDuration()}ms`);
+
+	// Reset header without exhausted quota is informational only
+	mockServer.resetCounts();
+	timer = new Timer();
+	timer.mark();
+	await api.getJson('/retry-after?status=503&xrlRemaining=10&xrlReset=30');
+	timer.mark();
+	assert(timer.getDuration() < 500, `Retry should use normal backoff, waited ${timer.getDuration()}ms`);
+});
+
+suite.test('maxRetryAfter caps hostile Retry-After values', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, retry: 1, retryDelay: 10, maxRetryAfter: 200 });
+
+	const timer = new Timer();
+	timer.mark();
+	const response = await api.getJson('/retry-after?status=503&ra=3600');
+	timer.mark();
+
+	assertEqual(response.status, 200, 'Retry should succeed');
+	assertRange(timer.getDuration(), 150, 1000, `Retry-After should be capped at 200ms, waited ${timer.getDuration()}ms`);
+});
+
+suite.test('respectRetryAfter modes: ignore and always', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, retry: 1, retryDelay: 10, maxRetryAfter: 100 });
+
+	let timer = new Timer();
+	timer.mark();
+	await api.getJson('/retry-after?status=429&ra=2', { respectRetryAfter: 'ignore' });
+	timer.mark();
+	assert(timer.getDuration() < 500, `ignore should use backoff only, waited ${timer.getDuration()}ms`);
+
+	mockServer.resetCounts();
+	timer = new Timer();
+	timer.mark();
+	await api.getJson('/retry-after?status=429&ra=1', { respectRetryAfter: 'always' });
+	timer.mark();
+	assert(timer.getDuration() >= 900, `always should wait past maxRetryAfter, waited ${timer.getDuration()}ms`);
+});
+
 // Default retry policy tests  
 suite.test('Default policy retries GET on 500 status', async () => {
 	const luminara = createLuminara();
@@ -498,6 +604,102 @@ suite.test('createRetryPolicy allows custom status codes', async () => {
 	assert(!shouldRetry500, 'Should not retry on default status 500 with custom policy');
 });
 
+// Retry budget tests
+suite.test('Retry budget denies retries once exhausted', async () => {
+	mockServer.resetCounts();
+
+	// Floor of 2 retries per 10s window, no ratio-based budget
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		retry: 3,
+		retryDelay: 10,
+		retryBudget: { ratio: 0, minRetriesPerSecond: 0.2, windowMs: 10000 }
+	});
+
+	try {
+		await api.getJson('/json?status=500');
+		assert(false, 'Should fail');
+	} catch (error) {
+		assertEqual(error.status, 500, 'Denied request should fail with its original error');
+		assertEqual(error.budgetDenied, true, 'Error should be marked as budget-denied');
+	}
+	assertEqual(mockServer.getRequestCount('GET', '/json'), 3, 'Only 2 retries should fit in the budget');
+
+	try {
+		await api.getJson('/json?status=500');
+		assert(false, 'Should fail');
+	} catch (error) {
+		assertEqual(error.budgetDenied, true, 'Exhausted budget should deny the first retry');
+	}
+	assertEqual(mockServer.getRequestCount('GET', '/json'), 4, 'No retries once the budget is exhausted');
+
+	const retryStats = api.stats().retry.get({ window: 'since-start' });
+	assertEqual(retryStats.count, 2, 'Stats should count granted retries');
+	assertEqual(retryStats.denied, 2, 'Stats should count denied retries');
+
+	const budgetStats = api.getRetryBudgetStats();
+	assertEqual(budgetStats.retries, 2, 'Budget should track granted retries');
+	assertEqual(budgetStats.denied, 2, 'Budget should track denied retries');
+});
+
+suite.test('Successful requests earn retry budget', async () => {
+	mockServer.resetCounts();
+
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		retry: 1,
+		retryDelay: 10,
+		retryBudget: { ratio: 0.5, minRetriesPerSecond: 0 }
+	});
+
+	try {
+		await api.getJson('/json?status=500');
+	} catch (error) {
+		assertEqual(error.budgetDenied, true, 'Retry should be denied without successes');
+	}
+
+	for (let i = 0; i < 4; i++) {
+		await api.getJson('/json');
+	}
+	assertEqual(api.getRetryBudgetStats().allowed, 2, '4 successes at 50% should allow 2 retries');
+
+	mockServer.resetCounts();
+	try {
+		await api.getJson('/json?status=500');
+	} catch (error) {
+		assert(!error.budgetDenied, 'Retry should be allowed after successes');
+	}
+	assertEqual(mockServer.getRequestCount('GET', '/json'), 2, 'Request should be retried once');
+});
+
+suite.test('Per-request retryBudget: false bypasses the budget', async () => {
+	mockServer.resetCounts();
+
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		retry: 2,
+		retryDelay: 10,
+		retryBudget: { ratio: 0, minRetriesPerSecond: 0 }
+	});
+
+	try {
+		await api.getJson('/json?status=500', { retryBudget: false });
+	} catch (error) {
+		assert(!error.budgetDenied, 'Bypassed request should not be budget-denied');
+	}
+	assertEqual(mockServer.getRequestCount('GET', '/json'), 3, 'Bypassed request should use all retries');
+
+	assertEqual(createLuminara({ baseURL: BASE_URL }).getRetryBudgetStats(), null, 'Retry budget should be disabled by default');
+
+	let configError = null;
+	try {
+		createLuminara({ retryBudget: { windowMs: 0 } });
+	} catch (error) {
+		configError = error;
+	}
+	assert(configError?.message.includes('windowMs'), 'Invalid retry budget config should throw');
+});
+
 // Run tests if this file is executed directly
 await runTestSuiteIfDirect(import.meta.url, 'Retry', suite, mockServer);
 
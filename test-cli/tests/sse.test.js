@@ -0,0 +1,177 @@
+/**
+ * Server-Sent Events Tests
+ * Tests for client.sse(): frame parsing, plugin headers, reconnects with Last-Event-ID and stats
+ */
+
+import { createLuminara, authPlugin } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual, sleep } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('Server-Sent Events');
+const mockServer = new MockServer(4246);
+
+/**
+ * Fetch stand-in - each connect takes the next entry of the script (the last one repeats)
+ * An entry is (headers) => { status, contentType, chunks, delayMs }
+ */
+function eventStreamFetch(script) {
+	const encoder = new TextEncoder();
+	const requests = [];
+
+	const fetch = async (url, init) => {
+		const headers = { ...init.headers };
+		requests.push({ url, headers });
+		const entry = script[Math.min(requests.length, script.length) - 1](headers);
+		const { status = 200, contentType = 'text/event-stream', chunks = [], delayMs = 0 } = entry;
+		const pending = [...chunks];
+		const body = new ReadableStream({
+			async pull(controller) {
+				if (pending.length === 0) {
+					controller.close();
+
+					return;
+				}
+				if (delayMs) {
+					await sleep(delayMs);
+				}
+				controller.enqueue(encoder.encode(pending.shift()));
+			}
+		});
+
+		return new Response(status === 204 ? null : body, { status, headers: { 'Content-Type': contentType } });
+	};
+
+	return { fetch, requests };
+}
+
+function waitForClose(connection) {
+	return new Promise(resolve => connection.on('close', resolve));
+}
+
+suite.test('Parses frames split across chunks and sends plugin headers', async () => {
+	const { fetch, requests } = eventStreamFetch([
+		(headers) => headers.Authorization === 'Bearer fresh' ? {
+			chunks: [
+				': keep-alive comment\n\n',
+				'event: update\nid: 7\ndata: {"a":',
+				'1}\r\n\r\ndata: line one\ndata: line two\r',
+				'\n\ndata:no-space\nretry: 2500\n\n',
+				'data: cut off at the end'
+			]
+		} : { status: 401, contentType: 'application/json', chunks: ['{"error":"expired"}'] }
+	]);
+	const api = createLuminara({
+		fetch,
+		plugins: [authPlugin({ token: 'stale', refreshToken: async () => 'fresh' })]
+	});
+
+	const connection = api.sse('http://localhost/events', { reconnect: false });
+	const frames = [];
+	for await (const frame of connection) {
+		frames.push(frame);
+	}
+
+	assertEqual(frames.length, 3, 'Complete blocks should be delivered, the cut-off block dropped');
+	assertEqual(frames[0].event, 'update', 'Event type should be parsed');
+	assertEqual(JSON.parse(frames[0].data).a, 1, 'Data split across chunks should be joined');
+	assertEqual(frames[0].id, '7', 'Event id should be parsed');
+	assertEqual(frames[1].event, 'message', 'Event type should default to message');
+	assertEqual(frames[1].data, 'line one\nline two', 'Data lines should be joined with newlines');
+	assertEqual(frames[1].id, '7', 'Last event id should carry over');
+	assertEqual(frames[2].data, 'no-space', 'Field without a space after the colon should parse');
+	assertEqual(frames[2].retry, 2500, 'retry hint should be exposed');
+	assertEqual(requests.length, 2, 'A 401 should be replayed once after the token refresh');
+	assertEqual(requests[1].headers.Accept, 'text/event-stream', 'Accept header should be set');
+	assertEqual(connection.readyState, 'closed', 'Connection should close when the stream ends without reconnect');
+});
+
+suite.test('Reconnects with Last-Event-ID, server retry hint and backoff', async () => {
+	const { fetch, requests } = eventStreamFetch([
+		() => ({ chunks: ['retry: 20\nid: 1\ndata: first\n\n'] }),
+		() => ({ status: 503, contentType: 'text/plain', chunks: ['down'] }),
+		() => ({ chunks: ['id: 2\ndata: second\n\n'] }),
+		() => ({ status: 503, contentType: 'text/plain', chunks: ['down'] })
+	]);
+	const api = createLuminara({ fetch });
+
+	const connection = api.sse('http://localhost/events', { reconnect: { maxAttempts: 2, delay: 1000 } });
+	const frames = [];
+	const reconnects = [];
+	const errors = [];
+	connection.on('message', frame => frames.push(frame.data));
+	connection.on('reconnect', event => reconnects.push(event));
+	connection.on('error', error => errors.push(error.status));
+	const closed = await waitForClose(connection);
+
+	assertEqual(frames.join(','), 'first,second', 'Frames from both streams should be delivered');
+	assertEqual(requests[1].headers['Last-Event-ID'], '1', 'Reconnect should send Last-Event-ID');
+	assertEqual(requests[3].headers['Last-Event-ID'], '2', 'Last-Event-ID should follow the latest id');
+	assertEqual(reconnects.map(event => event.delayMs).join(','), '20,40,20,40', 'Server retry hint should be the backoff base');
+	assertEqual(errors.join(','), '503,503,503', 'Failed connects should be reported');
+	assert(closed.error && closed.error.status === 503, 'Giving up should close with the last error');
+	assertEqual(connection.reconnects, 4, 'Reconnects should be counted');
+
+	const stats = api.stats().sse.get()['since-reset'];
+	assertEqual(stats.opened, 2, 'Opens should be counted');
+	assertEqual(stats.reconnects, 4, 'Reconnects should be counted in stats');
+	assertEqual(stats.errors, 3, 'Errors should be counted in stats');
+	assertEqual(stats.errorsByKey['503'], 3, 'Errors should be keyed by status');
+	assertEqual(stats.closed, 1, 'Close should be counted');
+	assertEqual(stats.active, 0, 'Closed connection should not be active');
+	assertEqual(stats.byEndpoint['GET /events'].reconnects, 4, 'Stats should be grouped by endpoint');
+});
+
+suite.test('Closes on non-retryable errors and a 204 response', async () => {
+	const missing = createLuminara({ fetch: eventStreamFetch([() => ({ status: 404, contentType: 'text/plain' })]).fetch });
+	try {
+		for await (const frame of missing.sse('http://localhost/missing')) {
+			assert(false, `No frames expected, got ${frame.data}`);
+		}
+		assert(false, '404 should fail the iteration');
+	} catch (error) {
+		assertEqual(error.status, 404, 'Iteration should throw the HTTP error');
+	}
+
+	const wrongType = createLuminara({ fetch: eventStreamFetch([() => ({ contentType: 'application/json', chunks: ['{}'] })]).fetch });
+	const closed = await waitForClose(wrongType.sse('http://localhost/events'));
+	assertEqual(closed.error?.code, 'SSE_INVALID_CONTENT_TYPE', 'Wrong content type should close with an error');
+
+	const done = eventStreamFetch([() => ({ status: 204 })]);
+	const finished = await waitForClose(createLuminara({ fetch: done.fetch }).sse('http://localhost/events'));
+	assertEqual(finished.error, null, '204 should close without error');
+	assertEqual(done.requests.length, 1, '204 should stop reconnecting');
+});
+
+suite.test('Abort signal and leaving the loop close the stream', async () => {
+	const endless = () => ({ chunks: Array.from({ length: 50 }, (_, i) => `data: ${i}\n\n`), delayMs: 10 });
+
+	const first = createLuminara({ fetch: eventStreamFetch([endless]).fetch });
+	const frames = [];
+	const connection = first.sse('http://localhost/events');
+	for await (const frame of connection) {
+		frames.push(frame.data);
+		if (frames.length === 2) {
+			break;
+		}
+	}
+	assertEqual(frames.join(','), '0,1', 'Frames before break should be delivered');
+	assertEqual(connection.readyState, 'closed', 'break should close the connection');
+
+	const controller = new AbortController();
+	const second = createLuminara({ fetch: eventStreamFetch([endless]).fetch });
+	const aborted = second.sse('http://localhost/events', { signal: controller.signal });
+	const received = [];
+	aborted.on('message', frame => received.push(frame));
+	setTimeout(() => controller.abort(), 60);
+	const closed = await waitForClose(aborted);
+	await sleep(50);
+
+	assertEqual(closed.error, null, 'Abort should close without error');
+	assert(received.length > 0 && received.length < 50, `Stream should stop early, got ${received.length} frames`);
+	assertEqual(second.stats().sse.get()['since-reset'].closed, 1, 'Abort should be counted as close');
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'Server-Sent Events', suite, mockServer);
+
+export { suite, mockServer };
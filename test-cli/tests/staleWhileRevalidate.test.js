@@ -0,0 +1,251 @@
+/**
+ * Stale-While-Revalidate Tests
+ * Tests for serving cached GET results instantly while refreshing them in the background
+ */
+
+import { createLuminara } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual, assertEventuallyTrue } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('Stale-While-Revalidate');
+const mockServer = new MockServer(4238);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+// Versioned endpoints (/swr/*) - every hit returns a new version, optional failures for revalidation
+let failRevalidations = 0;
+const originalHandler = mockServer.handleRequest;
+
+mockServer.handleRequest = function(req, res, path, params) {
+	if (path.startsWith('/swr/')) {
+		const version = this.getRequestCount(req.method, path);
+		if (version > 1 && failRevalidations > 0) {
+			failRevalidations--;
+			res.writeHead(503, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({ error: 'Temporarily unavailable' }));
+
+			return;
+		}
+
+		res.writeHead(200, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({ version, query: params.get('q') }));
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, path, params);
+};
+
+suite.test('Second call returns cached result instantly and revalidates', async () => {
+	mockServer.resetCounts();
+	const revalidated = [];
+	const api = createLuminara({ baseURL: BASE_URL, staleWhileRevalidate: true });
+
+	const first = await api.getJson('/swr/basic', { onRevalidated: (response) => revalidated.push(response) });
+	assertEqual(first.data.version, 1, 'First call should hit the network');
+
+	const start = Date.now();
+	const second = await api.getJson('/swr/basic', { onRevalidated: (response) => revalidated.push(response) });
+	const duration = Date.now() - start;
+
+	assertEqual(second.data.version, 1, 'Second call should return the cached result');
+	assertEqual(second.cacheMetadata?.status, 'stale', 'Cached result should be marked stale');
+	assert(duration < 50, `Cached result should be returned instantly, took ${duration}ms`);
+
+	await assertEventuallyTrue(() => revalidated.length === 1, 2000, 'onRevalidated should be called');
+	assertEqual(revalidated[0].data.version, 2, 'onRevalidated should receive the fresh response');
+
+	const third = await api.getJson('/swr/basic');
+	assertEqual(third.data.version, 2, 'Next call should return the revalidated result');
+});
+
+suite.test('Client emits revalidated events until unsubscribed', async () => {
+	mockServer.resetCounts();
+	const events = [];
+	const api = createLuminara({ baseURL: BASE_URL, staleWhileRevalidate: true });
+	const unsubscribe = api.on('revalidated', (event) => events.push(event));
+
+	await api.getJson('/swr/events');
+	await api.getJson('/swr/events');
+	await assertEventuallyTrue(() => events.length === 1, 2000, 'revalidated event should fire');
+
+	assertEqual(events[0].previous.data.version, 1, 'Event should include the previous response');
+	assertEqual(events[0].response.data.version, 2, 'Event should include the fresh response');
+	assert(typeof events[0].key === 'string', 'Event should include the cache key');
+
+	unsubscribe();
+	await api.getJson('/swr/events');
+	await assertEventuallyTrue(() => mockServer.getRequestCount('GET', '/swr/events') === 3, 2000, 'Background refresh should still run');
+	await new Promise(resolve => setTimeout(resolve, 50));
+	assertEqual(events.length, 1, 'Unsubscribed listener should not be called');
+});
+
+suite.test('Background refresh goes through retry pipeline', async () => {
+	mockServer.resetCounts();
+	failRevalidations = 1;
+	const revalidated = [];
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		staleWhileRevalidate: { onRevalidated: (response) => revalidated.push(response) },
+		retry: 2,
+		retryDelay: 50
+	});
+
+	await api.getJson('/swr/retry');
+	await api.getJson('/swr/retry');
+
+	await assertEventuallyTrue(() => revalidated.length === 1, 3000, 'Revalidation should succeed after retry');
+	assertEqual(mockServer.getRequestCount('GET', '/swr/retry'), 3, 'Background refresh should retry once');
+	assertEqual(revalidated[0].data.version, 3, 'Retried response should be delivered');
+});
+
+suite.test('Failed revalidation keeps stale result', async () => {
+	mockServer.resetCounts();
+	failRevalidations = 1;
+	const failures = [];
+	const api = createLuminara({ baseURL: BASE_URL, staleWhileRevalidate: true });
+	api.on('revalidationFailed', (event) => failures.push(event));
+
+	await api.getJson('/swr/failure');
+	await api.getJson('/swr/failure');
+	await assertEventuallyTrue(() => failures.length === 1, 2000, 'revalidationFailed event should fire');
+
+	assertEqual(failures[0].error.status, 503, 'Event should include the error');
+	const third = await api.getJson('/swr/failure');
+	assertEqual(third.data.version, 1, 'Stale result should be kept after a failed revalidation');
+	failRevalidations = 0;
+});
+
+suite.test('Error responses from revalidation are reported as failures', async () => {
+	mockServer.resetCounts();
+	failRevalidations = 1;
+	const revalidated = [];
+	const failures = [];
+	const api = createLuminara({ baseURL: BASE_URL, staleWhileRevalidate: true, ignoreResponseError: true });
+	api.on('revalidated', (event) => revalidated.push(event));
+	api.on('revalidationFailed', (event) => failures.push(event));
+
+	await api.getJson('/swr/not-stored');
+	await api.getJson('/swr/not-stored');
+	await assertEventuallyTrue(() => failures.length === 1, 2000, 'revalidationFailed event should fire');
+
+	assertEqual(failures[0].error.code, 'SWR_NOT_STORED', 'Error should tell the result was not stored');
+	assertEqual(failures[0].error.status, 503, 'Error should include the response status');
+	assertEqual(revalidated.length, 0, 'revalidated should not fire for a result that was not stored');
+	const third = await api.getJson('/swr/not-stored');
+	assertEqual(third.data.version, 1, 'Stale result should be kept');
+	failRevalidations = 0;
+});
+
+suite.test('Concurrent stale hits share one background refresh', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, staleWhileRevalidate: true });
+
+	await api.getJson('/swr/concurrent');
+	await Promise.all([
+		api.getJson('/swr/concurrent'),
+		api.getJson('/swr/concurrent'),
+		api.getJson('/swr/concurrent')
+	]);
+
+	await new Promise(resolve => setTimeout(resolve, 400));
+	assertEqual(mockServer.getRequestCount('GET', '/swr/concurrent'), 2, 'Only one background refresh should run');
+});
+
+suite.test('Shares keys with the deduplicate key strategy', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		staleWhileRevalidate: true,
+		deduplicate: {
+			keyStrategy: 'custom',
+			keyGenerator: (req) => req.fullUrl.split('?')[0]
+		}
+	});
+
+	await api.getJson('/swr/dedupe', { query: { q: 'a' } });
+	const second = await api.getJson('/swr/dedupe', { query: { q: 'b' } });
+
+	assertEqual(second.cacheMetadata?.status, 'stale', 'Requests with the same dedupe key should share the entry');
+	assertEqual(second.data.query, 'a', 'Shared entry should return the first result');
+});
+
+suite.test('Default keys are scoped to the request credentials', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, staleWhileRevalidate: true });
+
+	await api.getJson('/swr/credentials', { headers: { Authorization: 'Bearer alice' } });
+	const other = await api.getJson('/swr/credentials', { headers: { Authorization: 'Bearer bob' } });
+	const anonymous = await api.getJson('/swr/credentials', { headers: { Cookie: 'session=carol' } });
+	const same = await api.getJson('/swr/credentials', { headers: { Authorization: 'Bearer alice' } });
+
+	assertEqual(other.cacheMetadata, undefined, 'Other credentials should not get the stored result');
+	assertEqual(anonymous.cacheMetadata, undefined, 'Cookies should scope the key too');
+	assertEqual(same.cacheMetadata?.status, 'stale', 'Same credentials should share the entry');
+	assertEqual(same.data.version, 1, 'Same credentials should get their own result');
+});
+
+suite.test('Every caller gets its own copy of a stored result', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, staleWhileRevalidate: true });
+
+	const first = await api.getJson('/swr/copies');
+	first.data.version = 'changed';
+	const second = await api.getJson('/swr/copies');
+	assertEqual(second.data.version, 1, 'Changes to the first result should not reach the store');
+
+	second.data.version = 'changed';
+	const third = await api.getJson('/swr/copies');
+	assert(typeof third.data.version === 'number', 'Changes to a stale result should not reach the store');
+	assert(third.data !== second.data, 'Stale results should not share their data');
+});
+
+suite.test('maxStaleAge limits how old served results can be', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, staleWhileRevalidate: { maxStaleAge: 100 } });
+
+	await api.getJson('/swr/max-age');
+	await new Promise(resolve => setTimeout(resolve, 150));
+	const second = await api.getJson('/swr/max-age');
+
+	assertEqual(second.data.version, 2, 'Too old results should be fetched in the foreground');
+	assert(second.cacheMetadata === undefined, 'Foreground result should not be marked stale');
+});
+
+suite.test('Non-GET requests and per-request opt-out are not cached', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, staleWhileRevalidate: true });
+
+	await api.post('/swr/methods', { a: 1 });
+	await api.post('/swr/methods', { a: 1 });
+	assertEqual(mockServer.getRequestCount('POST', '/swr/methods'), 2, 'POST should always hit the network');
+
+	await api.getJson('/swr/methods');
+	const second = await api.getJson('/swr/methods', { staleWhileRevalidate: false });
+	assertEqual(second.data.version, 2, 'Opt-out should fetch in the foreground');
+});
+
+suite.test('Streaming and error responses are not cached', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, staleWhileRevalidate: true });
+
+	await api.getNDJSON('/ndjson');
+	const second = await api.getNDJSON('/ndjson');
+	const lines = [];
+	for await (const line of second.data) {
+		lines.push(line.line);
+	}
+	assertEqual(second.cacheMetadata, undefined, 'Streaming result should not be served stale');
+	assertEqual(lines.join(','), '1,2,3', 'Second stream should be readable');
+	assertEqual(mockServer.getRequestCount('GET', '/ndjson'), 2, 'Streaming requests should always hit the network');
+
+	const failed = await api.getJson('/error-500', { ignoreResponseError: true });
+	const retried = await api.getJson('/error-500', { ignoreResponseError: true });
+	assertEqual(failed.status, 500, 'Error response should be returned as a result');
+	assertEqual(retried.cacheMetadata, undefined, 'Error response should not be served stale');
+	assertEqual(mockServer.getRequestCount('GET', '/error-500'), 2, 'Error responses should not be cached');
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'Stale-While-Revalidate', suite, mockServer);
+
+export { suite, mockServer };
@@ -1,4 +1,4 @@
-import { createLuminara } from '../../src/index.js';
+import { createLuminara, StatsHub, DDSketch, registerTimeWindow, TIME_WINDOWS, STATS_STATE_VERSION } from '../../src/index.js';
 import { TestSuite, MockServer, assert, assertEqual, sleep } from '../testUtils.js';
 import { runTestSuiteIfDirect } from '../runTestSuite.js';
 
@@ -91,6 +91,58 @@ suite.test('Time metrics tracking', async () => {
 	assert(timeStats.avgMs <= timeStats.maxMs, 'Average should be <= max');
 });
 
+suite.test('Time histogram - mergeable bucket layout', async () => {
+	const apiA = createLuminara({ baseURL: BASE_URL });
+	const apiB = createLuminara({ baseURL: BASE_URL });
+	
+	await apiA.getJson('/json');
+	await apiA.getJson('/json');
+	await apiB.getJson('/json?delay=50');
+	
+	const timeA = apiA.stats().time.get({ histogram: true });
+	const timeB = apiB.stats().time.get({ histogram: true });
+	
+	assertEqual(timeA.histogram.type, 'ddsketch', 'Should expose the sketch layout');
+	assertEqual(timeA.histogram.count, 2, 'Layout should count every timing');
+	assert(Object.keys(timeA.histogram.buckets).length > 0, 'Layout should include buckets');
+	assertEqual(apiA.stats().time.get().histogram, undefined, 'Layout should only be included on request');
+	
+	// Layouts survive JSON transport and merge into one histogram
+	const merged = DDSketch.merge([JSON.parse(JSON.stringify(timeA.histogram)), timeB.histogram]);
+	assertEqual(merged.count, 3, 'Merged histogram should count both processes');
+	assertEqual(merged.max, Math.max(timeA.maxMs, timeB.maxMs), 'Merged max should be exact');
+	assert(merged.getValueAtQuantile(0.99) >= 50, 'Merged p99 should reflect the slow process');
+	
+	const grouped = apiA.stats().time.get({ groupBy: 'method', histogram: true });
+	assertEqual(grouped[0].time.histogram.count, 2, 'Grouped metrics should expose layouts too');
+});
+
+suite.test('Time histogram - percentiles within relative accuracy', async () => {
+	const sketch = new DDSketch({ relativeAccuracy: 0.01 });
+	const values = [];
+	for (let i = 1; i <= 5000; i++) {
+		const value = (i * 7919 % 5000) + 1;
+		values.push(value);
+		sketch.add(value);
+	}
+	values.sort((a, b) => a - b);
+	
+	for (const q of [0.5, 0.95, 0.99]) {
+		const exact = values[Math.floor(q * (values.length - 1))];
+		const error = Math.abs(sketch.getValueAtQuantile(q) - exact) / exact;
+		assert(error <= 0.01, `p${q * 100} should be within 1% (error ${error})`);
+	}
+	
+	assert(sketch.buckets.size < 1000, 'Bucket count should stay bounded by the value range, not the sample count');
+	
+	try {
+		sketch.merge(new DDSketch({ relativeAccuracy: 0.05 }));
+		assert(false, 'Merging different accuracies should throw');
+	} catch (error) {
+		assert(error.message.includes('relativeAccuracy'), `Unexpected error: ${error.message}`);
+	}
+});
+
 suite.test('Rate metrics calculation', async () => {
 	const api = createLuminara({ baseURL: BASE_URL });
 	
@@ -265,6 +317,29 @@ suite.test('Query interface - groupBy endpoint', async () => {
 	assert(endpoints.some(ep => ep.includes('/form')), 'Should include /form endpoint');
 });
 
+suite.test('Query interface - outcomes and timings follow their endpoint group', async () => {
+	const api = createLuminara({ baseURL: BASE_URL });
+	
+	api.stats().reset();
+	
+	await api.getJson('/json');
+	await api.getJson('/json');
+	await api.getJson('/form');
+	
+	const result = api.stats().query({
+		metrics: ['counters', 'time'],
+		groupBy: 'endpoint',
+		window: 'since-start'
+	});
+	
+	const jsonGroup = result.groups.find(group => group.key === 'GET /json');
+	assert(jsonGroup, 'Should have a GET /json group');
+	assertEqual(jsonGroup.counters.total, 2, 'Started requests should be grouped');
+	assertEqual(jsonGroup.counters.success, 2, 'Successes should be grouped with their endpoint');
+	assert(typeof jsonGroup.time.minMs === 'number', 'Timings should be grouped with their endpoint');
+	assert(!result.groups.some(group => group.key === 'unknown'), 'No data should fall into an unknown group');
+});
+
 suite.test('Query interface - with WHERE filters', async () => {
 	const api = createLuminara({ baseURL: BASE_URL });
 	
@@ -353,6 +428,357 @@ suite.test('Query interface - different time windows', async () => {
 	assert(rollingResult.window === 'rolling-60s', 'Should indicate rolling-60s window');
 });
 
+suite.test('Rolling windows - 5m, 15m and 1h across all modules', async () => {
+	const api = createLuminara({ baseURL: BASE_URL });
+	
+	await api.getJson('/json');
+	await api.getJson('/json');
+	await api.getJson('/form');
+	
+	for (const window of ['rolling-5m', 'rolling-15m', 'rolling-1h']) {
+		assert(TIME_WINDOWS.includes(window), `${window} should be registered`);
+		
+		const result = api.stats().query({
+			metrics: ['counters', 'time', 'rate', 'retry', 'error'],
+			groupBy: 'endpoint',
+			window
+		});
+		const jsonGroup = result.groups.find(group => group.key === 'GET /json');
+		
+		assertEqual(jsonGroup.counters.total, 2, `${window} should count requests`);
+		assert(jsonGroup.time.maxMs >= jsonGroup.time.minMs, `${window} should track time`);
+		assertEqual(api.stats().counters.get({ window }).success, 3, `${window} counters helper should work`);
+		assertEqual(api.stats().retry.get({ window }).count, 0, `${window} retry helper should work`);
+		assertEqual(api.stats().error.get({ window }).byClass['5xx'], 0, `${window} error helper should work`);
+		assert(api.stats().hedging.get({ window })[window], `${window} hedging helper should work`);
+	}
+});
+
+suite.test('Rolling windows - custom windows pre-aggregate and expire', async () => {
+	registerTimeWindow('rolling-test-1200ms', { spanMs: 1200, bucketMs: 400 });
+	const window = 'rolling-test-1200ms';
+	const api = createLuminara({ baseURL: BASE_URL });
+	
+	for (let i = 0; i < 10; i++) {
+		await api.getJson('/json');
+	}
+	
+	assertEqual(api.stats().counters.get({ window }).total, 10, 'Custom window should count requests');
+	assertEqual(api.stats().query({ metrics: ['counters'], window }).groups[0].counters.success, 10, 'Query should accept the custom window');
+	
+	const windowStats = api.stats().modules.counters.windows[window].getStats();
+	assertEqual(windowStats.totalPoints, 20, 'Window should hold every start and success');
+	assert(windowStats.storedPoints < windowStats.totalPoints, 'Identical points should be aggregated per bucket');
+	
+	await sleep(1500);
+	
+	assertEqual(api.stats().counters.get({ window }).total, 0, 'Data should expire after the span');
+	assertEqual(api.stats().counters.get({ window: 'since-start' }).total, 10, 'since-start should keep the data');
+	
+	registerTimeWindow('rolling-60s', { spanMs: 60000, bucketMs: 1000 });
+	
+	for (const [name, layout] of [['rolling-60s', { spanMs: 60000, bucketMs: 500 }], ['rolling-bad', { spanMs: 1000, bucketMs: 300 }], ['since-start', { spanMs: 1000, bucketMs: 100 }]]) {
+		try {
+			registerTimeWindow(name, layout);
+			assert(false, `Registering ${name} should throw`);
+		} catch (error) {
+			assert(!error.message.includes('should throw'), error.message);
+		}
+	}
+});
+
+suite.test('Rolling windows - fixed per client, with per-client windows', async () => {
+	const early = createLuminara({ baseURL: BASE_URL });
+	registerTimeWindow('rolling-test-late', { spanMs: 2000, bucketMs: 500 });
+	const late = createLuminara({
+		baseURL: BASE_URL,
+		statsWindows: { 'rolling-test-own': { spanMs: 3000, bucketMs: 1000 } }
+	});
+	
+	await late.getJson('/json');
+	assertEqual(late.stats().counters.get({ window: 'rolling-test-late' }).total, 1, 'Clients created after registration should track the window');
+	assertEqual(late.stats().counters.get({ window: 'rolling-test-own' }).total, 1, 'statsWindows should be tracked by the client');
+	assertEqual(late.stats().query({ metrics: ['counters'], window: 'rolling-test-own' }).groups[0].counters.success, 1, 'Query should accept the client window');
+	assert(!TIME_WINDOWS.includes('rolling-test-own'), 'statsWindows should not be registered globally');
+	
+	const lookups = [
+		() => early.stats().counters.get({ window: 'rolling-test-late' }),
+		() => early.stats().hedging.get({ window: 'rolling-test-late' }),
+		() => early.stats().query({ metrics: ['counters'], window: 'rolling-test-late' })
+	];
+	for (const lookup of lookups) {
+		try {
+			lookup();
+			assert(false, 'Window registered after the client should throw');
+		} catch (error) {
+			assert(error.message.includes('registered after these stats were created'), error.message);
+		}
+	}
+	
+	try {
+		early.stats().counters.get({ window: 'rolling-test-own' });
+		assert(false, 'Another client\'s window should throw');
+	} catch (error) {
+		assert(error.message.startsWith('Unknown time window: rolling-test-own'), error.message);
+	}
+});
+
+suite.test('Subscriptions - throttled pushes on change', async () => {
+	const api = createLuminara({ baseURL: BASE_URL });
+	const pushes = [];
+	
+	const unsubscribe = api.stats().subscribe(
+		{ metrics: ['counters'], groupBy: 'endpoint', window: 'since-start' },
+		(result, update) => pushes.push({ result, update, at: Date.now() }),
+		{ intervalMs: 100 }
+	);
+	
+	await sleep(10);
+	assertEqual(pushes.length, 1, 'Current result should be pushed right away');
+	assertEqual(pushes[0].update.previous, null, 'First push should have no previous result');
+	
+	for (let i = 0; i < 3; i++) {
+		await api.getJson('/json');
+	}
+	await sleep(300);
+	
+	const last = pushes[pushes.length - 1];
+	assertEqual(last.result.groups.find(group => group.key === 'GET /json').counters.total, 3, 'Latest push should include every request');
+	assert(last.update.changed.includes('GET /json'), 'Changed groups should be reported');
+	for (let i = 2; i < pushes.length; i++) {
+		assert(pushes[i].at - pushes[i - 1].at >= 90, 'Pushes should be at least intervalMs apart');
+	}
+	
+	const settled = pushes.length;
+	await sleep(250);
+	assertEqual(pushes.length, settled, 'Unchanged results should not be pushed');
+	
+	unsubscribe();
+	await api.getJson('/json');
+	await sleep(250);
+	assertEqual(pushes.length, settled, 'No pushes after unsubscribe');
+});
+
+suite.test('Subscriptions - scheduled pushes and validation', async () => {
+	const api = createLuminara({ baseURL: BASE_URL });
+	const pushes = [];
+	
+	const options = { intervalMs: 50, onlyOnChange: false, immediate: false };
+	const idle = [];
+	
+	const unsubscribe = api.stats().subscribe({ metrics: ['time'], window: 'rolling-60s' }, (result) => pushes.push(result), options);
+	const unsubscribeIdle = api.stats().subscribe({ metrics: ['time'], window: 'since-start' }, (result) => idle.push(result), options);
+	
+	await sleep(280);
+	
+	assert(pushes.length >= 3, `Rolling windows should be pushed on schedule without changes, got ${pushes.length}`);
+	assert(pushes.every(result => result.groups[0].time), 'Pushes should carry the query result');
+	assertEqual(idle.length, 0, 'since-start results should only be re-run on events');
+	
+	await api.getJson('/json');
+	await sleep(100);
+	unsubscribe();
+	unsubscribeIdle();
+	
+	assert(idle.length >= 1, 'Events should re-run since-start subscriptions');
+	
+	for (const [query, callback] of [[{ metrics: ['unknown'] }, () => {}], [{ window: 'rolling-2d' }, () => {}], [{}, null]]) {
+		try {
+			api.stats().subscribe(query, callback);
+			assert(false, 'Invalid subscription should throw');
+		} catch (error) {
+			assert(!error.message.includes('should throw'), error.message);
+		}
+	}
+});
+
+suite.test('Alerts - fire and recover with hysteresis', async () => {
+	const alerts = [];
+	const recoveries = [];
+	const api = createLuminara({
+		baseURL: BASE_URL,
+		alerts: {
+			rules: [{
+				name: '5xx-ratio',
+				metric: 'error.byClass.5xx',
+				per: 'counters.total',
+				threshold: 0.5,
+				recoverThreshold: 0.2,
+				window: 'since-reset',
+				where: { domain: 'localhost' }
+			}],
+			onAlert: (alert) => alerts.push(alert),
+			onRecover: (alert) => recoveries.push(alert),
+			intervalMs: 60000
+		}
+	});
+	const fail = () => api.getJson('/error/500').catch(() => {});
+
+	assertEqual(api.stats().alerts.get('5xx-ratio').status, 'ok', 'Rule should start ok');
+	assertEqual(api.stats().alerts.evaluate()[0].value, null, 'Ratio without requests should have no value');
+
+	await fail();
+	await fail();
+	await api.getJson('/json');
+	api.stats().alerts.evaluate();
+
+	assertEqual(alerts.length, 1, 'Rule should fire once above threshold');
+	assertEqual(alerts[0].name, '5xx-ratio', 'Alert should name the rule');
+	assert(Math.abs(alerts[0].value - 2 / 3) < 1e-9, `Alert should carry the ratio, got ${alerts[0].value}`);
+	assertEqual(api.stats().alerts.get('5xx-ratio').status, 'firing', 'State should be firing');
+
+	// 2/5 is below the threshold but above recoverThreshold
+	await api.getJson('/json');
+	await api.getJson('/json');
+	api.stats().alerts.evaluate();
+	assertEqual(api.stats().alerts.get('5xx-ratio').status, 'firing', 'Rule should keep firing until recoverThreshold');
+	assertEqual(recoveries.length, 0, 'Rule should not recover inside the hysteresis band');
+
+	for (let i = 0; i < 6; i++) {
+		await api.getJson('/json');
+	}
+	api.stats().alerts.evaluate();
+
+	assertEqual(recoveries.length, 1, 'Rule should recover below recoverThreshold');
+	assertEqual(recoveries[0].status, 'ok', 'Recovery should report the ok state');
+	assertEqual(alerts.length, 1, 'Recovery should not fire again');
+});
+
+suite.test('Alerts - for duration, mute and validation', async () => {
+	const alerts = [];
+	const recoveries = [];
+	const api = createLuminara({ baseURL: BASE_URL });
+	api.stats().configureAlerts({
+		onAlert: (alert) => alerts.push(alert.name),
+		onRecover: (alert) => recoveries.push(alert.name),
+		intervalMs: 20
+	});
+
+	api.stats().alerts.add({ name: 'slow-json', metric: 'time.p95Ms', threshold: 20, forMs: 120, where: { endpoint: 'GET /json' } });
+	await api.getJson('/json', { query: { delay: 60 } });
+	await sleep(40);
+
+	assertEqual(api.stats().alerts.get('slow-json').status, 'pending', 'Breach should wait for forMs');
+	assertEqual(alerts.length, 0, 'Pending rule should not notify');
+
+	await sleep(200);
+	assertEqual(api.stats().alerts.get('slow-json').status, 'firing', 'Timer should fire the rule after forMs');
+	assertEqual(alerts.length, 1, 'Rule should notify once');
+	api.stats().alerts.remove('slow-json');
+
+	api.stats().alerts.add({ name: 'failures', metric: 'counters.fail', threshold: 0, window: 'since-reset', muteMs: 60000 });
+	await api.getJson('/error/500').catch(() => {});
+	api.stats().alerts.evaluate();
+	api.stats().reset();
+	api.stats().alerts.evaluate();
+	assertEqual(alerts.length, 2, 'First breach should notify');
+	assertEqual(recoveries.length, 1, 'Recovery of a notified alert should notify');
+
+	await api.getJson('/error/500').catch(() => {});
+	const [state] = api.stats().alerts.evaluate();
+	assertEqual(state.status, 'firing', 'Muted rule should still change state');
+	assert(state.muted, 'State should report the mute');
+	assertEqual(alerts.length, 2, 'Breach within muteMs should not notify');
+
+	api.stats().reset();
+	api.stats().alerts.evaluate();
+	assertEqual(recoveries.length, 1, 'Recovery of a muted alert should not notify');
+	api.stats().alerts.remove('failures');
+
+	const invalidRules = [
+		{ name: 'no-threshold', metric: 'time.p95Ms' },
+		{ name: 'unknown-field', metric: 'time.p42Ms', threshold: 1 },
+		{ name: 'unknown-metric', metric: 'latency.p95Ms', threshold: 1 },
+		{ name: 'bad-op', metric: 'time.p95Ms', op: '==', threshold: 1 },
+		{ name: 'bad-hysteresis', metric: 'time.p95Ms', threshold: 100, recoverThreshold: 200 },
+		{ name: 'bad-window', metric: 'time.p95Ms', threshold: 1, window: 'rolling-2d' }
+	];
+	for (const rule of invalidRules) {
+		try {
+			api.stats().alerts.add(rule);
+			assert(false, `Rule ${rule.name} should throw`);
+		} catch (error) {
+			assert(!error.message.includes('should throw'), error.message);
+		}
+	}
+	assertEqual(api.stats().alerts.get().length, 0, 'Invalid rules should not be added');
+});
+
+suite.test('State export - merged worker states answer queries', async () => {
+	const workerA = createLuminara({ baseURL: BASE_URL });
+	const workerB = createLuminara({ baseURL: BASE_URL });
+
+	for (let i = 0; i < 3; i++) {
+		await workerA.getJson('/json');
+	}
+	await workerA.getJson('/error/500').catch(() => {});
+	await workerB.getJson('/json');
+	await workerB.getJson('/error/500').catch(() => {});
+
+	const stateA = JSON.parse(JSON.stringify(workerA.stats().exportState()));
+	const stateB = JSON.parse(JSON.stringify(workerB.stats().exportState()));
+	assertEqual(stateA.format, 'luminara-stats', 'State should name its format');
+	assertEqual(stateA.version, STATS_STATE_VERSION, 'State should carry the format version');
+
+	const fleet = new StatsHub();
+	fleet.importState(stateA, { merge: true });
+	fleet.importState(stateB, { merge: true });
+
+	for (const window of ['since-start', 'since-reset', 'rolling-60s', 'rolling-1h']) {
+		const [group] = fleet.query({ metrics: ['counters', 'error'], window }).groups;
+		assertEqual(group.counters.total, 6, `${window} should count requests of both workers`);
+		assertEqual(group.counters.fail, 2, `${window} should count failures of both workers`);
+		assertEqual(group.error.byClass['5xx'], 2, `${window} should merge error classes`);
+	}
+
+	const { histogram } = fleet.time.get({ window: 'since-start', histogram: true });
+	const expected = DDSketch.merge([
+		workerA.stats().time.get({ histogram: true }).histogram,
+		workerB.stats().time.get({ histogram: true }).histogram
+	]);
+	assertEqual(histogram.count, 6, 'Merged histogram should hold every duration');
+	assertEqual(fleet.time.get({ window: 'since-start' }).p95Ms, expected.getValueAtQuantile(0.95), 'Merged p95 should match merging the sketches');
+
+	const byEndpoint = fleet.query({ metrics: ['counters'], groupBy: 'endpoint', window: 'since-start' });
+	assertEqual(byEndpoint.groups.find(group => group.key === 'GET /json').counters.total, 4, 'Merged state should keep dimensions');
+
+	const boundary = fleet.exportState().modules.counters.windows['since-start'].startTime;
+	assertEqual(boundary, Math.min(stateA.modules.counters.windows['since-start'].startTime, stateB.modules.counters.windows['since-start'].startTime), 'Merged window should start at the earliest worker start');
+});
+
+suite.test('State import - replace, validation and subscriptions', async () => {
+	const source = createLuminara({ baseURL: BASE_URL });
+	await source.getJson('/json');
+	await source.getJson('/json');
+	const state = source.stats().exportState();
+
+	const api = createLuminara({ baseURL: BASE_URL });
+	await api.getJson('/json');
+	const pushes = [];
+	const unsubscribe = api.stats().subscribe({ metrics: ['counters'] }, (result) => pushes.push(result), { intervalMs: 20, immediate: false });
+
+	api.stats().importState(state);
+	assertEqual(api.stats().counters.get({ window: 'since-start' }).total, 2, 'Import without merge should replace the stats');
+
+	api.stats().importState(state, { merge: true });
+	assertEqual(api.stats().counters.get().total, 4, 'Import with merge should add to the stats');
+
+	await sleep(100);
+	unsubscribe();
+	assert(pushes.length > 0, 'Subscriptions should be pushed after an import');
+	assertEqual(pushes[pushes.length - 1].groups[0].counters.total, 4, 'Pushed result should include imported stats');
+
+	for (const invalid of [null, { modules: {} }, { ...state, version: STATS_STATE_VERSION + 1 }]) {
+		try {
+			api.stats().importState(invalid);
+			assert(false, 'Invalid state should throw');
+		} catch (error) {
+			assert(!error.message.includes('should throw'), error.message);
+		}
+	}
+	assertEqual(api.stats().counters.get().total, 4, 'Rejected imports should not change the stats');
+});
+
 suite.test('Namespaced helpers - all modules', async () => {
 	const api = createLuminara({ baseURL: BASE_URL });
 	
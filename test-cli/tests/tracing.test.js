@@ -0,0 +1,217 @@
+/**
+ * Tracing Tests
+ * Tests for request/attempt/hedge spans, W3C traceparent propagation and exporters
+ */
+
+import { LuminaraClient, NativeFetchDriver, InMemorySpanExporter, parseTraceparent, formatTraceparent } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('Tracing');
+const mockServer = new MockServer(4244);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+// /trace/* records the trace headers it receives
+let received = [];
+let hits = {};
+const originalHandler = mockServer.handleRequest;
+
+mockServer.handleRequest = function(req, res, requestPath, params) {
+	if (requestPath.startsWith('/trace/')) {
+		received.push({ traceparent: req.headers.traceparent, tracestate: req.headers.tracestate });
+		hits[requestPath] = (hits[requestPath] || 0) + 1;
+		const failures = parseInt(params.get('failures') || '0');
+		const delay = requestPath === '/trace/hedge' && hits[requestPath] === 1 ? 1000 : 0;
+
+		setTimeout(() => {
+			const status = hits[requestPath] <= failures ? 503 : 200;
+			res.writeHead(status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({ ok: status === 200 }));
+		}, delay);
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, requestPath, params);
+};
+
+function createTracedClient(config = {}, tracing = {}) {
+	received = [];
+	hits = {};
+	const exporter = new InMemorySpanExporter();
+	const options = { baseURL: BASE_URL, tracing: { exporter, ...tracing }, ...config };
+
+	return { exporter, api: new LuminaraClient(NativeFetchDriver(options), [], options) };
+}
+
+function splitSpans(exporter) {
+	const spans = exporter.getFinishedSpans();
+
+	return {
+		spans,
+		requestSpan: spans.find(span => span.kind === 'internal'),
+		attemptSpans: spans.filter(span => span.kind === 'client' && span.attributes['luminara.attempt'])
+	};
+}
+
+suite.test('Opens a request span and an attempt span and injects traceparent', async () => {
+	const { exporter, api } = createTracedClient();
+
+	await api.getJson('/trace/ok');
+
+	const { spans, requestSpan, attemptSpans } = splitSpans(exporter);
+	const [attemptSpan] = attemptSpans;
+	const sent = parseTraceparent(received[0].traceparent);
+
+	assertEqual(spans.length, 2, 'One request span and one attempt span should be exported');
+	assertEqual(attemptSpan.parentSpanId, requestSpan.spanId, 'Attempt span should be a child of the request span');
+	assertEqual(attemptSpan.traceId, requestSpan.traceId, 'Spans should share the trace id');
+	assertEqual(sent.traceId, requestSpan.traceId, 'traceparent should carry the trace id');
+	assertEqual(sent.spanId, attemptSpan.spanId, 'traceparent should carry the attempt span id');
+	assert(sent.sampled, 'traceparent should be sampled');
+	assertEqual(attemptSpan.attributes['http.response.status_code'], 200, 'Status should be recorded');
+	assertEqual(requestSpan.attributes['http.request.method'], 'GET', 'Method should be recorded');
+	assert(requestSpan.attributes['luminara.request_id'].startsWith('req_'), 'Request id should be recorded');
+	assertEqual(requestSpan.attributes['url.full'], `${BASE_URL}/trace/ok`, 'Full URL should be recorded');
+	assert(requestSpan.endTime >= requestSpan.startTime, 'Request span should be ended');
+});
+
+suite.test('Retries get one span each with backoff delays', async () => {
+	const { exporter, api } = createTracedClient({ retry: 2, retryDelay: 25 });
+
+	await api.getJson('/trace/flaky?failures=2');
+
+	const { requestSpan, attemptSpans } = splitSpans(exporter);
+
+	assertEqual(attemptSpans.length, 3, 'Each attempt should have a span');
+	assertEqual(attemptSpans.map(span => span.status.code).join(','), 'ERROR,ERROR,UNSET', 'Failed attempts should be marked as errors');
+	assertEqual(attemptSpans[0].attributes['error.type'], 'http', 'Error kind should be recorded');
+	assertEqual(attemptSpans[2].attributes['http.request.resend_count'], 2, 'Resend count should be recorded');
+	assertEqual(attemptSpans[2].attributes['luminara.retry.backoff_ms'], 25, 'Backoff delay should be recorded');
+	assertEqual(requestSpan.events.filter(event => event.name === 'retry').length, 2, 'Request span should record retry events');
+	assertEqual(requestSpan.attributes['luminara.attempts'], 3, 'Request span should record the attempt count');
+	assertEqual(new Set(received.map(headers => headers.traceparent)).size, 3, 'Each attempt should send its own traceparent');
+});
+
+suite.test('Hedge requests get child spans of the attempt span', async () => {
+	const { exporter, api } = createTracedClient({
+		hedging: { policy: 'race', hedgeDelay: 50, maxHedges: 1 }
+	});
+
+	await api.getJson('/trace/hedge');
+
+	const { spans, attemptSpans } = splitSpans(exporter);
+	const hedgeSpan = spans.find(span => span.attributes['luminara.hedge.index'] === 1);
+
+	assert(hedgeSpan, 'Hedge span should be exported');
+	assertEqual(hedgeSpan.parentSpanId, attemptSpans[0].spanId, 'Hedge span should be a child of the attempt span');
+
+	// Primary and hedge can reach the server in either order
+	const sentSpanIds = received.map(headers => parseTraceparent(headers.traceparent).spanId);
+	assert(sentSpanIds.includes(hedgeSpan.spanId), 'Hedge request should carry its own span id');
+	assert(sentSpanIds.includes(attemptSpans[0].spanId), 'Primary request should carry the attempt span id');
+});
+
+suite.test('Continues an incoming trace and propagates tracestate', async () => {
+	const { exporter, api } = createTracedClient();
+	const incoming = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+	await api.getJson('/trace/ok', { headers: { Traceparent: incoming, tracestate: 'vendor=abc' } });
+
+	const { requestSpan } = splitSpans(exporter);
+
+	assertEqual(requestSpan.traceId, '4bf92f3577b34da6a3ce929d0e0e4736', 'Request span should join the incoming trace');
+	assertEqual(requestSpan.parentSpanId, '00f067aa0ba902b7', 'Request span should be a child of the incoming span');
+	assertEqual(received[0].tracestate, 'vendor=abc', 'tracestate should be propagated');
+	assert(received[0].traceparent !== incoming, 'Incoming traceparent should be replaced by the attempt span');
+});
+
+suite.test('Failed requests end the request span with an error', async () => {
+	const { exporter, api } = createTracedClient({ timeout: 50 });
+
+	try {
+		await api.get('/json?delay=500');
+		assert(false, 'Request should time out');
+	} catch (error) {
+		assertEqual(error.code, 'TIMEOUT', 'Request should fail with TIMEOUT');
+	}
+
+	const { requestSpan } = splitSpans(exporter);
+
+	assertEqual(requestSpan.status.code, 'ERROR', 'Request span should be marked as an error');
+	assertEqual(requestSpan.attributes['error.type'], 'timeout', 'Error kind should be recorded');
+	assert(requestSpan.events.some(event => event.name === 'exception'), 'Exception event should be recorded');
+});
+
+suite.test('A throwing onResponseError plugin still ends the request span', async () => {
+	const { exporter, api } = createTracedClient({ retry: 2, retryDelay: 10 });
+	api.use({
+		onResponseError() {
+			throw new Error('plugin failed');
+		}
+	});
+
+	try {
+		await api.get('/trace/fail?failures=5');
+		assert(false, 'Request should fail');
+	} catch (error) {
+		assertEqual(error.message, 'plugin failed', 'Plugin error should reach the caller');
+	}
+
+	const { requestSpan, attemptSpans } = splitSpans(exporter);
+
+	assert(requestSpan, 'Request span should be ended and exported');
+	assertEqual(requestSpan.status.code, 'ERROR', 'Request span should be marked as an error');
+	assertEqual(attemptSpans.length, 1, 'Plugin error should not be retried');
+	assertEqual(api.stats().counters.get({ window: 'since-start' }).fail, 1, 'Request should be counted as failed');
+});
+
+suite.test('Sampling and per-request opt-out', async () => {
+	const { exporter, api } = createTracedClient({}, { sampleRate: 0 });
+
+	await api.getJson('/trace/ok');
+	await api.getJson('/trace/ok', { tracing: false });
+
+	assertEqual(exporter.getFinishedSpans().length, 0, 'Unsampled spans should not be exported');
+	assertEqual(parseTraceparent(received[0].traceparent).sampled, false, 'Unsampled traceparent should still be sent');
+	assertEqual(received[1].traceparent, undefined, 'tracing: false should skip propagation');
+});
+
+suite.test('Exporter failures never fail requests', async () => {
+	const exportErrors = [];
+	const { api } = createTracedClient({}, {
+		exporter: {
+			export: async () => {
+				throw new Error('collector down');
+			}
+		},
+		onExportError: (error) => exportErrors.push(error.message)
+	});
+
+	const response = await api.getJson('/trace/ok');
+	await new Promise(resolve => setTimeout(resolve, 10));
+
+	assertEqual(response.data.ok, true, 'Request should succeed');
+	assertEqual(exportErrors[0], 'collector down', 'Export error should reach onExportError');
+
+	try {
+		createTracedClient({}, { exporter: {} });
+		assert(false, 'Exporter without export() should throw');
+	} catch (error) {
+		assert(error.message.includes('export(spans)'), `Unexpected error: ${error.message}`);
+	}
+});
+
+suite.test('traceparent helpers follow the W3C format', async () => {
+	const header = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+	assertEqual(formatTraceparent(parseTraceparent(header)), header, 'Round trip should be lossless');
+	assertEqual(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01'), null, 'All-zero trace id is invalid');
+	assertEqual(parseTraceparent('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'), null, 'Version ff is invalid');
+	assertEqual(parseTraceparent('garbage'), null, 'Malformed header is invalid');
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'Tracing', suite, mockServer);
+
+export { suite, mockServer };
@@ -0,0 +1,193 @@
+/**
+ * Transfer Progress Tests
+ * Tests for onUploadProgress / onDownloadProgress: byte counts, totals, throttling, retries and recorded bodies
+ */
+
+import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createLuminara, LuminaraClient, CassetteDriver } from '../../src/index.js';
+import { TestSuite, MockServer, assert, assertEqual, sleep } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+
+const suite = new TestSuite('Transfer Progress');
+const mockServer = new MockServer(4247);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const PAYLOAD_SIZE = 200 * 1024;
+
+const originalHandler = mockServer.handleRequest;
+
+mockServer.handleRequest = async function(req, res, path, params) {
+	if (path === '/download') {
+		const chunks = parseInt(params.get('chunks') || '8');
+		const chunk = Buffer.alloc(PAYLOAD_SIZE / chunks, 'x');
+		const headers = { 'Content-Type': 'application/octet-stream' };
+		if (params.get('length') !== 'false') {
+			headers['Content-Length'] = String(PAYLOAD_SIZE);
+		}
+		res.writeHead(200, headers);
+		for (let i = 0; i < chunks; i++) {
+			res.write(chunk);
+			await sleep(20);
+		}
+		res.end();
+
+		return;
+	}
+
+	if (path === '/upload') {
+		let received = 0;
+		req.on('data', chunk => received += chunk.length);
+		req.on('end', () => {
+			const failFirst = params.get('failFirst') === 'true' && this.getRequestCount(req.method, path) === 1;
+			res.writeHead(failFirst ? 503 : 200, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({ received, contentLength: req.headers['content-length'] || null }));
+		});
+
+		return;
+	}
+
+	originalHandler.call(this, req, res, path, params);
+};
+
+suite.test('Download progress counts body bytes against Content-Length', async () => {
+	const api = createLuminara({ baseURL: BASE_URL });
+	const events = [];
+
+	const response = await api.get('/download', {
+		responseType: 'arrayBuffer',
+		progressInterval: 0,
+		onDownloadProgress: event => events.push(event)
+	});
+
+	const last = events[events.length - 1];
+	assertEqual(response.data.byteLength, PAYLOAD_SIZE, 'Body should still be parsed');
+	assert(events.length > 1, `Progress should be reported while the body arrives, got ${events.length} events`);
+	assert(events.every((event, i) => i === 0 || event.loaded >= events[i - 1].loaded), 'loaded should only grow');
+	assertEqual(last.loaded, PAYLOAD_SIZE, 'Final event should report every byte');
+	assertEqual(last.total, PAYLOAD_SIZE, 'Content-Length should be the total');
+	assertEqual(last.progress, 1, 'Final progress should be 1');
+	assert(last.rate > 0, 'Transfer rate should be reported');
+});
+
+suite.test('Progress events are throttled and the total can be unknown', async () => {
+	const api = createLuminara({ baseURL: BASE_URL });
+	const events = [];
+
+	await api.get('/download?length=false', {
+		responseType: 'arrayBuffer',
+		progressInterval: 10000,
+		onDownloadProgress: event => events.push(event)
+	});
+
+	assertEqual(events.length, 2, 'Only the first and the final event should pass a long interval');
+	assertEqual(events[1].loaded, PAYLOAD_SIZE, 'Final event should be sent despite throttling');
+	assertEqual(events[1].total, null, 'Total should be null without Content-Length');
+	assertEqual(events[1].progress, null, 'Progress should be null without a total');
+});
+
+suite.test('Upload progress for ArrayBuffer, Blob and stream bodies', async () => {
+	const api = createLuminara({ baseURL: BASE_URL, progressInterval: 0 });
+
+	const bufferEvents = [];
+	const buffer = await api.post('/upload', new Uint8Array(PAYLOAD_SIZE).buffer, {
+		onUploadProgress: event => bufferEvents.push(event)
+	});
+	assertEqual(buffer.data.received, PAYLOAD_SIZE, 'ArrayBuffer should be sent in full');
+	assertEqual(buffer.data.contentLength, String(PAYLOAD_SIZE), 'Known size should be sent as Content-Length');
+	assert(bufferEvents.length >= 4, `ArrayBuffer upload should report per chunk, got ${bufferEvents.length} events`);
+	assertEqual(bufferEvents[bufferEvents.length - 1].progress, 1, 'ArrayBuffer upload should finish at 1');
+
+	const blobEvents = [];
+	const blob = await api.post('/upload', new Blob(['a'.repeat(PAYLOAD_SIZE)]), {
+		onUploadProgress: event => blobEvents.push(event)
+	});
+	assertEqual(blob.data.received, PAYLOAD_SIZE, 'Blob should be sent in full');
+	assertEqual(blobEvents[blobEvents.length - 1].total, PAYLOAD_SIZE, 'Blob size should be the total');
+
+	const streamEvents = [];
+	const stream = new ReadableStream({
+		start(controller) {
+			for (let i = 0; i < 4; i++) {
+				controller.enqueue(new Uint8Array(PAYLOAD_SIZE / 4));
+			}
+			controller.close();
+		}
+	});
+	const streamed = await api.post('/upload', stream, { onUploadProgress: event => streamEvents.push(event) });
+	const last = streamEvents[streamEvents.length - 1];
+	assertEqual(streamed.data.received, PAYLOAD_SIZE, 'Stream should be sent in full');
+	assertEqual(last.loaded, PAYLOAD_SIZE, 'Stream upload should count every byte');
+	assertEqual(last.total, null, 'Stream size should be unknown');
+});
+
+suite.test('Upload progress without streaming uploads reports once the body is sent', async () => {
+	const api = createLuminara({ baseURL: BASE_URL, progressInterval: 0 });
+	const events = [];
+
+	// A browser global turns streaming uploads off, like Firefox and Safari
+	globalThis.document = {};
+	try {
+		const response = await api.post('/upload', new Blob(['a'.repeat(PAYLOAD_SIZE)]), {
+			onUploadProgress: event => events.push(event)
+		});
+
+		assertEqual(response.data.received, PAYLOAD_SIZE, 'Blob should be sent in full');
+		assertEqual(events.length, 1, 'A single final event should be reported');
+		assertEqual(events[0].loaded, PAYLOAD_SIZE, 'Final event should report every byte');
+		assertEqual(events[0].progress, 1, 'Final progress should be 1');
+	} finally {
+		delete globalThis.document;
+	}
+});
+
+suite.test('Upload progress starts over on retry', async () => {
+	mockServer.resetCounts();
+	const api = createLuminara({ baseURL: BASE_URL, retry: 1, retryDelay: 10, progressInterval: 0 });
+	const events = [];
+
+	const response = await api.post('/upload?failFirst=true', new Uint8Array(PAYLOAD_SIZE), {
+		onUploadProgress: event => events.push(event)
+	});
+
+	const restart = events.findIndex((event, i) => i > 0 && event.loaded < events[i - 1].loaded);
+	assertEqual(response.status, 200, 'Retry should succeed');
+	assert(restart > 0, 'loaded should drop back for the retry attempt');
+	assertEqual(events[restart - 1].loaded, PAYLOAD_SIZE, 'First attempt should have finished its upload');
+	assertEqual(events[events.length - 1].loaded, PAYLOAD_SIZE, 'Retry should report its own full upload');
+	assertEqual(events.filter(event => event.progress === 1).length, 2, 'Each attempt should complete once');
+});
+
+suite.test('Upload progress keeps the original body for HAR and cassettes', async () => {
+	const json = JSON.stringify({ name: 'upload' });
+	const options = {
+		headers: { 'Content-Type': 'application/json' },
+		onUploadProgress: () => {}
+	};
+
+	const api = createLuminara({ baseURL: BASE_URL });
+	api.startHarCapture();
+	await api.post('/upload', new TextEncoder().encode(json), options);
+	const [entry] = api.stopHarCapture().log.entries;
+	assertEqual(entry.request.postData.text, json, 'HAR should record the bytes, not the progress stream');
+	assertEqual(entry.request.bodySize, json.length, 'HAR should record the body size');
+
+	const dir = mkdtempSync(join(tmpdir(), 'luminara-progress-'));
+	try {
+		const path = join(dir, 'cassette.json');
+		const driverOptions = { baseURL: BASE_URL, cassette: { path, mode: 'record' } };
+		const driver = CassetteDriver(driverOptions);
+		const recorder = new LuminaraClient(driver, [], driverOptions);
+		const response = await recorder.post('/upload', new TextEncoder().encode(json), options);
+		assertEqual(response.data.received, json.length, 'Body should be sent while recording');
+		await driver.flushCassette();
+		assertEqual(JSON.parse(readFileSync(path, 'utf8')).interactions[0].request.body, json, 'Cassette should record the body');
+	} finally {
+		rmSync(dir, { recursive: true, force: true });
+	}
+});
+
+// Run tests if this file is executed directly
+await runTestSuiteIfDirect(import.meta.url, 'Transfer Progress', suite, mockServer);
+
+export { suite, mockServer };
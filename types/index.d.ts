@@ -4,6 +4,51 @@ export interface RateLimitBucketStats {
 	tokens: number;
 	queued: number;
 	inFlight: number;
+	sharedInFlight: number;
+	limit?: number;
+	windowMs?: number;
+	rps?: number;
+	pausedUntil?: number | null;
+	learned?: LearnedRateLimit | null;
+	windowCount?: number;
+	nextSlotAt?: number;
+	windowResetAt?: number;
+	nextDispatchAt?: number;
+}
+
+export interface RateLimitRate {
+	algorithm: RateLimitAlgorithm;
+	limit: number;
+	windowMs: number;
+	ratePerMs: number;
+	burst: number;
+	pausedUntil: number;
+}
+
+export interface RateLimitStoreInterface {
+	acquire(key: string, rate: RateLimitRate, now: number): boolean;
+	release(key: string): void;
+	update<T>(key: string, rate: RateLimitRate, now: number, fn: (state: Record<string, any>) => T): T;
+	get(key: string, rate: RateLimitRate, now: number): Record<string, number>;
+	clear(): void;
+	supportsAlgorithm?(name: RateLimitAlgorithm): boolean;
+}
+
+export type RateLimitAlgorithm = 'token-bucket' | 'sliding-window' | 'fixed-window' | 'leaky-bucket';
+
+export type RateLimitPriority = 'critical' | 'high' | 'normal' | 'low' | number;
+
+export interface RateLimitPriorityStats {
+	level: number;
+	queued: number;
+	dispatched: number;
+	wait: {
+		avgMs: number;
+		p50Ms: number;
+		p95Ms: number;
+		p99Ms: number;
+		maxMs: number;
+	};
 }
 
 export interface RateLimitStats {
@@ -12,34 +57,60 @@ export interface RateLimitStats {
 	dropped: number;
 	inFlight: number;
 	buckets: Record<string, RateLimitBucketStats>;
+	priorities: Record<string, RateLimitPriorityStats>;
 	config: {
 		limit: number;
 		windowMs: number;
 		burst: number;
 		ratePerMs: number;
+		algorithm: RateLimitAlgorithm;
+		store: RateLimitStoreInterface | null;
 		scope: 'global' | 'domain' | 'endpoint';
 		maxConcurrent: number | null;
 		queueLimit: number | null;
 		tickMs: number;
+		agingMs: number;
 		include?: string[];
 		exclude?: string[];
 		verbose: boolean;
+		adaptive: Required<Omit<AdaptiveRateLimitConfig, 'maxLimit'>> & { maxLimit: number | null } | null;
 	};
 }
 
+export interface AdaptiveRateLimitConfig {
+	increase?: number;
+	decrease?: number;
+	minLimit?: number;
+	maxLimit?: number | null;
+}
+
+export interface LearnedRateLimit {
+	source: 'headers' | 'aimd';
+	limit: number | null;
+	remaining: number | null;
+	resetMs: number | null;
+	windowMs: number | null;
+	status: number;
+	updatedAt: number;
+}
+
 export interface RateLimitConfig {
 	rps?: number;
 	rpm?: number;
 	limit?: number;
 	windowMs?: number;
 	burst?: number;
+	algorithm?: RateLimitAlgorithm;
+	store?: RateLimitStoreInterface;
 	scope?: 'global' | 'domain' | 'endpoint';
 	maxConcurrent?: number;
 	queueLimit?: number;
 	tickMs?: number;
+	agingMs?: number;
 	include?: string[];
 	exclude?: string[];
 	verbose?: boolean;
+	adaptive?: AdaptiveRateLimitConfig | boolean;
 }
 
 export interface DebounceConfig {
@@ -61,6 +132,252 @@ export interface DeduplicateConfig {
 	disabled?: boolean;
 }
 
+export interface CacheEntry {
+	status: number;
+	headers: Array<[string, string]>;
+	data: any;
+	storedAt: number;
+	initialAge: number;
+	expiresAt: number;
+	noCache: boolean;
+	etag: string | null;
+	lastModified: string | null;
+	vary: Record<string, string | null> | null;
+}
+
+export interface CacheStorage {
+	get(key: string): Promise<CacheEntry | null>;
+	set(key: string, entry: CacheEntry): Promise<void>;
+	delete(key: string): Promise<void>;
+	clear(): Promise<void>;
+	size?(): number;
+}
+
+export interface CacheConfig {
+	storage?: CacheStorage | null;
+	maxEntries?: number;
+	methods?: string[];
+	statusCodes?: number[];
+	shared?: boolean;
+	defaultTTL?: number;
+	keyStrategy?: 'url' | 'url+method' | 'url+method+body' | 'custom';
+	keyGenerator?: ((req: any) => string) | null;
+	includeHeaders?: string[];
+}
+
+export interface CacheMetadata {
+	status: 'hit' | 'revalidated' | 'stale';
+	age: number;
+}
+
+export interface StaleWhileRevalidateConfig {
+	maxEntries?: number;
+	maxStaleAge?: number;
+	keyStrategy?: 'url' | 'url+method' | 'url+method+body' | 'custom';
+	keyGenerator?: ((req: any) => string) | null;
+	includeHeaders?: string[];
+	onRevalidated?: (response: LuminaraResponse) => void;
+	onRevalidationError?: (error: Error) => void;
+}
+
+export interface RetryBudgetConfig {
+	ratio?: number;
+	minRetriesPerSecond?: number;
+	windowMs?: number;
+}
+
+export interface RetryBudgetStats {
+	successes: number;
+	retries: number;
+	allowed: number;
+	remaining: number;
+	denied: number;
+	config: Required<RetryBudgetConfig>;
+}
+
+export type SpanKind = 'internal' | 'client';
+export type SpanStatusCode = 'UNSET' | 'OK' | 'ERROR';
+
+export interface SpanEvent {
+	name: string;
+	time: number;
+	attributes: Record<string, any>;
+}
+
+export interface SpanData {
+	traceId: string;
+	spanId: string;
+	parentSpanId: string | null;
+	traceState: string | null;
+	name: string;
+	kind: SpanKind;
+	startTime: number;
+	endTime: number | null;
+	duration: number | null;
+	attributes: Record<string, any>;
+	events: SpanEvent[];
+	status: { code: SpanStatusCode; message?: string };
+}
+
+export interface SpanExporter {
+	export(spans: SpanData[]): void | Promise<void>;
+	shutdown?(): void | Promise<void>;
+}
+
+export interface TracingConfig {
+	exporter?: SpanExporter | null;
+	sampleRate?: number;
+	propagate?: boolean;
+	traceState?: string | null;
+	attributes?: Record<string, any>;
+	onExportError?: ((error: Error) => void) | null;
+}
+
+export interface TraceParent {
+	traceId: string;
+	spanId: string;
+	sampled: boolean;
+}
+
+export interface HarCaptureOptions {
+	maxBodySize?: number;
+	maxEntries?: number;
+	redactHeaders?: string[];
+	redactQuery?: string[];
+	redactBodyFields?: string[];
+	redact?: ((entry: HarEntry) => HarEntry | void) | null;
+	creator?: { name: string; version: string };
+}
+
+export interface HarNameValue {
+	name: string;
+	value: string;
+}
+
+export interface HarEntry {
+	startedDateTime: string;
+	time: number;
+	request: {
+		method: string;
+		url: string;
+		httpVersion: string;
+		cookies: HarNameValue[];
+		headers: HarNameValue[];
+		queryString: HarNameValue[];
+		postData?: {
+			mimeType: string;
+			text?: string;
+			params?: Array<{ name: string; value?: string; fileName?: string; contentType?: string }>;
+			comment?: string;
+		};
+		headersSize: number;
+		bodySize: number;
+	};
+	response: {
+		status: number;
+		statusText: string;
+		httpVersion: string;
+		cookies: HarNameValue[];
+		headers: HarNameValue[];
+		content: { size: number; mimeType: string; text?: string; comment?: string };
+		redirectURL: string;
+		headersSize: number;
+		bodySize: number;
+	};
+	cache: Record<string, never>;
+	timings: { blocked: number; dns: number; connect: number; ssl: number; send: number; wait: number; receive: number };
+	comment?: string;
+	_requestId: string;
+	_attempt: number;
+	_label: 'initial' | 'retry' | 'hedge';
+	_hedgeIndex?: number;
+	_error?: string;
+}
+
+export interface HarDocument {
+	log: {
+		version: '1.2';
+		creator: { name: string; version: string };
+		pages: never[];
+		entries: HarEntry[];
+	};
+}
+
+export interface RevalidatedEvent {
+	key: string;
+	response: LuminaraResponse;
+	previous: LuminaraResponse;
+}
+
+export interface RevalidationFailedEvent {
+	key: string;
+	/** code 'SWR_NOT_STORED' when the refresh returned an error response (ignoreResponseError) */
+	error: Error;
+	previous: LuminaraResponse;
+}
+
+export interface CacheStats {
+	lookups: number;
+	hits: number;
+	misses: number;
+	revalidated: number;
+	stored: number;
+	bypassed: number;
+	invalidated: number;
+	hitRate: number;
+	entries: number | null;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitBreakerConfig {
+	scope?: 'global' | 'domain' | 'endpoint';
+	include?: Array<string | RegExp>;
+	exclude?: Array<string | RegExp>;
+	failureThreshold?: number | null;
+	failureRatio?: number | null;
+	minimumRequests?: number;
+	windowMs?: number;
+	cooldownMs?: number;
+	halfOpenMaxProbes?: number;
+	isFailure?: ((error: Error | null, response: LuminaraResponse | null) => boolean) | null;
+}
+
+export interface CircuitStats {
+	state: CircuitState;
+	since: number;
+	requests: number;
+	failures: number;
+	failureRatio: number;
+	consecutiveFailures: number;
+	probesInFlight: number;
+	rejected: number;
+}
+
+export interface CircuitBreakerStats {
+	circuits: Record<string, CircuitStats>;
+	config: {
+		scope: 'global' | 'domain' | 'endpoint';
+		failureThreshold: number | null;
+		failureRatio: number | null;
+		minimumRequests: number;
+		windowMs: number;
+		cooldownMs: number;
+		halfOpenMaxProbes: number;
+	};
+}
+
+export interface CircuitEvent {
+	type: 'state-change' | 'rejected';
+	key: string;
+	from?: CircuitState;
+	to?: CircuitState;
+	state?: CircuitState;
+	reason?: string;
+	retryAfter?: number;
+	timestamp: number;
+}
+
 export type HedgingPolicy = 'cancel-and-retry' | 'race';
 
 export interface HedgingConfig {
@@ -111,28 +428,66 @@ export interface HedgingError extends Error {
 	totalAttempts: number;
 }
 
+/** Upload or download progress - starts over from zero on every retry attempt */
+export interface TransferProgress {
+	/** Bytes transferred so far */
+	loaded: number;
+	/** Expected bytes - Content-Length or the body size, null when unknown */
+	total: number | null;
+	/** loaded / total between 0 and 1, null when the total is unknown */
+	progress: number | null;
+	/** Average bytes per second since the transfer started */
+	rate: number;
+}
+
 export interface LuminaraConfig {
 	baseURL?: string;
 	timeout?: number;
 	retry?: number | false;
 	retryDelay?: number | ((retryCount: number, error: Error, context: any) => number | Promise<number>);
 	retryStatusCodes?: number[];
+	retryBudget?: RetryBudgetConfig | boolean;
+	respectRetryAfter?: 'always' | 'cap' | 'ignore';
+	maxRetryAfter?: number;
 	backoffType?: 'linear' | 'exponential' | 'exponentialCapped' | 'fibonacci' | 'jitter' | 'exponentialJitter';
 	backoffBaseDelay?: number;
 	backoffMaxDelay?: number;
 	initialDelay?: number;
 	headers?: Record<string, string>;
-	responseType?: 'auto' | 'text' | 'json' | 'blob' | 'stream' | 'arrayBuffer' | 'xml' | 'html' | 'ndjson';
+	/** 'ndjson' and 'jsonl' resolve to an AsyncIterable of parsed records, read as the body arrives */
+	responseType?: 'auto' | 'text' | 'json' | 'blob' | 'stream' | 'arrayBuffer' | 'xml' | 'html' | 'ndjson' | 'jsonl';
 	parseResponse?: (text: string, response: Response) => any;
+	/** Longest accepted NDJSON/JSON Lines line in bytes (default 1048576) */
+	maxLineBytes?: number;
+	/** Called with the error for NDJSON/JSON Lines lines that are not valid JSON; the line is skipped instead of ending the iteration */
+	onLineError?: (error: Error & { code: 'PARSE_ERROR'; data: { line: number; text: string } }) => void;
+	/** Called while a Blob, ArrayBuffer, typed array or ReadableStream body is sent; browsers send the body as-is and get one final event */
+	onUploadProgress?: (event: TransferProgress) => void;
+	/** Called while the response body is read */
+	onDownloadProgress?: (event: TransferProgress) => void;
+	/** Minimum ms between progress events (default 100); the final event is always sent */
+	progressInterval?: number;
 	ignoreResponseError?: boolean;
 	verbose?: boolean;
 	statsEnabled?: boolean;
+	/** Rolling windows tracked by this client's stats only, on top of the registered ones */
+	statsWindows?: Record<string, RollingWindowLayout>;
+	alerts?: AlertsConfig;
 	rateLimit?: RateLimitConfig;
+	priority?: RateLimitPriority;
 	debounce?: DebounceConfig;
 	deduplicate?: DeduplicateConfig;
 	hedging?: HedgingConfig;
+	cache?: CacheConfig | boolean;
+	staleWhileRevalidate?: StaleWhileRevalidateConfig | boolean;
+	circuitBreaker?: CircuitBreakerConfig | boolean;
+	tracing?: TracingConfig | boolean;
+	onRevalidated?: (response: LuminaraResponse) => void;
+	onRevalidationError?: (error: Error) => void;
 	query?: Record<string, any>;
 	shouldRetry?: (error: Error, context: any) => boolean;
+	auth?: boolean;
+	fetch?: typeof fetch;
 	[key: string]: any;
 }
 
@@ -142,12 +497,15 @@ export interface LuminaraResponse<T = any> {
 	statusText: string;
 	headers: Headers;
 	hedgingMetadata?: HedgingMetadata;
+	cacheMetadata?: CacheMetadata;
 }
 
 export interface LuminaraContext {
 	req: any & { hedging?: HedgingConfig };
 	res?: any & { hedgingMetadata?: HedgingMetadata };
 	error?: Error | HedgingError;
+	/** Set in onResponseError to send the request again without using up a retry */
+	replay?: boolean;
 	meta: {
 		requestId: string;
 		requestStartTime: number;
@@ -157,6 +515,7 @@ export interface LuminaraContext {
 
 export interface LuminaraPlugin {
 	name?: string;
+	onAttach?: (client: LuminaraClient) => void;
 	onRequest?: (context: LuminaraContext) => any | Promise<any>;
 	onResponse?: (context: LuminaraContext) => void | Promise<void>;
 	onResponseError?: (context: LuminaraContext) => void | Promise<void>;
@@ -165,12 +524,233 @@ export interface LuminaraPlugin {
 export interface LuminaraDriver {
 	request(options: any): Promise<LuminaraResponse>;
 	calculateRetryDelay?: (context: any) => Promise<number> | number;
+	getCacheStats?: () => CacheStats | null;
+	clearCache?: () => Promise<void>;
+	getCircuitBreakerStats?: () => CircuitBreakerStats | null;
+	resetCircuitBreaker?: () => void;
+	onCircuitEvent?: (listener: (event: CircuitEvent) => void) => () => void;
+}
+
+/** Stats window names - custom names come from registerTimeWindow() */
+export type StatsWindow = 'since-start' | 'since-reset' | 'rolling-60s' | 'rolling-5m' | 'rolling-15m' | 'rolling-1h' | (string & {});
+
+export interface RollingWindowLayout {
+	/** Window span in milliseconds */
+	spanMs: number;
+	/** Pre-aggregation bucket size in milliseconds (resolution of the window edge) */
+	bucketMs: number;
+}
+
+/** Query filter - every given criterion must match */
+export interface StatsWhere {
+	domain?: string;
+	method?: string;
+	/** Exact endpoint, e.g. 'GET /api/search' */
+	endpoint?: string;
+	endpointPrefix?: string;
+	tag?: string;
+}
+
+export interface TimeMetrics {
+	minMs: number;
+	avgMs: number;
+	p50Ms: number;
+	p95Ms: number;
+	p99Ms: number;
+	maxMs: number;
+	/** Raw bucket layout, present with { histogram: true } */
+	histogram?: DDSketchLayout;
+}
+
+export interface TimeStatsOptions {
+	groupBy?: 'endpoint' | 'domain' | 'method' | 'tag' | 'none';
+	window?: StatsWindow;
+	where?: StatsWhere;
+	limit?: number;
+	/** Include the DDSketch bucket layout for merging across processes */
+	histogram?: boolean;
+}
+
+export interface StatsSubscriptionOptions {
+	/** Minimum time between query runs, also how often rolling-window and rate queries are re-checked (default 1000) */
+	intervalMs?: number;
+	/** Only call back when the result changed (default true) */
+	onlyOnChange?: boolean;
+	/** Call back with the current result right after subscribing (default true) */
+	immediate?: boolean;
+}
+
+export interface StatsSubscriptionUpdate {
+	/** Result of the previous run, null for the immediate push */
+	previous: any | null;
+	/** Keys of groups that were added, removed or changed */
+	changed: string[];
+}
+
+export type AlertOperator = '>' | '>=' | '<' | '<=';
+
+export interface AlertRule {
+	/** Unique rule name */
+	name: string;
+	/** '<metric>.<field>' path into the query group (e.g. 'time.p95Ms', 'error.byClass.5xx') or a function of the group */
+	metric: string | ((group: any) => number | null);
+	/** Divide the metric by this path (e.g. 'counters.total' for a ratio); no data while it is 0 */
+	per?: string;
+	/** Comparison that counts as a breach (default '>') */
+	op?: AlertOperator;
+	threshold: number;
+	/** Value the metric must get back past to recover - hysteresis (default threshold) */
+	recoverThreshold?: number;
+	/** Stats window (default 'rolling-60s') */
+	window?: StatsWindow;
+	where?: StatsWhere;
+	/** How long the breach must last before the rule fires (default 0) */
+	forMs?: number;
+	/** Suppress notifications for this long after the rule fires (default 0) */
+	muteMs?: number;
+	/** Requests needed in the window before the rule is judged (default 0) */
+	minRequests?: number;
+}
+
+export interface AlertState {
+	name: string;
+	metric: string;
+	per: string | null;
+	status: 'ok' | 'pending' | 'firing';
+	/** Last evaluated value, null without enough data */
+	value: number | null;
+	threshold: number;
+	recoverThreshold: number;
+	op: AlertOperator;
+	window: StatsWindow;
+	where: StatsWhere;
+	/** When the rule entered its status */
+	since: number;
+	firedAt: number | null;
+	evaluatedAt: number | null;
+	muted: boolean;
+	mutedUntil: number | null;
+}
+
+export interface AlertsConfig {
+	rules?: AlertRule[];
+	onAlert?: (alert: AlertState) => void;
+	onRecover?: (alert: AlertState) => void;
+	/** How often rules are evaluated (default 1000) */
+	intervalMs?: number;
+}
+
+export interface StatsAlerts {
+	get(): AlertState[];
+	get(name: string): AlertState | null;
+	add(rule: AlertRule): AlertState;
+	remove(name: string): boolean;
+	/** Suppress notifications of one rule, or all rules without a name */
+	mute(name: string | null, durationMs: number): void;
+	unmute(name?: string | null): void;
+	/** Evaluate every rule now */
+	evaluate(): AlertState[];
+}
+
+/**
+ * Versioned, JSON-serializable stats state. Module and window layouts are internal;
+ * treat the document as opaque and pass it to importState().
+ */
+export interface StatsState {
+	format: 'luminara-stats';
+	version: number;
+	exportedAt: number;
+	modules: Record<string, { windows: Record<string, any>; [key: string]: any }>;
+}
+
+export interface StatsImportOptions {
+	/** Add to the current stats instead of replacing them (default false) */
+	merge?: boolean;
 }
 
 export interface StatsInterface {
 	get(): any;
 	reset(): void;
 	query(params: any): any;
+	exportState(): StatsState;
+	importState(state: StatsState, options?: StatsImportOptions): void;
+	subscribe(query: any, callback: (result: any, update: StatsSubscriptionUpdate) => void, options?: StatsSubscriptionOptions): () => void;
+	configureAlerts(config: AlertsConfig): void;
+	alerts: StatsAlerts;
+	sse: StatsSse;
+	time: {
+		get(options?: TimeStatsOptions): TimeMetrics | Array<{ key: string; time: TimeMetrics }>;
+		reset(): void;
+	};
+}
+
+export interface SseFrame {
+	/** Event type (default 'message') */
+	event: string;
+	/** Data lines joined with newlines */
+	data: string;
+	/** Last event ID - sent as Last-Event-ID on reconnect */
+	id: string;
+	/** retry: hint of this event in ms, null if none */
+	retry: number | null;
+}
+
+export interface SseReconnectOptions {
+	/** Consecutive reconnects without a successful open before giving up (default Infinity) */
+	maxAttempts?: number;
+	/** Base delay until the server sends a retry: hint (default 1000) */
+	delay?: number;
+	/** Backoff strategy applied while connects keep failing (default 'exponentialCapped') */
+	backoffType?: 'linear' | 'exponential' | 'exponentialCapped' | 'fibonacci' | 'jitter' | 'exponentialJitter' | 'custom';
+	/** Maximum delay (default 30000) */
+	maxDelay?: number;
+	/** Delays for backoffType 'custom' */
+	backoffDelays?: number[];
+	/** Default: network errors, timeouts, 408, 429 and 5xx */
+	shouldReconnect?: (error: any, info: { attempt: number; lastEventId: string }) => boolean;
+}
+
+export interface SseOptions extends LuminaraConfig {
+	signal?: AbortSignal;
+	/** Sent as Last-Event-ID on the first connect */
+	lastEventId?: string;
+	/** false disables reconnecting (default true) */
+	reconnect?: boolean | SseReconnectOptions;
+}
+
+export interface SseConnection extends AsyncIterable<SseFrame> {
+	readonly id: string;
+	readonly readyState: 'connecting' | 'open' | 'closed';
+	readonly lastEventId: string;
+	/** Total reconnects of this connection */
+	readonly reconnects: number;
+	on(event: 'open', listener: (event: { status: number; headers: any; reconnects: number }) => void): () => void;
+	on(event: 'message', listener: (frame: SseFrame) => void): () => void;
+	on(event: 'error', listener: (error: any) => void): () => void;
+	on(event: 'reconnect', listener: (event: { attempt: number; delayMs: number; lastEventId: string }) => void): () => void;
+	on(event: 'close', listener: (event: { error: any; reconnects: number; lastEventId: string }) => void): () => void;
+	/** Close the connection and stop reconnecting */
+	close(): void;
+}
+
+export interface SseStats {
+	opened: number;
+	reconnects: number;
+	errors: number;
+	closed: number;
+	/** Errors by HTTP status or error code */
+	errorsByKey: Record<string, number>;
+	avgConnectMs: number;
+	avgReconnectDelayMs: number;
+	byEndpoint: Record<string, { opened: number; reconnects: number; errors: number }>;
+	/** Live connections */
+	active: number;
+	connections: Array<{ id: string; url: string; endpoint: string; state: 'open' | 'reconnecting'; since: number; reconnects: number }>;
+}
+
+export interface StatsSse {
+	get(options?: { window?: StatsWindow; where?: StatsWhere }): Record<string, SseStats | null>;
+	reset(): void;
 }
 
 export interface LuminaraClient {
@@ -187,9 +767,36 @@ export interface LuminaraClient {
 	getRateLimitStats(): RateLimitStats | null;
 	resetRateLimitStats(): void;
 	
+	getCacheStats(): CacheStats | null;
+	clearCache(): Promise<void>;
+	
+	getCircuitBreakerStats(): CircuitBreakerStats | null;
+	resetCircuitBreaker(): void;
+	
+	getRetryBudgetStats(): RetryBudgetStats | null;
+	resetRetryBudget(): void;
+	
+	startHarCapture(options?: HarCaptureOptions): this;
+	stopHarCapture(): HarDocument | null;
+	getHarCapture(): HarDocument | null;
+	
+	on(event: 'revalidated', listener: (event: RevalidatedEvent) => void): () => void;
+	on(event: 'revalidationFailed', listener: (event: RevalidationFailedEvent) => void): () => void;
+	
+	/** Open a Server-Sent Events stream through the plugin pipeline, reconnecting with Last-Event-ID */
+	sse(url: string, options?: SseOptions): SseConnection;
+	
+	// Set when tracing is configured
+	tracer: Tracer | null;
+	
+	// Added by authPlugin
+	auth?: AuthController;
+	
 	request<T = any>(options: LuminaraConfig & { 
 		url?: string; 
+		/** Any method token ('PROPFIND', 'PURGE', ...) - standard methods are sent uppercase; CONNECT, TRACE and TRACK are rejected */
 		method?: string; 
+		/** BodyInit, a JSON value, or () => body called for every send (makes stream bodies retryable) */
 		body?: any; 
 		signal?: AbortSignal; 
 	}): Promise<LuminaraResponse<T>>;
@@ -202,6 +809,8 @@ export interface LuminaraClient {
 	del<T = any>(url: string, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<LuminaraResponse<T>>;
 	head<T = any>(url: string, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<LuminaraResponse<T>>;
 	options<T = any>(url: string, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<LuminaraResponse<T>>;
+	/** HTTP QUERY - a safe, idempotent request with the query in the body */
+	query<T = any>(url: string, body?: any, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<LuminaraResponse<T>>;
 	
 	// Typed GET helpers (response content)
 	getJson<T = any>(url: string, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<T>;
@@ -210,12 +819,13 @@ export interface LuminaraClient {
 	getHtml(url: string, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<string>;
 	getBlob(url: string, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<Blob>;
 	getArrayBuffer(url: string, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<ArrayBuffer>;
-	getNDJSON(url: string, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<string>;
+	getNDJSON<T = any>(url: string, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<LuminaraResponse<AsyncIterable<T>>>;
 	
 	// Typed POST/PUT/PATCH helpers (request content)
 	postJson<T = any>(url: string, body?: any, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<T>;
 	putJson<T = any>(url: string, body?: any, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<T>;
 	patchJson<T = any>(url: string, body?: any, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<T>;
+	queryJson<T = any>(url: string, body?: any, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<T>;
 	postText<T = any>(url: string, text: string, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<LuminaraResponse<T>>;
 	postForm<T = any>(url: string, data: FormData | Record<string, any>, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<LuminaraResponse<T>>;
 	postMultipart<T = any>(url: string, formData: FormData, options?: LuminaraConfig & { signal?: AbortSignal }): Promise<LuminaraResponse<T>>;
@@ -225,9 +835,139 @@ export interface LuminaraClient {
 // Factory function
 export function createLuminara(config?: LuminaraConfig): LuminaraClient;
 
+// Auth plugin
+export interface AuthPluginOptions {
+	refreshToken: (context: LuminaraContext | null) => string | Promise<string>;
+	token?: string | null;
+	getToken?: () => string | null | Promise<string | null>;
+	header?: string;
+	scheme?: string | null;
+	shouldRefresh?: (error: any, context: LuminaraContext) => boolean;
+	onRefreshFailed?: (error: Error) => void;
+}
+
+export interface AuthStats {
+	refreshes: number;
+	failures: number;
+	replays: number;
+	refreshing: boolean;
+}
+
+/** Added to the client as `client.auth` by authPlugin */
+export interface AuthController {
+	getToken(): string | null;
+	setToken(token: string | null): void;
+	clearToken(): void;
+	refresh(): Promise<string>;
+	getStats(): AuthStats;
+}
+
+export function authPlugin(options: AuthPluginOptions): LuminaraPlugin;
+
 // Driver export
 export function NativeFetchDriver(config?: LuminaraConfig): LuminaraDriver;
 
+// Mock driver
+export type MockRoutePattern = string | RegExp | ((request: MockRequest) => boolean);
+
+export interface MockRequest {
+	method: string;
+	url: string;
+	origin: string;
+	path: string;
+	query: Record<string, string>;
+	headers: Record<string, string>;
+	body: any;
+	params: Record<string, string>;
+}
+
+export interface MockCall extends MockRequest {
+	route: MockRoutePattern | null;
+	timestamp: number;
+}
+
+export interface MockResponseDefinition {
+	status?: number;
+	statusText?: string;
+	headers?: Record<string, string>;
+	data?: any;
+	body?: BodyInit | null;
+	delay?: number;
+	error?: 'network' | 'timeout' | Error;
+}
+
+export type MockResponse = MockResponseDefinition | ((request: MockRequest) => MockResponseDefinition | Promise<MockResponseDefinition>);
+
+export interface MockDriverConfig extends LuminaraConfig {
+	latency?: number | [number, number];
+}
+
+export interface MockDriverInstance extends LuminaraDriver {
+	on(method: string, pattern: MockRoutePattern, response: MockResponse | MockResponse[]): this;
+	get(pattern: MockRoutePattern, response: MockResponse | MockResponse[]): this;
+	post(pattern: MockRoutePattern, response: MockResponse | MockResponse[]): this;
+	put(pattern: MockRoutePattern, response: MockResponse | MockResponse[]): this;
+	patch(pattern: MockRoutePattern, response: MockResponse | MockResponse[]): this;
+	delete(pattern: MockRoutePattern, response: MockResponse | MockResponse[]): this;
+	head(pattern: MockRoutePattern, response: MockResponse | MockResponse[]): this;
+	options(pattern: MockRoutePattern, response: MockResponse | MockResponse[]): this;
+	query(pattern: MockRoutePattern, response: MockResponse | MockResponse[]): this;
+	any(pattern: MockRoutePattern, response: MockResponse | MockResponse[]): this;
+	readonly calls: MockCall[];
+	getCalls(method?: string, pattern?: MockRoutePattern): MockCall[];
+	clearCalls(): void;
+	reset(): void;
+}
+
+export function MockDriver(config?: MockDriverConfig): MockDriverInstance;
+
+// Cassette (record-and-replay) driver
+export type CassetteMode = 'record' | 'replay' | 'record-missing' | 'passthrough';
+
+export const CASSETTE_MODES: CassetteMode[];
+
+export interface CassetteRequest {
+	method: string;
+	url: string;
+	headers: Record<string, string>;
+	body: string | null;
+}
+
+export interface CassetteOptions {
+	path?: string;
+	mode?: CassetteMode;
+	ignoreHeaders?: string[];
+	ignoreQuery?: string[];
+	normalizeQuery?: boolean;
+	matchBody?: boolean;
+	match?: (request: CassetteRequest, recordedRequest: CassetteRequest) => boolean;
+	redactHeaders?: string[];
+	redactQuery?: string[];
+	fs?: any;
+}
+
+export interface CassetteDriverConfig extends LuminaraConfig {
+	cassette: CassetteOptions;
+}
+
+export interface CassetteStats {
+	mode: CassetteMode;
+	path: string | null;
+	interactions: number;
+	recorded: number;
+	replayed: number;
+	passthrough: number;
+	missing: number;
+}
+
+export interface CassetteDriverInstance extends LuminaraDriver {
+	/** Resolves once every response body being recorded has ended and the cassette file is written */
+	flushCassette(): Promise<void>;
+	getCassetteStats(): CassetteStats;
+}
+
+export function CassetteDriver(config: CassetteDriverConfig): CassetteDriverInstance;
+
 // Backoff strategies
 export function createBackoffHandler(backoffType: string, baseDelay: number, backoffMaxDelay?: number, backoffDelays?: number[], initialDelay?: number): (context: any) => number;
 
@@ -245,7 +985,7 @@ export const backoffStrategies: {
 // Retry policy utilities
 export function defaultRetryPolicy(error: Error, context: any): boolean;
 export function createRetryPolicy(options: any): (error: Error, context: any) => boolean;
-export function parseRetryAfter(retryAfterHeader: string): number;
+export function parseRetryAfter(retryAfterHeader: string, maxDelay?: number): number;
 export function isIdempotentMethod(method: string): boolean;
 
 // Constants
@@ -254,10 +994,58 @@ export const DEFAULT_RETRY_STATUS_CODES: Set<number>;
 
 // Stats system exports
 export class StatsHub {
+	/** windows: rolling windows for this hub only, on top of the ones registered before it was created */
+	constructor(options?: { windows?: Record<string, RollingWindowLayout> });
+	/** Window names this hub accepts */
+	readonly timeWindows: string[];
 	setVerbose(enabled: boolean): void;
 	get(): any;
 	reset(): void;
 	query(params: any): any;
+	exportState(): StatsState;
+	importState(state: StatsState, options?: StatsImportOptions): void;
+	subscribe(query: any, callback: (result: any, update: StatsSubscriptionUpdate) => void, options?: StatsSubscriptionOptions): () => void;
+	configureAlerts(config: AlertsConfig): void;
+	readonly alerts: StatsAlerts;
+	readonly sse: StatsSse;
+}
+
+export interface DDSketchOptions {
+	/** Relative error of quantiles, 0 < a < 1 (default 0.01) */
+	relativeAccuracy?: number;
+	/** Bucket limit; the lowest buckets collapse beyond it (default 2048) */
+	maxBuckets?: number;
+}
+
+/** Bucket i holds values in (gamma^(i-1), gamma^i] milliseconds */
+export interface DDSketchLayout {
+	type: 'ddsketch';
+	relativeAccuracy: number;
+	gamma: number;
+	count: number;
+	sum: number;
+	min: number;
+	max: number;
+	zeroCount: number;
+	buckets: Record<string, number>;
+}
+
+export class DDSketch {
+	constructor(config?: DDSketchOptions);
+	readonly gamma: number;
+	count: number;
+	sum: number;
+	min: number;
+	max: number;
+	zeroCount: number;
+	add(value: number, count?: number): this;
+	merge(other: DDSketch | DDSketchLayout): this;
+	getValueAtQuantile(q: number): number;
+	countAtOrBelow(bound: number): number;
+	clear(): void;
+	toJSON(): DDSketchLayout;
+	static fromJSON(layout: DDSketchLayout, config?: DDSketchOptions): DDSketch;
+	static merge(sketches: Array<DDSketch | DDSketchLayout>, config?: DDSketchOptions): DDSketch;
 }
 
 export const METRIC_TYPES: {
@@ -271,10 +1059,102 @@ export const METRIC_TYPES: {
 export const GROUP_BY_DIMENSIONS: string[];
 export const TIME_WINDOWS: string[];
 
+/** Built-in and registered rolling windows by name */
+export const ROLLING_WINDOWS: Record<string, RollingWindowLayout>;
+
+/** Register a custom rolling window; stats created afterwards accept it as a window name. Registering the same layout again is a no-op */
+export function registerTimeWindow(name: string, layout: RollingWindowLayout): void;
+
+/** Version of the documents written by StatsHub.exportState() */
+export const STATS_STATE_VERSION: number;
+
+// OpenMetrics exporter
+export type OpenMetricsLabel = 'endpoint' | 'domain' | 'method' | 'tag';
+
+export interface OpenMetricsExporterOptions {
+	/** Prepended to every metric name (default 'luminara_') */
+	prefix?: string;
+	/** Allowed label dimensions (default ['domain', 'method']) */
+	labels?: OpenMetricsLabel[];
+	/** Stats window the metrics are computed over (default 'since-start') */
+	window?: StatsWindow;
+	/** Render request durations as a histogram or a summary (default 'histogram') */
+	durationType?: 'histogram' | 'summary';
+	/** Histogram bucket upper bounds in seconds */
+	buckets?: number[];
+	/** Labels added to every sample */
+	constLabels?: Record<string, string>;
+}
+
+export interface MetricsHandlerOptions extends OpenMetricsExporterOptions {
+	/** Path the metrics are served on (default '/metrics') */
+	path?: string;
+}
+
+export const OPENMETRICS_CONTENT_TYPE: string;
+export const DEFAULT_DURATION_BUCKETS: number[];
+
+export class OpenMetricsExporter {
+	constructor(stats: StatsHub | StatsInterface | LuminaraClient, config?: OpenMetricsExporterOptions);
+	readonly contentType: string;
+	render(): string;
+}
+
+export function createMetricsHandler(
+	stats: StatsHub | StatsInterface | LuminaraClient,
+	options?: MetricsHandlerOptions
+): (
+	req: { method?: string; url?: string },
+	res: { writeHead(status: number, headers?: Record<string, string>): any; end(body?: string): any },
+	next?: () => void
+) => void;
+
 // Hedging type guards
 export function isHedgingError(error: any): error is HedgingError;
 export function hasHedgingMetadata<T>(response: LuminaraResponse<T>): response is LuminaraResponse<T> & { hedgingMetadata: HedgingMetadata };
 
+// HTTP cache storage
+export class MemoryCacheStorage implements CacheStorage {
+	constructor(options?: { maxEntries?: number });
+	get(key: string): Promise<CacheEntry | null>;
+	set(key: string, entry: CacheEntry): Promise<void>;
+	delete(key: string): Promise<void>;
+	clear(): Promise<void>;
+	size(): number;
+}
+
+// Rate limit stores
+export abstract class RateLimitStore implements RateLimitStoreInterface {
+	abstract withState<T>(key: string, fn: (state: Record<string, any>) => T): T;
+	abstract clear(): void;
+	supportsAlgorithm(name: RateLimitAlgorithm): boolean;
+	acquire(key: string, rate: RateLimitRate, now: number): boolean;
+	release(key: string): void;
+	update<T>(key: string, rate: RateLimitRate, now: number, fn: (state: Record<string, any>) => T): T;
+	get(key: string, rate: RateLimitRate, now: number): Record<string, number>;
+}
+
+export class MemoryRateLimitStore extends RateLimitStore {
+	constructor();
+	withState<T>(key: string, fn: (state: Record<string, any>) => T): T;
+	clear(): void;
+}
+
+export class SharedMemoryRateLimitStore extends RateLimitStore {
+	constructor(options?: { buffer?: SharedArrayBuffer; maxKeys?: number; lockTimeoutMs?: number });
+	readonly buffer: SharedArrayBuffer;
+	readonly maxKeys: number;
+	withState<T>(key: string, fn: (state: Record<string, any>) => T): T;
+	clear(): void;
+}
+
+export class FileRateLimitStore extends RateLimitStore {
+	constructor(options: { path: string; fs?: any; lockTimeoutMs?: number; staleLockMs?: number });
+	readonly path: string;
+	withState<T>(key: string, fn: (state: Record<string, any>) => T): T;
+	clear(): void;
+}
+
 // Orchestration components (for benchmarking and advanced usage)
 export class PluginPipeline {
 	constructor(plugins?: LuminaraPlugin[]);
@@ -283,10 +1163,12 @@ export class PluginPipeline {
 	executeOnRequest(context: LuminaraContext): Promise<void>;
 	executeOnResponse(context: LuminaraContext): Promise<void>;
 	executeOnResponseError(context: LuminaraContext): Promise<void>;
+	/** Runs onResponseError and resolves true when a plugin set context.replay and the replay limit allows it */
+	executeOnResponseErrorForReplay(context: LuminaraContext, replays: number): Promise<boolean>;
 }
 
 export class RetryOrchestrator {
-	constructor(driver: LuminaraDriver, statsEmitter: any);
+	constructor(driver: LuminaraDriver, statsEmitter: any, retryBudget?: RetryBudget | null);
 	execute(context: LuminaraContext, pluginPipeline: PluginPipeline): Promise<any>;
 }
 
@@ -300,6 +1182,85 @@ export class SignalManager {
 	static mergeUserSignal(context: LuminaraContext, userSignal?: AbortSignal, statsEmitter?: any): void;
 }
 
+export class StaleWhileRevalidate {
+	constructor(config?: StaleWhileRevalidateConfig | boolean);
+	isEnabled(req: any): boolean;
+	process(req: any, executeFn: (req: any) => Promise<LuminaraResponse>): Promise<LuminaraResponse>;
+	generateKey(req: any): string;
+	on(event: 'revalidated' | 'revalidationFailed', listener: (event: any) => void): () => void;
+	clear(): Promise<void>;
+}
+
+export class RetryBudget {
+	constructor(config?: RetryBudgetConfig | boolean);
+	recordSuccess(): void;
+	tryAcquire(): boolean;
+	getStats(): RetryBudgetStats;
+	reset(): void;
+}
+
+export const SPAN_KIND: { INTERNAL: 'internal'; CLIENT: 'client' };
+export const SPAN_STATUS: { UNSET: 'UNSET'; OK: 'OK'; ERROR: 'ERROR' };
+
+export class Span {
+	readonly traceId: string;
+	readonly spanId: string;
+	readonly parentSpanId: string | null;
+	readonly sampled: boolean;
+	readonly traceState: string | null;
+	readonly name: string;
+	readonly kind: SpanKind;
+	readonly ended: boolean;
+	readonly traceparent: string;
+	setAttribute(key: string, value: any): this;
+	setAttributes(attributes: Record<string, any>): this;
+	addEvent(name: string, attributes?: Record<string, any>): this;
+	setStatus(code: SpanStatusCode, message?: string): this;
+	recordError(error: any, errorType?: string): this;
+	end(endTime?: number): void;
+	toJSON(): SpanData;
+}
+
+export class Tracer {
+	constructor(config?: TracingConfig | boolean);
+	config: Required<TracingConfig>;
+	startSpan(name: string, options?: {
+		parent?: Span | TraceParent | null;
+		kind?: SpanKind;
+		attributes?: Record<string, any>;
+		traceState?: string | null;
+	}): Span;
+	inject(headers: Record<string, string> | undefined, span: Span): Record<string, string>;
+	endSpan(span: Span, outcome?: { response?: { status: number } | null; error?: any; errorType?: string }): void;
+	shutdown(): Promise<void>;
+}
+
+export class InMemorySpanExporter implements SpanExporter {
+	export(spans: SpanData[]): void;
+	getFinishedSpans(): SpanData[];
+	reset(): void;
+	shutdown(): void;
+}
+
+export function parseTraceparent(header: string | null | undefined): TraceParent | null;
+export function formatTraceparent(traceParent: TraceParent): string;
+
+export class HarRecorder {
+	constructor(config?: HarCaptureOptions);
+	entries: HarEntry[];
+	startEntry(exchange: {
+		requestId: string;
+		attempt?: number;
+		hedging?: { index?: number } | null;
+		method?: string;
+		url: string;
+		headers?: Record<string, string>;
+		body?: any;
+	}): { response(response: Response): void; finish(data: any): void; fail(error: any): void };
+	toHar(): HarDocument;
+	clear(): void;
+}
+
 export class ConfigManager {
 	constructor(initialConfig?: LuminaraConfig);
 	merge(req: any): any;